@@ -203,7 +203,7 @@ comment_env_line() {
 # Function to comment out all LDAP settings
 comment_ldap_settings() {
     local file=$1
-    local ldap_keys="LDAP_URL LDAP_BASE_DN LDAP_BIND_DN LDAP_BIND_PASSWORD LDAP_USER_SEARCH_BASE LDAP_USER_SEARCH_FILTER LDAP_GROUP_SEARCH_BASE LDAP_GROUP_SEARCH_FILTER LDAP_USERNAME_ATTR LDAP_EMAIL_ATTR LDAP_DISPLAY_NAME_ATTR LDAP_ADMIN_GROUP LDAP_SERVER_TYPE LDAP_TLS_REJECT_UNAUTHORIZED LDAP_TIMEOUT LDAP_CONNECT_TIMEOUT LDAP_IDLE_TIMEOUT LDAP_SEARCH_BY_EMAIL DEBUG_LDAP"
+    local ldap_keys="LDAP_URL LDAP_BASE_DN LDAP_BIND_DN LDAP_BIND_PASSWORD LDAP_USER_SEARCH_BASE LDAP_USER_SEARCH_FILTER LDAP_GROUP_SEARCH_BASE LDAP_GROUP_SEARCH_FILTER LDAP_USERNAME_ATTR LDAP_EMAIL_ATTR LDAP_DISPLAY_NAME_ATTR LDAP_ADMIN_GROUP LDAP_CACHE_TTL LDAP_POOL_SIZE LDAP_POOL_HEALTH_INTERVAL LDAP_FAILOVER_COOLDOWN LDAP_SYNC_INTERVAL LDAP_SYNC_FILTER LDAP_SYNC_CREATE_USERS LDAP_SYNC_DEPROVISION LDAP_SYNC_MAX_DEPROVISION LDAP_SERVER_TYPE LDAP_TLS_REJECT_UNAUTHORIZED LDAP_TIMEOUT LDAP_CONNECT_TIMEOUT LDAP_IDLE_TIMEOUT LDAP_SEARCH_BY_EMAIL DEBUG_LDAP"
     
     for key in $ldap_keys; do
         comment_env_line "$key" "$file"
@@ -213,7 +213,7 @@ comment_ldap_settings() {
 # Function to comment out all LTPA settings
 comment_ltpa_settings() {
     local file=$1
-    local ltpa_keys="LTPA_SECRET_KEY LTPA_PUBLIC_KEY LTPA_PRIVATE_KEY LTPA_COOKIE_NAME LTPA_COOKIE_NAME_FALLBACK LTPA_REALM LTPA_TOKEN_EXPIRATION LTPA_TRUSTED_DOMAINS LTPA_DOMINO_USER_FORMAT LTPA_PREFER_AES DEBUG_LTPA"
+    local ltpa_keys="LTPA_SECRET_KEY LTPA_PUBLIC_KEY LTPA_PRIVATE_KEY LTPA_COOKIE_NAME LTPA_COOKIE_NAME_FALLBACK LTPA_REALM LTPA_TOKEN_EXPIRATION LTPA_TRUSTED_DOMAINS LTPA_DOMINO_USER_FORMAT LTPA_PREFER_AES LTPA_KEYS_PASSWORD LTPA_SIGNATURE_MODE LTPA_DOMINO_SECRET LTPA_KEY_GRACE_PERIOD DEBUG_LTPA"
     
     for key in $ltpa_keys; do
         comment_env_line "$key" "$file"
@@ -6,6 +6,12 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Editor from './pages/Editor';
 import Settings from './pages/Settings';
+import Trash from './pages/Trash';
+import SharedWithMe from './pages/SharedWithMe';
+import SharedDocument from './pages/SharedDocument';
+import Audit from './pages/Audit';
+import Sessions from './pages/Sessions';
+import Admin from './pages/Admin';
 
 function PrivateRoute({ children }) {
   const { user, loading } = useAuth();
@@ -21,6 +27,11 @@ function PrivateRoute({ children }) {
   return user ? children : <Navigate to="/login" />;
 }
 
+function AdminRoute({ children }) {
+  const { user } = useAuth();
+  return user?.role === 'admin' ? children : <Navigate to="/" />;
+}
+
 function PublicRoute({ children }) {
   const { user, loading } = useAuth();
 
@@ -43,9 +54,15 @@ export default function App() {
       <Route path="/" element={<PrivateRoute><Layout /></PrivateRoute>}>
         <Route index element={<Dashboard />} />
         <Route path="folder/:folderId" element={<Dashboard />} />
+        <Route path="shared-with-me" element={<SharedWithMe />} />
+        <Route path="trash" element={<Trash />} />
         <Route path="settings" element={<Settings />} />
+        <Route path="admin" element={<AdminRoute><Admin /></AdminRoute>} />
+        <Route path="admin/audit" element={<AdminRoute><Audit /></AdminRoute>} />
+        <Route path="admin/sessions" element={<AdminRoute><Sessions /></AdminRoute>} />
       </Route>
       <Route path="/edit/:fileId" element={<PrivateRoute><Editor /></PrivateRoute>} />
+      <Route path="/shared/:token" element={<SharedDocument />} />
     </Routes>
   );
 }
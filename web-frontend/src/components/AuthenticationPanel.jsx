@@ -0,0 +1,379 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { RefreshCw, Upload, KeyRound, Search, CheckCircle, XCircle } from 'lucide-react';
+
+function StatusBadge({ ok, label }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded ${
+        ok ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+      }`}
+    >
+      {ok ? <CheckCircle className="h-3.5 w-3.5" /> : <XCircle className="h-3.5 w-3.5" />}
+      {label}
+    </span>
+  );
+}
+
+function StatusCard({ title, ok, label, children }) {
+  return (
+    <div className="border border-gray-200 rounded-xl p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+        <StatusBadge ok={ok} label={label} />
+      </div>
+      <dl className="space-y-1 text-sm">{children}</dl>
+    </div>
+  );
+}
+
+function Row({ name, value }) {
+  if (value === null || value === undefined || value === '') return null;
+  return (
+    <div className="flex justify-between gap-4">
+      <dt className="text-gray-500">{name}</dt>
+      <dd className="text-gray-900 truncate text-right" title={String(value)}>{value}</dd>
+    </div>
+  );
+}
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+/**
+ * Upload a WebSphere ltpa.keys export
+ */
+function LtpaUploadForm({ onDone }) {
+  const [file, setFile] = useState(null);
+  const [password, setPassword] = useState('');
+  const [label, setLabel] = useState('');
+  const [makePrimary, setMakePrimary] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const formData = new FormData();
+      formData.append('keysFile', file);
+      formData.append('password', password);
+      if (label) formData.append('label', label);
+      formData.append('makePrimary', makePrimary ? 'true' : 'false');
+
+      const response = await api.post('/admin/ltpa/upload', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success(response.data.message || 'LTPA keys uploaded');
+      setFile(null);
+      setPassword('');
+      setLabel('');
+      setMakePrimary(false);
+      e.target.reset();
+      onDone();
+    } catch (error) {
+      toast.error(error.response?.data?.details || error.response?.data?.error || 'Failed to upload LTPA keys');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Keys file</label>
+        <input
+          type="file"
+          accept=".keys"
+          required
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+        />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Keys password</label>
+          <input type="password" required autoComplete="off" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Label</label>
+          <input type="text" value={label} onChange={(e) => setLabel(e.target.value)} className={inputClass} placeholder="Optional" />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input type="checkbox" checked={makePrimary} onChange={(e) => setMakePrimary(e.target.checked)} className="rounded border-gray-300 text-primary-600" />
+        Make primary (new tokens are signed with these keys)
+      </label>
+      <button
+        type="submit"
+        disabled={busy || !file}
+        className="inline-flex items-center gap-2 px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+      >
+        <Upload className="h-4 w-4" />
+        {busy ? 'Uploading...' : 'Upload Keys'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Enter LTPA keys by hand (already decrypted, base64)
+ */
+function LtpaConfigureForm({ onDone }) {
+  const emptyForm = { secretKey: '', publicKey: '', privateKey: '', realm: '', cookieName: '', label: '', makePrimary: false };
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await api.post('/admin/ltpa/configure', {
+        ...form,
+        realm: form.realm || undefined,
+        cookieName: form.cookieName || undefined,
+        label: form.label || undefined
+      });
+      toast.success(response.data.message || 'LTPA configured');
+      setForm(emptyForm);
+      onDone();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to configure LTPA');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value })
+  });
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Secret key</label>
+        <input type="text" required className={`${inputClass} font-mono text-sm`} {...field('secretKey')} />
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Public key</label>
+          <textarea rows={3} className={`${inputClass} font-mono text-xs`} placeholder="Optional" {...field('publicKey')} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Private key</label>
+          <textarea rows={3} className={`${inputClass} font-mono text-xs`} placeholder="Optional" {...field('privateKey')} />
+        </div>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Realm</label>
+          <input type="text" className={inputClass} placeholder="defaultRealm" {...field('realm')} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Cookie name</label>
+          <input type="text" className={inputClass} placeholder="LtpaToken2" {...field('cookieName')} />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Label</label>
+          <input type="text" className={inputClass} placeholder="Optional" {...field('label')} />
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.makePrimary}
+          onChange={(e) => setForm({ ...form, makePrimary: e.target.checked })}
+          className="rounded border-gray-300 text-primary-600"
+        />
+        Make primary
+      </label>
+      <button
+        type="submit"
+        disabled={busy}
+        className="inline-flex items-center gap-2 px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+      >
+        <KeyRound className="h-4 w-4" />
+        {busy ? 'Saving...' : 'Save Keys'}
+      </button>
+    </form>
+  );
+}
+
+/**
+ * Look a user up in the directory with the service account
+ */
+function LdapTestUserForm() {
+  const [username, setUsername] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setResult(null);
+    try {
+      const response = await api.post('/admin/ldap/test-user', { username: username.trim() });
+      setResult(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'LDAP lookup failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSubmit} className="flex gap-3">
+        <input
+          type="text"
+          required
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className={`${inputClass} max-w-xs`}
+          placeholder="Username"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="inline-flex items-center gap-2 px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Search className="h-4 w-4" />
+          {busy ? 'Looking up...' : 'Look Up'}
+        </button>
+      </form>
+
+      {result && (
+        result.found ? (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800 space-y-1">
+            <div className="font-medium">{result.username} found</div>
+            <div>Email: {result.userInfo?.email || '—'}</div>
+            <div>Display name: {result.userInfo?.displayName || '—'}</div>
+            <div>Groups: {result.userInfo?.groups ?? 0}</div>
+          </div>
+        ) : (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 text-sm text-amber-800">
+            {result.username} was not found in the directory.
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+/**
+ * Authentication configuration: LDAP, LTPA, OIDC and SAML status, LTPA key
+ * upload and LDAP user lookup
+ */
+export default function AuthenticationPanel() {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchStatus = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/admin/auth/status');
+      setStatus(response.data);
+    } catch (error) {
+      toast.error('Failed to load authentication status');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  if (!status) {
+    return (
+      <div className="py-12 text-center text-sm text-gray-500">
+        {loading ? 'Loading authentication status...' : 'Authentication status unavailable'}
+      </div>
+    );
+  }
+
+  const { ldap, ltpa, oidc, saml } = status;
+  const ldapTest = ldap.connectionTest;
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Status</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Authentication mode: <span className="font-mono text-gray-900">{status.authMode}</span>
+          </p>
+        </div>
+        <button
+          onClick={fetchStatus}
+          disabled={loading}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <StatusCard title="LDAP" ok={ldap.configured} label={ldap.configured ? 'Configured' : 'Not configured'}>
+          <Row name="URL" value={ldap.url} />
+          <Row name="Base DN" value={ldap.baseDN} />
+          {ldap.servers?.length > 1 && (
+            <Row name="Servers up" value={`${ldap.servers.filter((s) => s.available).length} of ${ldap.servers.length}`} />
+          )}
+          {ldapTest && (
+            <Row name="Connection" value={ldapTest.success ? 'OK' : ldapTest.message} />
+          )}
+        </StatusCard>
+
+        <StatusCard title="LTPA" ok={ltpa.configured} label={ltpa.configured ? 'Configured' : 'Not configured'}>
+          <Row name="Realm" value={ltpa.realm} />
+          <Row name="Version" value={ltpa.version} />
+          <Row name="Key sets" value={ltpa.keySetCount} />
+          <Row name="Configured" value={ltpa.configuredAt && format(new Date(ltpa.configuredAt), 'PP')} />
+          {ltpa.configured && <Row name="Public key" value={ltpa.hasPublicKey ? 'Yes' : 'No'} />}
+          <Row name="Error" value={ltpa.error} />
+        </StatusCard>
+
+        <StatusCard title="OpenID Connect" ok={oidc.enabled} label={oidc.enabled ? 'Enabled' : 'Disabled'}>
+          <Row name="Issuer" value={oidc.issuer} />
+        </StatusCard>
+
+        <StatusCard title="SAML" ok={saml.enabled} label={saml.enabled ? 'Enabled' : 'Disabled'}>
+          <Row name="IdP" value={saml.entryPoint} />
+          <Row name="Entity ID" value={saml.entityId} />
+          {saml.enabled && <Row name="Signed requests" value={saml.signedRequests ? 'Yes' : 'No'} />}
+        </StatusCard>
+      </div>
+
+      <div className="pt-8 border-t border-gray-200 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Upload LTPA Keys</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            The ltpa.keys file exported from WebSphere and the password it was exported with.
+          </p>
+        </div>
+        <LtpaUploadForm onDone={fetchStatus} />
+      </div>
+
+      <div className="pt-8 border-t border-gray-200 space-y-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Configure LTPA Manually</h3>
+          <p className="mt-1 text-sm text-gray-500">Decrypted keys, base64 encoded.</p>
+        </div>
+        <LtpaConfigureForm onDone={fetchStatus} />
+      </div>
+
+      {ldap.configured && (
+        <div className="pt-8 border-t border-gray-200 space-y-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Test LDAP User</h3>
+            <p className="mt-1 text-sm text-gray-500">Check that a user can be found in the directory.</p>
+          </div>
+          <LdapTestUserForm />
+        </div>
+      )}
+    </div>
+  );
+}
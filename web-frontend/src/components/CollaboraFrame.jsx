@@ -0,0 +1,40 @@
+import { useEffect, useId, useRef } from 'react';
+
+/**
+ * Collabora Online editor iframe, launched the standard WOPI way: a hidden
+ * form POSTs access_token and access_token_ttl into the frame, so the token
+ * never appears in a URL
+ *
+ * @param {Object} props
+ * @param {Object} props.session - { editUrl, accessToken, accessTokenTtl } from the server
+ */
+export default function CollaboraFrame({ session }) {
+  const formRef = useRef(null);
+  const frameName = `collabora-${useId().replace(/:/g, '')}`;
+
+  useEffect(() => {
+    formRef.current?.submit();
+  }, [session]);
+
+  return (
+    <>
+      <form
+        ref={formRef}
+        action={session.editUrl}
+        method="post"
+        target={frameName}
+        className="hidden"
+      >
+        <input type="hidden" name="access_token" value={session.accessToken} />
+        <input type="hidden" name="access_token_ttl" value={session.accessTokenTtl} />
+      </form>
+      <iframe
+        name={frameName}
+        className="collabora-frame"
+        title="Collabora Online Editor"
+        sandbox="allow-scripts allow-same-origin allow-forms allow-popups allow-popups-to-escape-sandbox allow-downloads"
+        allow="clipboard-read; clipboard-write"
+      />
+    </>
+  );
+}
@@ -9,6 +9,11 @@ import {
   Menu,
   X,
   FileText,
+  Trash2,
+  Users,
+  ScrollText,
+  MonitorPlay,
+  UserCog,
   ChevronDown
 } from 'lucide-react';
 import { useState, useRef, useEffect } from 'react';
@@ -42,7 +47,16 @@ export default function Layout() {
 
   const navLinks = [
     { to: '/', label: text.documentsLabel || 'Documents', icon: FileText },
+    { to: '/shared-with-me', label: text.sharedLabel || 'Shared', icon: Users },
+    { to: '/trash', label: text.trashLabel || 'Trash', icon: Trash2 },
     { to: '/settings', label: text.settingsLabel || 'Settings', icon: Settings },
+    ...(user?.role === 'admin'
+      ? [
+          { to: '/admin', label: text.adminLabel || 'Admin', icon: UserCog },
+          { to: '/admin/sessions', label: text.sessionsLabel || 'Sessions', icon: MonitorPlay },
+          { to: '/admin/audit', label: text.auditLabel || 'Audit', icon: ScrollText },
+        ]
+      : []),
   ];
 
   return (
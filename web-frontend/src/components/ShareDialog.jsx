@@ -0,0 +1,285 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { X, Share2, Link2, Mail, Copy, Trash2, Lock, Loader2 } from 'lucide-react';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+];
+
+/**
+ * Dialog for sharing a file or folder with users (files also through a
+ * public link), and for managing its existing shares
+ *
+ * @param {Object} props
+ * @param {Object} props.file - File or folder to share ({ id, name, type })
+ * @param {Function} props.onClose - Called when the dialog is closed
+ */
+export default function ShareDialog({ file, onClose }) {
+  const isFolder = file.type === 'folder';
+  const basePath = isFolder ? `/files/folder/${file.id}` : `/files/${file.id}`;
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [mode, setMode] = useState('user');
+  const [form, setForm] = useState({ email: '', permission: 'view', expiresIn: '', password: '' });
+
+  const fetchShares = useCallback(async () => {
+    try {
+      const response = await api.get(`${basePath}/shares`);
+      setShares(response.data.shares);
+    } catch (error) {
+      toast.error('Failed to load shares');
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    fetchShares();
+  }, [fetchShares]);
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const response = await api.post(`${basePath}/share`, {
+        email: mode === 'user' ? form.email : undefined,
+        isPublic: mode === 'public',
+        permission: form.permission,
+        expiresIn: form.expiresIn ? parseInt(form.expiresIn) : undefined,
+        password: mode === 'public' && form.password ? form.password : undefined
+      });
+
+      if (response.data.shareUrl) {
+        copyLink(response.data.shareUrl);
+      } else {
+        toast.success(`Shared with ${form.email}`);
+      }
+      setForm({ email: '', permission: 'view', expiresIn: '', password: '' });
+      fetchShares();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to share file');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleUpdate = async (share, changes) => {
+    try {
+      const response = await api.put(`${basePath}/shares/${share.id}`, changes);
+      setShares((prev) => prev.map((s) => (s.id === share.id ? response.data : s)));
+      toast.success('Share updated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update share');
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    const target = share.type === 'public' ? 'this public link' : share.sharedWith?.email;
+    if (!confirm(`Revoke access for ${target}?`)) return;
+
+    try {
+      await api.delete(`${basePath}/shares/${share.id}`);
+      setShares((prev) => prev.filter((s) => s.id !== share.id));
+      toast.success('Access revoked');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke share');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg shadow-2xl animate-in zoom-in-95 duration-200 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="h-10 w-10 bg-primary-100 rounded-xl flex items-center justify-center flex-shrink-0">
+              <Share2 className="h-5 w-5 text-primary-600" />
+            </div>
+            <div className="min-w-0">
+              <h3 className="text-lg font-semibold text-gray-900">Share</h3>
+              <p className="text-xs text-gray-500 truncate">{file.name}</p>
+              {isFolder && (
+                <p className="text-xs text-gray-400">Access applies to everything in this folder</p>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-xl transition-colors"
+          >
+            <X className="h-5 w-5 text-gray-400" />
+          </button>
+        </div>
+
+        {/* New share (folders can only be shared with users) */}
+        {!isFolder && (
+          <div className="flex gap-2 mb-4">
+            <button
+              type="button"
+              onClick={() => setMode('user')}
+              className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                mode === 'user' ? 'bg-primary-50 text-primary-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <Mail className="h-4 w-4" />
+              Share with people
+            </button>
+            <button
+              type="button"
+              onClick={() => setMode('public')}
+              className={`flex-1 flex items-center justify-center gap-2 px-3 py-2 rounded-xl text-sm font-medium transition-colors ${
+                mode === 'public' ? 'bg-primary-50 text-primary-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <Link2 className="h-4 w-4" />
+              Public link
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3 mb-6">
+          {mode === 'user' ? (
+            <input
+              type="email"
+              required
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              placeholder="Email address"
+              className="w-full px-4 py-2.5 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-gray-50 focus:bg-white text-sm transition-colors"
+              autoFocus
+            />
+          ) : (
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                <Lock className="h-4 w-4 text-gray-400" />
+              </div>
+              <input
+                type="password"
+                value={form.password}
+                onChange={(e) => setForm({ ...form, password: e.target.value })}
+                placeholder="Password (optional)"
+                className="w-full pl-10 pr-4 py-2.5 border border-gray-200 rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-transparent bg-gray-50 focus:bg-white text-sm transition-colors"
+              />
+            </div>
+          )}
+          <div className="flex gap-2">
+            <select
+              value={form.permission}
+              onChange={(e) => setForm({ ...form, permission: e.target.value })}
+              className="flex-1 px-3 py-2.5 border border-gray-200 rounded-xl bg-gray-50 text-sm focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="view">Can view</option>
+              <option value="edit">Can edit</option>
+            </select>
+            <select
+              value={form.expiresIn}
+              onChange={(e) => setForm({ ...form, expiresIn: e.target.value })}
+              className="flex-1 px-3 py-2.5 border border-gray-200 rounded-xl bg-gray-50 text-sm focus:ring-2 focus:ring-primary-500"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-5 py-2.5 bg-gradient-to-r from-primary-600 to-primary-700 text-white rounded-xl hover:from-primary-700 hover:to-primary-800 font-medium text-sm shadow-lg shadow-primary-500/25 transition-all disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="h-4 w-4 animate-spin" /> : mode === 'user' ? 'Share' : 'Create link'}
+            </button>
+          </div>
+        </form>
+
+        {/* Existing shares */}
+        <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Who has access</h4>
+        <div className="flex-1 overflow-y-auto -mx-2">
+          {loading ? (
+            <div className="flex items-center justify-center h-20">
+              <Loader2 className="h-5 w-5 text-primary-600 animate-spin" />
+            </div>
+          ) : shares.length === 0 ? (
+            <p className="text-sm text-gray-500 px-2 py-4">This file is not shared yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {shares.map((share) => (
+                <li key={share.id} className="flex items-center gap-3 px-2 py-3">
+                  <div className="h-9 w-9 bg-gray-100 rounded-lg flex items-center justify-center flex-shrink-0">
+                    {share.type === 'public'
+                      ? <Link2 className="h-4 w-4 text-gray-600" />
+                      : <Mail className="h-4 w-4 text-gray-600" />}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {share.type === 'public'
+                        ? 'Anyone with the link'
+                        : share.sharedWith?.displayName || share.sharedWith?.email}
+                      {share.passwordProtected && <Lock className="inline h-3 w-3 ml-1 text-gray-400" />}
+                    </p>
+                    <p className={`text-xs ${share.expired ? 'text-red-600' : 'text-gray-500'}`}>
+                      {share.expiresAt
+                        ? `${share.expired ? 'Expired' : 'Expires'} ${format(new Date(share.expiresAt), 'MMM d, yyyy')}`
+                        : 'No expiry'}
+                    </p>
+                  </div>
+                  <select
+                    value={share.permission}
+                    onChange={(e) => handleUpdate(share, { permission: e.target.value })}
+                    className="px-2 py-1.5 border border-gray-200 rounded-lg bg-white text-xs"
+                  >
+                    <option value="view">Can view</option>
+                    <option value="edit">Can edit</option>
+                  </select>
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && handleUpdate(share, {
+                      expiresIn: e.target.value === 'none' ? null : parseInt(e.target.value)
+                    })}
+                    className="px-2 py-1.5 border border-gray-200 rounded-lg bg-white text-xs"
+                    title="Change expiry"
+                  >
+                    <option value="">Expiry…</option>
+                    <option value="none">Never</option>
+                    {EXPIRY_OPTIONS.filter((o) => o.value).map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  {share.shareUrl && (
+                    <button
+                      onClick={() => copyLink(share.shareUrl)}
+                      className="p-1.5 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+                      title="Copy link"
+                    >
+                      <Copy className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRevoke(share)}
+                    className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                    title="Revoke access"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import toast from 'react-hot-toast';
+import { Copy, Download, Check } from 'lucide-react';
+
+/**
+ * QR code and secret for adding the account to an authenticator app
+ *
+ * @param {Object} props
+ * @param {string} props.secret - Base32 secret, for manual entry
+ * @param {string} props.otpauthUrl - otpauth:// provisioning URI
+ */
+export function TwoFactorQrCode({ secret, otpauthUrl }) {
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success('Secret copied');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-6">
+      <div className="p-3 bg-white border border-gray-200 rounded-lg">
+        <QRCodeSVG value={otpauthUrl} size={168} />
+      </div>
+      <div className="text-sm text-gray-600 space-y-2">
+        <p>Scan the QR code with an authenticator app, or enter this key manually:</p>
+        <div className="flex items-center gap-2">
+          <code className="px-2 py-1 bg-gray-100 rounded font-mono text-xs break-all text-gray-900">
+            {secret.match(/.{1,4}/g).join(' ')}
+          </code>
+          <button
+            type="button"
+            onClick={copySecret}
+            className="p-1.5 text-gray-400 hover:text-gray-600"
+            title="Copy key"
+          >
+            <Copy className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * One-time display of freshly generated recovery codes
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.codes - Recovery codes
+ * @param {Function} props.onDone - Called once the user has saved the codes
+ * @param {string} [props.doneLabel] - Label of the confirm button
+ */
+export function RecoveryCodes({ codes, onDone, doneLabel = 'I have saved these codes' }) {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  };
+
+  const downloadCodes = () => {
+    const blob = new Blob([codes.join('\n') + '\n'], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Each recovery code signs you in once if you lose access to your authenticator app.
+        Store them somewhere safe - they will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 border border-gray-200 rounded-lg font-mono text-sm text-gray-900">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+        >
+          {copied ? <Check className="h-4 w-4 mr-2" /> : <Copy className="h-4 w-4 mr-2" />}
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm hover:bg-primary-700"
+        >
+          {doneLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,625 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { Search, UserPlus, Trash2, ShieldOff, ChevronLeft, ChevronRight, X, Upload, Download, Loader2 } from 'lucide-react';
+
+const PAGE_SIZE = 20;
+const GB = 1024 * 1024 * 1024;
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function toGb(bytes) {
+  return String(parseFloat((bytes / GB).toFixed(2)));
+}
+
+/**
+ * Message of a failed request: { error } or the first express-validator error
+ */
+function errorMessage(error, fallback) {
+  const data = error.response?.data;
+  if (data?.errors?.length) {
+    const { path, msg } = data.errors[0];
+    return path ? `${path}: ${msg}` : msg;
+  }
+  return data?.error || fallback;
+}
+
+const SOURCE_STYLES = {
+  local: 'bg-gray-100 text-gray-700',
+  ldap: 'bg-blue-100 text-blue-700',
+  ltpa: 'bg-purple-100 text-purple-700',
+  oidc: 'bg-green-100 text-green-700',
+  saml: 'bg-amber-100 text-amber-700'
+};
+
+/**
+ * Quota cell: edited in GB, saved on blur or Enter
+ */
+function QuotaInput({ user, onSave }) {
+  const [value, setValue] = useState(toGb(user.storageQuota));
+
+  useEffect(() => {
+    setValue(toGb(user.storageQuota));
+  }, [user.storageQuota]);
+
+  const save = () => {
+    const gb = parseFloat(value);
+    if (isNaN(gb) || gb < 0) {
+      setValue(toGb(user.storageQuota));
+      return;
+    }
+    const bytes = Math.round(gb * GB);
+    if (bytes !== user.storageQuota) {
+      onSave(bytes);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <input
+        type="number"
+        min="0"
+        step="0.5"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+        className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      />
+      <span className="text-xs text-gray-500">GB</span>
+    </div>
+  );
+}
+
+function CreateUserDialog({ onClose, onCreated }) {
+  const [form, setForm] = useState({
+    email: '',
+    username: '',
+    displayName: '',
+    password: '',
+    role: 'user',
+    quotaGb: '5'
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await api.post('/users', {
+        email: form.email,
+        username: form.username,
+        displayName: form.displayName || undefined,
+        password: form.password,
+        role: form.role,
+        storageQuota: Math.round(parseFloat(form.quotaGb) * GB)
+      });
+      toast.success(`User ${response.data.username} created`);
+      onCreated();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create user'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value })
+  });
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg shadow-2xl">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-900">Create User</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input type="email" required className={inputClass} {...field('email')} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+              <input type="text" required minLength={3} maxLength={50} className={inputClass} {...field('username')} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Display Name</label>
+              <input type="text" className={inputClass} placeholder="Optional" {...field('displayName')} />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input type="password" required minLength={8} autoComplete="new-password" className={inputClass} {...field('password')} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+              <select className={inputClass} {...field('role')}>
+                <option value="user">User</option>
+                <option value="admin">Admin</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Storage Quota (GB)</label>
+              <input type="number" min="0" step="0.5" required className={inputClass} {...field('quotaGb')} />
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? 'Creating...' : 'Create User'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * CSV import: checked with a dry run first, then imported all at once
+ */
+function ImportUsersDialog({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const send = (dryRun) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/admin/users/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  };
+
+  const handleCheck = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setReport(null);
+    try {
+      const response = await send(true);
+      setReport(response.data);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to check file'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await send(false);
+      toast.success(`${response.data.created} users imported`);
+      onImported();
+    } catch (error) {
+      // The rows can have changed since the check (e.g. a user was created meanwhile)
+      if (error.response?.data?.total !== undefined) {
+        setReport(error.response.data);
+        toast.error(error.response.data.error);
+      } else {
+        toast.error(errorMessage(error, 'Failed to import users'));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canImport = report && report.errors.length === 0 && report.valid > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-2xl shadow-2xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Import Users</h2>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600 rounded-lg hover:bg-gray-100">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-500 mb-4">
+          CSV with the columns <span className="font-mono text-xs">username, email, display_name, role, storage_quota, auth_source</span>,
+          and <span className="font-mono text-xs">password</span> for local accounts. Quotas are in bytes. An export of this
+          page has the same format.
+        </p>
+
+        <form onSubmit={handleCheck} className="flex gap-3 mb-4">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            required
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setReport(null);
+            }}
+            className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
+          />
+          <button
+            type="submit"
+            disabled={busy || !file}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+          >
+            Check File
+          </button>
+        </form>
+
+        {report && (
+          <div className="flex-1 overflow-y-auto space-y-3">
+            <div
+              className={`rounded-lg p-4 text-sm border ${
+                report.errors.length === 0 ? 'bg-green-50 border-green-200 text-green-800' : 'bg-amber-50 border-amber-200 text-amber-800'
+              }`}
+            >
+              {report.valid} of {report.total} rows are valid.
+              {report.errors.length > 0 && ' Nothing is imported until every row is fixed.'}
+            </div>
+
+            {report.errors.length > 0 && (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Column</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Problem</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {report.errors.map((error, index) => (
+                    <tr key={index}>
+                      <td className="px-3 py-2 text-gray-900">{error.row}</td>
+                      <td className="px-3 py-2 font-mono text-xs text-gray-700">{error.column || '—'}</td>
+                      <td className="px-3 py-2 text-gray-700">{error.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={busy || !canImport}
+            className="inline-flex items-center gap-2 px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            {busy && <Loader2 className="h-4 w-4 animate-spin" />}
+            {canImport ? `Import ${report.valid} Users` : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Admin user table: search, paging, inline role/quota/active edits
+ */
+export default function UserManagement() {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/users', {
+        params: { page, limit: PAGE_SIZE, search: appliedSearch || undefined }
+      });
+      setUsers(response.data.users);
+      setTotal(response.data.total);
+    } catch (error) {
+      toast.error('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, [page, appliedSearch]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedSearch(search.trim());
+  };
+
+  const updateUser = async (user, changes) => {
+    try {
+      const response = await api.put(`/users/${user.id}`, changes);
+      setUsers((prev) => prev.map((u) => (u.id === user.id ? { ...u, ...response.data } : u)));
+      toast.success(`${user.username} updated`);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update user'));
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!confirm(`Delete ${user.username}? Their documents are deleted too.`)) return;
+
+    try {
+      await api.delete(`/users/${user.id}`);
+      toast.success(`${user.username} deleted`);
+      if (users.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        fetchUsers();
+      }
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to delete user'));
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!confirm(`Reset two-factor authentication for ${user.username}? They have to set it up again.`)) return;
+
+    try {
+      await api.delete(`/admin/users/${user.id}/2fa`);
+      setUsers((prev) => prev.map((u) => (u.id === user.id ? { ...u, twoFactorEnabled: false } : u)));
+      toast.success('Two-factor authentication reset');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to reset two-factor authentication'));
+    }
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await api.get('/admin/users/export', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export users');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const refreshFromFirstPage = () => {
+    if (page === 1) {
+      fetchUsers();
+    } else {
+      setPage(1);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row justify-between gap-4">
+        <form onSubmit={handleSearch} className="relative flex-1 max-w-md">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search by name, username or email"
+            className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+        </form>
+        <div className="flex gap-2">
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {exporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            Export
+          </button>
+          <button
+            onClick={() => setShowImport(true)}
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+          >
+            <Upload className="h-4 w-4" />
+            Import
+          </button>
+          <button
+            onClick={() => setShowCreate(true)}
+            className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+          >
+            <UserPlus className="h-4 w-4" />
+            Create User
+          </button>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-xl overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Quota</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Active</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last login</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading && users.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="px-4 py-12 text-center text-sm text-gray-500">Loading users...</td>
+              </tr>
+            ) : users.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="px-4 py-12 text-center text-sm text-gray-500">No users found</td>
+              </tr>
+            ) : (
+              users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <tr key={user.id} className={`hover:bg-gray-50 ${user.isActive ? '' : 'opacity-60'}`}>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">
+                        {user.displayName || user.username}
+                        {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                      </div>
+                      <div className="text-xs text-gray-500">{user.username} · {user.email}</div>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`px-2 py-0.5 text-xs font-medium rounded uppercase ${SOURCE_STYLES[user.authSource] || SOURCE_STYLES.local}`}>
+                        {user.authSource || 'local'}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <select
+                        value={user.role}
+                        disabled={isSelf}
+                        onChange={(e) => updateUser(user, { role: e.target.value })}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 disabled:bg-gray-50 disabled:text-gray-500"
+                      >
+                        <option value="user">User</option>
+                        <option value="admin">Admin</option>
+                      </select>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <QuotaInput user={user} onSave={(storageQuota) => updateUser(user, { storageQuota })} />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {formatBytes(user.storageUsed)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <button
+                        type="button"
+                        role="switch"
+                        aria-checked={user.isActive}
+                        disabled={isSelf}
+                        onClick={() => updateUser(user, { isActive: !user.isActive })}
+                        className={`relative inline-flex h-5 w-9 items-center rounded-full transition-colors disabled:opacity-50 ${
+                          user.isActive ? 'bg-primary-600' : 'bg-gray-300'
+                        }`}
+                      >
+                        <span
+                          className={`inline-block h-4 w-4 rounded-full bg-white shadow transition-transform ${
+                            user.isActive ? 'translate-x-4' : 'translate-x-0.5'
+                          }`}
+                        />
+                      </button>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {user.lastLogin ? formatDistanceToNow(new Date(user.lastLogin), { addSuffix: true }) : 'Never'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-right">
+                      <div className="flex justify-end gap-1">
+                        {user.twoFactorEnabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(user)}
+                            title="Reset two-factor authentication"
+                            className="p-2 text-gray-400 hover:text-amber-600 rounded-lg hover:bg-amber-50"
+                          >
+                            <ShieldOff className="h-4 w-4" />
+                          </button>
+                        )}
+                        {!isSelf && (
+                          <button
+                            onClick={() => handleDelete(user)}
+                            title="Delete user"
+                            className="p-2 text-gray-400 hover:text-red-600 rounded-lg hover:bg-red-50"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between text-sm text-gray-500">
+        <span>{total} {total === 1 ? 'user' : 'users'}</span>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1 || loading}
+            className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount || loading}
+            className="p-2 border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {showCreate && (
+        <CreateUserDialog
+          onClose={() => setShowCreate(false)}
+          onCreated={() => {
+            setShowCreate(false);
+            refreshFromFirstPage();
+          }}
+        />
+      )}
+
+      {showImport && (
+        <ImportUsersDialog
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            setShowImport(false);
+            refreshFromFirstPage();
+          }}
+        />
+      )}
+    </div>
+  );
+}
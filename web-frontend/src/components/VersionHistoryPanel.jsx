@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { X, History, Download, RotateCcw, Loader2 } from 'lucide-react';
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(Math.abs(bytes)) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function SizeDiff({ diff }) {
+  if (diff === null || diff === undefined) return null;
+  if (diff === 0) return <span className="text-gray-400">±0</span>;
+  return (
+    <span className={diff > 0 ? 'text-green-600' : 'text-red-600'}>
+      {diff > 0 ? '+' : '−'}{formatFileSize(Math.abs(diff))}
+    </span>
+  );
+}
+
+/**
+ * Side panel listing the version history of a file
+ *
+ * @param {Object} props
+ * @param {string} props.fileId - File to show versions for
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @param {Function} props.onRestored - Called after a version was restored
+ */
+export default function VersionHistoryPanel({ fileId, onClose, onRestored }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/files/${fileId}/versions`);
+      setData(response.data);
+    } catch (error) {
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  }, [fileId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await api.get(`/files/${fileId}/versions/${version.version}/download`, {
+        responseType: 'blob'
+      });
+      const ext = data.fileName.includes('.') ? data.fileName.slice(data.fileName.lastIndexOf('.')) : '';
+      const baseName = ext ? data.fileName.slice(0, -ext.length) : data.fileName;
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${baseName} (v${version.version})${ext}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download version');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!confirm(`Restore version ${version.version}? The current content will be kept as a new version.`)) return;
+
+    setRestoring(version.version);
+    try {
+      await api.post(`/files/${fileId}/versions/${version.version}/restore`);
+      toast.success(`Version ${version.version} restored`);
+      await fetchVersions();
+      onRestored?.();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full sm:w-96 bg-white shadow-2xl border-l border-gray-200 z-50 flex flex-col animate-in slide-in-from-right duration-200">
+      <div className="flex items-center justify-between px-5 h-16 border-b border-gray-200">
+        <div className="flex items-center gap-3 min-w-0">
+          <div className="h-9 w-9 bg-primary-100 rounded-lg flex items-center justify-center flex-shrink-0">
+            <History className="h-5 w-5 text-primary-600" />
+          </div>
+          <div className="min-w-0">
+            <h3 className="text-sm font-semibold text-gray-900">Version History</h3>
+            <p className="text-xs text-gray-500 truncate">{data?.fileName}</p>
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-gray-100 rounded-xl transition-colors"
+        >
+          <X className="h-5 w-5 text-gray-400" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {loading && !data ? (
+          <div className="flex items-center justify-center h-32">
+            <Loader2 className="h-6 w-6 text-primary-600 animate-spin" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {data?.versions.map((version) => (
+              <li key={version.version} className="px-5 py-4 hover:bg-gray-50">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      Version {version.version}
+                      {version.isCurrent && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-primary-50 text-primary-700 rounded-full">
+                          Current
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {version.createdAt && format(new Date(version.createdAt), 'MMM d, yyyy HH:mm')}
+                      {version.createdByName && ` · ${version.createdByName}`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {formatFileSize(version.size)} <SizeDiff diff={version.sizeDiff} />
+                    </p>
+                  </div>
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => handleDownload(version)}
+                      className="p-1.5 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                      title="Download this version"
+                    >
+                      <Download className="h-4 w-4" />
+                    </button>
+                    {!version.isCurrent && (
+                      <button
+                        onClick={() => handleRestore(version)}
+                        disabled={restoring !== null}
+                        className="p-1.5 text-gray-500 hover:text-primary-600 hover:bg-primary-50 rounded-lg disabled:opacity-50"
+                        title="Restore this version"
+                      >
+                        {restoring === version.version
+                          ? <Loader2 className="h-4 w-4 animate-spin" />
+                          : <RotateCcw className="h-4 w-4" />}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -183,6 +183,13 @@ const whitelabelConfig = {
     
     // Social login providers (if enableSocialLogin is true)
     socialProviders: [], // e.g., ['google', 'microsoft', 'github']
+
+    // Show single sign-on buttons (set by the backend when OpenID Connect or SAML is configured)
+    enableSso: false,
+    ssoProviders: [], // 'oidc', 'saml'
+
+    // Show the username/password form (the backend turns it off in AUTH_MODE=oidc)
+    enablePasswordLogin: true,
     
     // Show recent documents on dashboard
     showRecentDocuments: true,
@@ -214,6 +221,8 @@ const whitelabelConfig = {
     loginTitle: null, // Defaults to appName
     loginSubtitle: 'Sign in to your account',
     loginButton: 'Sign in',
+    ssoButton: 'Sign in with SSO',
+    samlButton: 'Sign in with SAML',
     
     // Register page
     registerTitle: 'Create Account',
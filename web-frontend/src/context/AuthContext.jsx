@@ -36,6 +36,37 @@ export function AuthProvider({ children }) {
       : { username: identifier, password };
     
     const response = await api.post('/auth/login', payload);
+    // Accounts with two-factor authentication get a challenge, no tokens yet
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    const { user, token, refreshToken } = response.data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    setUser(user);
+    return user;
+  };
+
+  // Second login step. After an enrolment at login the recovery codes are
+  // returned and the user is only set by finishLogin, once they were shown.
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code });
+    const { user, token, refreshToken, recoveryCodes } = response.data;
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    if (!recoveryCodes) {
+      setUser(user);
+    }
+    return { user, recoveryCodes };
+  };
+
+  const finishLogin = (user) => {
+    setUser(user);
+  };
+
+  // Pick up the tokens of a single sign-on login finished by the backend
+  const completeSsoLogin = async () => {
+    const response = await api.post('/auth/sso/complete');
     const { user, token, refreshToken } = response.data;
     localStorage.setItem('token', token);
     localStorage.setItem('refreshToken', refreshToken);
@@ -58,14 +89,21 @@ export function AuthProvider({ children }) {
   };
 
   const logout = async () => {
+    let logoutUrl = null;
     try {
-      await api.post('/auth/logout');
+      const response = await api.post('/auth/logout');
+      logoutUrl = response.data?.logoutUrl;
     } catch (error) {
       // Ignore logout errors
     }
     localStorage.removeItem('token');
     localStorage.removeItem('refreshToken');
     setUser(null);
+
+    // Single sign-on sessions also end at the identity provider
+    if (logoutUrl) {
+      window.location.assign(logoutUrl);
+    }
   };
 
   const updateUser = (userData) => {
@@ -77,6 +115,9 @@ export function AuthProvider({ children }) {
       user, 
       loading, 
       login, 
+      verifyTwoFactor,
+      finishLogin,
+      completeSsoLogin,
       register, 
       logout,
       updateUser 
@@ -0,0 +1,50 @@
+import { useState } from 'react';
+import { Users, KeyRound } from 'lucide-react';
+import UserManagement from '../components/UserManagement';
+import AuthenticationPanel from '../components/AuthenticationPanel';
+
+export default function Admin() {
+  const [activeTab, setActiveTab] = useState('users');
+
+  const tabs = [
+    { id: 'users', name: 'Users', icon: Users },
+    { id: 'authentication', name: 'Authentication', icon: KeyRound }
+  ];
+
+  return (
+    <div>
+      <h1 className="text-2xl font-bold text-gray-900 mb-6">Administration</h1>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        {/* Tabs */}
+        <div className="border-b border-gray-200">
+          <nav className="flex -mb-px">
+            {tabs.map((tab) => {
+              const Icon = tab.icon;
+              return (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`flex items-center px-6 py-4 text-sm font-medium border-b-2 transition-colors ${
+                    activeTab === tab.id
+                      ? 'border-primary-500 text-primary-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  <Icon className="h-5 w-5 mr-2" />
+                  {tab.name}
+                </button>
+              );
+            })}
+          </nav>
+        </div>
+
+        {/* Tab Content */}
+        <div className="p-6">
+          {activeTab === 'users' && <UserManagement />}
+          {activeTab === 'authentication' && <AuthenticationPanel />}
+        </div>
+      </div>
+    </div>
+  );
+}
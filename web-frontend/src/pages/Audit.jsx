@@ -0,0 +1,370 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ScrollText, Download, Search, Loader2, X, ShieldCheck, ShieldAlert } from 'lucide-react';
+
+const EMPTY_FILTERS = {
+  user: '',
+  action: '',
+  resourceType: '',
+  resourceId: '',
+  ip: '',
+  from: '',
+  to: ''
+};
+
+/**
+ * Query parameters for the audit API; the date inputs are local time
+ */
+function toParams(filters) {
+  const params = {};
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value) continue;
+    params[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value.trim();
+  }
+  return params;
+}
+
+function formatDetails(details) {
+  if (!details) return '';
+  return Object.entries(details)
+    .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(', ');
+}
+
+export default function Audit() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [actions, setActions] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+
+  const fetchEntries = async (cursor = null) => {
+    try {
+      const response = await api.get('/admin/audit', {
+        params: { ...toParams(applied), limit: 50, ...(cursor && { cursor }) }
+      });
+      setEntries((prev) => (cursor ? [...prev, ...response.data.entries] : response.data.entries));
+      setNextCursor(response.data.nextCursor);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load audit log');
+    }
+  };
+
+  useEffect(() => {
+    api.get('/admin/audit/actions')
+      .then((response) => setActions(response.data.actions))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchEntries().finally(() => setLoading(false));
+  }, [applied]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    await fetchEntries(nextCursor);
+    setLoadingMore(false);
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setApplied(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (exportFormat) => {
+    setExporting(exportFormat);
+    try {
+      const response = await api.get('/admin/audit/export', {
+        params: { ...toParams(applied), format: exportFormat },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export audit log');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const response = await api.get('/admin/audit/verify');
+      setVerification(response.data);
+    } catch (error) {
+      toast.error('Failed to verify audit log');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent';
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-sm text-gray-500 mt-2">
+            Sign-ins, file changes, shares and administrative actions, newest first.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={handleVerify}
+            disabled={verifying}
+            className="inline-flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50 transition-colors"
+          >
+            {verifying ? <Loader2 className="h-4 w-4 animate-spin" /> : <ShieldCheck className="h-4 w-4" />}
+            Verify integrity
+          </button>
+          {['csv', 'jsonl'].map((exportFormat) => (
+            <button
+              key={exportFormat}
+              onClick={() => handleExport(exportFormat)}
+              disabled={exporting !== null}
+              className="inline-flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              {exporting === exportFormat ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+              {exportFormat === 'csv' ? 'CSV' : 'JSON lines'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Chain verification */}
+      {verification && (
+        <div
+          className={`flex items-start gap-3 p-4 mb-6 rounded-xl border ${
+            verification.valid ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+          }`}
+        >
+          {verification.valid ? (
+            <ShieldCheck className="h-5 w-5 text-green-600 flex-shrink-0 mt-0.5" />
+          ) : (
+            <ShieldAlert className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+          )}
+          <div className="flex-1 text-sm">
+            <p className={`font-medium ${verification.valid ? 'text-green-800' : 'text-red-800'}`}>
+              {verification.valid
+                ? `Hash chain intact: ${verification.checked} entries checked`
+                : `${verification.problemCount} problem${verification.problemCount === 1 ? '' : 's'} found in ${verification.checked} entries`}
+            </p>
+            <p className="text-gray-600 mt-1">
+              {verification.lastSeq !== null && `Entries ${verification.firstSeq} to ${verification.lastSeq}. `}
+              {verification.anchor && `Continues from archived entry ${verification.anchor.seq}. `}
+              {verification.legacyEntries > 0 && `${verification.legacyEntries} older entries predate chaining. `}
+              Verified {format(new Date(verification.verifiedAt), 'MMM d, yyyy HH:mm:ss')}.
+            </p>
+            {verification.problems.length > 0 && (
+              <ul className="mt-2 space-y-1 text-red-700">
+                {verification.problems.map((problem, index) => (
+                  <li key={index}>
+                    {problem.seq !== undefined && <span className="font-mono">#{problem.seq} </span>}
+                    {problem.detail}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+          <button
+            onClick={() => setVerification(null)}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title="Dismiss"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <form onSubmit={handleSearch} className="bg-white rounded-xl border border-gray-200 p-4 mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+          <input
+            type="text"
+            value={filters.user}
+            onChange={(e) => setFilters({ ...filters, user: e.target.value })}
+            className={inputClass}
+            placeholder="Username or email"
+          />
+          <select
+            value={filters.action}
+            onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">All actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <select
+            value={filters.resourceType}
+            onChange={(e) => setFilters({ ...filters, resourceType: e.target.value })}
+            className={inputClass}
+          >
+            <option value="">All resources</option>
+            <option value="file">File</option>
+            <option value="folder">Folder</option>
+            <option value="user">User</option>
+            <option value="config">Configuration</option>
+            <option value="audit">Audit log</option>
+          </select>
+          <input
+            type="text"
+            value={filters.resourceId}
+            onChange={(e) => setFilters({ ...filters, resourceId: e.target.value })}
+            className={inputClass}
+            placeholder="Resource ID"
+          />
+          <input
+            type="text"
+            value={filters.ip}
+            onChange={(e) => setFilters({ ...filters, ip: e.target.value })}
+            className={inputClass}
+            placeholder="IP address"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-500">
+            From
+            <input
+              type="datetime-local"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-500">
+            To
+            <input
+              type="datetime-local"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex-1 inline-flex justify-center items-center gap-2 px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+            >
+              <Search className="h-4 w-4" />
+              Search
+            </button>
+            <button
+              type="button"
+              onClick={handleClear}
+              className="px-3 py-2 text-gray-500 border border-gray-300 rounded-lg hover:bg-gray-50"
+              title="Clear filters"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </form>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center h-64">
+          <div className="relative">
+            <div className="h-14 w-14 rounded-full border-4 border-primary-100"></div>
+            <div className="absolute top-0 h-14 w-14 rounded-full border-4 border-primary-600 border-t-transparent animate-spin"></div>
+          </div>
+          <p className="mt-4 text-sm text-gray-500">Loading audit log...</p>
+        </div>
+      ) : entries.length === 0 ? (
+        <div className="text-center py-20 bg-white/60 backdrop-blur-sm rounded-2xl border-2 border-dashed border-gray-200">
+          <div className="h-20 w-20 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <ScrollText className="h-10 w-10 text-gray-400" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No entries</h3>
+          <p className="text-gray-500 max-w-sm mx-auto">Nothing in the audit log matches these filters</p>
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Resource</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {entries.map((entry) => (
+                  <tr key={entry.id} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {format(new Date(entry.createdAt), 'MMM d, yyyy HH:mm:ss')}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {entry.username || <span className="text-gray-400">system</span>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className="px-2 py-0.5 text-xs font-medium rounded bg-gray-100 text-gray-700">
+                        {entry.action}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      {entry.resourceType}
+                      {entry.resourceId && (
+                        <button
+                          onClick={() => {
+                            setFilters({ ...EMPTY_FILTERS, resourceId: entry.resourceId });
+                            setApplied({ ...EMPTY_FILTERS, resourceId: entry.resourceId });
+                          }}
+                          className="block font-mono text-xs text-primary-600 hover:underline"
+                          title="Show all entries for this resource"
+                        >
+                          {entry.resourceId.slice(0, 8)}
+                        </button>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono">
+                      {entry.ipAddress || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 max-w-md truncate" title={formatDetails(entry.details)}>
+                      {formatDetails(entry.details)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {nextCursor && (
+            <div className="flex justify-center mt-6">
+              <button
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+                className="inline-flex items-center gap-2 px-6 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loadingMore && <Loader2 className="h-4 w-4 animate-spin" />}
+                Load more
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -2,7 +2,10 @@ import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import { useWhitelabel } from '../context/WhitelabelContext';
+import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import VersionHistoryPanel from '../components/VersionHistoryPanel';
+import ShareDialog from '../components/ShareDialog';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 import {
@@ -23,9 +26,14 @@ import {
   List,
   FolderPlus,
   Clock,
+  History,
+  Pencil,
   X
 } from 'lucide-react';
 
+// Data type used for dragging files and folders inside the dashboard
+const DRAG_TYPE = 'application/x-docs-item';
+
 const fileIcons = {
   'application/vnd.oasis.opendocument.text': FileText,
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document': FileText,
@@ -50,6 +58,7 @@ export default function Dashboard() {
   const { folderId } = useParams();
   const navigate = useNavigate();
   const { text } = useWhitelabel();
+  const { user } = useAuth();
   const [files, setFiles] = useState([]);
   const [folders, setFolders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -60,6 +69,10 @@ export default function Dashboard() {
   const [newFolderName, setNewFolderName] = useState('');
   const [breadcrumbs, setBreadcrumbs] = useState([{ id: null, name: 'My Documents' }]);
   const [searchFocused, setSearchFocused] = useState(false);
+  const [versionsFile, setVersionsFile] = useState(null);
+  const [shareFile, setShareFile] = useState(null);
+  const [permission, setPermission] = useState('edit');
+  const [dropTarget, setDropTarget] = useState(null);
 
   const fetchFiles = useCallback(async () => {
     setLoading(true);
@@ -71,6 +84,7 @@ export default function Dashboard() {
       const response = await api.get(`/files?${params}`);
       setFiles(response.data.files);
       setFolders(response.data.folders);
+      setPermission(response.data.permission || 'edit');
     } catch (error) {
       toast.error('Failed to load files');
     } finally {
@@ -82,6 +96,18 @@ export default function Dashboard() {
     fetchFiles();
   }, [fetchFiles]);
 
+  useEffect(() => {
+    const root = { id: null, name: text.dashboardTitle || 'My Documents' };
+    if (!folderId) {
+      setBreadcrumbs([root]);
+      return;
+    }
+
+    api.get(`/files/folder/${folderId}`)
+      .then((response) => setBreadcrumbs([root, ...response.data.path]))
+      .catch(() => setBreadcrumbs([root]));
+  }, [folderId, text.dashboardTitle]);
+
   const onDrop = useCallback(async (acceptedFiles) => {
     for (const file of acceptedFiles) {
       const formData = new FormData();
@@ -103,6 +129,7 @@ export default function Dashboard() {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     noClick: true,
+    noDrag: permission !== 'edit',
     accept: {
       'application/vnd.oasis.opendocument.text': ['.odt'],
       'application/vnd.oasis.opendocument.spreadsheet': ['.ods'],
@@ -126,17 +153,95 @@ export default function Dashboard() {
 
   const handleDelete = async (e, file) => {
     e.stopPropagation();
-    if (!confirm(`Delete "${file.name}"?`)) return;
+    if (!confirm(`Move "${file.name}" to the trash?`)) return;
 
     try {
       await api.delete(`/files/${file.id}`);
-      toast.success('File deleted');
+      toast.success('File moved to trash');
       fetchFiles();
     } catch (error) {
       toast.error('Failed to delete file');
     }
   };
 
+  const handleDeleteFolder = async (e, folder) => {
+    e.stopPropagation();
+    if (!confirm(`Delete folder "${folder.name}"? Files inside it will be moved to the trash.`)) return;
+
+    try {
+      const response = await api.delete(`/files/folder/${folder.id}`);
+      toast.success(response.data.trashedFiles
+        ? `Folder deleted, ${response.data.trashedFiles} file(s) moved to trash`
+        : 'Folder deleted');
+      fetchFiles();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete folder');
+    }
+  };
+
+  const handleRename = async (e, item) => {
+    e.stopPropagation();
+    const name = prompt(`Rename "${item.name}" to:`, item.name);
+    if (!name || name === item.name) return;
+
+    try {
+      const url = item.type === 'folder' ? `/files/folder/${item.id}` : `/files/${item.id}`;
+      await api.put(url, { name });
+      toast.success('Renamed');
+      fetchFiles();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to rename');
+    }
+  };
+
+  // Drag and drop: drop on a folder or breadcrumb to move, hold Ctrl/Alt to copy
+  const handleDragStart = (e, item) => {
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify({ id: item.id, type: item.type, name: item.name }));
+    e.dataTransfer.effectAllowed = 'copyMove';
+  };
+
+  const handleDragOver = (e, targetId) => {
+    if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = e.ctrlKey || e.altKey ? 'copy' : 'move';
+    setDropTarget(targetId || 'root');
+  };
+
+  const handleDrop = async (e, targetFolderId) => {
+    const data = e.dataTransfer.getData(DRAG_TYPE);
+    setDropTarget(null);
+    if (!data) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const item = JSON.parse(data);
+    const copy = e.ctrlKey || e.altKey;
+    if (item.type === 'folder' && item.id === targetFolderId) return;
+    if (!copy && (targetFolderId || null) === (folderId || null)) return;
+
+    const url = item.type === 'folder' ? `/files/folder/${item.id}` : `/files/${item.id}`;
+    const body = item.type === 'folder' ? { parentId: targetFolderId } : { folderId: targetFolderId };
+
+    try {
+      if (copy) {
+        await api.post(`${url}/copy`, body);
+      } else {
+        await api.put(url, body);
+      }
+      toast.success(`${copy ? 'Copied' : 'Moved'} "${item.name}"`);
+      fetchFiles();
+    } catch (error) {
+      toast.error(error.response?.data?.error || `Failed to ${copy ? 'copy' : 'move'} "${item.name}"`);
+    }
+  };
+
+  const dropTargetProps = (targetId) => ({
+    onDragOver: (e) => handleDragOver(e, targetId),
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => handleDrop(e, targetId)
+  });
+
   const handleDownload = async (e, file) => {
     e.stopPropagation();
     try {
@@ -154,6 +259,16 @@ export default function Dashboard() {
     }
   };
 
+  const handleShowVersions = (e, file) => {
+    e.stopPropagation();
+    setVersionsFile(file);
+  };
+
+  const handleShare = (e, file) => {
+    e.stopPropagation();
+    setShareFile(file);
+  };
+
   const handleCreateDocument = async (type) => {
     setShowNewMenu(false);
     const name = prompt(`Enter ${type} name:`);
@@ -230,7 +345,11 @@ export default function Dashboard() {
           <h1 className="text-2xl font-bold text-gray-900">{text.dashboardTitle || 'My Documents'}</h1>
           {/* Breadcrumbs */}
           <nav className="flex items-center space-x-1 text-sm text-gray-500 mt-2">
-            <button onClick={() => navigate('/')} className="hover:text-primary-600 p-1 rounded-md hover:bg-primary-50 transition-colors">
+            <button
+              onClick={() => navigate('/')}
+              {...dropTargetProps(null)}
+              className={`hover:text-primary-600 p-1 rounded-md hover:bg-primary-50 transition-colors ${dropTarget === 'root' ? 'bg-primary-100 text-primary-700' : ''}`}
+            >
               <Home className="h-4 w-4" />
             </button>
             {breadcrumbs.slice(1).map((crumb, index) => (
@@ -238,7 +357,8 @@ export default function Dashboard() {
                 <ChevronRight className="h-4 w-4 mx-1 text-gray-300" />
                 <button 
                   onClick={() => navigate(crumb.id ? `/folder/${crumb.id}` : '/')} 
-                  className="hover:text-primary-600 px-2 py-1 rounded-md hover:bg-primary-50 transition-colors"
+                  {...dropTargetProps(crumb.id)}
+                  className={`hover:text-primary-600 px-2 py-1 rounded-md hover:bg-primary-50 transition-colors ${dropTarget === crumb.id ? 'bg-primary-100 text-primary-700' : ''}`}
                 >
                   {crumb.name}
                 </button>
@@ -282,7 +402,9 @@ export default function Dashboard() {
           <div className="relative">
             <button
               onClick={() => setShowNewMenu(!showNewMenu)}
-              className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-primary-600 to-primary-700 text-white rounded-xl hover:from-primary-700 hover:to-primary-800 transition-all shadow-lg shadow-primary-500/25 hover:shadow-xl hover:shadow-primary-500/30 transform hover:-translate-y-0.5"
+              disabled={permission !== 'edit'}
+              title={permission !== 'edit' ? 'You have view-only access to this folder' : undefined}
+              className="flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-primary-600 to-primary-700 text-white rounded-xl hover:from-primary-700 hover:to-primary-800 transition-all shadow-lg shadow-primary-500/25 hover:shadow-xl hover:shadow-primary-500/30 transform hover:-translate-y-0.5 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
             >
               <Plus className="h-5 w-5" />
               <span className="font-medium">{text.newDocumentButton || 'New'}</span>
@@ -412,8 +534,44 @@ export default function Dashboard() {
                 <div
                   key={folder.id}
                   onClick={() => handleFolderClick(folder)}
-                  className="bg-white/80 backdrop-blur-sm rounded-2xl p-5 border border-gray-100 hover:border-yellow-300 hover:shadow-xl hover:shadow-yellow-500/10 cursor-pointer transition-all duration-200 group transform hover:-translate-y-1"
+                  draggable={permission === 'edit'}
+                  onDragStart={(e) => handleDragStart(e, folder)}
+                  {...dropTargetProps(folder.id)}
+                  className={`bg-white/80 backdrop-blur-sm rounded-2xl p-5 border hover:border-yellow-300 hover:shadow-xl hover:shadow-yellow-500/10 cursor-pointer transition-all duration-200 group relative transform hover:-translate-y-1 ${
+                    dropTarget === folder.id ? 'border-primary-400 ring-2 ring-primary-300' : 'border-gray-100'
+                  }`}
                 >
+                  <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-all duration-200">
+                    <div className="flex gap-1">
+                      {folder.ownerId === user?.id && (
+                        <button
+                          onClick={(e) => handleShare(e, folder)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-gray-200 transition-colors"
+                          title="Share"
+                        >
+                          <Share2 className="h-4 w-4 text-gray-600" />
+                        </button>
+                      )}
+                      {permission === 'edit' && (
+                        <button
+                          onClick={(e) => handleRename(e, folder)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-gray-200 transition-colors"
+                          title="Rename"
+                        >
+                          <Pencil className="h-4 w-4 text-gray-600" />
+                        </button>
+                      )}
+                      {folder.ownerId === user?.id && (
+                        <button
+                          onClick={(e) => handleDeleteFolder(e, folder)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-red-100 transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4 text-gray-600 hover:text-red-600" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
                   <div className="flex justify-center mb-4">
                     <div className="h-14 w-14 bg-gradient-to-br from-yellow-100 to-yellow-50 rounded-xl flex items-center justify-center group-hover:from-yellow-200 group-hover:to-yellow-100 transition-colors">
                       <Folder className="h-8 w-8 text-yellow-600" />
@@ -429,6 +587,8 @@ export default function Dashboard() {
                 <div
                   key={file.id}
                   onClick={() => handleFileClick(file)}
+                  draggable
+                  onDragStart={(e) => handleDragStart(e, file)}
                   className="bg-white/80 backdrop-blur-sm rounded-2xl p-5 border border-gray-100 hover:border-primary-200 hover:shadow-xl hover:shadow-primary-500/10 cursor-pointer transition-all duration-200 group relative transform hover:-translate-y-1"
                 >
                   <div className="absolute top-3 right-3 opacity-0 group-hover:opacity-100 transition-all duration-200">
@@ -440,13 +600,40 @@ export default function Dashboard() {
                       >
                         <Download className="h-4 w-4 text-gray-600" />
                       </button>
+                      {file.ownerId === user?.id && (
+                        <button
+                          onClick={(e) => handleShare(e, file)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-gray-200 transition-colors"
+                          title="Share"
+                        >
+                          <Share2 className="h-4 w-4 text-gray-600" />
+                        </button>
+                      )}
+                      {permission === 'edit' && (
+                        <button
+                          onClick={(e) => handleRename(e, file)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-gray-200 transition-colors"
+                          title="Rename"
+                        >
+                          <Pencil className="h-4 w-4 text-gray-600" />
+                        </button>
+                      )}
                       <button
-                        onClick={(e) => handleDelete(e, file)}
-                        className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-red-100 transition-colors"
-                        title="Delete"
+                        onClick={(e) => handleShowVersions(e, file)}
+                        className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-gray-200 transition-colors"
+                        title="Version history"
                       >
-                        <Trash2 className="h-4 w-4 text-gray-600 hover:text-red-600" />
+                        <History className="h-4 w-4 text-gray-600" />
                       </button>
+                      {file.ownerId === user?.id && (
+                        <button
+                          onClick={(e) => handleDelete(e, file)}
+                          className="p-1.5 bg-gray-100/80 backdrop-blur rounded-lg hover:bg-red-100 transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4 text-gray-600 hover:text-red-600" />
+                        </button>
+                      )}
                     </div>
                   </div>
                   <div className="flex justify-center mb-4">
@@ -483,7 +670,10 @@ export default function Dashboard() {
                     <tr
                       key={folder.id}
                       onClick={() => handleFolderClick(folder)}
-                      className="hover:bg-gray-50 cursor-pointer"
+                      draggable={permission === 'edit'}
+                      onDragStart={(e) => handleDragStart(e, folder)}
+                      {...dropTargetProps(folder.id)}
+                      className={`hover:bg-gray-50 cursor-pointer ${dropTarget === folder.id ? 'bg-primary-50' : ''}`}
                     >
                       <td className="px-6 py-4 whitespace-nowrap">
                         <div className="flex items-center">
@@ -495,13 +685,43 @@ export default function Dashboard() {
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                         {format(new Date(folder.updatedAt), 'MMM d, yyyy')}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-right"></td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {folder.ownerId === user?.id && (
+                          <button
+                            onClick={(e) => handleShare(e, folder)}
+                            className="text-gray-400 hover:text-gray-600 mr-2"
+                            title="Share"
+                          >
+                            <Share2 className="h-5 w-5" />
+                          </button>
+                        )}
+                        {permission === 'edit' && (
+                          <button
+                            onClick={(e) => handleRename(e, folder)}
+                            className="text-gray-400 hover:text-gray-600 mr-2"
+                            title="Rename"
+                          >
+                            <Pencil className="h-5 w-5" />
+                          </button>
+                        )}
+                        {folder.ownerId === user?.id && (
+                          <button
+                            onClick={(e) => handleDeleteFolder(e, folder)}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                   {files.map((file) => (
                     <tr
                       key={file.id}
                       onClick={() => handleFileClick(file)}
+                      draggable
+                      onDragStart={(e) => handleDragStart(e, file)}
                       className="hover:bg-gray-50 cursor-pointer"
                     >
                       <td className="px-6 py-4 whitespace-nowrap">
@@ -523,12 +743,39 @@ export default function Dashboard() {
                         >
                           <Download className="h-5 w-5" />
                         </button>
+                        {file.ownerId === user?.id && (
+                          <button
+                            onClick={(e) => handleShare(e, file)}
+                            className="text-gray-400 hover:text-gray-600 mr-2"
+                            title="Share"
+                          >
+                            <Share2 className="h-5 w-5" />
+                          </button>
+                        )}
+                        {permission === 'edit' && (
+                          <button
+                            onClick={(e) => handleRename(e, file)}
+                            className="text-gray-400 hover:text-gray-600 mr-2"
+                            title="Rename"
+                          >
+                            <Pencil className="h-5 w-5" />
+                          </button>
+                        )}
                         <button
-                          onClick={(e) => handleDelete(e, file)}
-                          className="text-gray-400 hover:text-red-600"
+                          onClick={(e) => handleShowVersions(e, file)}
+                          className="text-gray-400 hover:text-gray-600 mr-2"
+                          title="Version history"
                         >
-                          <Trash2 className="h-5 w-5" />
+                          <History className="h-5 w-5" />
                         </button>
+                        {file.ownerId === user?.id && (
+                          <button
+                            onClick={(e) => handleDelete(e, file)}
+                            className="text-gray-400 hover:text-red-600"
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -586,6 +833,23 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Version History Panel */}
+      {versionsFile && (
+        <VersionHistoryPanel
+          fileId={versionsFile.id}
+          onClose={() => setVersionsFile(null)}
+          onRestored={fetchFiles}
+        />
+      )}
+
+      {/* Share Dialog */}
+      {shareFile && (
+        <ShareDialog
+          file={shareFile}
+          onClose={() => setShareFile(null)}
+        />
+      )}
+
       {/* Click outside to close menu */}
       {showNewMenu && (
         <div
@@ -2,15 +2,20 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import api from '../services/api';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Download, Share2 } from 'lucide-react';
+import VersionHistoryPanel from '../components/VersionHistoryPanel';
+import CollaboraFrame from '../components/CollaboraFrame';
+import { ArrowLeft, Download, Share2, History } from 'lucide-react';
 
 export default function Editor() {
   const { fileId } = useParams();
   const navigate = useNavigate();
   const [file, setFile] = useState(null);
-  const [editUrl, setEditUrl] = useState(null);
+  const [editorSession, setEditorSession] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showVersions, setShowVersions] = useState(false);
+  // Bumped to reload the editor, e.g. after a version restore
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
     const fetchEditUrl = async () => {
@@ -21,7 +26,11 @@ export default function Editor() {
           name: response.data.fileName,
           permission: response.data.permission
         });
-        setEditUrl(response.data.editUrl);
+        setEditorSession({
+          editUrl: response.data.editUrl,
+          accessToken: response.data.accessToken,
+          accessTokenTtl: response.data.accessTokenTtl
+        });
       } catch (err) {
         setError(err.response?.data?.error || 'Failed to load document');
         toast.error('Failed to load document');
@@ -31,7 +40,7 @@ export default function Editor() {
     };
 
     fetchEditUrl();
-  }, [fileId]);
+  }, [fileId, reloadKey]);
 
   const handleDownload = async () => {
     try {
@@ -107,6 +116,13 @@ export default function Editor() {
           >
             <Download className="h-5 w-5" />
           </button>
+          <button
+            onClick={() => setShowVersions(!showVersions)}
+            className={`p-2 rounded-lg ${showVersions ? 'text-primary-600 bg-primary-50' : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'}`}
+            title="Version history"
+          >
+            <History className="h-5 w-5" />
+          </button>
           <button
             className="p-2 text-gray-600 hover:text-gray-900 hover:bg-gray-100 rounded-lg"
             title="Share"
@@ -118,16 +134,16 @@ export default function Editor() {
 
       {/* Collabora iframe */}
       <div className="flex-1">
-        {editUrl && (
-          <iframe
-            src={editUrl}
-            className="collabora-frame"
-            title="Collabora Online Editor"
-            sandbox="allow-scripts allow-same-origin allow-forms allow-popups allow-popups-to-escape-sandbox allow-downloads"
-            allow="clipboard-read; clipboard-write"
-          />
-        )}
+        {editorSession && <CollaboraFrame key={reloadKey} session={editorSession} />}
       </div>
+
+      {showVersions && (
+        <VersionHistoryPanel
+          fileId={fileId}
+          onClose={() => setShowVersions(false)}
+          onRestored={() => setReloadKey((k) => k + 1)}
+        />
+      )}
     </div>
   );
 }
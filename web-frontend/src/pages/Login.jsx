@@ -1,10 +1,12 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useWhitelabel } from '../context/WhitelabelContext';
 import Logo from '../components/Logo';
-import { Eye, EyeOff, Mail, Lock, ArrowRight, Loader2 } from 'lucide-react';
+import { TwoFactorQrCode, RecoveryCodes } from '../components/TwoFactorSetup';
+import { Eye, EyeOff, Mail, Lock, ArrowRight, ArrowLeft, Loader2, KeyRound, ShieldCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
+import api from '../services/api';
 
 export default function Login() {
   const [identifier, setIdentifier] = useState('');
@@ -12,16 +14,55 @@ export default function Login() {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [focusedField, setFocusedField] = useState(null);
-  const { login } = useAuth();
+  // Second step of a login with two-factor authentication
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [enrolled, setEnrolled] = useState(null);
+  const { login, verifyTwoFactor, finishLogin, completeSsoLogin } = useAuth();
   const { branding, text, features, logos } = useWhitelabel();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ssoHandled = useRef(false);
+
+  // The backend sends the browser back here after a single sign-on login
+  useEffect(() => {
+    if (ssoHandled.current) return;
+
+    const ssoError = searchParams.get('sso_error');
+    if (ssoError) {
+      ssoHandled.current = true;
+      toast.error(ssoError);
+      setSearchParams({}, { replace: true });
+      return;
+    }
+
+    if (searchParams.get('sso')) {
+      ssoHandled.current = true;
+      setLoading(true);
+      completeSsoLogin()
+        .then(() => {
+          toast.success('Welcome back!');
+          navigate('/');
+        })
+        .catch((error) => {
+          toast.error(error.response?.data?.error || 'Single sign-on failed');
+          setSearchParams({}, { replace: true });
+          setLoading(false);
+        });
+    }
+  }, [searchParams]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      await login(identifier, password);
+      const result = await login(identifier, password);
+      if (result.twoFactorRequired) {
+        setChallenge(result);
+        setCode('');
+        return;
+      }
       toast.success('Welcome back!');
       navigate('/');
     } catch (error) {
@@ -33,6 +74,36 @@ export default function Login() {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const { user, recoveryCodes } = await verifyTwoFactor(challenge.challengeToken, code);
+      if (recoveryCodes) {
+        setEnrolled({ user, recoveryCodes });
+        return;
+      }
+      toast.success('Welcome back!');
+      navigate('/');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Verification failed');
+      setCode('');
+      // Out of attempts or expired: start over with the password
+      if (!(error.response?.data?.attemptsRemaining > 0)) {
+        setChallenge(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnrolledDone = () => {
+    finishLogin(enrolled.user);
+    toast.success('Two-factor authentication enabled');
+    navigate('/');
+  };
+
   // Background style for login page
   const backgroundStyle = logos.loginBackground 
     ? { backgroundImage: `url(${logos.loginBackground})`, backgroundSize: 'cover', backgroundPosition: 'center' }
@@ -63,118 +134,222 @@ export default function Login() {
 
       <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md relative z-10">
         <div className="bg-white/80 backdrop-blur-xl py-10 px-6 shadow-2xl rounded-2xl sm:px-12 border border-white/20">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            <div>
-              <label htmlFor="identifier" className="block text-sm font-semibold text-gray-700 mb-2">
-                {text.loginFieldLabel || 'Email or Username'}
-              </label>
-              <div className={`relative rounded-xl transition-all duration-200 ${
-                focusedField === 'identifier' ? 'ring-2 ring-primary-500 ring-offset-2' : ''
-              }`}>
-                <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                  <Mail className={`h-5 w-5 transition-colors duration-200 ${
-                    focusedField === 'identifier' ? 'text-primary-500' : 'text-gray-400'
-                  }`} />
-                </div>
+          {enrolled ? (
+            <div className="space-y-6">
+              <h3 className="flex items-center text-lg font-semibold text-gray-900">
+                <ShieldCheck className="h-5 w-5 mr-2 text-primary-600" />
+                Save your recovery codes
+              </h3>
+              <RecoveryCodes codes={enrolled.recoveryCodes} onDone={handleEnrolledDone} doneLabel="Continue" />
+            </div>
+          ) : challenge ? (
+            <form className="space-y-6" onSubmit={handleVerify}>
+              <div>
+                <h3 className="flex items-center text-lg font-semibold text-gray-900">
+                  <ShieldCheck className="h-5 w-5 mr-2 text-primary-600" />
+                  {challenge.setup ? 'Set up two-factor authentication' : 'Two-factor authentication'}
+                </h3>
+                <p className="mt-2 text-sm text-gray-600">
+                  {challenge.setup
+                    ? 'Your account requires a second factor. Add it to your authenticator app, then enter the 6-digit code it shows.'
+                    : 'Enter the 6-digit code from your authenticator app, or one of your recovery codes.'}
+                </p>
+              </div>
+
+              {challenge.setup && (
+                <TwoFactorQrCode secret={challenge.secret} otpauthUrl={challenge.otpauthUrl} />
+              )}
+
+              <div>
+                <label htmlFor="code" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Verification code
+                </label>
                 <input
-                  id="identifier"
-                  name="identifier"
+                  id="code"
+                  name="code"
                   type="text"
-                  autoComplete="username"
+                  inputMode={challenge.setup ? 'numeric' : 'text'}
+                  autoComplete="one-time-code"
+                  autoFocus
                   required
-                  value={identifier}
-                  onChange={(e) => setIdentifier(e.target.value)}
-                  onFocus={() => setFocusedField('identifier')}
-                  onBlur={() => setFocusedField(null)}
-                  className="block w-full pl-12 pr-4 py-3.5 border border-gray-200 rounded-xl bg-gray-50/50 placeholder-gray-400 focus:outline-none focus:bg-white focus:border-primary-500 text-gray-900 text-sm transition-all duration-200"
-                  placeholder={text.loginFieldPlaceholder || 'you@example.com or username'}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="block w-full px-4 py-3.5 border border-gray-200 rounded-xl bg-gray-50/50 placeholder-gray-400 focus:outline-none focus:bg-white focus:border-primary-500 focus:ring-2 focus:ring-primary-500 text-gray-900 text-sm tracking-widest font-mono transition-all duration-200"
+                  placeholder="123456"
                 />
               </div>
-            </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
-                Password
-              </label>
-              <div className={`relative rounded-xl transition-all duration-200 ${
-                focusedField === 'password' ? 'ring-2 ring-primary-500 ring-offset-2' : ''
-              }`}>
-                <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                  <Lock className={`h-5 w-5 transition-colors duration-200 ${
-                    focusedField === 'password' ? 'text-primary-500' : 'text-gray-400'
-                  }`} />
-                </div>
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  onFocus={() => setFocusedField('password')}
-                  onBlur={() => setFocusedField(null)}
-                  className="block w-full pl-12 pr-12 py-3.5 border border-gray-200 rounded-xl bg-gray-50/50 placeholder-gray-400 focus:outline-none focus:bg-white focus:border-primary-500 text-gray-900 text-sm transition-all duration-200"
-                  placeholder="••••••••"
-                />
+              <div className="flex gap-3">
                 <button
                   type="button"
-                  className="absolute inset-y-0 right-0 pr-4 flex items-center hover:opacity-70 transition-opacity"
-                  onClick={() => setShowPassword(!showPassword)}
+                  onClick={() => setChallenge(null)}
+                  className="flex items-center justify-center py-3.5 px-4 border-2 border-gray-200 rounded-xl text-sm font-semibold text-gray-700 hover:bg-gray-50 transition-all duration-200"
+                >
+                  <ArrowLeft className="mr-2 h-5 w-5" />
+                  Back
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 flex justify-center items-center py-3.5 px-4 border border-transparent rounded-xl text-sm font-semibold text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/25 transition-all duration-200"
                 >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400" />
+                  {loading ? (
+                    <>
+                      <Loader2 className="h-5 w-5 animate-spin mr-2" />
+                      Verifying...
+                    </>
                   ) : (
-                    <Eye className="h-5 w-5 text-gray-400" />
+                    'Verify'
                   )}
                 </button>
               </div>
-            </div>
-
-            <div className="pt-2">
-              <button
-                type="submit"
-                disabled={loading}
-                className="group relative w-full flex justify-center items-center py-3.5 px-4 border border-transparent rounded-xl text-sm font-semibold text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/25 hover:shadow-xl hover:shadow-primary-500/30 transition-all duration-200 transform hover:-translate-y-0.5"
-              >
-                {loading ? (
-                  <>
-                    <Loader2 className="h-5 w-5 animate-spin mr-2" />
-                    Signing in...
-                  </>
-                ) : (
-                  <>
-                    {text.loginButton || 'Sign in'}
-                    <ArrowRight className="ml-2 h-5 w-5 group-hover:translate-x-1 transition-transform duration-200" />
-                  </>
-                )}
-              </button>
-            </div>
-          </form>
+            </form>
+          ) : (
+            <>
+            {features.enableSso && (
+              <div className="space-y-3">
+                {features.ssoProviders.map((provider) => (
+                  <a
+                    key={provider}
+                    href={`${api.defaults.baseURL}/auth/${provider}/login`}
+                    className="group w-full flex justify-center items-center py-3.5 px-4 border-2 border-primary-200 rounded-xl text-sm font-semibold text-primary-700 bg-primary-50/50 hover:bg-primary-100 hover:border-primary-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+                  >
+                    <KeyRound className="mr-2 h-5 w-5" />
+                    {provider === 'saml'
+                      ? text.samlButton || 'Sign in with SAML'
+                      : text.ssoButton || 'Sign in with SSO'}
+                  </a>
+                ))}
+              </div>
+            )}
 
-          {features.enableRegistration && (
-            <div className="mt-8">
-              <div className="relative">
+            {features.enableSso && features.enablePasswordLogin && (
+              <div className="relative my-8">
                 <div className="absolute inset-0 flex items-center">
                   <div className="w-full border-t border-gray-200" />
                 </div>
                 <div className="relative flex justify-center text-sm">
-                  <span className="px-4 bg-white text-gray-500 rounded-full">
-                    New to {branding.appName}?
-                  </span>
+                  <span className="px-4 bg-white text-gray-500 rounded-full">or</span>
                 </div>
               </div>
+            )}
 
-              <div className="mt-6">
-                <Link
-                  to="/register"
-                  className="group w-full flex justify-center items-center py-3.5 px-4 border-2 border-primary-200 rounded-xl text-sm font-semibold text-primary-700 bg-primary-50/50 hover:bg-primary-100 hover:border-primary-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
-                >
-                  Create an account
-                  <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform duration-200" />
-                </Link>
+            {features.enablePasswordLogin && (
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="identifier" className="block text-sm font-semibold text-gray-700 mb-2">
+                    {text.loginFieldLabel || 'Email or Username'}
+                  </label>
+                  <div className={`relative rounded-xl transition-all duration-200 ${
+                    focusedField === 'identifier' ? 'ring-2 ring-primary-500 ring-offset-2' : ''
+                  }`}>
+                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                      <Mail className={`h-5 w-5 transition-colors duration-200 ${
+                        focusedField === 'identifier' ? 'text-primary-500' : 'text-gray-400'
+                      }`} />
+                    </div>
+                    <input
+                      id="identifier"
+                      name="identifier"
+                      type="text"
+                      autoComplete="username"
+                      required
+                      value={identifier}
+                      onChange={(e) => setIdentifier(e.target.value)}
+                      onFocus={() => setFocusedField('identifier')}
+                      onBlur={() => setFocusedField(null)}
+                      className="block w-full pl-12 pr-4 py-3.5 border border-gray-200 rounded-xl bg-gray-50/50 placeholder-gray-400 focus:outline-none focus:bg-white focus:border-primary-500 text-gray-900 text-sm transition-all duration-200"
+                      placeholder={text.loginFieldPlaceholder || 'you@example.com or username'}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
+                    Password
+                  </label>
+                  <div className={`relative rounded-xl transition-all duration-200 ${
+                    focusedField === 'password' ? 'ring-2 ring-primary-500 ring-offset-2' : ''
+                  }`}>
+                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                      <Lock className={`h-5 w-5 transition-colors duration-200 ${
+                        focusedField === 'password' ? 'text-primary-500' : 'text-gray-400'
+                      }`} />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      onFocus={() => setFocusedField('password')}
+                      onBlur={() => setFocusedField(null)}
+                      className="block w-full pl-12 pr-12 py-3.5 border border-gray-200 rounded-xl bg-gray-50/50 placeholder-gray-400 focus:outline-none focus:bg-white focus:border-primary-500 text-gray-900 text-sm transition-all duration-200"
+                      placeholder="••••••••"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-4 flex items-center hover:opacity-70 transition-opacity"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                <div className="pt-2">
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="group relative w-full flex justify-center items-center py-3.5 px-4 border border-transparent rounded-xl text-sm font-semibold text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed shadow-lg shadow-primary-500/25 hover:shadow-xl hover:shadow-primary-500/30 transition-all duration-200 transform hover:-translate-y-0.5"
+                  >
+                    {loading ? (
+                      <>
+                        <Loader2 className="h-5 w-5 animate-spin mr-2" />
+                        Signing in...
+                      </>
+                    ) : (
+                      <>
+                        {text.loginButton || 'Sign in'}
+                        <ArrowRight className="ml-2 h-5 w-5 group-hover:translate-x-1 transition-transform duration-200" />
+                      </>
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {features.enableRegistration && features.enablePasswordLogin && (
+              <div className="mt-8">
+                <div className="relative">
+                  <div className="absolute inset-0 flex items-center">
+                    <div className="w-full border-t border-gray-200" />
+                  </div>
+                  <div className="relative flex justify-center text-sm">
+                    <span className="px-4 bg-white text-gray-500 rounded-full">
+                      New to {branding.appName}?
+                    </span>
+                  </div>
+                </div>
+
+                <div className="mt-6">
+                  <Link
+                    to="/register"
+                    className="group w-full flex justify-center items-center py-3.5 px-4 border-2 border-primary-200 rounded-xl text-sm font-semibold text-primary-700 bg-primary-50/50 hover:bg-primary-100 hover:border-primary-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+                  >
+                    Create an account
+                    <ArrowRight className="ml-2 h-4 w-4 group-hover:translate-x-1 transition-transform duration-200" />
+                  </Link>
+                </div>
               </div>
-            </div>
+            )}
+            </>
           )}
         </div>
 
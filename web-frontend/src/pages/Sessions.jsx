@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { MonitorPlay, RefreshCw, Lock, Power, Loader2 } from 'lucide-react';
+
+export default function Sessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [terminating, setTerminating] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/admin/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error('Failed to load editing sessions');
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions().finally(() => setLoading(false));
+  }, []);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await fetchSessions();
+    setRefreshing(false);
+  };
+
+  const handleTerminate = async (session) => {
+    const name = session.file?.name || 'this file';
+    if (!confirm(`Close ${session.user.username}'s editor for "${name}"? Unsaved changes in it are lost.`)) return;
+
+    setTerminating(session.id);
+    try {
+      await api.delete(`/admin/sessions/${session.id}`);
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      toast.success('Session terminated');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to terminate session');
+    } finally {
+      setTerminating(null);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Editing Sessions</h1>
+          <p className="text-sm text-gray-500 mt-2">
+            Documents open in the editor, most recently active first.
+          </p>
+        </div>
+        <button
+          onClick={handleRefresh}
+          disabled={refreshing}
+          className="inline-flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-gray-700 bg-white border border-gray-200 rounded-xl hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center h-64">
+          <div className="relative">
+            <div className="h-14 w-14 rounded-full border-4 border-primary-100"></div>
+            <div className="absolute top-0 h-14 w-14 rounded-full border-4 border-primary-600 border-t-transparent animate-spin"></div>
+          </div>
+          <p className="mt-4 text-sm text-gray-500">Loading sessions...</p>
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="text-center py-20 bg-white/60 backdrop-blur-sm rounded-2xl border-2 border-dashed border-gray-200">
+          <div className="h-20 w-20 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <MonitorPlay className="h-10 w-10 text-gray-400" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No open editors</h3>
+          <p className="text-gray-500 max-w-sm mx-auto">Nobody has a document open right now</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Document</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Opened</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last activity</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sessions.map((session) => (
+                <tr key={session.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{session.user.displayName || session.user.username}</div>
+                    <div className="text-xs text-gray-500">{session.user.email}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-900">
+                    <div className="flex items-center gap-2">
+                      <span className="truncate max-w-xs">{session.file?.name || '—'}</span>
+                      <span className="px-2 py-0.5 text-xs font-medium rounded bg-gray-100 text-gray-700">
+                        {session.permission === 'view' ? 'View' : 'Edit'}
+                      </span>
+                      {session.holdsLock && (
+                        <span title="Holds the document lock">
+                          <Lock className="h-3.5 w-3.5 text-amber-500" />
+                        </span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 font-mono" title={session.userAgent || ''}>
+                    {session.ipAddress || '—'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {format(new Date(session.startedAt), 'MMM d, HH:mm')}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                    {formatDistanceToNow(new Date(session.lastActivity), { addSuffix: true })}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => handleTerminate(session)}
+                      disabled={terminating === session.id}
+                      className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      {terminating === session.id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Power className="h-4 w-4" />}
+                      Terminate
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
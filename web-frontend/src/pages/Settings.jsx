@@ -2,7 +2,9 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import toast from 'react-hot-toast';
-import { User, Lock, HardDrive, Eye, EyeOff } from 'lucide-react';
+import { format } from 'date-fns';
+import { User, Lock, HardDrive, Eye, EyeOff, ShieldCheck } from 'lucide-react';
+import { TwoFactorQrCode, RecoveryCodes } from '../components/TwoFactorSetup';
 
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
@@ -12,6 +14,231 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Two-factor authentication enrolment and management (local accounts only)
+ */
+function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'disable' or 'regenerate' while the confirmation form is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const startSetup = async () => {
+    setBusy(true);
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start two-factor setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to enable two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (action === 'disable') {
+        await api.post('/auth/2fa/disable', { password, code });
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const response = await api.post('/auth/2fa/recovery-codes', { code });
+        setRecoveryCodes(response.data.recoveryCodes);
+      }
+      resetForm();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Request failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!status?.available) {
+    return null;
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className="w-48 px-4 py-2 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+      placeholder="123456"
+      required
+    />
+  );
+
+  return (
+    <div className="space-y-6 pt-8 mt-8 border-t border-gray-200">
+      <div>
+        <h3 className="flex items-center text-lg font-medium text-gray-900">
+          <ShieldCheck className="h-5 w-5 mr-2" />
+          Two-Factor Authentication
+        </h3>
+        <p className="mt-1 text-sm text-gray-500">
+          Sign-ins also ask for a code from an authenticator app on your phone.
+        </p>
+      </div>
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : status.enabled ? (
+        <div className="space-y-4">
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+            Enabled{status.enabledAt && ` since ${format(new Date(status.enabledAt), 'PP')}`}.{' '}
+            {status.recoveryCodesRemaining} recovery codes left.
+            {status.required && ' Required for your account by the administrator.'}
+          </div>
+
+          {action ? (
+            <form onSubmit={handleConfirm} className="space-y-4">
+              {action === 'disable' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Current Password
+                  </label>
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    required
+                  />
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Authentication Code
+                </label>
+                {codeInput}
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className={`px-6 py-2 text-white rounded-lg disabled:opacity-50 ${
+                    action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-primary-600 hover:bg-primary-700'
+                  }`}
+                >
+                  {action === 'disable' ? 'Disable' : 'Create New Codes'}
+                </button>
+                <button
+                  type="button"
+                  onClick={resetForm}
+                  className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setAction('regenerate')}
+                className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button
+                  type="button"
+                  onClick={() => setAction('disable')}
+                  className="px-6 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50"
+                >
+                  Disable
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ) : setup ? (
+        <form onSubmit={handleEnable} className="space-y-6">
+          <TwoFactorQrCode secret={setup.secret} otpauthUrl={setup.otpauthUrl} />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Code from the app
+            </label>
+            {codeInput}
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              {busy ? 'Verifying...' : 'Enable'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="px-6 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div>
+          <button
+            type="button"
+            onClick={startSetup}
+            disabled={busy}
+            className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+          >
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function Settings() {
   const { user, updateUser } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
@@ -188,86 +415,90 @@ export default function Settings() {
           )}
 
           {activeTab === 'security' && (
-            <form onSubmit={handlePasswordChange} className="space-y-6">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Change Password</h3>
+            <>
+              <form onSubmit={handlePasswordChange} className="space-y-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Change Password</h3>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Current Password
-                </label>
-                <div className="relative">
-                  <input
-                    type={showPasswords.current ? 'text' : 'password'}
-                    value={passwords.currentPassword}
-                    onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
-                    required
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPasswords({ ...showPasswords, current: !showPasswords.current })}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  >
-                    {showPasswords.current ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                  </button>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Current Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      type={showPasswords.current ? 'text' : 'password'}
+                      value={passwords.currentPassword}
+                      onChange={(e) => setPasswords({ ...passwords, currentPassword: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPasswords({ ...showPasswords, current: !showPasswords.current })}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    >
+                      {showPasswords.current ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                    </button>
+                  </div>
                 </div>
-              </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  New Password
-                </label>
-                <div className="relative">
-                  <input
-                    type={showPasswords.new ? 'text' : 'password'}
-                    value={passwords.newPassword}
-                    onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
-                    placeholder="Min. 8 characters"
-                    required
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowPasswords({ ...showPasswords, new: !showPasswords.new })}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  >
-                    {showPasswords.new ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
-                  </button>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    New Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      type={showPasswords.new ? 'text' : 'password'}
+                      value={passwords.newPassword}
+                      onChange={(e) => setPasswords({ ...passwords, newPassword: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
+                      placeholder="Min. 8 characters"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPasswords({ ...showPasswords, new: !showPasswords.new })}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    >
+                      {showPasswords.new ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                    </button>
+                  </div>
                 </div>
-              </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Confirm New Password
-                </label>
-                <div className="relative">
-                  <input
-                    type={showPasswords.confirm ? 'text' : 'password'}
-                    value={passwords.confirmPassword}
-                    onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
-                    required
-                  />
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm New Password
+                  </label>
+                  <div className="relative">
+                    <input
+                      type={showPasswords.confirm ? 'text' : 'password'}
+                      value={passwords.confirmPassword}
+                      onChange={(e) => setPasswords({ ...passwords, confirmPassword: e.target.value })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent pr-10"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPasswords({ ...showPasswords, confirm: !showPasswords.confirm })}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    >
+                      {showPasswords.confirm ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
                   <button
-                    type="button"
-                    onClick={() => setShowPasswords({ ...showPasswords, confirm: !showPasswords.confirm })}
-                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    type="submit"
+                    disabled={loading}
+                    className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
                   >
-                    {showPasswords.confirm ? <EyeOff className="h-5 w-5" /> : <Eye className="h-5 w-5" />}
+                    {loading ? 'Changing...' : 'Change Password'}
                   </button>
                 </div>
-              </div>
+              </form>
 
-              <div>
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="px-6 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
-                >
-                  {loading ? 'Changing...' : 'Change Password'}
-                </button>
-              </div>
-            </form>
+              <TwoFactorSettings />
+            </>
           )}
 
           {activeTab === 'storage' && (
@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import Logo from '../components/Logo';
+import CollaboraFrame from '../components/CollaboraFrame';
+import { FileText, Lock, Loader2, ArrowRight } from 'lucide-react';
+
+export default function SharedDocument() {
+  const { token } = useParams();
+  const [share, setShare] = useState(null);
+  const [editorSession, setEditorSession] = useState(null);
+  const [permission, setPermission] = useState(null);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchShare = async () => {
+      try {
+        const response = await api.get(`/shared/${token}`);
+        setShare(response.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load shared document');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShare();
+  }, [token]);
+
+  const handleOpen = async (e) => {
+    e?.preventDefault();
+    setOpening(true);
+
+    try {
+      const response = await api.post(`/shared/${token}/open`, { password: password || undefined });
+      setPermission(response.data.permission);
+      setEditorSession({
+        editUrl: response.data.editUrl,
+        accessToken: response.data.accessToken,
+        accessTokenTtl: response.data.accessTokenTtl
+      });
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to open document');
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading shared document...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-red-500 text-6xl mb-4">⚠️</div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Link Unavailable</h2>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (editorSession) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex flex-col">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b border-gray-200 h-16 flex items-center px-4">
+          <div className="mr-4">
+            <Logo variant="primary" size="sm" showText={false} />
+          </div>
+          <div className="flex-1 min-w-0">
+            <h1 className="text-lg font-medium text-gray-900 truncate">
+              {share?.fileName || 'Document'}
+            </h1>
+            <p className="text-xs text-gray-500">
+              Shared by {share?.ownerName} · {permission === 'edit' ? 'Editing as guest' : 'View only'}
+            </p>
+          </div>
+        </header>
+
+        {/* Collabora iframe */}
+        <div className="flex-1">
+          <CollaboraFrame session={editorSession} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen login-gradient flex flex-col justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <Logo variant="login" size="lg" showText={false} />
+        </div>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white/80 backdrop-blur-xl py-8 px-6 shadow-2xl rounded-2xl sm:px-10 border border-white/20">
+          <div className="flex items-center gap-4 mb-6">
+            <div className="h-12 w-12 bg-primary-100 rounded-xl flex items-center justify-center">
+              <FileText className="h-6 w-6 text-primary-600" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-lg font-semibold text-gray-900 truncate">{share.fileName}</h2>
+              <p className="text-sm text-gray-500">
+                Shared by {share.ownerName} · {share.permission === 'edit' ? 'Can edit' : 'View only'}
+              </p>
+            </div>
+          </div>
+
+          <form onSubmit={handleOpen} className="space-y-4">
+            {share.requiresPassword && (
+              <div>
+                <label htmlFor="share-password" className="block text-sm font-semibold text-gray-700 mb-2">
+                  This link is password protected
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="share-password"
+                    type="password"
+                    required
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="block w-full pl-12 pr-4 py-3 border border-gray-200 rounded-xl bg-gray-50/50 focus:outline-none focus:bg-white focus:ring-2 focus:ring-primary-500 text-sm"
+                    placeholder="Enter password"
+                    autoFocus
+                  />
+                </div>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={opening}
+              className="w-full flex justify-center items-center py-3 px-4 rounded-xl text-sm font-semibold text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 disabled:opacity-50 shadow-lg shadow-primary-500/25 transition-all"
+            >
+              {opening ? (
+                <>
+                  <Loader2 className="h-5 w-5 animate-spin mr-2" />
+                  Opening...
+                </>
+              ) : (
+                <>
+                  Open document
+                  <ArrowRight className="ml-2 h-5 w-5" />
+                </>
+              )}
+            </button>
+          </form>
+
+          {share.expiresAt && (
+            <p className="mt-4 text-xs text-center text-gray-500">
+              This link expires on {new Date(share.expiresAt).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
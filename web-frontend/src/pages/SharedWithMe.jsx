@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { FileText, Folder, Users, Download, Eye, Pencil } from 'lucide-react';
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function PermissionLabel({ permission, expiresAt }) {
+  return (
+    <>
+      <span className="inline-flex items-center gap-1">
+        {permission === 'edit'
+          ? <><Pencil className="h-3.5 w-3.5" /> Can edit</>
+          : <><Eye className="h-3.5 w-3.5" /> Can view</>}
+      </span>
+      {expiresAt && (
+        <span className="block text-xs text-gray-400">
+          until {format(new Date(expiresAt), 'MMM d, yyyy')}
+        </span>
+      )}
+    </>
+  );
+}
+
+export default function SharedWithMe() {
+  const navigate = useNavigate();
+  const [files, setFiles] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchShared = async () => {
+      try {
+        const response = await api.get('/files/shared');
+        setFiles(response.data.files);
+        setFolders(response.data.folders || []);
+      } catch (error) {
+        toast.error('Failed to load shared files');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchShared();
+  }, []);
+
+  const handleDownload = async (e, file) => {
+    e.stopPropagation();
+    try {
+      const response = await api.get(`/files/${file.id}/download`, {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.name;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-2xl font-bold text-gray-900">Shared with me</h1>
+        <p className="text-sm text-gray-500 mt-2">Documents and folders other people have shared with you</p>
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center h-64">
+          <div className="relative">
+            <div className="h-14 w-14 rounded-full border-4 border-primary-100"></div>
+            <div className="absolute top-0 h-14 w-14 rounded-full border-4 border-primary-600 border-t-transparent animate-spin"></div>
+          </div>
+          <p className="mt-4 text-sm text-gray-500">Loading shared files...</p>
+        </div>
+      ) : files.length === 0 && folders.length === 0 ? (
+        <div className="text-center py-20 bg-white/60 backdrop-blur-sm rounded-2xl border-2 border-dashed border-gray-200">
+          <div className="h-20 w-20 bg-gradient-to-br from-primary-50 to-primary-100 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Users className="h-10 w-10 text-primary-600" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Nothing shared yet</h3>
+          <p className="text-gray-500 max-w-sm mx-auto">Files and folders that others share with you will appear here</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owner</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Access</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Modified</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {folders.map((folder) => (
+                <tr
+                  key={folder.id}
+                  onClick={() => navigate(`/folder/${folder.id}`)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <Folder className="h-8 w-8 text-yellow-500 mr-3" />
+                      <span className="text-sm font-medium text-gray-900">{folder.name}</span>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{folder.ownerName}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <PermissionLabel permission={folder.permission} expiresAt={folder.expiresAt} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">—</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {format(new Date(folder.updatedAt), 'MMM d, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right"></td>
+                </tr>
+              ))}
+              {files.map((file) => (
+                <tr
+                  key={file.id}
+                  onClick={() => navigate(`/edit/${file.id}`)}
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <FileText className="h-8 w-8 text-primary-500 mr-3" />
+                      <span className="text-sm font-medium text-gray-900">{file.name}</span>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{file.ownerName}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    <PermissionLabel permission={file.permission} expiresAt={file.expiresAt} />
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatFileSize(file.size)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {format(new Date(file.updatedAt), 'MMM d, yyyy')}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <button
+                      onClick={(e) => handleDownload(e, file)}
+                      className="text-gray-400 hover:text-gray-600"
+                      title="Download"
+                    >
+                      <Download className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
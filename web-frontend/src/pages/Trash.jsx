@@ -0,0 +1,176 @@
+import { useState, useEffect } from 'react';
+import api from '../services/api';
+import toast from 'react-hot-toast';
+import { format, formatDistanceToNow } from 'date-fns';
+import { FileText, Trash2, RotateCcw, Loader2 } from 'lucide-react';
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export default function Trash() {
+  const [files, setFiles] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  const fetchTrash = async () => {
+    try {
+      const response = await api.get('/files/trash');
+      setFiles(response.data.files);
+      setRetentionDays(response.data.retentionDays);
+    } catch (error) {
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (file) => {
+    setBusy(file.id);
+    try {
+      await api.post(`/files/${file.id}/restore`);
+      toast.success(`"${file.name}" restored`);
+      setFiles((prev) => prev.filter((f) => f.id !== file.id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to restore file');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDeleteForever = async (file) => {
+    if (!confirm(`Permanently delete "${file.name}"? This cannot be undone.`)) return;
+
+    setBusy(file.id);
+    try {
+      await api.delete(`/files/${file.id}/permanent`);
+      toast.success('File permanently deleted');
+      setFiles((prev) => prev.filter((f) => f.id !== file.id));
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to delete file');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!confirm('Permanently delete all files in the trash? This cannot be undone.')) return;
+
+    setBusy('all');
+    try {
+      await api.delete('/files/trash');
+      toast.success('Trash emptied');
+      setFiles([]);
+    } catch (error) {
+      toast.error('Failed to empty trash');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-8">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+          {retentionDays && (
+            <p className="text-sm text-gray-500 mt-2">
+              Files are permanently deleted {retentionDays} days after they were moved to the trash.
+            </p>
+          )}
+        </div>
+        {files.length > 0 && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={busy !== null}
+            className="inline-flex items-center gap-2 px-4 py-2.5 text-sm font-medium text-red-600 bg-white border border-red-200 rounded-xl hover:bg-red-50 disabled:opacity-50 transition-colors"
+          >
+            {busy === 'all' ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex flex-col items-center justify-center h-64">
+          <div className="relative">
+            <div className="h-14 w-14 rounded-full border-4 border-primary-100"></div>
+            <div className="absolute top-0 h-14 w-14 rounded-full border-4 border-primary-600 border-t-transparent animate-spin"></div>
+          </div>
+          <p className="mt-4 text-sm text-gray-500">Loading trash...</p>
+        </div>
+      ) : files.length === 0 ? (
+        <div className="text-center py-20 bg-white/60 backdrop-blur-sm rounded-2xl border-2 border-dashed border-gray-200">
+          <div className="h-20 w-20 bg-gradient-to-br from-gray-50 to-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-6">
+            <Trash2 className="h-10 w-10 text-gray-400" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Trash is empty</h3>
+          <p className="text-gray-500 max-w-sm mx-auto">Deleted files will appear here until they are purged</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Purged</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {files.map((file) => (
+                <tr key={file.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      <FileText className="h-8 w-8 text-gray-400 mr-3" />
+                      <span className="text-sm font-medium text-gray-900">{file.name}</span>
+                    </div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {formatFileSize(file.size)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {file.deletedAt ? format(new Date(file.deletedAt), 'MMM d, yyyy') : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {file.purgeAt ? `in ${formatDistanceToNow(new Date(file.purgeAt))}` : '—'}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => handleRestore(file)}
+                      disabled={busy !== null}
+                      className="text-gray-400 hover:text-primary-600 mr-2 disabled:opacity-50"
+                      title="Restore"
+                    >
+                      {busy === file.id ? <Loader2 className="h-5 w-5 animate-spin" /> : <RotateCcw className="h-5 w-5" />}
+                    </button>
+                    <button
+                      onClick={() => handleDeleteForever(file)}
+                      disabled={busy !== null}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Delete permanently"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
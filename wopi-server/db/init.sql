@@ -11,11 +11,17 @@ CREATE TABLE IF NOT EXISTS users (
     password_hash VARCHAR(255) NOT NULL,
     display_name VARCHAR(255),
     role VARCHAR(50) DEFAULT 'user',
-    auth_source VARCHAR(50) DEFAULT 'local', -- local, ldap, ltpa
+    auth_source VARCHAR(50) DEFAULT 'local', -- local, ldap, ltpa, ldap_ltpa, oidc, saml
     ldap_dn VARCHAR(500),
+    oidc_subject VARCHAR(255) UNIQUE, -- sub claim of the OpenID Connect provider
+    saml_subject VARCHAR(255) UNIQUE, -- NameID from the SAML identity provider
+    totp_secret TEXT, -- encrypted TOTP secret (two-factor authentication)
+    totp_enabled_at TIMESTAMP WITH TIME ZONE,
+    totp_recovery_codes JSONB, -- SHA-256 hashes of unused recovery codes
     storage_quota BIGINT DEFAULT 5368709120, -- 5GB default
     storage_used BIGINT DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
+    deprovisioned_at TIMESTAMP WITH TIME ZONE, -- set when the directory sync disabled the account
     email_verified BOOLEAN DEFAULT false,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -44,6 +50,7 @@ CREATE TABLE IF NOT EXISTS files (
     storage_path VARCHAR(1000) NOT NULL,
     version INTEGER DEFAULT 1,
     is_deleted BOOLEAN DEFAULT false,
+    deleted_at TIMESTAMP WITH TIME ZONE,
     parent_folder_id UUID REFERENCES folders(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
@@ -67,6 +74,7 @@ CREATE TABLE IF NOT EXISTS file_locks (
     file_id UUID UNIQUE NOT NULL REFERENCES files(id) ON DELETE CASCADE,
     lock_id VARCHAR(255) NOT NULL,
     locked_by UUID REFERENCES users(id),
+    edit_session_id UUID, -- editing session that took the lock (services/editSessions.js)
     locked_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP WITH TIME ZONE NOT NULL
 );
@@ -92,7 +100,9 @@ CREATE TABLE IF NOT EXISTS active_sessions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     file_id UUID REFERENCES files(id) ON DELETE CASCADE,
-    session_token VARCHAR(255) NOT NULL,
+    permission VARCHAR(20),
+    login_session_id VARCHAR(64), -- login session the editor was opened from
+    session_token VARCHAR(255) NOT NULL, -- SHA-256 of the WOPI access token
     ip_address VARCHAR(45),
     user_agent TEXT,
     started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -108,13 +118,71 @@ CREATE TABLE IF NOT EXISTS audit_log (
     resource_id UUID,
     details JSONB,
     ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Hash chain written by the application (services/audit.js): hash is an
+    -- HMAC over the entry and prev_hash, the hash of entry seq - 1
+    seq BIGINT,
+    prev_hash VARCHAR(64),
+    hash VARCHAR(64)
+);
+
+-- Audit entries removed by the retention job; the last hash anchors the
+-- chain of the entries that remain
+CREATE TABLE IF NOT EXISTS audit_archives (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    storage_key VARCHAR(1000), -- NULL: deleted without archive (AUDIT_ARCHIVE=false)
+    entry_count INTEGER NOT NULL,
+    first_seq BIGINT,
+    last_seq BIGINT,
+    last_hash VARCHAR(64),
+    oldest_at TIMESTAMP WITH TIME ZONE,
+    newest_at TIMESTAMP WITH TIME ZONE,
+    size BIGINT,
+    sha256 VARCHAR(64),
+    problems JSONB, -- chain problems found when archived with force
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Authentication settings changed through the admin API (LTPA keyring,
+-- LDAP overrides), AES-256-GCM encrypted by the application
+CREATE TABLE IF NOT EXISTS auth_config (
+    key VARCHAR(50) PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Directory group mappings: role, storage quota and login access per LDAP/Domino group
+CREATE TABLE IF NOT EXISTS group_mappings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_dn VARCHAR(500) UNIQUE NOT NULL,
+    role VARCHAR(50), -- NULL: no role from this group
+    storage_quota BIGINT, -- NULL: no quota from this group
+    access VARCHAR(10), -- allow, deny or NULL
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Columns added after the initial release (for existing databases)
+ALTER TABLE files ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deprovisioned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS saml_subject VARCHAR(255) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB;
+ALTER TABLE active_sessions ADD COLUMN IF NOT EXISTS permission VARCHAR(20);
+ALTER TABLE active_sessions ADD COLUMN IF NOT EXISTS login_session_id VARCHAR(64);
+ALTER TABLE file_locks ADD COLUMN IF NOT EXISTS edit_session_id UUID;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS seq BIGINT;
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64);
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS hash VARCHAR(64);
+
 -- Create indexes for performance
 CREATE INDEX IF NOT EXISTS idx_files_owner ON files(owner_id);
 CREATE INDEX IF NOT EXISTS idx_files_parent_folder ON files(parent_folder_id);
 CREATE INDEX IF NOT EXISTS idx_files_deleted ON files(is_deleted);
+CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at) WHERE is_deleted = true;
 CREATE INDEX IF NOT EXISTS idx_folders_owner ON folders(owner_id);
 CREATE INDEX IF NOT EXISTS idx_folders_parent ON folders(parent_id);
 CREATE INDEX IF NOT EXISTS idx_file_versions_file ON file_versions(file_id);
@@ -123,6 +191,12 @@ CREATE INDEX IF NOT EXISTS idx_file_shares_token ON file_shares(share_token);
 CREATE INDEX IF NOT EXISTS idx_active_sessions_user ON active_sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+-- Keyset pagination of the audit log (newest first) and its common filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_id ON audit_log(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log(resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_seq ON audit_log(seq);
+CREATE INDEX IF NOT EXISTS idx_audit_archives_last_seq ON audit_archives(last_seq);
 
 -- Create default admin user (password: admin123 - CHANGE IN PRODUCTION!)
 -- Hash generated with bcrypt, cost factor 12
@@ -157,8 +231,38 @@ CREATE TRIGGER update_files_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_group_mappings_updated_at ON group_mappings;
+CREATE TRIGGER update_group_mappings_updated_at
+    BEFORE UPDATE ON group_mappings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_folders_updated_at ON folders;
 CREATE TRIGGER update_folders_updated_at
     BEFORE UPDATE ON folders
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
+
+-- The audit log is append-only. Only the retention job, which sets
+-- collabora.audit_retention in its transaction, may delete entries.
+CREATE OR REPLACE FUNCTION protect_audit_log()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('collabora.audit_retention', true) = 'on' THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only (% rejected)', TG_OP;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS protect_audit_log_rows ON audit_log;
+CREATE TRIGGER protect_audit_log_rows
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_audit_log();
+
+DROP TRIGGER IF EXISTS protect_audit_log_truncate ON audit_log;
+CREATE TRIGGER protect_audit_log_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION protect_audit_log();
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * Mock OpenID Connect Provider
+ * A minimal identity provider for trying out and debugging OIDC login
+ * without Keycloak or Entra ID. Sign-in is a form that lets you pick the
+ * username, groups and roles to put into the ID token - never expose it.
+ *
+ * Usage: npm run mock-oidc
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT           Port to listen on (default 9400)
+ *   MOCK_OIDC_ISSUER         Issuer URL as reached by the WOPI server (default http://localhost:9400)
+ *   MOCK_OIDC_CLIENT_ID      Accepted client ID (default collabora)
+ *   MOCK_OIDC_CLIENT_SECRET  Required client secret (default: none, public client)
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 9400;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'collabora';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || '';
+const TOKEN_LIFETIME = 3600; // seconds
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued codes and access tokens, in memory only
+const codes = new Map();
+const accessTokens = new Map();
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signJWT(payload) {
+  const input = `${base64url({ alg: 'RS256', typ: 'JWT', kid: KEY_ID })}.${base64url(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url');
+  return `${input}.${signature}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+function sendError(res, status, error, description) {
+  sendJSON(res, status, { error, error_description: description });
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Client credentials from HTTP Basic auth or the form body
+ */
+function clientCredentials(req, params) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return { clientId: decodeURIComponent(id), clientSecret: decodeURIComponent(secret || '') };
+  }
+  return { clientId: params.get('client_id'), clientSecret: params.get('client_secret') || '' };
+}
+
+function discovery() {
+  return {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    end_session_endpoint: `${ISSUER}/logout`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    scopes_supported: ['openid', 'profile', 'email']
+  };
+}
+
+function loginForm(params) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Mock OIDC Provider</title></head>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+    <h2>Mock OIDC Provider</h2>
+    <p>Signing in to <code>${escapeHtml(params.get('client_id'))}</code></p>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Username<br><input name="username" value="alice" required></label></p>
+      <p><label>Email<br><input name="email" value="alice@example.com"></label></p>
+      <p><label>Display name<br><input name="name" value="Alice Example"></label></p>
+      <p><label>Groups (comma separated)<br><input name="groups" value=""></label></p>
+      <p><label>Roles (comma separated)<br><input name="roles" value=""></label></p>
+      <p><button type="submit">Sign in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+    </form>
+  </body>
+</html>`;
+}
+
+function validateAuthorizationRequest(params) {
+  if (params.get('client_id') !== CLIENT_ID) return 'Unknown client_id';
+  if (!params.get('redirect_uri')) return 'redirect_uri is required';
+  if (!params.get('code_challenge')) return 'PKCE code_challenge is required';
+  if ((params.get('code_challenge_method') || 'S256') !== 'S256') return 'Only S256 is supported';
+  return null;
+}
+
+function redirectWithParams(res, redirectUri, values) {
+  const url = new URL(redirectUri);
+  for (const [name, value] of Object.entries(values)) {
+    if (value) url.searchParams.set(name, value);
+  }
+  redirect(res, url.toString());
+}
+
+async function authorize(req, res, url) {
+  if (req.method === 'GET') {
+    const params = url.searchParams;
+    const problem = params.get('response_type') !== 'code'
+      ? 'Only response_type=code is supported'
+      : validateAuthorizationRequest(params);
+    if (problem) {
+      return sendError(res, 400, 'invalid_request', problem);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(loginForm(params));
+  }
+
+  const params = await readBody(req);
+  const problem = validateAuthorizationRequest(params);
+  if (problem) {
+    return sendError(res, 400, 'invalid_request', problem);
+  }
+
+  const redirectUri = params.get('redirect_uri');
+  if (params.get('deny')) {
+    return redirectWithParams(res, redirectUri, {
+      error: 'access_denied',
+      error_description: 'The user denied the sign-in',
+      state: params.get('state')
+    });
+  }
+
+  const username = params.get('username');
+  const list = name => (params.get(name) || '').split(',').map(v => v.trim()).filter(Boolean);
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    redirectUri,
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    expiresAt: Date.now() + 60 * 1000,
+    claims: {
+      sub: `mock-${username}`,
+      preferred_username: username,
+      email: params.get('email') || undefined,
+      name: params.get('name') || undefined,
+      groups: list('groups'),
+      roles: list('roles')
+    }
+  });
+
+  console.log(`Issued code for ${username}`);
+  redirectWithParams(res, redirectUri, { code, state: params.get('state') });
+}
+
+async function token(req, res) {
+  const params = await readBody(req);
+  const { clientId, clientSecret } = clientCredentials(req, params);
+
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return sendError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  if (params.get('grant_type') !== 'authorization_code') {
+    return sendError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const code = params.get('code');
+  const grant = codes.get(code);
+  codes.delete(code);
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendError(res, 400, 'invalid_grant', 'Unknown or expired code');
+  }
+  if (grant.redirectUri !== params.get('redirect_uri')) {
+    return sendError(res, 400, 'invalid_grant', 'redirect_uri does not match');
+  }
+
+  const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  sendJSON(res, 200, {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: TOKEN_LIFETIME,
+    id_token: signJWT({
+      ...grant.claims,
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + TOKEN_LIFETIME,
+      nonce: grant.nonce
+    })
+  });
+}
+
+function userinfo(req, res) {
+  const header = req.headers.authorization || '';
+  const claims = header.startsWith('Bearer ') && accessTokens.get(header.slice(7));
+  if (!claims) {
+    return sendError(res, 401, 'invalid_token', 'Unknown access token');
+  }
+  sendJSON(res, 200, claims);
+}
+
+function logout(req, res, url) {
+  const target = url.searchParams.get('post_logout_redirect_uri');
+  console.log('Logout requested');
+  if (target) {
+    return redirect(res, target);
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('Signed out');
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    switch (url.pathname) {
+      case '/.well-known/openid-configuration':
+        return sendJSON(res, 200, discovery());
+      case '/jwks':
+        return sendJSON(res, 200, {
+          keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+        });
+      case '/authorize':
+        return await authorize(req, res, url);
+      case '/token':
+        return await token(req, res);
+      case '/userinfo':
+        return userinfo(req, res);
+      case '/logout':
+        return logout(req, res, url);
+      default:
+        return sendError(res, 404, 'not_found', `No endpoint at ${url.pathname}`);
+    }
+  } catch (error) {
+    console.error(error);
+    sendError(res, 500, 'server_error', error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on port ${PORT}`);
+  console.log(`  OIDC_ISSUER_URL=${ISSUER}`);
+  console.log(`  OIDC_CLIENT_ID=${CLIENT_ID}`);
+  if (CLIENT_SECRET) {
+    console.log('  OIDC_CLIENT_SECRET=<MOCK_OIDC_CLIENT_SECRET>');
+  }
+});
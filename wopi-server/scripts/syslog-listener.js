@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Syslog Listener
+ * Prints RFC 5424 messages received over UDP and TCP (octet-counting or
+ * newline framing), for trying out audit forwarding without a syslog server.
+ *
+ * Usage: npm run syslog-listener
+ *        AUDIT_SYSLOG_URL=udp://localhost:5514 (or tcp://localhost:5514) on the WOPI server
+ *
+ * Environment:
+ *   SYSLOG_LISTENER_PORT  UDP and TCP port to listen on (default 5514)
+ *   SYSLOG_LISTENER_RAW   Print messages unparsed (true/false, default false)
+ */
+const dgram = require('dgram');
+const net = require('net');
+
+const PORT = parseInt(process.env.SYSLOG_LISTENER_PORT) || 5514;
+const RAW = process.env.SYSLOG_LISTENER_RAW === 'true';
+
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const HEADER = /^<(\d{1,3})>1 (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+) ?(.*)$/s;
+const SD_PARAM = /(\S+?)="((?:[^"\\]|\\.)*)"/g;
+
+function print(message, source) {
+  const match = RAW ? null : HEADER.exec(message);
+  if (!match) {
+    console.log(`${source} ${message}`);
+    return;
+  }
+
+  const [, pri, timestamp, hostname, appName, procId, msgId, sd, msg] = match;
+  const params = {};
+  for (const [, name, value] of sd.matchAll(SD_PARAM)) {
+    params[name] = value.replace(/\\(["\\\]])/g, '$1');
+  }
+
+  console.log(`${timestamp} ${hostname} ${appName}[${procId}] ${SEVERITIES[pri % 8]} ${msgId} (${source})`);
+  for (const [name, value] of Object.entries(params)) {
+    console.log(`    ${name}: ${value}`);
+  }
+  if (msg) {
+    console.log(`    ${msg}`);
+  }
+}
+
+const udp = dgram.createSocket('udp4');
+udp.on('message', (data, rinfo) => print(data.toString('utf8'), `udp ${rinfo.address}`));
+udp.on('error', (error) => {
+  console.error(`UDP error: ${error.message}`);
+  process.exit(1);
+});
+udp.bind(PORT);
+
+const tcp = net.createServer((socket) => {
+  const source = `tcp ${socket.remoteAddress}`;
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    for (;;) {
+      // Octet counting: "<length> <message>"; otherwise one message per line
+      const counted = /^(\d+) /.exec(buffer.subarray(0, 12).toString('latin1'));
+      if (counted) {
+        const start = counted[0].length;
+        const end = start + parseInt(counted[1]);
+        if (buffer.length < end) break;
+        print(buffer.subarray(start, end).toString('utf8'), source);
+        buffer = buffer.subarray(end);
+      } else {
+        const newline = buffer.indexOf(0x0a);
+        if (newline === -1) break;
+        print(buffer.subarray(0, newline).toString('utf8').replace(/\r$/, ''), source);
+        buffer = buffer.subarray(newline + 1);
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error(`${source}: ${error.message}`));
+});
+
+tcp.listen(PORT, () => {
+  console.log(`Syslog listener on UDP and TCP port ${PORT}`);
+  console.log(`  AUDIT_SYSLOG_URL=udp://localhost:${PORT}`);
+  console.log(`  AUDIT_SYSLOG_URL=tcp://localhost:${PORT}`);
+});
@@ -0,0 +1,16 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+const redisClient = createClient({
+  url: process.env.REDIS_URL || 'redis://localhost:6379'
+});
+
+redisClient.on('error', (err) => logger.error('Redis Client Error', err));
+redisClient.on('connect', () => logger.info('Connected to Redis'));
+
+// Initialize Redis connection
+(async () => {
+  await redisClient.connect();
+})();
+
+module.exports = redisClient;
@@ -6,10 +6,18 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const RedisStore = require('connect-redis').default;
-const { createClient } = require('redis');
 const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
 const { validateSecretsOnStartup } = require('./utils/validateSecrets');
+const { parseTrustProxy } = require('./utils/trustProxy');
+const trashService = require('./services/trash');
+const ltpaService = require('./services/ltpa');
+const ldapService = require('./services/ldap');
+const authConfig = require('./services/authConfig');
+const ldapSync = require('./services/ldapSync');
+const auditService = require('./services/audit');
+const syslog = require('./services/syslog');
+const redisClient = require('./db/redis');
 
 // Validate secrets on startup
 validateSecretsOnStartup();
@@ -21,22 +29,13 @@ const filesRoutes = require('./routes/files');
 const usersRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const configRoutes = require('./routes/config');
+const sharedRoutes = require('./routes/shared');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Redis client setup
-const redisClient = createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
-
-redisClient.on('error', (err) => logger.error('Redis Client Error', err));
-redisClient.on('connect', () => logger.info('Connected to Redis'));
-
-// Initialize Redis connection
-(async () => {
-  await redisClient.connect();
-})();
+// Take the client address from X-Forwarded-For as set by nginx
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 // Session store
 const redisStore = new RedisStore({
@@ -91,6 +90,8 @@ app.use(session({
   secret: process.env.JWT_SECRET,
   resave: false,
   saveUninitialized: false,
+  // TLS ends at nginx; trust X-Forwarded-Proto so secure cookies are set
+  proxy: true,
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
@@ -135,6 +136,7 @@ app.use('/api/files', filesRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/config', configRoutes);
+app.use('/api/shared', sharedRoutes);
 
 // WOPI Routes (must not have /api prefix for Collabora compatibility)
 app.use('/wopi', wopiRoutes);
@@ -203,7 +205,7 @@ app.get('/api/debug/collabora', async (req, res) => {
   // Test building an editor URL
   try {
     const { buildEditorUrl } = require('./services/discovery');
-    const testUrl = await buildEditorUrl('test-file-id', 'test.odt', 'test-token', 'edit');
+    const testUrl = await buildEditorUrl('test-file-id', 'test.odt', 'edit');
     results.checks.editorUrl = { success: true, sampleUrl: testUrl };
   } catch (error) {
     results.checks.editorUrl = { success: false, error: error.message };
@@ -236,12 +238,28 @@ app.use((req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  trashService.stopPurgeJob();
+  ldapSync.stopSyncJob();
+  auditService.stopRetentionJob();
+  syslog.close();
+  ldapService.pool.close();
+  await authConfig.stop();
   await redisClient.quit();
   process.exit(0);
 });
 
 app.listen(PORT, '0.0.0.0', () => {
   logger.info(`WOPI Server running on port ${PORT}`);
+  trashService.startPurgeJob();
+  ldapSync.startSyncJob();
+  auditService.startRetentionJob();
+
+  // Load auth settings stored through the admin API and follow changes from other instances
+  authConfig.onChange('ltpa', () => ltpaService.reloadKeyring());
+  authConfig.onChange('ldap', () => ldapService.reload());
+  authConfig.start().catch(error => {
+    logger.error('Failed to start auth configuration sync', { error: error.message });
+  });
 });
 
 module.exports = app;
@@ -2,13 +2,16 @@ const jwt = require('jsonwebtoken');
 const pool = require('../db/pool');
 const logger = require('../utils/logger');
 const ltpaService = require('../services/ltpa');
+const groupMappings = require('../services/groupMappings');
+const tokenRevocation = require('../services/tokenRevocation');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret';
-const AUTH_MODE = process.env.AUTH_MODE || 'local'; // local, ldap, ltpa, ldap_ltpa, hybrid
+const AUTH_MODE = process.env.AUTH_MODE || 'local'; // local, ldap, ltpa, ldap_ltpa, oidc, hybrid
 
 /**
  * Middleware to authenticate JWT tokens
- * Supports: local, ldap, ltpa, ldap_ltpa (combined), hybrid
+ * Supports: local, ldap, ltpa, ldap_ltpa (combined), oidc, hybrid
+ * OIDC logins receive the same JWTs as password logins (see routes/auth.js)
  */
 async function authenticateToken(req, res, next) {
   // Try LTPA token first if enabled (ltpa, ldap_ltpa, or hybrid modes)
@@ -55,7 +58,17 @@ async function authenticateToken(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
-    
+
+    // Refresh tokens are only accepted by POST /api/auth/refresh
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    // Logout and account disable end the session right away
+    if (await tokenRevocation.isApiTokenRevoked(decoded)) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+
     // Fetch user from database
     const result = await pool.query(
       'SELECT id, email, username, display_name, role, is_active, auth_source FROM users WHERE id = $1',
@@ -74,6 +87,7 @@ async function authenticateToken(req, res, next) {
 
     req.user = user;
     req.authMethod = user.auth_source || 'local';
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -91,6 +105,14 @@ async function authenticateToken(req, res, next) {
  */
 async function findOrCreateLTPAUser(ltpaUser, authSource = 'ltpa') {
   try {
+    // LTPA tokens carry no groups; look them up in LDAP when it is configured
+    const groups = await groupMappings.getDirectoryGroups(ltpaUser.username);
+    const policy = await groupMappings.resolve(groups);
+    if (policy.denied) {
+      logger.warn('LTPA login denied by group mapping', { username: ltpaUser.username });
+      return null;
+    }
+
     // Try to find existing user
     let result = await pool.query(
       'SELECT id, email, username, display_name, role, is_active FROM users WHERE username = $1',
@@ -98,12 +120,18 @@ async function findOrCreateLTPAUser(ltpaUser, authSource = 'ltpa') {
     );
 
     if (result.rows.length > 0) {
+      // A valid SSO token does not re-enable a disabled or deprovisioned account
+      if (!result.rows[0].is_active) {
+        logger.warn('LTPA login for disabled account', { username: ltpaUser.username });
+        return null;
+      }
+
       // Update auth source and last login
       await pool.query(
         'UPDATE users SET auth_source = $1, last_login = CURRENT_TIMESTAMP WHERE id = $2',
         [authSource, result.rows[0].id]
       );
-      return result.rows[0];
+      return groupMappings.applyToUser(result.rows[0], policy);
     }
 
     // Create new user from LTPA
@@ -111,11 +139,11 @@ async function findOrCreateLTPAUser(ltpaUser, authSource = 'ltpa') {
     const displayName = ltpaUser.attributes?.cn || ltpaUser.username;
 
     result = await pool.query(
-      `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6, true)
+      `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, storage_quota, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 5368709120), true)
        ON CONFLICT (username) DO UPDATE SET last_login = CURRENT_TIMESTAMP, auth_source = $6
        RETURNING id, email, username, display_name, role, is_active`,
-      [ltpaUser.username, email, 'EXTERNAL_AUTH', displayName, 'user', authSource]
+      [ltpaUser.username, email, 'EXTERNAL_AUTH', displayName, policy.role || 'user', authSource, policy.storageQuota]
     );
 
     // Create root folder for new user
@@ -158,6 +186,10 @@ async function optionalAuth(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === 'refresh' || await tokenRevocation.isApiTokenRevoked(decoded)) {
+      return next();
+    }
+
     const result = await pool.query(
       'SELECT id, email, username, display_name, role, is_active FROM users WHERE id = $1',
       [decoded.userId]
@@ -175,13 +207,15 @@ async function optionalAuth(req, res, next) {
 
 /**
  * Generate JWT token for user
+ * @param {string} sessionId - ID of the login session, carried into WOPI tokens so logout can revoke them
  */
-function generateToken(user) {
+function generateToken(user, sessionId) {
   return jwt.sign(
     { 
       userId: user.id, 
       email: user.email,
-      role: user.role 
+      role: user.role,
+      sid: sessionId
     },
     JWT_SECRET,
     { expiresIn: '24h' }
@@ -191,9 +225,9 @@ function generateToken(user) {
 /**
  * Generate refresh token
  */
-function generateRefreshToken(user) {
+function generateRefreshToken(user, sessionId) {
   return jwt.sign(
-    { userId: user.id, type: 'refresh' },
+    { userId: user.id, type: 'refresh', sid: sessionId },
     JWT_SECRET,
     { expiresIn: '7d' }
   );
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const discoveryService = require('../services/discovery');
+
+// enforce: reject invalid requests, log: only log them, off: skip validation
+const PROOF_MODE = (process.env.WOPI_PROOF_MODE || 'log').toLowerCase();
+
+// Requests signed longer ago than this are rejected as replays
+const MAX_PROOF_AGE = 20 * 60 * 1000;
+
+// Allowed clock skew for timestamps in the future
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+// Discovery is refetched for rotated proof keys at most this often
+const KEY_REFRESH_INTERVAL = 60 * 1000;
+
+let lastKeyRefresh = 0;
+
+// .NET ticks (100ns since 0001-01-01) at the Unix epoch
+const EPOCH_TICKS = 621355968000000000n;
+
+/**
+ * Build an RSA public key from the base64 modulus/exponent in discovery
+ */
+function toPublicKey(key) {
+  if (!key) {
+    return null;
+  }
+  const toBase64Url = (value) => Buffer.from(value, 'base64').toString('base64url');
+  return crypto.createPublicKey({
+    key: { kty: 'RSA', n: toBase64Url(key.modulus), e: toBase64Url(key.exponent) },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Build the bytes Collabora signs: length-prefixed access token,
+ * upper-cased request URL and timestamp
+ */
+function buildExpectedProof(accessToken, url, timestamp) {
+  const part = (buffer) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(buffer.length);
+    return Buffer.concat([length, buffer]);
+  };
+
+  const time = Buffer.alloc(8);
+  time.writeBigInt64BE(timestamp);
+
+  return Buffer.concat([
+    part(Buffer.from(accessToken, 'utf8')),
+    part(Buffer.from(url.toUpperCase(), 'utf8')),
+    part(time)
+  ]);
+}
+
+function verifySignature(expected, signature, publicKey) {
+  if (!signature || !publicKey) {
+    return false;
+  }
+  try {
+    return crypto.verify('RSA-SHA256', expected, publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check X-WOPI-Proof / X-WOPI-ProofOld against the current and old keys
+ * @returns {string|null} 'current' if the proof matches the current key,
+ *   'rotated' if only the old proof does (Collabora has a new key, our
+ *   discovery is behind), 'old' if the proof matches the old key (Collabora
+ *   is behind), or null if nothing matches
+ */
+function matchProof(expected, proof, proofOld, keys) {
+  const current = toPublicKey(keys.current);
+
+  if (verifySignature(expected, proof, current)) {
+    return 'current';
+  }
+  if (verifySignature(expected, proofOld, current)) {
+    return 'rotated';
+  }
+  if (verifySignature(expected, proof, toPublicKey(keys.old))) {
+    return 'old';
+  }
+  return null;
+}
+
+/**
+ * Pick up Collabora's new proof key. Only requests signed with the key we
+ * know get here, and at most once per KEY_REFRESH_INTERVAL, so forged
+ * requests cannot make us fetch discovery.
+ */
+async function refreshProofKeys() {
+  const now = Date.now();
+  if (now - lastKeyRefresh < KEY_REFRESH_INTERVAL) {
+    return;
+  }
+  lastKeyRefresh = now;
+  logger.info('WOPI proof key rotated, refreshing discovery');
+  await discoveryService.getProofKeys(true);
+}
+
+/**
+ * Validate the proof of a WOPI request
+ * @returns {Promise<string|null>} Reason the request is invalid, or null if valid
+ */
+async function checkProof(req) {
+  const proof = req.headers['x-wopi-proof'];
+  const proofOld = req.headers['x-wopi-proofold'];
+  const timestampHeader = req.headers['x-wopi-timestamp'];
+  const accessToken = req.query.access_token;
+
+  if (!proof || !timestampHeader || !accessToken) {
+    return 'Missing proof headers';
+  }
+
+  let timestamp;
+  try {
+    timestamp = BigInt(timestampHeader);
+  } catch (error) {
+    return 'Invalid timestamp';
+  }
+
+  const signedAt = Number((timestamp - EPOCH_TICKS) / 10000n);
+  if (Date.now() - signedAt > MAX_PROOF_AGE) {
+    return 'Proof timestamp too old';
+  }
+  if (signedAt - Date.now() > MAX_CLOCK_SKEW) {
+    return 'Proof timestamp in the future';
+  }
+
+  const domain = process.env.DOMAIN || 'localhost';
+  const url = `https://${domain}${req.originalUrl}`;
+  const expected = buildExpectedProof(accessToken, url, timestamp);
+
+  const keys = await discoveryService.getProofKeys();
+  if (!keys) {
+    return 'No proof key available from discovery';
+  }
+
+  const match = matchProof(expected, proof, proofOld, keys);
+  if (!match) {
+    return 'Proof signature mismatch';
+  }
+  if (match === 'rotated') {
+    await refreshProofKeys();
+  }
+  return null;
+}
+
+/**
+ * Middleware validating that WOPI requests were signed by Collabora
+ */
+async function verifyWopiProof(req, res, next) {
+  if (PROOF_MODE === 'off') {
+    return next();
+  }
+
+  try {
+    const reason = await checkProof(req);
+    if (!reason) {
+      return next();
+    }
+
+    logger.warn('WOPI proof validation failed', {
+      reason,
+      method: req.method,
+      path: req.path,
+      mode: PROOF_MODE
+    });
+
+    if (PROOF_MODE === 'enforce') {
+      // The WOPI spec expects 500 for requests failing proof validation
+      return res.status(500).json({ error: 'Proof validation failed' });
+    }
+    next();
+  } catch (error) {
+    logger.error('WOPI proof validation error:', error);
+    if (PROOF_MODE === 'enforce') {
+      return res.status(500).json({ error: 'Proof validation failed' });
+    }
+    next();
+  }
+}
+
+module.exports = {
+  verifyWopiProof,
+  buildExpectedProof
+};
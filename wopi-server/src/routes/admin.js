@@ -1,9 +1,22 @@
 const express = require('express');
 const multer = require('multer');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { body, param, query, validationResult } = require('express-validator');
+const pool = require('../db/pool');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const ltpaKeysService = require('../services/ltpaKeys');
 const ldapService = require('../services/ldap');
 const ltpaService = require('../services/ltpa');
+const oidcService = require('../services/oidc');
+const samlService = require('../services/saml');
+const groupMappings = require('../services/groupMappings');
+const ldapSync = require('../services/ldapSync');
+const twoFactor = require('../services/twoFactor');
+const auditService = require('../services/audit');
+const editSessions = require('../services/editSessions');
+const userImport = require('../services/userImport');
+const storage = require('../services/storage');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -22,6 +35,12 @@ const upload = multer({
   }
 });
 
+// CSV files for the user import
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB max
+});
+
 // All admin routes require authentication and admin role
 router.use(authenticateToken);
 router.use(requireAdmin);
@@ -37,11 +56,23 @@ router.get('/auth/status', async (req, res) => {
     const status = {
       authMode,
       ldap: {
-        configured: !!process.env.LDAP_URL,
-        url: process.env.LDAP_URL ? process.env.LDAP_URL.replace(/:[^:]*@/, ':***@') : null,
-        baseDN: process.env.LDAP_BASE_DN || null
+        configured: ldapService.configured,
+        url: ldapService.configured ? ldapService.config.url.replace(/:[^:]*@/, ':***@') : null,
+        baseDN: ldapService.configured ? ldapService.config.baseDN : null,
+        servers: ldapService.configured ? ldapService.getServerStatus() : [],
+        pool: ldapService.pool.stats()
       },
-      ltpa: await ltpaKeysService.getStatus()
+      ltpa: await ltpaKeysService.getStatus(),
+      oidc: {
+        enabled: oidcService.enabled,
+        issuer: oidcService.configured ? oidcService.config.issuer : null
+      },
+      saml: {
+        enabled: samlService.enabled,
+        entryPoint: samlService.configured ? samlService.config.entryPoint : null,
+        entityId: samlService.configured ? samlService.config.entityId : null,
+        signedRequests: !!samlService.config.privateKey
+      }
     };
 
     // Test LDAP connection if configured
@@ -80,35 +111,35 @@ router.post('/ltpa/upload', upload.single('keysFile'), async (req, res) => {
 
     const keysContent = req.file.buffer.toString('utf8');
     
-    // Parse and store the keys
-    const result = await ltpaKeysService.storeKeys(keysContent, password);
-
-    // Get the parsed configuration
-    const config = await ltpaKeysService.loadConfig();
-
-    // Update environment variables in runtime
-    if (config && config.desKey) {
-      process.env.LTPA_SECRET_KEY = config.desKey;
-      process.env.LTPA_REALM = config.realm;
-      if (config.publicKey) process.env.LTPA_PUBLIC_KEY = config.publicKey;
-      if (config.privateKey) process.env.LTPA_PRIVATE_KEY = config.privateKey;
-
-      // Reinitialize LTPA service with new keys
-      ltpaService.config.secretKey = config.desKey;
-      ltpaService.config.realm = config.realm;
-      ltpaService.keys = ltpaService.deriveKeys();
-    }
+    // Add the keys to the keyring; they only become primary when asked to
+    // (or when they are the first key set), so existing sessions keep working
+    const result = await ltpaKeysService.storeKeys(keysContent, password, {
+      label: req.body.label,
+      makePrimary: req.body.makePrimary === 'true'
+    });
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_KEYS_UPLOAD',
+      resourceType: 'config',
+      resourceId: result.id,
+      details: { realm: result.realm, primary: result.primary },
+      ipAddress: req.ip
+    });
 
     logger.info('LTPA keys uploaded and configured', { 
+      id: result.id,
       realm: result.realm,
+      primary: result.primary,
       uploadedBy: req.user.username 
     });
 
     res.json({
       success: true,
-      message: 'LTPA keys configured successfully',
+      message: result.message,
+      id: result.id,
       realm: result.realm,
-      version: result.version
+      version: result.version,
+      primary: result.primary
     });
   } catch (error) {
     logger.error('LTPA keys upload failed', { error: error.message });
@@ -125,7 +156,7 @@ router.post('/ltpa/upload', upload.single('keysFile'), async (req, res) => {
  */
 router.post('/ltpa/configure', async (req, res) => {
   try {
-    const { secretKey, publicKey, privateKey, realm, cookieName } = req.body;
+    const { secretKey, publicKey, privateKey, realm, cookieName, label, makePrimary } = req.body;
 
     if (!secretKey) {
       return res.status(400).json({ error: 'LTPA secret key is required' });
@@ -141,33 +172,37 @@ router.post('/ltpa/configure', async (req, res) => {
       creationDate: new Date().toISOString()
     };
 
-    await ltpaKeysService.storeKeys(config, null);
-
-    // Update environment variables
-    process.env.LTPA_SECRET_KEY = secretKey;
-    process.env.LTPA_REALM = realm || 'defaultRealm';
-    if (publicKey) process.env.LTPA_PUBLIC_KEY = publicKey;
-    if (privateKey) process.env.LTPA_PRIVATE_KEY = privateKey;
-    if (cookieName) process.env.LTPA_COOKIE_NAME = cookieName;
+    const result = await ltpaKeysService.storeKeys(config, null, { label, makePrimary: !!makePrimary });
 
-    // Reinitialize LTPA service
-    ltpaService.config.secretKey = secretKey;
-    ltpaService.config.realm = realm || 'defaultRealm';
-    if (cookieName) ltpaService.config.cookieName = cookieName;
-    ltpaService.keys = ltpaService.deriveKeys();
+    if (cookieName) {
+      await ltpaKeysService.storeCookieName(cookieName);
+    }
 
     // Test the configuration
     const testResult = ltpaService.testConfiguration();
 
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_KEYS_CONFIGURE',
+      resourceType: 'config',
+      resourceId: result.id,
+      details: { realm: config.realm, primary: result.primary, cookieName: cookieName || null },
+      ipAddress: req.ip
+    });
+
     logger.info('LTPA manually configured', { 
+      id: result.id,
       realm: config.realm,
+      primary: result.primary,
       configuredBy: req.user.username 
     });
 
     res.json({
       success: true,
-      message: 'LTPA configured successfully',
+      message: result.message,
+      id: result.id,
       realm: config.realm,
+      primary: result.primary,
       test: testResult
     });
   } catch (error) {
@@ -176,6 +211,127 @@ router.post('/ltpa/configure', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/ltpa/keys
+ * List LTPA key sets in the keyring (without key material)
+ */
+router.get('/ltpa/keys', async (req, res) => {
+  try {
+    const keySets = await ltpaKeysService.listKeySets();
+
+    res.json({
+      keySets,
+      // LTPA_SECRET_KEY from the environment is accepted as an extra key set
+      environmentKeySet: ltpaService.keySets.some(keySet => keySet.id === 'env')
+    });
+  } catch (error) {
+    logger.error('Error listing LTPA key sets', { error: error.message });
+    res.status(500).json({ error: 'Failed to list LTPA key sets' });
+  }
+});
+
+/**
+ * POST /api/admin/ltpa/keys/:id/promote
+ * Make a key set primary; the previous primary expires after the grace period
+ */
+router.post('/ltpa/keys/:id/promote', async (req, res) => {
+  try {
+    const keySet = await ltpaKeysService.promoteKeySet(req.params.id);
+    if (!keySet) {
+      return res.status(404).json({ error: 'LTPA key set not found' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_KEYS_PROMOTE',
+      resourceType: 'config',
+      resourceId: keySet.id,
+      ipAddress: req.ip
+    });
+
+    logger.info('LTPA key set promoted', { id: keySet.id, promotedBy: req.user.username });
+
+    res.json({ success: true, keySet });
+  } catch (error) {
+    logger.error('Error promoting LTPA key set', { error: error.message });
+    res.status(500).json({ error: 'Failed to promote LTPA key set' });
+  }
+});
+
+/**
+ * DELETE /api/admin/ltpa/keys/:id
+ * Retire a key set: tokens issued with it stop working immediately
+ */
+router.delete('/ltpa/keys/:id', async (req, res) => {
+  try {
+    let retired;
+    try {
+      retired = await ltpaKeysService.retireKeySet(req.params.id);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!retired) {
+      return res.status(404).json({ error: 'LTPA key set not found' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_KEYS_RETIRE',
+      resourceType: 'config',
+      resourceId: req.params.id,
+      ipAddress: req.ip
+    });
+
+    logger.info('LTPA key set retired', { id: req.params.id, retiredBy: req.user.username });
+
+    res.json({ success: true, message: 'LTPA key set retired' });
+  } catch (error) {
+    logger.error('Error retiring LTPA key set', { error: error.message });
+    res.status(500).json({ error: 'Failed to retire LTPA key set' });
+  }
+});
+
+/**
+ * POST /api/admin/ltpa/domino
+ * Import the Domino Web SSO configuration secret for LtpaToken (LTPA1) cookies
+ */
+router.post('/ltpa/domino', async (req, res) => {
+  try {
+    const { secret } = req.body;
+
+    if (!secret) {
+      return res.status(400).json({ error: 'Domino secret is required' });
+    }
+
+    try {
+      await ltpaKeysService.storeDominoSecret(secret);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const testResult = ltpaService.testConfiguration();
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_DOMINO_SECRET',
+      resourceType: 'config',
+      ipAddress: req.ip
+    });
+
+    logger.info('Domino LtpaToken secret configured', { configuredBy: req.user.username });
+
+    res.json({
+      success: true,
+      message: 'Domino SSO secret configured successfully',
+      test: testResult
+    });
+  } catch (error) {
+    logger.error('Domino secret configuration failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to configure Domino SSO secret' });
+  }
+});
+
 /**
  * GET /api/admin/ltpa/status
  * Get LTPA configuration status
@@ -204,31 +360,105 @@ router.delete('/ltpa/config', async (req, res) => {
   try {
     await ltpaKeysService.deleteConfig();
 
-    // Clear environment variables
-    delete process.env.LTPA_SECRET_KEY;
-    delete process.env.LTPA_PUBLIC_KEY;
-    delete process.env.LTPA_PRIVATE_KEY;
-
-    // Reset LTPA service
-    ltpaService.config.secretKey = '';
-    ltpaService.keys = null;
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LTPA_CONFIG_DELETE',
+      resourceType: 'config',
+      ipAddress: req.ip
+    });
 
     logger.info('LTPA configuration removed', { removedBy: req.user.username });
 
-    res.json({ success: true, message: 'LTPA configuration removed' });
+    res.json({
+      success: true,
+      message: 'LTPA configuration removed',
+      // Keys from LTPA_SECRET_KEY are part of the deployment and stay active
+      environmentKeySet: ltpaService.keySets.some(keySet => keySet.id === 'env')
+    });
   } catch (error) {
     logger.error('Error removing LTPA config', { error: error.message });
     res.status(500).json({ error: 'Failed to remove LTPA configuration' });
   }
 });
 
+/**
+ * GET /api/admin/ldap/config
+ * Get LDAP settings and whether they come from the admin API or the environment
+ */
+router.get('/ldap/config', async (req, res) => {
+  res.json({ settings: ldapService.getSettings() });
+});
+
+/**
+ * PUT /api/admin/ldap/config
+ * Store LDAP settings for all instances; empty values revert to the environment
+ */
+router.put('/ldap/config', async (req, res) => {
+  try {
+    const settings = { ...req.body };
+    // The masked password from GET means "unchanged"
+    if (settings.bindPassword === '********') {
+      delete settings.bindPassword;
+    }
+
+    try {
+      await ldapService.saveSettings(settings);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Names only: the values include the bind password
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LDAP_CONFIG_UPDATE',
+      resourceType: 'config',
+      details: { settings: Object.keys(settings) },
+      ipAddress: req.ip
+    });
+
+    logger.info('LDAP configuration updated', {
+      settings: Object.keys(settings),
+      updatedBy: req.user.username
+    });
+
+    res.json({ success: true, settings: ldapService.getSettings() });
+  } catch (error) {
+    logger.error('LDAP configuration update failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to update LDAP configuration' });
+  }
+});
+
+/**
+ * DELETE /api/admin/ldap/config
+ * Remove stored LDAP settings and use the environment again
+ */
+router.delete('/ldap/config', async (req, res) => {
+  try {
+    await ldapService.resetSettings();
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LDAP_CONFIG_RESET',
+      resourceType: 'config',
+      ipAddress: req.ip
+    });
+
+    logger.info('LDAP configuration reset to environment', { resetBy: req.user.username });
+
+    res.json({ success: true, settings: ldapService.getSettings() });
+  } catch (error) {
+    logger.error('LDAP configuration reset failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to reset LDAP configuration' });
+  }
+});
+
 /**
  * GET /api/admin/ldap/test
  * Test LDAP connection
  */
 router.get('/ldap/test', async (req, res) => {
   try {
-    if (!process.env.LDAP_URL) {
+    if (!ldapService.configured) {
       return res.status(400).json({ error: 'LDAP not configured' });
     }
 
@@ -269,4 +499,652 @@ router.post('/ldap/test-user', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/ldap/sync
+ * Whether a directory sync is running, and the report of the last run
+ */
+router.get('/ldap/sync', async (req, res) => {
+  try {
+    res.json({
+      running: await ldapSync.isRunning(),
+      lastRun: await ldapSync.getLastReport()
+    });
+  } catch (error) {
+    logger.error('Error getting LDAP sync status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get LDAP sync status' });
+  }
+});
+
+/**
+ * POST /api/admin/ldap/sync
+ * Start a directory sync in the background. { force: true } deprovisions
+ * even when more users are missing than LDAP_SYNC_MAX_DEPROVISION.
+ */
+router.post('/ldap/sync', async (req, res) => {
+  try {
+    if (!ldapService.configured) {
+      return res.status(400).json({ error: 'LDAP not configured' });
+    }
+
+    if (await ldapSync.isRunning()) {
+      return res.status(409).json({ error: 'A directory sync is already running' });
+    }
+
+    ldapSync.runSync({
+      trigger: 'manual',
+      triggeredBy: { id: req.user.id, username: req.user.username },
+      force: req.body.force === true
+    }).catch(error => logger.error('LDAP directory sync error', { error: error.message }));
+
+    logger.info('LDAP directory sync started', { startedBy: req.user.username, force: req.body.force === true });
+
+    res.status(202).json({ success: true, message: 'Directory sync started' });
+  } catch (error) {
+    logger.error('Error starting LDAP sync', { error: error.message });
+    res.status(500).json({ error: 'Failed to start LDAP sync' });
+  }
+});
+
+const groupMappingValidation = [
+  body('groupDn').isString().trim().isLength({ min: 1, max: 500 }),
+  body('role').optional({ nullable: true }).isIn(groupMappings.ROLES),
+  body('storageQuota').optional({ nullable: true }).isInt({ min: 0 }),
+  body('access').optional({ nullable: true }).isIn(['allow', 'deny']),
+  body('description').optional({ nullable: true }).isString().trim()
+];
+
+function formatGroupMapping(mapping) {
+  return {
+    id: mapping.id,
+    groupDn: mapping.group_dn,
+    role: mapping.role,
+    storageQuota: mapping.storage_quota !== null ? parseInt(mapping.storage_quota) : null,
+    access: mapping.access,
+    description: mapping.description,
+    createdAt: mapping.created_at,
+    updatedAt: mapping.updated_at
+  };
+}
+
+/**
+ * GET /api/admin/group-mappings
+ * List directory group mappings
+ */
+router.get('/group-mappings', async (req, res) => {
+  try {
+    const mappings = await groupMappings.listMappings();
+    res.json({ mappings: mappings.map(formatGroupMapping) });
+  } catch (error) {
+    logger.error('Error listing group mappings', { error: error.message });
+    res.status(500).json({ error: 'Failed to list group mappings' });
+  }
+});
+
+/**
+ * POST /api/admin/group-mappings
+ * Map an LDAP/Domino group to a role, storage quota and/or login access
+ */
+router.post('/group-mappings', groupMappingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupDn, role = null, storageQuota = null, access = null, description = null } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO group_mappings (group_dn, role, storage_quota, access, description)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (group_dn) DO NOTHING
+       RETURNING *`,
+      [groupDn, role, storageQuota, access, description]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'A mapping for this group already exists' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'GROUP_MAPPING_CREATE',
+      resourceType: 'group_mapping',
+      resourceId: result.rows[0].id,
+      details: { groupDn, role, storageQuota, access },
+      ipAddress: req.ip
+    });
+
+    logger.info('Group mapping created', { groupDn, role, storageQuota, access, createdBy: req.user.username });
+
+    res.status(201).json(formatGroupMapping(result.rows[0]));
+  } catch (error) {
+    logger.error('Error creating group mapping', { error: error.message });
+    res.status(500).json({ error: 'Failed to create group mapping' });
+  }
+});
+
+/**
+ * PUT /api/admin/group-mappings/:id
+ * Update a group mapping
+ */
+router.put('/group-mappings/:id', groupMappingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupDn, role = null, storageQuota = null, access = null, description = null } = req.body;
+
+    const result = await pool.query(
+      `UPDATE group_mappings
+       SET group_dn = $1, role = $2, storage_quota = $3, access = $4, description = $5
+       WHERE id = $6
+       RETURNING *`,
+      [groupDn, role, storageQuota, access, description, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Group mapping not found' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'GROUP_MAPPING_UPDATE',
+      resourceType: 'group_mapping',
+      resourceId: req.params.id,
+      details: { groupDn, role, storageQuota, access },
+      ipAddress: req.ip
+    });
+
+    logger.info('Group mapping updated', { id: req.params.id, groupDn, updatedBy: req.user.username });
+
+    res.json(formatGroupMapping(result.rows[0]));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A mapping for this group already exists' });
+    }
+    logger.error('Error updating group mapping', { error: error.message });
+    res.status(500).json({ error: 'Failed to update group mapping' });
+  }
+});
+
+/**
+ * DELETE /api/admin/group-mappings/:id
+ * Remove a group mapping
+ */
+router.delete('/group-mappings/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM group_mappings WHERE id = $1 RETURNING group_dn',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Group mapping not found' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'GROUP_MAPPING_DELETE',
+      resourceType: 'group_mapping',
+      resourceId: req.params.id,
+      details: { groupDn: result.rows[0].group_dn },
+      ipAddress: req.ip
+    });
+
+    logger.info('Group mapping deleted', { groupDn: result.rows[0].group_dn, deletedBy: req.user.username });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting group mapping', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete group mapping' });
+  }
+});
+
+/**
+ * GET /api/admin/2fa/policy
+ * Two-factor authentication policy
+ */
+router.get('/2fa/policy', async (req, res) => {
+  try {
+    res.json(await twoFactor.getPolicy());
+  } catch (error) {
+    logger.error('Error getting 2FA policy', { error: error.message });
+    res.status(500).json({ error: 'Failed to get two-factor policy' });
+  }
+});
+
+/**
+ * PUT /api/admin/2fa/policy
+ * Require two-factor authentication for local admin accounts
+ * Admins without it have to enrol at their next login.
+ */
+router.put('/2fa/policy', [
+  body('requireForAdmins').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const policy = await twoFactor.setPolicy({ requireForAdmins: req.body.requireForAdmins });
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TOTP_POLICY_UPDATE',
+      resourceType: 'config',
+      details: policy,
+      ipAddress: req.ip
+    });
+
+    logger.info('2FA policy updated', { ...policy, updatedBy: req.user.username });
+
+    res.json(policy);
+  } catch (error) {
+    logger.error('Error updating 2FA policy', { error: error.message });
+    res.status(500).json({ error: 'Failed to update two-factor policy' });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Reset two-factor authentication of a user who lost their authenticator
+ */
+router.delete('/users/:id/2fa', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found or two-factor authentication not enabled' });
+    }
+
+    await twoFactor.disable(req.params.id);
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TOTP_RESET',
+      resourceType: 'user',
+      resourceId: req.params.id,
+      ipAddress: req.ip
+    });
+
+    logger.info('2FA reset by admin', { username: result.rows[0].username, resetBy: req.user.username });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error resetting 2FA', { error: error.message });
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/admin/users/import
+ * Create users from a CSV file (multipart field "file"); see services/userImport
+ * for the columns. Nothing is created unless every row is valid. With
+ * dryRun=true only the validation report is returned.
+ */
+router.post('/users/import', csvUpload.single('file'), [
+  query('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file provided' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    let report;
+    try {
+      report = await userImport.check(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      if (error.code === 'EBADCSV') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const summary = {
+      dryRun,
+      total: report.total,
+      valid: report.users.length,
+      errors: report.errors
+    };
+
+    if (dryRun) {
+      return res.json({
+        ...summary,
+        users: report.users.map(({ row, username, email, role, authSource }) => ({ row, username, email, role, authSource }))
+      });
+    }
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({ ...summary, error: 'No users were imported, the file has errors', created: 0 });
+    }
+
+    const created = await userImport.createUsers(report.users);
+
+    for (const user of created) {
+      await auditService.log({
+        userId: req.user.id,
+        action: 'USER_CREATE',
+        resourceType: 'user',
+        resourceId: user.id,
+        details: { email: user.email, authSource: user.authSource, import: true },
+        ipAddress: req.ip
+      });
+    }
+
+    logger.info('Users imported', { count: created.length, importedBy: req.user.username });
+
+    res.status(201).json({ ...summary, created: created.length, users: created });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user in the file was created meanwhile, no users were imported' });
+    }
+    logger.error('Error importing users', { error: error.message });
+    res.status(500).json({ error: 'Failed to import users' });
+  }
+});
+
+/**
+ * GET /api/admin/users/export
+ * All users as CSV in the import format, with storage_used
+ */
+router.get('/users/export', async (req, res) => {
+  try {
+    const content = await userImport.exportCsv();
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'USER_EXPORT',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.attachment(`users-${stamp}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(content);
+  } catch (error) {
+    logger.error('Error exporting users', { error: error.message });
+    res.status(500).json({ error: 'Failed to export users' });
+  }
+});
+
+/**
+ * GET /api/admin/sessions
+ * Open editors: who is editing which file, most recently active first
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await editSessions.list() });
+  } catch (error) {
+    logger.error('Error listing editing sessions', { error: error.message });
+    res.status(500).json({ error: 'Failed to list editing sessions' });
+  }
+});
+
+/**
+ * DELETE /api/admin/sessions/:id
+ * Terminate an editing session: its WOPI token is revoked and the lock
+ * its user holds on the file is released
+ */
+router.delete('/sessions/:id', [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await editSessions.terminate(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'SESSION_TERMINATE',
+      resourceType: 'file',
+      resourceId: session.file_id,
+      details: { sessionId: session.id, sessionUserId: session.user_id, releasedLock: session.releasedLock },
+      ipAddress: req.ip
+    });
+
+    logger.info('Editing session terminated', {
+      sessionId: session.id,
+      fileId: session.file_id,
+      terminatedBy: req.user.username
+    });
+
+    res.json({ success: true, releasedLock: session.releasedLock });
+  } catch (error) {
+    logger.error('Error terminating editing session', { error: error.message });
+    res.status(500).json({ error: 'Failed to terminate editing session' });
+  }
+});
+
+const auditQueryValidation = [
+  query('userId').optional().isUUID(),
+  query('user').optional().isString(),
+  query('action').optional().isString(),
+  query('resourceType').optional().isString(),
+  query('resourceId').optional().isUUID(),
+  query('ip').optional().isIP(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+/**
+ * Audit filters from the query string; action takes a comma separated list
+ */
+function auditFilters(req) {
+  const { userId, user, action, resourceType, resourceId, ip, from, to } = req.query;
+  return {
+    userId,
+    user,
+    actions: action ? action.split(',').map(a => a.trim().toUpperCase()).filter(Boolean) : [],
+    resourceType,
+    resourceId,
+    ip,
+    from,
+    to
+  };
+}
+
+/**
+ * GET /api/admin/audit
+ * Query the audit log, newest first. Filters: userId, user (username or
+ * email), action, resourceType, resourceId, ip, from, to. Pages are
+ * fetched with limit and the nextCursor of the previous page.
+ */
+router.get('/audit', [
+  ...auditQueryValidation,
+  query('limit').optional().isInt({ min: 1, max: auditService.MAX_LIMIT }),
+  query('cursor').optional().custom(auditService.isValidCursor)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await auditService.search(auditFilters(req), {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    res.json(page);
+  } catch (error) {
+    logger.error('Error querying audit log', { error: error.message });
+    res.status(500).json({ error: 'Failed to query audit log' });
+  }
+});
+
+/**
+ * GET /api/admin/audit/actions
+ * Actions present in the audit log, for filtering
+ */
+router.get('/audit/actions', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+    res.json({ actions: result.rows.map(row => row.action) });
+  } catch (error) {
+    logger.error('Error listing audit actions', { error: error.message });
+    res.status(500).json({ error: 'Failed to list audit actions' });
+  }
+});
+
+/**
+ * GET /api/admin/audit/export
+ * Download all matching entries as CSV (default) or JSON lines
+ * (format=jsonl). Takes the same filters as GET /audit.
+ */
+router.get('/audit/export', [
+  ...auditQueryValidation,
+  query('format').optional().isIn(['csv', 'jsonl'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = req.query.format || 'csv';
+    const filters = auditFilters(req);
+
+    // Exports are audited themselves, with the filters used
+    await auditService.log({
+      userId: req.user.id,
+      action: 'AUDIT_EXPORT',
+      resourceType: 'audit',
+      details: { format, ...filters },
+      ipAddress: req.ip
+    });
+
+    async function* lines() {
+      if (format === 'csv') {
+        yield auditService.csvHeader();
+      }
+      for await (const entry of auditService.iterate(filters)) {
+        yield format === 'csv' ? auditService.toCsvRow(entry) : auditService.toJsonLine(entry);
+      }
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.attachment(`audit-log-${stamp}.${format}`);
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+
+    try {
+      await pipeline(Readable.from(lines()), res);
+    } catch (error) {
+      // Headers are sent; the aborted response marks the download as failed
+      logger.error('Audit export stream error', { error: error.message });
+      res.destroy(error);
+    }
+  } catch (error) {
+    logger.error('Error exporting audit log', { error: error.message });
+    res.status(500).json({ error: 'Failed to export audit log' });
+  }
+});
+
+/**
+ * GET /api/admin/audit/verify
+ * Verify the hash chain of the audit log
+ */
+router.get('/audit/verify', async (req, res) => {
+  try {
+    const result = await auditService.verify();
+
+    if (!result.valid) {
+      logger.warn('Audit log verification failed', { problemCount: result.problemCount, verifiedBy: req.user.username });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error verifying audit log', { error: error.message });
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+});
+
+/**
+ * POST /api/admin/audit/retention
+ * Archive and delete entries older than AUDIT_RETENTION_DAYS now.
+ * { force: true } also archives entries whose chain is broken.
+ */
+router.post('/audit/retention', async (req, res) => {
+  try {
+    if (auditService.RETENTION_DAYS <= 0) {
+      return res.status(400).json({ error: 'Audit retention is not configured (AUDIT_RETENTION_DAYS)' });
+    }
+
+    const report = await auditService.applyRetention({
+      triggeredBy: { id: req.user.id },
+      force: req.body.force === true,
+      ipAddress: req.ip
+    });
+
+    if (!report) {
+      return res.status(409).json({ error: 'Audit retention is already running' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Error applying audit retention', { error: error.message });
+    res.status(500).json({ error: 'Failed to apply audit retention' });
+  }
+});
+
+/**
+ * GET /api/admin/audit/archives
+ * Archives written by the retention job
+ */
+router.get('/audit/archives', async (req, res) => {
+  try {
+    res.json({
+      retentionDays: auditService.RETENTION_DAYS,
+      archives: await auditService.listArchives()
+    });
+  } catch (error) {
+    logger.error('Error listing audit archives', { error: error.message });
+    res.status(500).json({ error: 'Failed to list audit archives' });
+  }
+});
+
+/**
+ * GET /api/admin/audit/archives/:id/download
+ * Download an archive (gzipped JSON lines)
+ */
+router.get('/audit/archives/:id/download', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT storage_key FROM audit_archives WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].storage_key) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+
+    const key = result.rows[0].storage_key;
+    await storage.sendFile(res, key, key.split('/').pop(), 'application/gzip');
+  } catch (error) {
+    logger.error('Error downloading audit archive', { error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download audit archive' });
+    }
+  }
+});
+
 module.exports = router;
@@ -1,14 +1,22 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
+const { v4: uuidv4 } = require('uuid');
 const pool = require('../db/pool');
 const { authenticateToken, generateToken, generateRefreshToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 const ldapService = require('../services/ldap');
 const ltpaService = require('../services/ltpa');
+const oidcService = require('../services/oidc');
+const samlService = require('../services/saml');
+const groupMappings = require('../services/groupMappings');
+const tokenRevocation = require('../services/tokenRevocation');
+const twoFactor = require('../services/twoFactor');
+const auditService = require('../services/audit');
+const editSessions = require('../services/editSessions');
 
 const router = express.Router();
-const AUTH_MODE = process.env.AUTH_MODE || 'local'; // local, ldap, ltpa, ldap_ltpa, hybrid
+const AUTH_MODE = process.env.AUTH_MODE || 'local'; // local, ldap, ltpa, ldap_ltpa, oidc, saml, hybrid
 
 logger.info('Auth routes initialized', { authMode: AUTH_MODE });
 
@@ -90,16 +98,19 @@ router.post('/register', registerValidation, async (req, res) => {
     }
 
     // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    const sessionId = uuidv4();
+    const token = generateToken(user, sessionId);
+    const refreshToken = generateRefreshToken(user, sessionId);
 
     // Log audit (non-critical)
     try {
-      await pool.query(
-        `INSERT INTO audit_log (user_id, action, resource_type, details, ip_address) 
-         VALUES ($1, $2, $3, $4, $5)`,
-        [user.id, 'REGISTER', 'user', JSON.stringify({ email }), req.ip]
-      );
+      await auditService.log({
+        userId: user.id,
+        action: 'REGISTER',
+        resourceType: 'user',
+        details: { email },
+        ipAddress: req.ip
+      });
     } catch (auditErr) {
       logger.warn('Failed to log audit for registration', { userId: user.id, error: auditErr.message });
     }
@@ -142,6 +153,65 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+/**
+ * Issue the tokens (and LTPA cookies) of a successful password login
+ * @param {Object} [options]
+ * @param {string} [options.secondFactor] - 'totp', 'recovery' or 'setup'
+ * @param {Array<string>} [options.recoveryCodes] - Shown once after enrolment at login
+ */
+async function completeLogin(req, res, user, authSource, { secondFactor = null, recoveryCodes = null } = {}) {
+  // Update last login
+  await pool.query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  // Generate JWT tokens
+  const sessionId = uuidv4();
+  const token = generateToken(user, sessionId);
+  const refreshToken = generateRefreshToken(user, sessionId);
+
+  // Generate LTPA token if in LTPA-enabled modes
+  let ltpaToken = null;
+  if (['ltpa', 'ldap_ltpa', 'hybrid'].includes(AUTH_MODE)) {
+    ltpaToken = setLtpaCookies(res, user);
+  }
+
+  // Log audit
+  try {
+    await auditService.log({
+      userId: user.id,
+      action: 'LOGIN',
+      resourceType: 'user',
+      details: { email: user.email, authSource, ...(secondFactor && { secondFactor }) },
+      ipAddress: req.ip
+    });
+  } catch (auditErr) {
+    logger.warn('Failed to log audit for login', { error: auditErr.message });
+  }
+
+  logger.info('Login successful', { 
+    userId: user.id, 
+    email: user.email, 
+    authSource,
+    hasLtpaToken: !!ltpaToken
+  });
+
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      displayName: user.display_name,
+      role: user.role
+    },
+    token,
+    refreshToken,
+    authSource,
+    ...(recoveryCodes && { recoveryCodes })
+  });
+}
+
 /**
  * POST /api/auth/login
  * Authenticate user (supports local, LDAP, LTPA, ldap_ltpa, and hybrid modes)
@@ -171,7 +241,7 @@ router.post('/login', loginValidation, async (req, res) => {
       logger.info('Attempting LDAP authentication', { 
         loginIdentifier, 
         authMode: AUTH_MODE,
-        ldapUrl: process.env.LDAP_URL 
+        ldapUrl: ldapService.config.url 
       });
       
       try {
@@ -182,9 +252,19 @@ router.post('/login', loginValidation, async (req, res) => {
             email: ldapUser.email,
             isDomino: ldapUser.isDomino
           });
+          const policy = await groupMappings.resolve(ldapUser.groups || []);
+          if (policy.denied) {
+            logger.warn('LDAP login denied by group mapping', { username: ldapUser.username });
+            return res.status(403).json({ error: 'Access denied for your directory groups' });
+          }
+
           authSource = AUTH_MODE === 'ldap_ltpa' ? 'ldap_ltpa' : 'ldap';
           // Find or create user from LDAP
-          user = await findOrCreateLDAPUser(ldapUser);
+          user = await findOrCreateLDAPUser(ldapUser, policy, authSource);
+          if (!user.is_active) {
+            logger.warn('LDAP login for disabled account', { username: ldapUser.username });
+            return res.status(403).json({ error: 'Account is disabled' });
+          }
         } else {
           logger.warn('LDAP authentication returned null', { loginIdentifier });
         }
@@ -230,74 +310,146 @@ router.post('/login', loginValidation, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Update last login
-    await pool.query(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
+    // Local accounts with two-factor authentication (or required by policy
+    // to set it up) get a challenge for POST /login/2fa instead of tokens
+    if (authSource === 'local') {
+      const policy = await twoFactor.getPolicy();
+      if (user.totp_enabled_at || twoFactor.isRequired(user, policy)) {
+        const challenge = await twoFactor.createChallenge(user, authSource, { setup: !user.totp_enabled_at });
+        logger.info('Login requires a second factor', { userId: user.id, setup: challenge.setup });
+        return res.json({ twoFactorRequired: true, ...challenge });
+      }
+    }
+
+    await completeLogin(req, res, user, authSource);
+  } catch (error) {
+    logger.error('Login error', { error: error.message, stack: error.stack });
+    res.status(500).json({ 
+      error: 'Login failed',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: verifies a TOTP or recovery code for the challenge
+ * returned by POST /login. Users required to enrol confirm their new
+ * authenticator here and receive their recovery codes.
+ */
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code } = req.body;
+    const challenge = await twoFactor.getChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ error: 'The sign-in has expired, please sign in again' });
+    }
+
+    const attemptsRemaining = await twoFactor.countAttempt(challengeToken);
+    if (attemptsRemaining === null) {
+      return res.status(401).json({ error: 'Too many invalid codes, please sign in again', attemptsRemaining: 0 });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM users WHERE id = $1 AND is_active = true',
+      [challenge.userId]
     );
+    if (result.rows.length === 0) {
+      await twoFactor.consumeChallenge(challengeToken);
+      return res.status(401).json({ error: 'The sign-in has expired, please sign in again' });
+    }
+    const user = result.rows[0];
 
-    // Generate JWT tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    let secondFactor = null;
+    let recoveryCodes = null;
+    if (challenge.setup) {
+      recoveryCodes = await twoFactor.confirmSetup(user.id, code);
+      secondFactor = recoveryCodes ? 'setup' : null;
+    } else {
+      secondFactor = await twoFactor.verify(user.id, code);
+    }
 
-    // Generate LTPA token if in LTPA-enabled modes
-    let ltpaToken = null;
-    if (['ltpa', 'ldap_ltpa', 'hybrid'].includes(AUTH_MODE)) {
+    if (!secondFactor) {
+      await twoFactor.failChallenge(challengeToken, attemptsRemaining);
       try {
-        ltpaToken = ltpaService.generateToken(user.username, {
-          mail: user.email,
-          cn: user.display_name
+        await auditService.log({
+          userId: user.id,
+          action: 'LOGIN_2FA_FAILED',
+          resourceType: 'user',
+          details: { attemptsRemaining },
+          ipAddress: req.ip
         });
-        ltpaService.setTokenCookie(res, ltpaToken);
-        logger.info('LTPA token generated and set as cookie', { username: user.username });
-      } catch (ltpaErr) {
-        logger.warn('Failed to generate LTPA token', { error: ltpaErr.message });
+      } catch (auditErr) {
+        logger.warn('Failed to log audit for 2FA failure', { error: auditErr.message });
       }
+      logger.warn('Invalid second factor', { userId: user.id, attemptsRemaining });
+      return res.status(401).json({
+        error: attemptsRemaining > 0 ? 'Invalid verification code' : 'Too many invalid codes, please sign in again',
+        attemptsRemaining
+      });
     }
 
-    // Log audit
-    try {
-      await pool.query(
-        `INSERT INTO audit_log (user_id, action, resource_type, details, ip_address) 
-         VALUES ($1, $2, $3, $4, $5)`,
-        [user.id, 'LOGIN', 'user', JSON.stringify({ email: user.email, authSource }), req.ip]
-      );
-    } catch (auditErr) {
-      logger.warn('Failed to log audit for login', { error: auditErr.message });
+    await twoFactor.consumeChallenge(challengeToken);
+    if (secondFactor === 'setup') {
+      await auditService.log({
+        userId: user.id,
+        action: 'TOTP_ENABLE',
+        resourceType: 'user',
+        ipAddress: req.ip
+      });
     }
 
-    logger.info('Login successful', { 
-      userId: user.id, 
-      email: user.email, 
-      authSource,
-      hasLtpaToken: !!ltpaToken
-    });
-
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        displayName: user.display_name,
-        role: user.role
-      },
-      token,
-      refreshToken,
-      authSource
-    });
+    await completeLogin(req, res, user, challenge.authSource, { secondFactor, recoveryCodes });
   } catch (error) {
-    logger.error('Login error', { error: error.message, stack: error.stack });
-    res.status(500).json({ 
-      error: 'Login failed',
-      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
-    });
+    logger.error('Two-factor login error', { error: error.message });
+    res.status(500).json({ error: 'Login failed' });
   }
 });
 
+/**
+ * Set the LTPA cookies for a signed-in user
+ * @returns {string|null} The LTPA2 token, or null if it could not be generated
+ */
+function setLtpaCookies(res, user) {
+  let ltpaToken = null;
+  try {
+    ltpaToken = ltpaService.generateToken(user.username, {
+      mail: user.email,
+      cn: user.display_name
+    });
+    ltpaService.setTokenCookie(res, ltpaToken);
+    logger.info('LTPA token generated and set as cookie', { username: user.username });
+  } catch (ltpaErr) {
+    logger.warn('Failed to generate LTPA token', { error: ltpaErr.message });
+  }
+
+  // Older Domino servers only accept the LTPA1 LtpaToken cookie
+  if (ltpaService.config.dominoSecret && ltpaService.config.cookieNameFallback) {
+    try {
+      const dominoToken = ltpaService.generateDominoToken(user.username);
+      ltpaService.setTokenCookie(res, dominoToken, null, ltpaService.config.cookieNameFallback);
+    } catch (ltpaErr) {
+      logger.warn('Failed to generate Domino LtpaToken', { error: ltpaErr.message });
+    }
+  }
+  return ltpaToken;
+}
+
 /**
  * Find or create user from LDAP authentication
+ * @param {Object} ldapUser - User data from the directory
+ * @param {Object} policy - Role and quota from the group mappings
+ * @param {string} authSource - Authentication source (ldap, ldap_ltpa)
  */
-async function findOrCreateLDAPUser(ldapUser) {
+async function findOrCreateLDAPUser(ldapUser, policy, authSource = 'ldap') {
   try {
     let result = await pool.query(
       'SELECT * FROM users WHERE username = $1',
@@ -305,20 +457,29 @@ async function findOrCreateLDAPUser(ldapUser) {
     );
 
     if (result.rows.length > 0) {
+      const existing = result.rows[0];
+      // Accounts disabled by an admin stay disabled. Accounts the directory sync
+      // deprovisioned come back once the directory accepts their password again.
+      if (!existing.is_active && !existing.deprovisioned_at) {
+        return existing;
+      }
+
       // Update existing user with LDAP info
       await pool.query(
-        'UPDATE users SET display_name = $1, auth_source = $2 WHERE id = $3',
-        [ldapUser.displayName, 'ldap', result.rows[0].id]
+        `UPDATE users SET display_name = $1, auth_source = $2, ldap_dn = $3, is_active = true, deprovisioned_at = NULL
+         WHERE id = $4`,
+        [ldapUser.displayName, authSource, ldapUser.ldapDN, existing.id]
       );
-      return result.rows[0];
+      // Role and quota follow the directory groups on every login
+      return groupMappings.applyToUser({ ...existing, is_active: true }, policy);
     }
 
     // Create new user from LDAP
     result = await pool.query(
-      `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, is_active)
-       VALUES ($1, $2, $3, $4, $5, $6, true)
+      `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, ldap_dn, storage_quota, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 5368709120), true)
        RETURNING *`,
-      [ldapUser.username, ldapUser.email, 'LDAP_AUTH', ldapUser.displayName, ldapUser.role, 'ldap']
+      [ldapUser.username, ldapUser.email, 'LDAP_AUTH', ldapUser.displayName, policy.role, authSource, ldapUser.ldapDN, policy.storageQuota]
     );
 
     // Create root folder for new user
@@ -336,6 +497,322 @@ async function findOrCreateLDAPUser(ldapUser) {
   }
 }
 
+// Column holding the identity provider's subject, per SSO auth source
+const SSO_SUBJECT_COLUMNS = {
+  oidc: 'oidc_subject',
+  saml: 'saml_subject'
+};
+
+// Directory-backed accounts that a single sign-on login may take over
+const LINKABLE_AUTH_SOURCES = ['ldap', 'ltpa', 'ldap_ltpa'];
+
+/**
+ * Whether a single sign-on login may take over an existing account with
+ * its username. Only directory accounts qualify, never local or admin
+ * accounts, and only when the provider vouches for the account's email.
+ */
+function canLinkAccount(existing, profile) {
+  return LINKABLE_AUTH_SOURCES.includes(existing.auth_source) &&
+    existing.role !== 'admin' &&
+    profile.emailVerified === true &&
+    !!existing.email &&
+    existing.email.toLowerCase() === profile.email.toLowerCase();
+}
+
+/**
+ * Find or create user from a single sign-on login (OIDC claims or SAML assertion)
+ * Users are matched by the provider's subject; with linkExisting a directory
+ * account with the same username and verified email is taken over once
+ * (see canLinkAccount).
+ * @param {Object} profile - { subject, username, email, emailVerified, displayName }
+ * @param {string} authSource - 'oidc' or 'saml'
+ */
+async function findOrCreateSSOUser(profile, policy, authSource, linkExisting) {
+  const subjectColumn = SSO_SUBJECT_COLUMNS[authSource];
+  let result = await pool.query(
+    `SELECT * FROM users WHERE ${subjectColumn} = $1`,
+    [profile.subject]
+  );
+
+  if (result.rows.length === 0 && linkExisting) {
+    result = await pool.query(
+      `SELECT * FROM users WHERE username = $1 AND ${subjectColumn} IS NULL`,
+      [profile.username]
+    );
+    if (result.rows.length > 0 && !canLinkAccount(result.rows[0], profile)) {
+      logger.warn('Single sign-on login not linked to existing account', {
+        username: profile.username,
+        authSource,
+        existingAuthSource: result.rows[0].auth_source
+      });
+      result = { rows: [] };
+    }
+  }
+
+  if (result.rows.length > 0) {
+    const existing = result.rows[0];
+    if (!existing.is_active) {
+      return existing;
+    }
+
+    await pool.query(
+      `UPDATE users SET email = $1, display_name = $2, auth_source = $3, ${subjectColumn} = $4
+       WHERE id = $5`,
+      [profile.email, profile.displayName, authSource, profile.subject, existing.id]
+    );
+    // Role and quota follow the provider on every login
+    return groupMappings.applyToUser(
+      { ...existing, email: profile.email, display_name: profile.displayName },
+      policy
+    );
+  }
+
+  // A username or email taken by another account fails on the unique constraints
+  result = await pool.query(
+    `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, ${subjectColumn}, storage_quota, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 5368709120), true)
+     RETURNING *`,
+    [profile.username, profile.email, 'EXTERNAL_AUTH', profile.displayName, policy.role || 'user', authSource, profile.subject, policy.storageQuota]
+  );
+
+  await pool.query(
+    'INSERT INTO folders (owner_id, name) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [result.rows[0].id, 'My Documents']
+  );
+
+  logger.info('Created user from single sign-on', { username: profile.username, authSource });
+  return result.rows[0];
+}
+
+/**
+ * Sign in a user authenticated by an identity provider: issues the tokens
+ * and leaves them in the session for POST /sso/complete, so they never
+ * travel through a URL
+ * @param {Object} [options]
+ * @param {boolean} [options.ltpaCookie] - Also set the LTPA cookie on completion
+ * @returns {Promise<string>} The session ID of the new tokens
+ */
+async function startSsoSession(req, user, authSource, { ltpaCookie = false } = {}) {
+  await pool.query(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+    [user.id]
+  );
+
+  const sessionId = uuidv4();
+  const token = generateToken(user, sessionId);
+  const refreshToken = generateRefreshToken(user, sessionId);
+
+  try {
+    await auditService.log({
+      userId: user.id,
+      action: 'LOGIN',
+      resourceType: 'user',
+      details: { email: user.email, authSource },
+      ipAddress: req.ip
+    });
+  } catch (auditErr) {
+    logger.warn('Failed to log audit for login', { error: auditErr.message });
+  }
+
+  logger.info('Login successful', { userId: user.id, email: user.email, authSource });
+
+  req.session.ssoLogin = {
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      displayName: user.display_name,
+      role: user.role
+    },
+    token,
+    refreshToken,
+    authSource,
+    ltpaCookie
+  };
+  return sessionId;
+}
+
+function ssoFailure(res, message) {
+  res.redirect(`/login?sso_error=${encodeURIComponent(message)}`);
+}
+
+/**
+ * GET /api/auth/oidc/login
+ * Redirect to the identity provider (authorization code flow with PKCE)
+ */
+router.get('/oidc/login', async (req, res) => {
+  if (!oidcService.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not enabled' });
+  }
+
+  try {
+    const request = await oidcService.createAuthorizationRequest();
+    req.session.oidc = {
+      state: request.state,
+      nonce: request.nonce,
+      codeVerifier: request.codeVerifier
+    };
+    res.redirect(request.url);
+  } catch (error) {
+    logger.error('OIDC login error', { error: error.message });
+    ssoFailure(res, 'The identity provider is not reachable');
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Redirect target of the identity provider: verifies the login, provisions
+ * the user and leaves the tokens in the session for /sso/complete
+ */
+router.get('/oidc/callback', async (req, res) => {
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+
+  const fail = (message) => ssoFailure(res, message);
+
+  if (!oidcService.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not enabled' });
+  }
+
+  try {
+    if (req.query.error) {
+      logger.warn('OIDC provider returned an error', {
+        error: req.query.error,
+        description: req.query.error_description
+      });
+      return fail(req.query.error_description || req.query.error);
+    }
+
+    if (!pending || !req.query.code || req.query.state !== pending.state) {
+      return fail('The sign-in request expired, please try again');
+    }
+
+    const { claims, idToken } = await oidcService.completeLogin(req.query.code, pending);
+    const profile = oidcService.mapClaims(claims);
+
+    const policy = await oidcService.resolvePolicy(profile);
+    if (policy.denied) {
+      logger.warn('OIDC login denied by group mapping', { username: profile.username });
+      return fail('Access denied for your directory groups');
+    }
+
+    const user = await findOrCreateSSOUser(profile, policy, 'oidc', oidcService.config.linkExisting);
+    if (!user.is_active) {
+      logger.warn('OIDC login for disabled account', { username: profile.username });
+      return fail('Account is disabled');
+    }
+
+    const sessionId = await startSsoSession(req, user, 'oidc');
+    await oidcService.rememberSession(sessionId, idToken);
+    res.redirect('/login?sso=1');
+  } catch (error) {
+    logger.error('OIDC callback error', { error: error.message });
+    fail(error.code === '23505'
+      ? 'An account with this username or email already exists'
+      : 'Single sign-on failed');
+  }
+});
+
+/**
+ * GET /api/auth/saml/metadata
+ * Service provider metadata for registering this application at the IdP
+ */
+router.get('/saml/metadata', (req, res) => {
+  if (!samlService.configured) {
+    return res.status(404).json({ error: 'SAML is not configured' });
+  }
+
+  try {
+    res.type('application/samlmetadata+xml').send(samlService.getMetadata());
+  } catch (error) {
+    logger.error('SAML metadata error', { error: error.message });
+    res.status(500).json({ error: 'Failed to generate SAML metadata' });
+  }
+});
+
+/**
+ * GET /api/auth/saml/login
+ * Redirect to the identity provider with a signed AuthnRequest
+ */
+router.get('/saml/login', async (req, res) => {
+  if (!samlService.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not enabled' });
+  }
+
+  try {
+    res.redirect(await samlService.getLoginUrl());
+  } catch (error) {
+    logger.error('SAML login error', { error: error.message });
+    ssoFailure(res, 'Single sign-on failed');
+  }
+});
+
+/**
+ * POST /api/auth/saml/acs
+ * Assertion consumer service: validates the posted SAMLResponse, provisions
+ * the user and leaves the tokens in the session for /sso/complete
+ */
+router.post('/saml/acs', async (req, res) => {
+  if (!samlService.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not enabled' });
+  }
+
+  try {
+    if (!req.body?.SAMLResponse) {
+      return ssoFailure(res, 'The identity provider sent no SAML response');
+    }
+
+    let assertion;
+    try {
+      assertion = await samlService.validateResponse(req.body);
+    } catch (validationErr) {
+      logger.warn('SAML response rejected', { error: validationErr.message });
+      return ssoFailure(res, 'The sign-in response was not accepted, please try again');
+    }
+
+    const profile = samlService.mapProfile(assertion);
+    const policy = await samlService.resolvePolicy(profile);
+    if (policy.denied) {
+      logger.warn('SAML login denied by group mapping', { username: profile.username });
+      return ssoFailure(res, 'Access denied for your directory groups');
+    }
+
+    const user = await findOrCreateSSOUser(profile, policy, 'saml', samlService.config.linkExisting);
+    if (!user.is_active) {
+      logger.warn('SAML login for disabled account', { username: profile.username });
+      return ssoFailure(res, 'Account is disabled');
+    }
+
+    await startSsoSession(req, user, 'saml', { ltpaCookie: samlService.config.issueLtpaCookie });
+    res.redirect('/login?sso=1');
+  } catch (error) {
+    logger.error('SAML ACS error', { error: error.message });
+    ssoFailure(res, error.code === '23505'
+      ? 'An account with this username or email already exists'
+      : 'Single sign-on failed');
+  }
+});
+
+/**
+ * POST /api/auth/sso/complete
+ * Return the tokens of the single sign-on login finished in this browser
+ * session (once)
+ */
+router.post('/sso/complete', (req, res) => {
+  const login = req.session.ssoLogin;
+  if (!login) {
+    return res.status(401).json({ error: 'No single sign-on login in progress' });
+  }
+
+  delete req.session.ssoLogin;
+  const { ltpaCookie, ...response } = login;
+  if (ltpaCookie) {
+    const { username, email, displayName } = response.user;
+    setLtpaCookies(res, { username, email, display_name: displayName });
+  }
+  res.json(response);
+});
+
 /**
  * POST /api/auth/refresh
  * Refresh access token
@@ -355,6 +832,10 @@ router.post('/refresh', async (req, res) => {
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
+    if (await tokenRevocation.isSessionRevoked(decoded.sid)) {
+      return res.status(401).json({ error: 'Session has ended' });
+    }
+
     const result = await pool.query(
       'SELECT * FROM users WHERE id = $1 AND is_active = true',
       [decoded.userId]
@@ -365,8 +846,9 @@ router.post('/refresh', async (req, res) => {
     }
 
     const user = result.rows[0];
-    const token = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    const sessionId = decoded.sid || uuidv4();
+    const token = generateToken(user, sessionId);
+    const newRefreshToken = generateRefreshToken(user, sessionId);
 
     res.json({ token, refreshToken: newRefreshToken });
   } catch (error) {
@@ -416,19 +898,28 @@ router.get('/me', authenticateToken, async (req, res) => {
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, ip_address) 
-       VALUES ($1, $2, $3, $4)`,
-      [req.user.id, 'LOGOUT', 'user', req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'LOGOUT',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
 
-    // Clear active sessions
-    await pool.query(
-      'DELETE FROM active_sessions WHERE user_id = $1',
-      [req.user.id]
-    );
+    // Clear the editing sessions of this login
+    await editSessions.endForLogin(req.user.id, req.sessionId);
+
+    // Close editors opened from this session
+    await tokenRevocation.revokeSession(req.sessionId);
 
-    res.json({ message: 'Logged out successfully' });
+    // OIDC sessions also end at the identity provider
+    let logoutUrl = null;
+    try {
+      logoutUrl = await oidcService.endSession(req.sessionId);
+    } catch (oidcErr) {
+      logger.warn('Failed to build OIDC logout URL', { error: oidcErr.message });
+    }
+
+    res.json({ message: 'Logged out successfully', logoutUrl });
   } catch (error) {
     logger.error('Logout error:', error);
     res.status(500).json({ error: 'Logout failed' });
@@ -475,11 +966,12 @@ router.put('/password', authenticateToken, [
     );
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, ip_address) 
-       VALUES ($1, $2, $3, $4)`,
-      [req.user.id, 'PASSWORD_CHANGE', 'user', req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'PASSWORD_CHANGE',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
 
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
@@ -488,4 +980,162 @@ router.put('/password', authenticateToken, [
   }
 });
 
+/**
+ * Reject two-factor management for accounts it does not apply to
+ */
+function requireLocalAccount(req, res, next) {
+  if (!twoFactor.appliesTo(req.user)) {
+    return res.status(400).json({ error: 'Two-factor authentication is only available for local accounts' });
+  }
+  next();
+}
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor authentication status of the current user
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json(await twoFactor.getStatus(req.user));
+  } catch (error) {
+    logger.error('Get 2FA status error', { error: error.message });
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrolment: returns the secret and otpauth:// URI for the QR code
+ */
+router.post('/2fa/setup', authenticateToken, requireLocalAccount, async (req, res) => {
+  try {
+    const status = await twoFactor.getStatus(req.user);
+    if (status.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    res.json(await twoFactor.beginSetup(req.user));
+  } catch (error) {
+    logger.error('2FA setup error', { error: error.message });
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrolment with a code from the authenticator app
+ */
+router.post('/2fa/enable', authenticateToken, requireLocalAccount, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await twoFactor.hasPendingSetup(req.user.id))) {
+      return res.status(400).json({ error: 'Two-factor setup expired, please start again' });
+    }
+
+    const recoveryCodes = await twoFactor.confirmSetup(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TOTP_ENABLE',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
+
+    logger.info('Two-factor authentication enabled', { userId: req.user.id });
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    logger.error('2FA enable error', { error: error.message });
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off (password and a current code required)
+ */
+router.post('/2fa/disable', authenticateToken, requireLocalAccount, [
+  body('password').exists(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = await twoFactor.getStatus(req.user);
+    if (status.required) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your account' });
+    }
+
+    const result = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const validPassword = await bcrypt.compare(req.body.password, result.rows[0].password_hash);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await twoFactor.verify(req.user.id, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await twoFactor.disable(req.user.id);
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TOTP_DISABLE',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
+
+    logger.info('Two-factor authentication disabled', { userId: req.user.id });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('2FA disable error', { error: error.message });
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (a current code required)
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireLocalAccount, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!(await twoFactor.verify(req.user.id, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TOTP_RECOVERY_CODES',
+      resourceType: 'user',
+      ipAddress: req.ip
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error('2FA recovery codes error', { error: error.message });
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
 module.exports = router;
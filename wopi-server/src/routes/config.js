@@ -1,4 +1,6 @@
 const express = require('express');
+const oidcService = require('../services/oidc');
+const samlService = require('../services/saml');
 const router = express.Router();
 
 /**
@@ -38,11 +40,20 @@ router.get('/whitelabel', (req, res) => {
       enableForgotPassword: process.env.ENABLE_FORGOT_PASSWORD === 'true',
       showRecentDocuments: process.env.SHOW_RECENT_DOCUMENTS !== 'false',
       showStorageUsage: process.env.SHOW_STORAGE_USAGE !== 'false',
+      // Single sign-on buttons (OpenID Connect, SAML); SSO-only modes have no password form
+      enableSso: oidcService.enabled || samlService.enabled,
+      ssoProviders: [
+        oidcService.enabled && 'oidc',
+        samlService.enabled && 'saml',
+      ].filter(Boolean),
+      enablePasswordLogin: !['oidc', 'saml'].includes(process.env.AUTH_MODE),
     },
     textOverrides: {
       loginTitle: process.env.TEXT_LOGIN_TITLE || null,
       loginSubtitle: process.env.TEXT_LOGIN_SUBTITLE || 'Sign in to your account',
       loginButton: process.env.TEXT_LOGIN_BUTTON || 'Sign in',
+      ssoButton: process.env.TEXT_SSO_BUTTON || 'Sign in with SSO',
+      samlButton: process.env.TEXT_SAML_BUTTON || 'Sign in with SAML',
       dashboardTitle: process.env.TEXT_DASHBOARD_TITLE || 'My Documents',
     },
   };
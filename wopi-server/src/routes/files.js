@@ -1,17 +1,26 @@
 const express = require('express');
 const multer = require('multer');
+const { param, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const mime = require('mime-types');
 const pool = require('../db/pool');
 const { authenticateToken } = require('../middleware/auth');
-const { generateAccessToken, generateFileId } = require('../utils/crypto');
+const { createAccessToken, generateFileId } = require('../utils/crypto');
 const logger = require('../utils/logger');
 const { buildEditorUrl } = require('../services/discovery');
+const versionService = require('../services/versions');
+const auditService = require('../services/audit');
+const trashService = require('../services/trash');
+const editSessions = require('../services/editSessions');
+const storage = require('../services/storage');
+const tokenRevocation = require('../services/tokenRevocation');
+const { getFilePermission, getFolderPermission, resolveTargetFolder } = require('../services/permissions');
+const folderService = require('../services/folders');
 
 const router = express.Router();
-const STORAGE_PATH = process.env.STORAGE_PATH || '/storage';
 
 /**
  * Create a minimal valid ODF file buffer
@@ -140,26 +149,13 @@ const MIME_TO_CATEGORY = {
   'application/vnd.oasis.opendocument.graphics': 'drawing',
 };
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const userDir = path.join(STORAGE_PATH, req.user.id);
-    try {
-      await fs.mkdir(userDir, { recursive: true });
-      cb(null, userDir);
-    } catch (err) {
-      cb(err);
-    }
-  },
-  filename: (req, file, cb) => {
+// Configure multer to stream uploads into storage
+const upload = multer({
+  storage: storage.multerStorage((req, file) => {
     const fileId = generateFileId();
     const ext = path.extname(file.originalname);
-    cb(null, `${fileId}${ext}`);
-  }
-});
-
-const upload = multer({
-  storage,
+    return path.join(req.user.id, `${fileId}${ext}`);
+  }),
   limits: {
     fileSize: parseInt(process.env.MAX_UPLOAD_SIZE) * 1024 * 1024 || 100 * 1024 * 1024
   },
@@ -173,6 +169,40 @@ const upload = multer({
   }
 });
 
+const SHARE_PERMISSIONS = ['view', 'edit'];
+
+/**
+ * Format a file_shares row (joined with the recipient) for API responses
+ */
+function formatShare(share) {
+  const domain = process.env.DOMAIN || 'localhost';
+
+  return {
+    id: share.id,
+    type: share.is_public ? 'public' : 'user',
+    sharedWith: share.shared_with ? {
+      id: share.shared_with,
+      email: share.shared_with_email,
+      displayName: share.shared_with_name
+    } : null,
+    shareUrl: share.share_token ? `https://${domain}/shared/${share.share_token}` : null,
+    permission: share.permission,
+    expiresAt: share.expires_at,
+    expired: !!share.expires_at && new Date(share.expires_at) <= new Date(),
+    passwordProtected: !!share.password_hash,
+    createdAt: share.created_at
+  };
+}
+
+/**
+ * Convert an expiresIn value (days) to a timestamp; null/0 means no expiry
+ */
+function expiresInToDate(expiresIn) {
+  return expiresIn
+    ? new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000)
+    : null;
+}
+
 // All routes require authentication
 router.use(authenticateToken);
 
@@ -183,24 +213,36 @@ router.use(authenticateToken);
 router.get('/', async (req, res) => {
   try {
     const { folderId, search, sort = 'updated_at', order = 'desc' } = req.query;
-    
+
+    // Inside a folder, everything in it is visible to anyone with access to the
+    // folder (owner or a share on it or an ancestor); at the root only own files
+    let permission = 'edit';
+    if (folderId) {
+      permission = await getFolderPermission(folderId, req.user.id);
+      if (!permission) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+    }
+
     let query = `
       SELECT f.id, f.original_filename, f.mime_type, f.size, f.version, 
-             f.created_at, f.updated_at, f.parent_folder_id,
+             f.created_at, f.updated_at, f.parent_folder_id, f.owner_id,
              u.display_name as owner_name
       FROM files f
       JOIN users u ON f.owner_id = u.id
-      WHERE f.owner_id = $1 AND f.is_deleted = false
+      WHERE f.is_deleted = false
     `;
-    const params = [req.user.id];
-    let paramIndex = 2;
+    const params = [];
+    let paramIndex = 1;
 
     if (folderId) {
       query += ` AND f.parent_folder_id = $${paramIndex}`;
       params.push(folderId);
       paramIndex++;
     } else {
-      query += ` AND f.parent_folder_id IS NULL`;
+      query += ` AND f.owner_id = $${paramIndex} AND f.parent_folder_id IS NULL`;
+      params.push(req.user.id);
+      paramIndex++;
     }
 
     if (search) {
@@ -220,17 +262,17 @@ router.get('/', async (req, res) => {
 
     // Also get folders
     let foldersQuery = `
-      SELECT id, name, created_at, updated_at, parent_id
+      SELECT id, name, created_at, updated_at, parent_id, owner_id
       FROM folders
-      WHERE owner_id = $1
     `;
-    const folderParams = [req.user.id];
+    const folderParams = [];
 
     if (folderId) {
-      foldersQuery += ` AND parent_id = $2`;
+      foldersQuery += ` WHERE parent_id = $1`;
       folderParams.push(folderId);
     } else {
-      foldersQuery += ` AND parent_id IS NULL`;
+      foldersQuery += ` WHERE owner_id = $1 AND parent_id IS NULL`;
+      folderParams.push(req.user.id);
     }
 
     foldersQuery += ` ORDER BY name ASC`;
@@ -238,13 +280,15 @@ router.get('/', async (req, res) => {
     const foldersResult = await pool.query(foldersQuery, folderParams);
 
     res.json({
+      permission,
       folders: foldersResult.rows.map(f => ({
         id: f.id,
         name: f.name,
         type: 'folder',
         createdAt: f.created_at,
         updatedAt: f.updated_at,
-        parentId: f.parent_id
+        parentId: f.parent_id,
+        ownerId: f.owner_id
       })),
       files: result.rows.map(f => ({
         id: f.id,
@@ -256,6 +300,7 @@ router.get('/', async (req, res) => {
         createdAt: f.created_at,
         updatedAt: f.updated_at,
         parentFolderId: f.parent_folder_id,
+        ownerId: f.owner_id,
         ownerName: f.owner_name
       }))
     });
@@ -265,6 +310,145 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/files/shared
+ * List files and folders other users have shared with the current user
+ */
+router.get('/shared', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (f.id)
+              f.id, f.original_filename, f.mime_type, f.size, f.version,
+              f.created_at, f.updated_at,
+              u.display_name as owner_name, u.email as owner_email,
+              s.permission, s.expires_at, s.created_at as shared_at
+       FROM file_shares s
+       JOIN files f ON s.file_id = f.id
+       JOIN users u ON f.owner_id = u.id
+       WHERE s.shared_with = $1 AND f.is_deleted = false
+         AND (s.expires_at IS NULL OR s.expires_at > NOW())
+       ORDER BY f.id, (s.permission = 'edit') DESC`,
+      [req.user.id]
+    );
+
+    const files = result.rows
+      .map(f => ({
+        id: f.id,
+        name: f.original_filename,
+        mimeType: f.mime_type,
+        size: parseInt(f.size),
+        version: f.version,
+        type: 'file',
+        createdAt: f.created_at,
+        updatedAt: f.updated_at,
+        ownerName: f.owner_name,
+        ownerEmail: f.owner_email,
+        permission: f.permission,
+        sharedAt: f.shared_at,
+        expiresAt: f.expires_at
+      }))
+      .sort((a, b) => new Date(b.sharedAt) - new Date(a.sharedAt));
+
+    // Shared folders; their contents are browsed through GET /api/files?folderId=
+    const foldersResult = await pool.query(
+      `SELECT DISTINCT ON (d.id)
+              d.id, d.name, d.created_at, d.updated_at,
+              u.display_name as owner_name, u.email as owner_email,
+              s.permission, s.expires_at, s.created_at as shared_at
+       FROM file_shares s
+       JOIN folders d ON s.folder_id = d.id
+       JOIN users u ON d.owner_id = u.id
+       WHERE s.shared_with = $1
+         AND (s.expires_at IS NULL OR s.expires_at > NOW())
+       ORDER BY d.id, (s.permission = 'edit') DESC`,
+      [req.user.id]
+    );
+
+    const folders = foldersResult.rows
+      .map(d => ({
+        id: d.id,
+        name: d.name,
+        type: 'folder',
+        createdAt: d.created_at,
+        updatedAt: d.updated_at,
+        ownerName: d.owner_name,
+        ownerEmail: d.owner_email,
+        permission: d.permission,
+        sharedAt: d.shared_at,
+        expiresAt: d.expires_at
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ folders, files });
+  } catch (error) {
+    logger.error('List shared files error:', error);
+    res.status(500).json({ error: 'Failed to list shared files' });
+  }
+});
+
+/**
+ * GET /api/files/trash
+ * List files in the user's trash
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, original_filename, mime_type, size, version, deleted_at, parent_folder_id
+       FROM files
+       WHERE owner_id = $1 AND is_deleted = true
+       ORDER BY deleted_at DESC NULLS LAST`,
+      [req.user.id]
+    );
+
+    res.json({
+      retentionDays: trashService.RETENTION_DAYS,
+      files: result.rows.map(f => ({
+        id: f.id,
+        name: f.original_filename,
+        mimeType: f.mime_type,
+        size: parseInt(f.size),
+        version: f.version,
+        type: 'file',
+        deletedAt: f.deleted_at,
+        purgeAt: trashService.getPurgeDate(f.deleted_at),
+        parentFolderId: f.parent_folder_id
+      }))
+    });
+  } catch (error) {
+    logger.error('List trash error:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+/**
+ * DELETE /api/files/trash
+ * Empty the user's trash
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM files WHERE owner_id = $1 AND is_deleted = true',
+      [req.user.id]
+    );
+
+    const purged = await trashService.permanentlyDelete(result.rows.map(r => r.id));
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'TRASH_EMPTY',
+      resourceType: 'file',
+      details: { purged },
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    logger.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
 /**
  * POST /api/files/upload
  * Upload a new file
@@ -299,362 +483,1312 @@ router.post('/upload', (req, res, next) => {
     const { folderId } = req.body;
     logger.info('Processing upload', { filename: req.file.originalname, size: req.file.size });
 
+    // Uploads into a shared folder need edit access and belong to the folder owner
+    const target = await resolveTargetFolder(folderId, req.user.id);
+    if (target.error) {
+      await storage.delete(req.file.key);
+      return res.status(target.status).json({ error: target.error });
+    }
+
     // Check storage quota
     const userResult = await pool.query(
       'SELECT storage_quota, storage_used FROM users WHERE id = $1',
-      [req.user.id]
+      [target.ownerId]
     );
     const user = userResult.rows[0];
 
-    if (user.storage_used + req.file.size > user.storage_quota) {
+    if (parseInt(user.storage_used) + req.file.size > parseInt(user.storage_quota)) {
       // Delete uploaded file
-      await fs.unlink(req.file.path);
+      await storage.delete(req.file.key);
       return res.status(413).json({ error: 'Storage quota exceeded' });
     }
 
-    // Create file record
-    const fileId = uuidv4();
-    const storagePath = path.relative(STORAGE_PATH, req.file.path);
+    // Create file record
+    const fileId = uuidv4();
+    const storagePath = req.file.key;
+
+    const result = await pool.query(
+      `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        fileId,
+        target.ownerId,
+        req.file.filename,
+        req.file.originalname,
+        req.file.mimetype,
+        req.file.size,
+        storagePath,
+        target.folderId
+      ]
+    );
+
+    // Update owner storage
+    await pool.query(
+      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
+      [req.file.size, target.ownerId]
+    );
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_UPLOAD',
+      resourceType: 'file',
+      resourceId: fileId,
+      details: { filename: req.file.originalname },
+      ipAddress: req.ip
+    });
+
+    const file = result.rows[0];
+
+    res.status(201).json({
+      id: file.id,
+      name: file.original_filename,
+      mimeType: file.mime_type,
+      size: parseInt(file.size),
+      version: file.version,
+      createdAt: file.created_at,
+      updatedAt: file.updated_at
+    });
+  } catch (error) {
+    logger.error('Upload error:', error.message, { 
+      stack: error.stack,
+      code: error.code,
+      userId: req.user?.id 
+    });
+    if (req.file) {
+      await storage.delete(req.file.key).catch(() => {});
+    }
+    res.status(500).json({ 
+      error: 'Upload failed',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/files/:id
+ * Get file details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT f.*, u.display_name as owner_name
+       FROM files f
+       JOIN users u ON f.owner_id = u.id
+       WHERE f.id = $1 AND f.is_deleted = false`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    // Check access (owner, file share or shared parent folder)
+    const permission = await getFilePermission(file, req.user.id);
+    if (!permission) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      id: file.id,
+      name: file.original_filename,
+      mimeType: file.mime_type,
+      size: parseInt(file.size),
+      version: file.version,
+      createdAt: file.created_at,
+      updatedAt: file.updated_at,
+      ownerName: file.owner_name,
+      ownerId: file.owner_id,
+      parentFolderId: file.parent_folder_id,
+      permission
+    });
+  } catch (error) {
+    logger.error('Get file error:', error);
+    res.status(500).json({ error: 'Failed to get file' });
+  }
+});
+
+/**
+ * GET /api/files/:id/edit
+ * Get Collabora edit URL
+ */
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    // Check access and determine permission
+    const permission = await getFilePermission(file, req.user.id);
+    if (!permission) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Generate WOPI access token
+    const editSessionId = editSessions.newSessionId();
+    const accessToken = createAccessToken(file.id, req.user.id, permission, {
+      sessionId: req.sessionId,
+      editSessionId,
+      ip: req.ip
+    });
+    await editSessions.start({
+      id: editSessionId,
+      userId: req.user.id,
+      fileId: file.id,
+      permission,
+      loginSessionId: req.sessionId,
+      accessToken: accessToken.token,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Build Collabora URL using discovery service
+    const collaboraUrl = await buildEditorUrl(
+      file.id,
+      file.original_filename,
+      permission
+    );
+
+    res.json({
+      editUrl: collaboraUrl,
+      accessToken: accessToken.token,
+      accessTokenTtl: accessToken.ttl,
+      permission,
+      fileId: file.id,
+      fileName: file.original_filename
+    });
+  } catch (error) {
+    logger.error('Get edit URL error:', error);
+    res.status(500).json({ error: 'Failed to generate edit URL' });
+  }
+});
+
+/**
+ * GET /api/files/:id/download
+ * Download a file
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    // Check access
+    if (!(await getFilePermission(file, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await storage.sendFile(res, file.storage_path, file.original_filename, file.mime_type);
+  } catch (error) {
+    logger.error('Download error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+/**
+ * GET /api/files/:id/versions
+ * List the version history of a file
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    if (!(await getFilePermission(file, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const versions = await versionService.listVersions(file);
+
+    res.json({
+      fileId: file.id,
+      fileName: file.original_filename,
+      currentVersion: file.version,
+      versions
+    });
+  } catch (error) {
+    logger.error('List versions error:', error);
+    res.status(500).json({ error: 'Failed to list versions' });
+  }
+});
+
+/**
+ * GET /api/files/:id/activity
+ * Audit trail of a file for its owner, newest first: edits, renames, shares,
+ * versions and copies made from it. Paged with limit and cursor.
+ */
+router.get('/:id/activity', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, original_filename FROM files WHERE id = $1 AND owner_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (req.query.cursor && !auditService.isValidCursor(req.query.cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const page = await auditService.search({ fileId: req.params.id }, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    // Owners see who did what, but not the addresses of other users
+    res.json({
+      fileId: result.rows[0].id,
+      fileName: result.rows[0].original_filename,
+      entries: page.entries.map(entry => ({
+        id: entry.id,
+        createdAt: entry.createdAt,
+        action: entry.action,
+        userId: entry.userId,
+        username: entry.username,
+        resourceId: entry.resourceId,
+        details: entry.details
+      })),
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    logger.error('File activity error:', error);
+    res.status(500).json({ error: 'Failed to get file activity' });
+  }
+});
+
+/**
+ * GET /api/files/:id/versions/:version/download
+ * Download a previous version of a file
+ */
+router.get('/:id/versions/:version/download', [
+  param('version').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    if (!(await getFilePermission(file, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const version = parseInt(req.params.version);
+    const ext = path.extname(file.original_filename);
+    const baseName = path.basename(file.original_filename, ext);
+    const downloadName = `${baseName} (v${version})${ext}`;
+
+    if (version === file.version) {
+      return await storage.sendFile(res, file.storage_path, downloadName, file.mime_type);
+    }
+
+    const versionRow = await versionService.getVersion(file.id, version);
+    if (!versionRow) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    await storage.sendFile(res, versionRow.storage_path, downloadName, file.mime_type);
+  } catch (error) {
+    logger.error('Version download error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+/**
+ * POST /api/files/:id/versions/:version/restore
+ * Restore a previous version (creates a new version with the old content)
+ */
+router.post('/:id/versions/:version/restore', [
+  param('version').isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    const permission = await getFilePermission(file, req.user.id);
+    if (!permission) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (permission !== 'edit') {
+      return res.status(403).json({ error: 'Edit permission required' });
+    }
+
+    // Like PutFile, do not replace the content under another user's editor
+    const lockResult = await pool.query(
+      'SELECT * FROM file_locks WHERE file_id = $1 AND expires_at > NOW()',
+      [file.id]
+    );
+    if (lockResult.rows.length > 0 && lockResult.rows[0].locked_by !== req.user.id) {
+      return res.status(409).json({ error: 'File is being edited by another user' });
+    }
+
+    const version = parseInt(req.params.version);
+    if (version === file.version) {
+      return res.status(400).json({ error: 'Version is already current' });
+    }
+
+    const versionRow = await versionService.getVersion(file.id, version);
+    if (!versionRow) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const updated = await versionService.restoreVersion(file, versionRow, req.user.id);
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_VERSION_RESTORE',
+      resourceType: 'file',
+      resourceId: file.id,
+      details: { restoredVersion: version, newVersion: updated.version },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      id: updated.id,
+      name: updated.original_filename,
+      size: parseInt(updated.size),
+      version: updated.version,
+      restoredVersion: version,
+      updatedAt: updated.updated_at
+    });
+  } catch (error) {
+    logger.error('Version restore error:', error);
+    res.status(500).json({ error: 'Failed to restore version' });
+  }
+});
+
+/**
+ * PUT /api/files/:id
+ * Rename a file and/or move it to another folder
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, folderId } = req.body;
+
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    const permission = await getFilePermission(file, req.user.id);
+    if (!permission) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (permission !== 'edit') {
+      return res.status(403).json({ error: 'Edit permission required' });
+    }
+
+    let newName = file.original_filename;
+    if (name !== undefined) {
+      if (!name || !name.trim() || /[\/\\]/.test(name)) {
+        return res.status(400).json({ error: 'Invalid file name' });
+      }
+      newName = folderService.withExtension(name.trim(), file.original_filename);
+    }
+
+    let newFolderId = file.parent_folder_id;
+    if (folderId !== undefined) {
+      const target = await folderService.resolveMoveTarget(folderId, file.owner_id, req.user.id);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+      newFolderId = target.folderId;
+    }
+
+    const updated = await pool.query(
+      `UPDATE files SET original_filename = $1, parent_folder_id = $2
+       WHERE id = $3
+       RETURNING *`,
+      [newName, newFolderId, file.id]
+    );
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: folderId !== undefined ? 'FILE_MOVE' : 'FILE_RENAME',
+      resourceType: 'file',
+      resourceId: file.id,
+      details: { name: newName, fromFolderId: file.parent_folder_id, toFolderId: newFolderId },
+      ipAddress: req.ip
+    });
+
+    const updatedFile = updated.rows[0];
+
+    res.json({
+      id: updatedFile.id,
+      name: updatedFile.original_filename,
+      parentFolderId: updatedFile.parent_folder_id,
+      updatedAt: updatedFile.updated_at
+    });
+  } catch (error) {
+    logger.error('Update file error:', error);
+    res.status(500).json({ error: 'Failed to update file' });
+  }
+});
+
+/**
+ * POST /api/files/:id/copy
+ * Copy a file into a folder (the same folder by default)
+ */
+router.post('/:id/copy', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    if (!(await getFilePermission(file, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const folderId = req.body.folderId !== undefined ? req.body.folderId : file.parent_folder_id;
+    const target = await resolveTargetFolder(folderId, req.user.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    // Check storage quota
+    const userResult = await pool.query(
+      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
+      [target.ownerId]
+    );
+    const user = userResult.rows[0];
+
+    if (parseInt(user.storage_used) + parseInt(file.size) > parseInt(user.storage_quota)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    let copyName = name ? folderService.withExtension(name.trim(), file.original_filename) : null;
+    if (!copyName) {
+      const ext = path.extname(file.original_filename);
+      copyName = target.folderId === file.parent_folder_id && target.ownerId === file.owner_id
+        ? `${path.basename(file.original_filename, ext)} (copy)${ext}`
+        : file.original_filename;
+    }
+
+    const copy = await folderService.copyFile(file, target, copyName);
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_COPY',
+      resourceType: 'file',
+      resourceId: copy.id,
+      details: { sourceId: file.id, folderId: target.folderId },
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      id: copy.id,
+      name: copy.original_filename,
+      mimeType: copy.mime_type,
+      size: parseInt(copy.size),
+      parentFolderId: copy.parent_folder_id,
+      createdAt: copy.created_at
+    });
+  } catch (error) {
+    logger.error('Copy file error:', error);
+    res.status(500).json({ error: 'Failed to copy file' });
+  }
+});
+
+/**
+ * DELETE /api/files/:id
+ * Delete a file (soft delete)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = false',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = result.rows[0];
+
+    // Soft delete (moves the file to the trash and releases its quota)
+    await trashService.moveToTrash(file.id);
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_DELETE',
+      resourceType: 'file',
+      resourceId: file.id,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'File moved to trash' });
+  } catch (error) {
+    logger.error('Delete error:', error);
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+/**
+ * POST /api/files/:id/restore
+ * Restore a file from the trash
+ */
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = true',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    const file = result.rows[0];
+
+    // Check storage quota
+    const userResult = await pool.query(
+      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
+      [req.user.id]
+    );
+    const user = userResult.rows[0];
+
+    if (parseInt(user.storage_used) + parseInt(file.size) > parseInt(user.storage_quota)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
+
+    const restored = await trashService.restoreFromTrash(file.id);
+    if (!restored) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_RESTORE',
+      resourceType: 'file',
+      resourceId: file.id,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      id: restored.id,
+      name: restored.original_filename,
+      size: parseInt(restored.size),
+      parentFolderId: restored.parent_folder_id
+    });
+  } catch (error) {
+    logger.error('Restore error:', error);
+    res.status(500).json({ error: 'Restore failed' });
+  }
+});
+
+/**
+ * DELETE /api/files/:id/permanent
+ * Permanently delete a file from the trash
+ */
+router.delete('/:id/permanent', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = true',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'File not found in trash' });
+    }
+
+    await trashService.permanentlyDelete([req.params.id]);
+
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_PURGE',
+      resourceType: 'file',
+      resourceId: req.params.id,
+      ipAddress: req.ip
+    });
+
+    res.json({ message: 'File permanently deleted' });
+  } catch (error) {
+    logger.error('Permanent delete error:', error);
+    res.status(500).json({ error: 'Delete failed' });
+  }
+});
+
+/**
+ * Share handlers, used for both files and folders.
+ * A folder share is inherited by every file and subfolder below it.
+ */
+const SHARE_TARGETS = {
+  file: {
+    column: 'file_id',
+    notFound: 'File not found',
+    ownedQuery: 'SELECT id FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = false'
+  },
+  folder: {
+    column: 'folder_id',
+    notFound: 'Folder not found',
+    ownedQuery: 'SELECT id FROM folders WHERE id = $1 AND owner_id = $2'
+  }
+};
+
+function createShare(type) {
+  const target = SHARE_TARGETS[type];
+
+  return async (req, res) => {
+    try {
+      const { email, permission = 'view', isPublic = false, expiresIn, password } = req.body;
+
+      if (!SHARE_PERMISSIONS.includes(permission)) {
+        return res.status(400).json({ error: 'Invalid permission' });
+      }
+
+      if (isPublic && type !== 'file') {
+        return res.status(400).json({ error: 'Public links are only supported for files' });
+      }
+
+      const result = await pool.query(target.ownedQuery, [req.params.id, req.user.id]);
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: target.notFound });
+      }
+
+      const resourceId = result.rows[0].id;
+      let sharedWith = null;
+      let shareToken = null;
+
+      if (isPublic) {
+        // Generate public share token
+        shareToken = generateFileId();
+      } else if (email) {
+        // Find user by email
+        const userResult = await pool.query(
+          'SELECT id FROM users WHERE email = $1',
+          [email]
+        );
+        if (userResult.rows.length === 0) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+        sharedWith = userResult.rows[0].id;
+
+        if (sharedWith === req.user.id) {
+          return res.status(400).json({ error: `Cannot share a ${type} with yourself` });
+        }
+      } else {
+        return res.status(400).json({ error: 'Email or public share required' });
+      }
+
+      const expiresAt = expiresInToDate(expiresIn);
+
+      // Optional password protection for public links
+      const passwordHash = isPublic && password
+        ? await bcrypt.hash(password, 12)
+        : null;
+
+      // Sharing again with the same user updates the existing share
+      let shareResult;
+      let created = true;
+      if (sharedWith) {
+        shareResult = await pool.query(
+          `UPDATE file_shares SET permission = $1, expires_at = $2
+           WHERE ${target.column} = $3 AND shared_with = $4
+           RETURNING *`,
+          [permission, expiresAt, resourceId, sharedWith]
+        );
+        created = shareResult.rows.length === 0;
+        if (!created) {
+          // The permission may have been lowered for editors already open
+          await tokenRevocation.revokeGrants([sharedWith]);
+        }
+      }
+
+      if (created) {
+        shareResult = await pool.query(
+          `INSERT INTO file_shares (${target.column}, shared_by, shared_with, share_token, permission, is_public, expires_at, password_hash)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING *`,
+          [resourceId, req.user.id, sharedWith, shareToken, permission, isPublic, expiresAt, passwordHash]
+        );
+      }
+
+      const share = shareResult.rows[0];
+
+      // Log audit
+      await auditService.log({
+        userId: req.user.id,
+        action: type === 'file' ? 'FILE_SHARE' : 'FOLDER_SHARE',
+        resourceType: type,
+        resourceId,
+        details: { shareId: share.id, sharedWith, isPublic, permission },
+        ipAddress: req.ip
+      });
+
+      res.status(created ? 201 : 200).json({
+        id: share.id,
+        shareUrl: formatShare(share).shareUrl,
+        permission: share.permission,
+        expiresAt: share.expires_at,
+        passwordProtected: !!share.password_hash
+      });
+    } catch (error) {
+      logger.error('Share error:', error);
+      res.status(500).json({ error: `Failed to share ${type}` });
+    }
+  };
+}
+
+function listShares(type) {
+  const target = SHARE_TARGETS[type];
+
+  return async (req, res) => {
+    try {
+      const ownedResult = await pool.query(target.ownedQuery, [req.params.id, req.user.id]);
+
+      if (ownedResult.rows.length === 0) {
+        return res.status(404).json({ error: target.notFound });
+      }
+
+      const result = await pool.query(
+        `SELECT s.*, u.email as shared_with_email, u.display_name as shared_with_name
+         FROM file_shares s
+         LEFT JOIN users u ON s.shared_with = u.id
+         WHERE s.${target.column} = $1
+         ORDER BY s.created_at DESC`,
+        [req.params.id]
+      );
+
+      res.json({ shares: result.rows.map(formatShare) });
+    } catch (error) {
+      logger.error('List shares error:', error);
+      res.status(500).json({ error: 'Failed to list shares' });
+    }
+  };
+}
+
+function updateShare(type) {
+  const target = SHARE_TARGETS[type];
+
+  return async (req, res) => {
+    try {
+      const { permission, expiresIn, password } = req.body;
+
+      const ownedResult = await pool.query(target.ownedQuery, [req.params.id, req.user.id]);
+      if (ownedResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      const result = await pool.query(
+        `SELECT * FROM file_shares WHERE id = $1 AND ${target.column} = $2`,
+        [req.params.shareId, req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      const share = result.rows[0];
+      const updates = [];
+      const values = [];
+      let paramIndex = 1;
+
+      if (permission !== undefined) {
+        if (!SHARE_PERMISSIONS.includes(permission)) {
+          return res.status(400).json({ error: 'Invalid permission' });
+        }
+        updates.push(`permission = $${paramIndex++}`);
+        values.push(permission);
+      }
+
+      // expiresIn: number of days from now, or null to remove the expiry
+      if (expiresIn !== undefined) {
+        updates.push(`expires_at = $${paramIndex++}`);
+        values.push(expiresInToDate(expiresIn));
+      }
+
+      // password: new link password, or null/empty to remove it
+      if (password !== undefined) {
+        if (!share.is_public) {
+          return res.status(400).json({ error: 'Only public links can be password protected' });
+        }
+        updates.push(`password_hash = $${paramIndex++}`);
+        values.push(password ? await bcrypt.hash(password, 12) : null);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+      }
+
+      values.push(share.id);
+      await pool.query(
+        `UPDATE file_shares SET ${updates.join(', ')} WHERE id = $${paramIndex}`,
+        values
+      );
+
+      // Editors the user already has open re-check their permission
+      await tokenRevocation.revokeGrants([share.shared_with]);
+
+      const updated = await pool.query(
+        `SELECT s.*, u.email as shared_with_email, u.display_name as shared_with_name
+         FROM file_shares s
+         LEFT JOIN users u ON s.shared_with = u.id
+         WHERE s.id = $1`,
+        [share.id]
+      );
+
+      // Log audit
+      await auditService.log({
+        userId: req.user.id,
+        action: 'SHARE_UPDATE',
+        resourceType: type,
+        resourceId: req.params.id,
+        details: { shareId: share.id, permission, expiresIn, passwordChanged: password !== undefined },
+        ipAddress: req.ip
+      });
+
+      res.json(formatShare(updated.rows[0]));
+    } catch (error) {
+      logger.error('Update share error:', error);
+      res.status(500).json({ error: 'Failed to update share' });
+    }
+  };
+}
+
+function revokeShare(type) {
+  const target = SHARE_TARGETS[type];
+
+  return async (req, res) => {
+    try {
+      const ownedResult = await pool.query(target.ownedQuery, [req.params.id, req.user.id]);
+      if (ownedResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      const result = await pool.query(
+        `DELETE FROM file_shares WHERE id = $1 AND ${target.column} = $2
+         RETURNING id, shared_with, is_public`,
+        [req.params.shareId, req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      const share = result.rows[0];
+
+      // Editors the user already has open re-check their permission
+      await tokenRevocation.revokeGrants([share.shared_with]);
+
+      // Log audit
+      await auditService.log({
+        userId: req.user.id,
+        action: 'SHARE_REVOKE',
+        resourceType: type,
+        resourceId: req.params.id,
+        details: { shareId: share.id, sharedWith: share.shared_with, isPublic: share.is_public },
+        ipAddress: req.ip
+      });
+
+      res.json({ message: 'Share revoked' });
+    } catch (error) {
+      logger.error('Revoke share error:', error);
+      res.status(500).json({ error: 'Failed to revoke share' });
+    }
+  };
+}
+
+/**
+ * POST /api/files/:id/share
+ * Share a file
+ */
+router.post('/:id/share', createShare('file'));
+
+/**
+ * GET /api/files/:id/shares
+ * List the shares on a file (owner only)
+ */
+router.get('/:id/shares', listShares('file'));
+
+/**
+ * PUT /api/files/:id/shares/:shareId
+ * Update a share's permission, expiry or link password (owner only)
+ */
+router.put('/:id/shares/:shareId', updateShare('file'));
+
+/**
+ * DELETE /api/files/:id/shares/:shareId
+ * Revoke a share (owner only)
+ */
+router.delete('/:id/shares/:shareId', revokeShare('file'));
+
+/**
+ * POST /api/files/folder/:id/share
+ * Share a folder with a user; applies to everything inside it
+ */
+router.post('/folder/:id/share', createShare('folder'));
+
+/**
+ * GET /api/files/folder/:id/shares
+ * List the shares on a folder (owner only)
+ */
+router.get('/folder/:id/shares', listShares('folder'));
+
+/**
+ * PUT /api/files/folder/:id/shares/:shareId
+ * Update a folder share's permission or expiry (owner only)
+ */
+router.put('/folder/:id/shares/:shareId', updateShare('folder'));
+
+/**
+ * DELETE /api/files/folder/:id/shares/:shareId
+ * Revoke a folder share (owner only)
+ */
+router.delete('/folder/:id/shares/:shareId', revokeShare('folder'));
+
+/**
+ * POST /api/files/folder
+ * Create a new folder
+ */
+router.post('/folder', async (req, res) => {
+  try {
+    const { name, parentId } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Folder name required' });
+    }
+
+    const target = await resolveTargetFolder(parentId, req.user.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
 
     const result = await pool.query(
-      `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO folders (owner_id, name, parent_id)
+       VALUES ($1, $2, $3)
        RETURNING *`,
-      [
-        fileId,
-        req.user.id,
-        req.file.filename,
-        req.file.originalname,
-        req.file.mimetype,
-        req.file.size,
-        storagePath,
-        folderId || null
-      ]
-    );
-
-    // Update user storage
-    await pool.query(
-      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-      [req.file.size, req.user.id]
-    );
-
-    // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [req.user.id, 'FILE_UPLOAD', 'file', fileId, JSON.stringify({ filename: req.file.originalname }), req.ip]
+      [target.ownerId, name, target.folderId]
     );
 
-    const file = result.rows[0];
+    const folder = result.rows[0];
 
     res.status(201).json({
-      id: file.id,
-      name: file.original_filename,
-      mimeType: file.mime_type,
-      size: parseInt(file.size),
-      version: file.version,
-      createdAt: file.created_at,
-      updatedAt: file.updated_at
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parent_id,
+      createdAt: folder.created_at
     });
   } catch (error) {
-    logger.error('Upload error:', error.message, { 
-      stack: error.stack,
-      code: error.code,
-      userId: req.user?.id 
-    });
-    if (req.file) {
-      await fs.unlink(req.file.path).catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Folder already exists' });
     }
-    res.status(500).json({ 
-      error: 'Upload failed',
-      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
-    });
+    logger.error('Create folder error:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
   }
 });
 
 /**
- * GET /api/files/:id
- * Get file details
+ * GET /api/files/folder/:id
+ * Get folder details including its path from the root
  */
-router.get('/:id', async (req, res) => {
+router.get('/folder/:id', async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT f.*, u.display_name as owner_name
-       FROM files f
-       JOIN users u ON f.owner_id = u.id
-       WHERE f.id = $1 AND f.is_deleted = false`,
+      'SELECT * FROM folders WHERE id = $1',
       [req.params.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
+    const permission = result.rows.length > 0
+      ? await getFolderPermission(req.params.id, req.user.id)
+      : null;
 
-    const file = result.rows[0];
+    if (!permission) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
 
-    // Check access
-    if (file.owner_id !== req.user.id) {
-      // Check if shared
-      const shareResult = await pool.query(
-        'SELECT * FROM file_shares WHERE file_id = $1 AND shared_with = $2',
-        [file.id, req.user.id]
-      );
-      if (shareResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied' });
+    const folder = result.rows[0];
+    const folderPath = await folderService.getFolderPath(folder.id);
+
+    // Shared users only see the part of the path they have access to
+    const visiblePath = [];
+    for (const ancestor of folderPath) {
+      if (folder.owner_id === req.user.id || visiblePath.length > 0 ||
+          await getFolderPermission(ancestor.id, req.user.id)) {
+        visiblePath.push(ancestor);
       }
     }
 
     res.json({
-      id: file.id,
-      name: file.original_filename,
-      mimeType: file.mime_type,
-      size: parseInt(file.size),
-      version: file.version,
-      createdAt: file.created_at,
-      updatedAt: file.updated_at,
-      ownerName: file.owner_name,
-      ownerId: file.owner_id
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parent_id,
+      ownerId: folder.owner_id,
+      permission,
+      path: visiblePath,
+      createdAt: folder.created_at,
+      updatedAt: folder.updated_at
     });
   } catch (error) {
-    logger.error('Get file error:', error);
-    res.status(500).json({ error: 'Failed to get file' });
+    logger.error('Get folder error:', error);
+    res.status(500).json({ error: 'Failed to get folder' });
   }
 });
 
 /**
- * GET /api/files/:id/edit
- * Get Collabora edit URL
+ * PUT /api/files/folder/:id
+ * Rename a folder and/or move it under another parent
  */
-router.get('/:id/edit', async (req, res) => {
+router.put('/folder/:id', async (req, res) => {
   try {
+    const { name, parentId } = req.body;
+
     const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      'SELECT * FROM folders WHERE id = $1',
       [req.params.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    const permission = result.rows.length > 0
+      ? await getFolderPermission(req.params.id, req.user.id)
+      : null;
+
+    if (!permission) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (permission !== 'edit') {
+      return res.status(403).json({ error: 'Edit permission required' });
     }
 
-    const file = result.rows[0];
+    const folder = result.rows[0];
 
-    // Check access and determine permission
-    let permission = 'view';
-    if (file.owner_id === req.user.id) {
-      permission = 'edit';
-    } else {
-      const shareResult = await pool.query(
-        'SELECT permission FROM file_shares WHERE file_id = $1 AND shared_with = $2',
-        [file.id, req.user.id]
-      );
-      if (shareResult.rows.length > 0) {
-        permission = shareResult.rows[0].permission;
-      } else {
-        return res.status(403).json({ error: 'Access denied' });
+    let newName = folder.name;
+    if (name !== undefined) {
+      if (!name || !name.trim() || /[\/\\]/.test(name)) {
+        return res.status(400).json({ error: 'Invalid folder name' });
       }
+      newName = name.trim();
     }
 
-    // Generate WOPI access token
-    const accessToken = generateAccessToken(file.id, req.user.id, permission);
+    let newParentId = folder.parent_id;
+    if (parentId !== undefined) {
+      const target = await folderService.resolveMoveTarget(parentId, folder.owner_id, req.user.id);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+      if (await folderService.wouldCreateCycle(folder.id, target.folderId)) {
+        return res.status(400).json({ error: 'Cannot move a folder into itself or one of its subfolders' });
+      }
+      newParentId = target.folderId;
+    }
 
-    // Build Collabora URL using discovery service
-    const collaboraUrl = await buildEditorUrl(
-      file.id,
-      file.original_filename,
-      accessToken,
-      permission
+    const updated = await pool.query(
+      `UPDATE folders SET name = $1, parent_id = $2
+       WHERE id = $3
+       RETURNING *`,
+      [newName, newParentId, folder.id]
     );
 
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: parentId !== undefined ? 'FOLDER_MOVE' : 'FOLDER_RENAME',
+      resourceType: 'folder',
+      resourceId: folder.id,
+      details: { name: newName, fromParentId: folder.parent_id, toParentId: newParentId },
+      ipAddress: req.ip
+    });
+
+    const updatedFolder = updated.rows[0];
+
     res.json({
-      editUrl: collaboraUrl,
-      accessToken,
-      permission,
-      fileId: file.id,
-      fileName: file.original_filename
+      id: updatedFolder.id,
+      name: updatedFolder.name,
+      parentId: updatedFolder.parent_id,
+      updatedAt: updatedFolder.updated_at
     });
   } catch (error) {
-    logger.error('Get edit URL error:', error);
-    res.status(500).json({ error: 'Failed to generate edit URL' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A folder with this name already exists' });
+    }
+    logger.error('Update folder error:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
   }
 });
 
 /**
- * GET /api/files/:id/download
- * Download a file
+ * POST /api/files/folder/:id/copy
+ * Copy a folder and everything in it
  */
-router.get('/:id/download', async (req, res) => {
+router.post('/folder/:id/copy', async (req, res) => {
   try {
+    const { name } = req.body;
+
     const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
+      'SELECT * FROM folders WHERE id = $1',
       [req.params.id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    const permission = result.rows.length > 0
+      ? await getFolderPermission(req.params.id, req.user.id)
+      : null;
+
+    if (!permission) {
+      return res.status(404).json({ error: 'Folder not found' });
     }
 
-    const file = result.rows[0];
+    const folder = result.rows[0];
 
-    // Check access
-    if (file.owner_id !== req.user.id) {
-      const shareResult = await pool.query(
-        'SELECT * FROM file_shares WHERE file_id = $1 AND shared_with = $2',
-        [file.id, req.user.id]
-      );
-      if (shareResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    const parentId = req.body.parentId !== undefined ? req.body.parentId : folder.parent_id;
+    const target = await resolveTargetFolder(parentId, req.user.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
-    const filePath = path.join(STORAGE_PATH, file.storage_path);
-
-    res.download(filePath, file.original_filename);
-  } catch (error) {
-    logger.error('Download error:', error);
-    res.status(500).json({ error: 'Download failed' });
-  }
-});
+    if (await folderService.wouldCreateCycle(folder.id, target.folderId)) {
+      return res.status(400).json({ error: 'Cannot copy a folder into itself or one of its subfolders' });
+    }
 
-/**
- * DELETE /api/files/:id
- * Delete a file (soft delete)
- */
-router.delete('/:id', async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = false',
-      [req.params.id, req.user.id]
+    // Check storage quota for the whole tree
+    const { size: totalSize } = await folderService.getSubtreeSize(folder.id);
+    const userResult = await pool.query(
+      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
+      [target.ownerId]
     );
+    const user = userResult.rows[0];
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
+    if (parseInt(user.storage_used) + totalSize > parseInt(user.storage_quota)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
     }
 
-    const file = result.rows[0];
-
-    // Soft delete
-    await pool.query(
-      'UPDATE files SET is_deleted = true WHERE id = $1',
-      [file.id]
-    );
+    let copyName = name ? name.trim() : null;
+    if (!copyName) {
+      copyName = target.folderId === folder.parent_id && target.ownerId === folder.owner_id
+        ? `${folder.name} (copy)`
+        : folder.name;
+    }
 
-    // Update storage
-    await pool.query(
-      'UPDATE users SET storage_used = storage_used - $1 WHERE id = $2',
-      [file.size, req.user.id]
-    );
+    const copy = await folderService.copyFolder(folder.id, target, copyName);
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, ip_address)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [req.user.id, 'FILE_DELETE', 'file', file.id, req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FOLDER_COPY',
+      resourceType: 'folder',
+      resourceId: copy.id,
+      details: { sourceId: folder.id, parentId: target.folderId, size: totalSize },
+      ipAddress: req.ip
+    });
 
-    res.json({ message: 'File deleted' });
+    res.status(201).json({
+      id: copy.id,
+      name: copy.name,
+      parentId: copy.parent_id,
+      createdAt: copy.created_at
+    });
   } catch (error) {
-    logger.error('Delete error:', error);
-    res.status(500).json({ error: 'Delete failed' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A folder with this name already exists' });
+    }
+    logger.error('Copy folder error:', error);
+    res.status(500).json({ error: 'Failed to copy folder' });
   }
 });
 
 /**
- * POST /api/files/:id/share
- * Share a file
+ * DELETE /api/files/folder/:id
+ * Delete a folder; all files inside it (recursively) are moved to the trash
  */
-router.post('/:id/share', async (req, res) => {
+router.delete('/folder/:id', async (req, res) => {
   try {
-    const { email, permission = 'view', isPublic = false, expiresIn } = req.body;
-
     const result = await pool.query(
-      'SELECT * FROM files WHERE id = $1 AND owner_id = $2 AND is_deleted = false',
+      'SELECT * FROM folders WHERE id = $1 AND owner_id = $2',
       [req.params.id, req.user.id]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    const file = result.rows[0];
-    let sharedWith = null;
-    let shareToken = null;
-
-    if (isPublic) {
-      // Generate public share token
-      shareToken = generateFileId();
-    } else if (email) {
-      // Find user by email
-      const userResult = await pool.query(
-        'SELECT id FROM users WHERE email = $1',
-        [email]
-      );
-      if (userResult.rows.length === 0) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-      sharedWith = userResult.rows[0].id;
-    } else {
-      return res.status(400).json({ error: 'Email or public share required' });
-    }
-
-    const expiresAt = expiresIn 
-      ? new Date(Date.now() + expiresIn * 24 * 60 * 60 * 1000)
-      : null;
-
-    const shareResult = await pool.query(
-      `INSERT INTO file_shares (file_id, shared_by, shared_with, share_token, permission, is_public, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [file.id, req.user.id, sharedWith, shareToken, permission, isPublic, expiresAt]
-    );
-
-    const share = shareResult.rows[0];
-    const domain = process.env.DOMAIN || 'localhost';
-
-    res.status(201).json({
-      id: share.id,
-      shareUrl: shareToken ? `https://${domain}/shared/${shareToken}` : null,
-      permission: share.permission,
-      expiresAt: share.expires_at
-    });
-  } catch (error) {
-    logger.error('Share error:', error);
-    res.status(500).json({ error: 'Failed to share file' });
-  }
-});
-
-/**
- * POST /api/files/folder
- * Create a new folder
- */
-router.post('/folder', async (req, res) => {
-  try {
-    const { name, parentId } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: 'Folder name required' });
+      return res.status(404).json({ error: 'Folder not found' });
     }
 
-    const result = await pool.query(
-      `INSERT INTO folders (owner_id, name, parent_id)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [req.user.id, name, parentId || null]
-    );
-
     const folder = result.rows[0];
+    const trashedFiles = await folderService.deleteFolder(folder.id);
 
-    res.status(201).json({
-      id: folder.id,
-      name: folder.name,
-      parentId: folder.parent_id,
-      createdAt: folder.created_at
+    // Log audit
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FOLDER_DELETE',
+      resourceType: 'folder',
+      resourceId: folder.id,
+      details: { name: folder.name, trashedFiles },
+      ipAddress: req.ip
     });
+
+    res.json({ message: 'Folder deleted', trashedFiles });
   } catch (error) {
-    if (error.code === '23505') {
-      return res.status(409).json({ error: 'Folder already exists' });
-    }
-    logger.error('Create folder error:', error);
-    res.status(500).json({ error: 'Failed to create folder' });
+    logger.error('Delete folder error:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
   }
 });
 
@@ -719,44 +1853,64 @@ router.post('/create', async (req, res) => {
       return res.status(400).json({ error: 'Invalid document type' });
     }
 
+    const target = await resolveTargetFolder(folderId, req.user.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
     const filename = name.endsWith(`.${template.ext}`) ? name : `${name}.${template.ext}`;
     const fileId = uuidv4();
     const storageFilename = `${fileId}.${template.ext}`;
-    const userDir = path.join(STORAGE_PATH, req.user.id);
-    const filePath = path.join(userDir, storageFilename);
-    const storagePath = path.join(req.user.id, storageFilename);
-
-    // Create user directory
-    await fs.mkdir(userDir, { recursive: true });
+    const storagePath = path.join(target.ownerId, storageFilename);
 
-    // Copy template or create minimal ODF file
+    // Use the template or create minimal ODF file
     const templatePath = path.join(__dirname, '..', '..', 'templates', `empty.${template.ext}`);
+    let content;
     try {
-      await fs.copyFile(templatePath, filePath);
+      content = await fs.readFile(templatePath);
     } catch {
       // Create minimal valid ODF file if template doesn't exist
-      const minimalODF = createMinimalODF(type, template.mime);
-      await fs.writeFile(filePath, minimalODF);
+      content = createMinimalODF(type, template.mime);
     }
 
-    const stats = await fs.stat(filePath);
+    const stats = await storage.write(storagePath, content);
 
     // Create file record
     const result = await pool.query(
       `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [fileId, req.user.id, storageFilename, filename, template.mime, stats.size, storagePath, folderId || null]
+      [fileId, target.ownerId, storageFilename, filename, template.mime, stats.size, storagePath, target.folderId]
+    );
+
+    // Update owner storage
+    await pool.query(
+      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
+      [stats.size, target.ownerId]
     );
 
     const file = result.rows[0];
 
     // Generate edit URL using discovery service
-    const accessToken = generateAccessToken(file.id, req.user.id, 'edit');
+    const editSessionId = editSessions.newSessionId();
+    const accessToken = createAccessToken(file.id, req.user.id, 'edit', {
+      sessionId: req.sessionId,
+      editSessionId,
+      ip: req.ip
+    });
+    await editSessions.start({
+      id: editSessionId,
+      userId: req.user.id,
+      fileId: file.id,
+      permission: 'edit',
+      loginSessionId: req.sessionId,
+      accessToken: accessToken.token,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
     const editUrl = await buildEditorUrl(
       file.id,
       file.original_filename,
-      accessToken,
       'edit'
     );
 
@@ -765,6 +1919,8 @@ router.post('/create', async (req, res) => {
       name: file.original_filename,
       mimeType: file.mime_type,
       editUrl,
+      accessToken: accessToken.token,
+      accessTokenTtl: accessToken.ttl,
       createdAt: file.created_at
     });
   } catch (error) {
@@ -780,7 +1936,7 @@ router.post('/create', async (req, res) => {
 router.get('/:id/export-formats', async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT mime_type FROM files WHERE id = $1 AND is_deleted = false',
+      'SELECT * FROM files WHERE id = $1 AND is_deleted = false',
       [req.params.id]
     );
 
@@ -788,6 +1944,10 @@ router.get('/:id/export-formats', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
+    if (!(await getFilePermission(result.rows[0], req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
     const mimeType = result.rows[0].mime_type;
     const category = MIME_TO_CATEGORY[mimeType];
 
@@ -831,14 +1991,8 @@ router.post('/:id/export', async (req, res) => {
     const file = result.rows[0];
 
     // Check access
-    if (file.owner_id !== req.user.id) {
-      const shareResult = await pool.query(
-        'SELECT * FROM file_shares WHERE file_id = $1 AND shared_with = $2',
-        [file.id, req.user.id]
-      );
-      if (shareResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (!(await getFilePermission(file, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
     }
 
     // Get the target MIME type
@@ -848,8 +2002,7 @@ router.post('/:id/export', async (req, res) => {
     }
 
     // Read the source file
-    const filePath = path.join(STORAGE_PATH, file.storage_path);
-    const fileContent = await fs.readFile(filePath);
+    const fileContent = await storage.read(file.storage_path);
 
     // Call Collabora's conversion service
     const collaboraUrl = process.env.COLLABORA_URL || 'http://collabora:9980';
@@ -890,11 +2043,14 @@ router.post('/:id/export', async (req, res) => {
     res.send(convertedBuffer);
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [req.user.id, 'FILE_EXPORT', 'file', file.id, JSON.stringify({ format }), req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_EXPORT',
+      resourceType: 'file',
+      resourceId: file.id,
+      details: { format },
+      ipAddress: req.ip
+    });
   } catch (error) {
     logger.error('Export error:', error);
     res.status(500).json({ error: 'Export failed' });
@@ -926,14 +2082,14 @@ router.post('/:id/save-as', async (req, res) => {
     const sourceFile = result.rows[0];
 
     // Check access
-    if (sourceFile.owner_id !== req.user.id) {
-      const shareResult = await pool.query(
-        'SELECT * FROM file_shares WHERE file_id = $1 AND shared_with = $2',
-        [sourceFile.id, req.user.id]
-      );
-      if (shareResult.rows.length === 0) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (!(await getFilePermission(sourceFile, req.user.id))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Resolve destination; inside a shared folder the copy belongs to the folder owner
+    const target = await resolveTargetFolder(folderId, req.user.id);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
     }
 
     // Determine target format
@@ -942,8 +2098,7 @@ router.post('/:id/save-as', async (req, res) => {
     const targetMime = EXT_TO_MIME[targetExt] || sourceFile.mime_type;
 
     // Read source file
-    const sourcePath = path.join(STORAGE_PATH, sourceFile.storage_path);
-    let fileContent = await fs.readFile(sourcePath);
+    let fileContent = await storage.read(sourceFile.storage_path);
 
     // Convert if different format requested
     if (format && format !== sourceExt) {
@@ -974,51 +2129,44 @@ router.post('/:id/save-as', async (req, res) => {
     const newFileId = uuidv4();
     const newFilename = name.endsWith(`.${targetExt}`) ? name : `${name}.${targetExt}`;
     const storageFilename = `${newFileId}.${targetExt}`;
-    const userDir = path.join(STORAGE_PATH, req.user.id);
-    const newFilePath = path.join(userDir, storageFilename);
-    const storagePath = path.join(req.user.id, storageFilename);
-
-    await fs.mkdir(userDir, { recursive: true });
-    await fs.writeFile(newFilePath, fileContent);
-
-    const stats = await fs.stat(newFilePath);
+    const storagePath = path.join(target.ownerId, storageFilename);
 
     // Check storage quota
     const userResult = await pool.query(
       'SELECT storage_quota, storage_used FROM users WHERE id = $1',
-      [req.user.id]
+      [target.ownerId]
     );
     const user = userResult.rows[0];
 
-    if (user.storage_used + stats.size > user.storage_quota) {
-      await fs.unlink(newFilePath);
+    if (parseInt(user.storage_used) + fileContent.length > parseInt(user.storage_quota)) {
       return res.status(413).json({ error: 'Storage quota exceeded' });
     }
 
+    const stats = await storage.write(storagePath, fileContent);
+
     // Create file record
     const fileResult = await pool.query(
       `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
        RETURNING *`,
-      [newFileId, req.user.id, storageFilename, newFilename, targetMime, stats.size, storagePath, folderId || null]
+      [newFileId, target.ownerId, storageFilename, newFilename, targetMime, stats.size, storagePath, target.folderId]
     );
 
-    // Update user storage
+    // Update owner storage
     await pool.query(
       'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-      [stats.size, req.user.id]
+      [stats.size, target.ownerId]
     );
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [req.user.id, 'FILE_SAVE_AS', 'file', newFileId, JSON.stringify({ 
-        sourceId: sourceFile.id, 
-        newName: newFilename,
-        format: targetExt 
-      }), req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'FILE_SAVE_AS',
+      resourceType: 'file',
+      resourceId: newFileId,
+      details: { sourceId: sourceFile.id, newName: newFilename, format: targetExt },
+      ipAddress: req.ip
+    });
 
     const newFile = fileResult.rows[0];
 
@@ -0,0 +1,130 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../db/pool');
+const { createAccessToken, sharePasswordTag } = require('../utils/crypto');
+const logger = require('../utils/logger');
+const { buildEditorUrl } = require('../services/discovery');
+const auditService = require('../services/audit');
+
+const router = express.Router();
+
+/**
+ * Load a public share by token together with its file.
+ * Returns { share } on success or { status, error } when the link cannot be used.
+ */
+async function loadShare(shareToken) {
+  const result = await pool.query(
+    `SELECT s.id, s.file_id, s.permission, s.password_hash, s.expires_at,
+            f.original_filename, f.mime_type, f.size, f.updated_at,
+            u.display_name as owner_name
+     FROM file_shares s
+     JOIN files f ON s.file_id = f.id
+     JOIN users u ON f.owner_id = u.id
+     WHERE s.share_token = $1 AND s.is_public = true AND f.is_deleted = false`,
+    [shareToken]
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Share link not found' };
+  }
+
+  const share = result.rows[0];
+
+  if (share.expires_at && new Date(share.expires_at) <= new Date()) {
+    return { status: 410, error: 'Share link has expired' };
+  }
+
+  return { share };
+}
+
+/**
+ * GET /api/shared/:token
+ * Get public share details (no authentication required)
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const { share, status, error } = await loadShare(req.params.token);
+    if (!share) {
+      return res.status(status).json({ error });
+    }
+
+    res.json({
+      fileName: share.original_filename,
+      mimeType: share.mime_type,
+      size: parseInt(share.size),
+      updatedAt: share.updated_at,
+      ownerName: share.owner_name,
+      permission: share.permission,
+      expiresAt: share.expires_at,
+      requiresPassword: !!share.password_hash
+    });
+  } catch (error) {
+    logger.error('Get share error:', error);
+    res.status(500).json({ error: 'Failed to load share' });
+  }
+});
+
+/**
+ * POST /api/shared/:token/open
+ * Open a publicly shared document in Collabora as an anonymous user
+ */
+router.post('/:token/open', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const { share, status, error } = await loadShare(req.params.token);
+    if (!share) {
+      return res.status(status).json({ error });
+    }
+
+    if (share.password_hash) {
+      if (!password) {
+        return res.status(403).json({ error: 'Password required', requiresPassword: true });
+      }
+      const validPassword = await bcrypt.compare(password, share.password_hash);
+      if (!validPassword) {
+        logger.warn('Invalid share password', { shareId: share.id, ip: req.ip });
+        return res.status(403).json({ error: 'Invalid password', requiresPassword: true });
+      }
+    }
+
+    const permission = share.permission === 'edit' ? 'edit' : 'view';
+
+    // Anonymous WOPI token bound to the share
+    const accessToken = createAccessToken(share.file_id, null, permission, {
+      anonymous: true,
+      shareId: share.id,
+      sharePassword: sharePasswordTag(share.password_hash),
+      ip: req.ip
+    });
+
+    const editUrl = await buildEditorUrl(
+      share.file_id,
+      share.original_filename,
+      permission
+    );
+
+    // Log audit
+    await auditService.log({
+      action: 'SHARE_OPEN',
+      resourceType: 'file',
+      resourceId: share.file_id,
+      details: { shareId: share.id, permission },
+      ipAddress: req.ip
+    });
+
+    res.json({
+      editUrl,
+      accessToken: accessToken.token,
+      accessTokenTtl: accessToken.ttl,
+      permission,
+      fileId: share.file_id,
+      fileName: share.original_filename
+    });
+  } catch (error) {
+    logger.error('Open share error:', error);
+    res.status(500).json({ error: 'Failed to open shared document' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
+const { query, validationResult } = require('express-validator');
 const pool = require('../db/pool');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const tokenRevocation = require('../services/tokenRevocation');
+const auditService = require('../services/audit');
+const userValidation = require('../utils/userValidation');
 
 const router = express.Router();
 
@@ -14,14 +17,22 @@ router.use(authenticateToken);
  * GET /api/users
  * List all users (admin only)
  */
-router.get('/', requireAdmin, async (req, res) => {
+router.get('/', requireAdmin, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { search, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
     let query = `
-      SELECT id, email, username, display_name, role, storage_quota, storage_used, 
-             is_active, created_at, last_login
+      SELECT id, email, username, display_name, role, auth_source, storage_quota, storage_used,
+             is_active, totp_enabled_at IS NOT NULL AS totp_enabled, created_at, last_login
       FROM users
     `;
     const params = [];
@@ -54,9 +65,11 @@ router.get('/', requireAdmin, async (req, res) => {
         username: u.username,
         displayName: u.display_name,
         role: u.role,
+        authSource: u.auth_source,
         storageQuota: parseInt(u.storage_quota),
         storageUsed: parseInt(u.storage_used),
         isActive: u.is_active,
+        twoFactorEnabled: u.totp_enabled,
         createdAt: u.created_at,
         lastLogin: u.last_login
       })),
@@ -118,8 +131,11 @@ router.get('/:id', async (req, res) => {
  * Update user (admin or self)
  */
 router.put('/:id', [
-  body('displayName').optional().trim().escape(),
-  body('email').optional().isEmail().normalizeEmail()
+  userValidation.displayName(),
+  userValidation.email().optional(),
+  userValidation.role(),
+  userValidation.storageQuota(),
+  userValidation.isActive()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -133,6 +149,12 @@ router.put('/:id', [
     }
 
     const { displayName, email, role, storageQuota, isActive } = req.body;
+
+    // Admins cannot lock themselves out
+    if (req.user.id === req.params.id && (role === 'user' || isActive === false)) {
+      return res.status(400).json({ error: 'Cannot demote or disable yourself' });
+    }
+
     const updates = [];
     const values = [];
     let paramIndex = 1;
@@ -187,12 +209,20 @@ router.put('/:id', [
 
     const user = result.rows[0];
 
+    // Close the editors of a disabled account
+    if (!user.is_active) {
+      await tokenRevocation.revokeUser(user.id);
+    }
+
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [req.user.id, 'USER_UPDATE', 'user', req.params.id, JSON.stringify(req.body), req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'USER_UPDATE',
+      resourceType: 'user',
+      resourceId: req.params.id,
+      details: req.body,
+      ipAddress: req.ip
+    });
 
     res.json({
       id: user.id,
@@ -230,12 +260,16 @@ router.delete('/:id', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await tokenRevocation.revokeUser(req.params.id);
+
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, ip_address)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [req.user.id, 'USER_DELETE', 'user', req.params.id, req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'USER_DELETE',
+      resourceType: 'user',
+      resourceId: req.params.id,
+      ipAddress: req.ip
+    });
 
     res.json({ message: 'User deleted' });
   } catch (error) {
@@ -249,11 +283,12 @@ router.delete('/:id', requireAdmin, async (req, res) => {
  * Create new user (admin only)
  */
 router.post('/', requireAdmin, [
-  body('email').isEmail().normalizeEmail(),
-  body('username').isLength({ min: 3, max: 50 }).trim().escape(),
-  body('password').isLength({ min: 8 }),
-  body('displayName').optional().trim().escape(),
-  body('role').optional().isIn(['user', 'admin'])
+  userValidation.email(),
+  userValidation.username(),
+  userValidation.password(),
+  userValidation.displayName(),
+  userValidation.role(),
+  userValidation.storageQuota()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -293,11 +328,14 @@ router.post('/', requireAdmin, [
     );
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details, ip_address)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [req.user.id, 'USER_CREATE', 'user', user.id, JSON.stringify({ email }), req.ip]
-    );
+    await auditService.log({
+      userId: req.user.id,
+      action: 'USER_CREATE',
+      resourceType: 'user',
+      resourceId: user.id,
+      details: { email },
+      ipAddress: req.ip
+    });
 
     res.status(201).json({
       id: user.id,
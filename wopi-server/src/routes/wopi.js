@@ -1,13 +1,162 @@
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
+const { pipeline, Transform } = require('stream');
 const { v4: uuidv4 } = require('uuid');
 const pool = require('../db/pool');
-const { verifyAccessToken, generateLockId } = require('../utils/crypto');
+const { verifyAccessToken, generateAccessToken, generateLockId, sharePasswordTag } = require('../utils/crypto');
 const logger = require('../utils/logger');
+const { saveRevision } = require('../services/versions');
+const trashService = require('../services/trash');
+const storage = require('../services/storage');
+const tokenRevocation = require('../services/tokenRevocation');
+const auditService = require('../services/audit');
+const editSessions = require('../services/editSessions');
+const { getFilePermission } = require('../services/permissions');
+const { verifyWopiProof } = require('../middleware/wopiProof');
 
 const router = express.Router();
-const STORAGE_PATH = process.env.STORAGE_PATH || '/storage';
+
+// Largest document Collabora may save (PutFile / PUT_RELATIVE), in MB like uploads
+const MAX_PUT_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE) || 100) * 1024 * 1024;
+
+// WOPI operations anonymous (public link) users may never perform
+const OWNER_ONLY_OPERATIONS = ['PUT_RELATIVE', 'RENAME_FILE', 'DELETE'];
+
+// Every WOPI request must be signed by Collabora (see WOPI_PROOF_MODE)
+router.use(verifyWopiProof);
+
+/**
+ * Check an anonymous token against the public share it was issued for. The
+ * token stops working when the share is removed, expires or gets another
+ * password, and is downgraded to view when the link no longer allows editing.
+ * @returns {Promise<Object|null>} Token data, or null if the share cannot be used
+ */
+async function authorizeAnonymousToken(tokenData, fileId) {
+  const result = await pool.query(
+    `SELECT id, permission, password_hash FROM file_shares
+     WHERE id = $1 AND file_id = $2 AND is_public = true
+     AND (expires_at IS NULL OR expires_at > NOW())`,
+    [tokenData.shareId, fileId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const share = result.rows[0];
+  if ((tokenData.sharePassword ?? null) !== sharePasswordTag(share.password_hash)) {
+    logger.info('Anonymous WOPI token rejected, share password changed', { fileId, shareId: share.id });
+    return null;
+  }
+  if (tokenData.permissions === 'edit' && share.permission !== 'edit') {
+    return { ...tokenData, permissions: 'view' };
+  }
+  return tokenData;
+}
+
+/**
+ * Address of the user for the audit log. WOPI requests come from the
+ * Collabora server, so the address the token was issued to is used.
+ */
+function clientIp(tokenData, req) {
+  return tokenData.ip || req.ip;
+}
+
+/**
+ * Stream a request body into storage, failing with code ETOOLARGE once it
+ * exceeds MAX_PUT_SIZE and with code EINCOMPLETE if the client goes away
+ * before the end. Either way the storage write fails and nothing is stored.
+ * @returns {Promise<Object>} { size }
+ */
+async function writeRequestBody(req, storagePath) {
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_PUT_SIZE) {
+        const error = new Error('File too large');
+        error.code = 'ETOOLARGE';
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  const body = pipeline(req, limiter, (error) => {
+    if (error) {
+      // Fail the storage write rather than let it store a truncated body
+      limiter.destroy(error);
+    }
+  });
+
+  try {
+    return await storage.write(storagePath, body);
+  } catch (error) {
+    if (error.code !== 'ETOOLARGE' && !req.complete) {
+      const incomplete = new Error('Request body incomplete');
+      incomplete.code = 'EINCOMPLETE';
+      throw incomplete;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Map request body errors of writeRequestBody to a response
+ * @returns {boolean} Whether a response was sent
+ */
+function sendBodyError(error, res) {
+  if (error.code === 'ETOOLARGE') {
+    res.status(413).json({ error: 'File too large' });
+    return true;
+  }
+  if (error.code === 'EINCOMPLETE') {
+    res.status(400).json({ error: 'Request body incomplete' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Verify an access token for a file and check it has not been revoked.
+ * When the user's shares changed after the token was issued, the permission
+ * is resolved again and the token data downgraded to it.
+ * @returns {Promise<Object|null>} Token data, or null if the token is not valid for the file
+ */
+async function authorizeAccessToken(accessToken, fileId) {
+  const tokenData = verifyAccessToken(accessToken, fileId);
+  if (!tokenData) {
+    return null;
+  }
+
+  if (tokenData.anonymous) {
+    return authorizeAnonymousToken(tokenData, fileId);
+  }
+
+  const status = await tokenRevocation.getTokenStatus(tokenData);
+  if (status.revoked) {
+    logger.info('Revoked WOPI token rejected', { fileId, userId: tokenData.userId });
+    return null;
+  }
+
+  if (status.recheck) {
+    const result = await pool.query(
+      'SELECT id, owner_id, parent_folder_id FROM files WHERE id = $1',
+      [fileId]
+    );
+    const permission = result.rows.length > 0
+      ? await getFilePermission(result.rows[0], tokenData.userId)
+      : null;
+
+    if (!permission) {
+      return null;
+    }
+    if (permission === 'view') {
+      return { ...tokenData, permissions: 'view' };
+    }
+  }
+
+  return tokenData;
+}
 
 /**
  * WOPI CheckFileInfo
@@ -22,11 +171,13 @@ router.get('/files/:fileId', async (req, res) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const tokenData = verifyAccessToken(accessToken);
+    const tokenData = await authorizeAccessToken(accessToken, fileId);
     if (!tokenData) {
       return res.status(401).json({ error: 'Invalid access token' });
     }
 
+    editSessions.touch(tokenData);
+
     // Get file info
     const result = await pool.query(
       `SELECT f.*, u.display_name as owner_name, u.email as owner_email
@@ -44,15 +195,13 @@ router.get('/files/:fileId', async (req, res) => {
 
     // Check permissions
     const canEdit = tokenData.permissions === 'edit' || tokenData.permissions === 'admin';
-    const isOwner = tokenData.userId === file.owner_id;
+    const isAnonymous = !!tokenData.anonymous;
+    const isOwner = !isAnonymous && tokenData.userId === file.owner_id;
 
     // Get file stats
-    const filePath = path.join(STORAGE_PATH, file.storage_path);
-    let fileStats;
-    try {
-      fileStats = await fs.stat(filePath);
-    } catch (err) {
-      logger.error('File stat error:', err);
+    const fileStats = await storage.stat(file.storage_path);
+    if (!fileStats) {
+      logger.error('File missing from storage', { fileId, storagePath: file.storage_path });
       return res.status(404).json({ error: 'File not found on storage' });
     }
 
@@ -69,13 +218,13 @@ router.get('/files/:fileId', async (req, res) => {
       BaseFileName: file.original_filename,
       OwnerId: file.owner_id,
       Size: parseInt(file.size),
-      UserId: tokenData.userId,
+      UserId: isAnonymous ? `anonymous-${tokenData.shareId}` : tokenData.userId,
       Version: file.version.toString(),
       LastModifiedTime: file.updated_at.toISOString(),
       
       // User permissions
       UserCanWrite: canEdit,
-      UserCanNotWriteRelative: !canEdit,
+      UserCanNotWriteRelative: !canEdit || isAnonymous,
       ReadOnly: !canEdit,
       UserCanRename: isOwner,
       
@@ -87,10 +236,10 @@ router.get('/files/:fileId', async (req, res) => {
       HideSaveOption: false,
       HideExportOption: false,
       EnableInsertRemoteImage: true,
-      EnableShare: true,
+      EnableShare: !isAnonymous,
       
       // User info
-      UserFriendlyName: file.owner_name,
+      UserFriendlyName: isAnonymous ? 'Guest' : file.owner_name,
       UserExtraInfo: {},
       
       // File info
@@ -107,13 +256,10 @@ router.get('/files/:fileId', async (req, res) => {
       SupportsRename: isOwner,
       SupportsDeleteFile: isOwner,
       SupportedShareUrlTypes: ['ReadOnly', 'ReadWrite'],
-      
-      // Export/SaveAs capabilities
-      UserCanNotWriteRelative: false,
-      SupportsUserInfo: true,
+      SupportsUserInfo: !isAnonymous,
       
       // Additional properties
-      IsAnonymousUser: false,
+      IsAnonymousUser: isAnonymous,
       PostMessageOrigin: process.env.DOMAIN ? `https://${process.env.DOMAIN}` : '*',
       CloseButtonClosesWindow: true
     };
@@ -138,7 +284,7 @@ router.get('/files/:fileId/contents', async (req, res) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const tokenData = verifyAccessToken(accessToken);
+    const tokenData = await authorizeAccessToken(accessToken, fileId);
     if (!tokenData) {
       return res.status(401).json({ error: 'Invalid access token' });
     }
@@ -154,18 +300,21 @@ router.get('/files/:fileId/contents', async (req, res) => {
     }
 
     const file = result.rows[0];
-    const filePath = path.join(STORAGE_PATH, file.storage_path);
 
-    // Read and send file
-    const fileContent = await fs.readFile(filePath);
-    
+    // Stream the file from storage
+    const stream = await storage.createReadStream(file.storage_path);
+
     res.set({
       'Content-Type': file.mime_type,
       'Content-Disposition': `attachment; filename="${file.original_filename}"`,
       'X-WOPI-ItemVersion': file.version.toString()
     });
-    
-    res.send(fileContent);
+
+    pipeline(stream, res, (err) => {
+      if (err) {
+        logger.error('GetFile stream error:', err);
+      }
+    });
   } catch (error) {
     logger.error('GetFile error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -176,7 +325,7 @@ router.get('/files/:fileId/contents', async (req, res) => {
  * WOPI PutFile
  * POST /wopi/files/:fileId/contents
  */
-router.post('/files/:fileId/contents', express.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+router.post('/files/:fileId/contents', async (req, res) => {
   try {
     const { fileId } = req.params;
     const accessToken = req.query.access_token;
@@ -186,8 +335,12 @@ router.post('/files/:fileId/contents', express.raw({ type: '*/*', limit: '100mb'
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const tokenData = verifyAccessToken(accessToken);
-    if (!tokenData || (tokenData.permissions !== 'edit' && tokenData.permissions !== 'admin')) {
+    const tokenData = await authorizeAccessToken(accessToken, fileId);
+    if (!tokenData) {
+      return res.status(401).json({ error: 'Invalid access token' });
+    }
+
+    if (tokenData.permissions !== 'edit' && tokenData.permissions !== 'admin') {
       return res.status(401).json({ error: 'No edit permission' });
     }
 
@@ -217,46 +370,38 @@ router.post('/files/:fileId/contents', express.raw({ type: '*/*', limit: '100mb'
       }
     }
 
-    const filePath = path.join(STORAGE_PATH, file.storage_path);
-
-    // Save version history
-    const versionPath = `${file.storage_path}.v${file.version}`;
-    await fs.copyFile(filePath, path.join(STORAGE_PATH, versionPath));
-    
-    await pool.query(
-      `INSERT INTO file_versions (file_id, version, size, storage_path, created_by)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [fileId, file.version, file.size, versionPath, tokenData.userId]
-    );
-
-    // Write new content
-    await fs.writeFile(filePath, req.body);
-    const stats = await fs.stat(filePath);
-
-    // Update file record
-    const newVersion = file.version + 1;
-    await pool.query(
-      `UPDATE files SET size = $1, version = $2, updated_at = NOW() WHERE id = $3`,
-      [stats.size, newVersion, fileId]
-    );
-
-    // Update user storage
-    const sizeDiff = stats.size - file.size;
-    await pool.query(
-      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
-      [sizeDiff, file.owner_id]
-    );
+    // Store the whole body under a temporary key first, so an oversized or
+    // aborted save leaves the file and its history untouched
+    const uploadPath = `${file.storage_path}.${uuidv4()}.upload`;
+    let updated;
+    try {
+      await writeRequestBody(req, uploadPath);
+      updated = await saveRevision(file, uploadPath, tokenData.userId);
+    } finally {
+      await storage.delete(uploadPath).catch((error) => {
+        logger.warn('Failed to remove PutFile upload', { path: uploadPath, error: error.message });
+      });
+    }
+    const newVersion = updated.version;
 
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [tokenData.userId, 'FILE_UPDATE', 'file', fileId, JSON.stringify({ version: newVersion })]
-    );
+    await auditService.log({
+      userId: tokenData.userId,
+      action: 'FILE_UPDATE',
+      resourceType: 'file',
+      resourceId: fileId,
+      details: { version: newVersion },
+      ipAddress: clientIp(tokenData, req)
+    });
+
+    editSessions.touch(tokenData);
 
     res.set('X-WOPI-ItemVersion', newVersion.toString());
     res.status(200).json({ message: 'File saved' });
   } catch (error) {
+    if (sendBodyError(error, res)) {
+      return;
+    }
     logger.error('PutFile error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -278,7 +423,7 @@ router.post('/files/:fileId', async (req, res) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    const tokenData = verifyAccessToken(accessToken);
+    const tokenData = await authorizeAccessToken(accessToken, fileId);
     if (!tokenData) {
       return res.status(401).json({ error: 'Invalid access token' });
     }
@@ -295,6 +440,10 @@ router.post('/files/:fileId', async (req, res) => {
 
     const file = result.rows[0];
 
+    if (tokenData.anonymous && OWNER_ONLY_OPERATIONS.includes(wopiOverride)) {
+      return res.status(401).json({ error: 'Operation not permitted for anonymous users' });
+    }
+
     switch (wopiOverride) {
       case 'LOCK':
         return await handleLock(fileId, wopiLock, tokenData, res);
@@ -303,7 +452,7 @@ router.post('/files/:fileId', async (req, res) => {
         return await handleGetLock(fileId, res);
       
       case 'REFRESH_LOCK':
-        return await handleRefreshLock(fileId, wopiLock, res);
+        return await handleRefreshLock(fileId, wopiLock, tokenData, res);
       
       case 'UNLOCK':
         return await handleUnlock(fileId, wopiLock, res);
@@ -312,10 +461,10 @@ router.post('/files/:fileId', async (req, res) => {
         return await handlePutRelative(fileId, req, tokenData, res);
       
       case 'RENAME_FILE':
-        return await handleRename(fileId, req.headers['x-wopi-requestedname'], tokenData, res);
+        return await handleRename(file, req.headers['x-wopi-requestedname'], req, tokenData, res);
       
       case 'DELETE':
-        return await handleDelete(fileId, tokenData, res);
+        return await handleDelete(file, req, tokenData, res);
       
       default:
         return res.status(400).json({ error: 'Unknown WOPI operation' });
@@ -341,6 +490,7 @@ async function handleLock(fileId, lockId, tokenData, res) {
         'UPDATE file_locks SET expires_at = NOW() + INTERVAL \'30 minutes\' WHERE file_id = $1',
         [fileId]
       );
+      editSessions.touch(tokenData);
       res.set('X-WOPI-Lock', lockId);
       return res.status(200).json({ message: 'Lock refreshed' });
     } else {
@@ -351,10 +501,10 @@ async function handleLock(fileId, lockId, tokenData, res) {
 
   // Create new lock
   await pool.query(
-    `INSERT INTO file_locks (file_id, lock_id, locked_by, expires_at)
-     VALUES ($1, $2, $3, NOW() + INTERVAL '30 minutes')
-     ON CONFLICT (file_id) DO UPDATE SET lock_id = $2, locked_by = $3, expires_at = NOW() + INTERVAL '30 minutes'`,
-    [fileId, lockId, tokenData.userId]
+    `INSERT INTO file_locks (file_id, lock_id, locked_by, edit_session_id, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + INTERVAL '30 minutes')
+     ON CONFLICT (file_id) DO UPDATE SET lock_id = $2, locked_by = $3, edit_session_id = $4, expires_at = NOW() + INTERVAL '30 minutes'`,
+    [fileId, lockId, tokenData.userId, tokenData.editSessionId || null]
   );
 
   res.set('X-WOPI-Lock', lockId);
@@ -376,7 +526,7 @@ async function handleGetLock(fileId, res) {
   res.status(200).json({ message: 'OK' });
 }
 
-async function handleRefreshLock(fileId, lockId, res) {
+async function handleRefreshLock(fileId, lockId, tokenData, res) {
   const lockResult = await pool.query(
     'SELECT * FROM file_locks WHERE file_id = $1 AND expires_at > NOW()',
     [fileId]
@@ -398,6 +548,7 @@ async function handleRefreshLock(fileId, lockId, res) {
     [fileId]
   );
 
+  editSessions.touch(tokenData);
   res.set('X-WOPI-Lock', lockId);
   res.status(200).json({ message: 'Lock refreshed' });
 }
@@ -425,7 +576,15 @@ async function handleUnlock(fileId, lockId, res) {
   res.status(200).json({ message: 'Unlocked' });
 }
 
-async function handleRename(fileId, newName, tokenData, res) {
+async function handleRename(file, newName, req, tokenData, res) {
+  const fileId = file.id;
+
+  // Same rule as PUT /api/files/:id: edit permission on the file
+  const canEdit = tokenData.permissions === 'edit' || tokenData.permissions === 'admin';
+  if (!canEdit || (await getFilePermission(file, tokenData.userId)) !== 'edit') {
+    return res.status(401).json({ error: 'No edit permission' });
+  }
+
   if (!newName) {
     return res.status(400).json({ error: 'New name required' });
   }
@@ -435,26 +594,35 @@ async function handleRename(fileId, newName, tokenData, res) {
     [newName, fileId]
   );
 
-  await pool.query(
-    `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details)
-     VALUES ($1, $2, $3, $4, $5)`,
-    [tokenData.userId, 'FILE_RENAME', 'file', fileId, JSON.stringify({ newName })]
-  );
+  await auditService.log({
+    userId: tokenData.userId,
+    action: 'FILE_RENAME',
+    resourceType: 'file',
+    resourceId: fileId,
+    details: { newName },
+    ipAddress: clientIp(tokenData, req)
+  });
 
   res.json({ Name: newName });
 }
 
-async function handleDelete(fileId, tokenData, res) {
-  await pool.query(
-    'UPDATE files SET is_deleted = true WHERE id = $1',
-    [fileId]
-  );
+async function handleDelete(file, req, tokenData, res) {
+  const fileId = file.id;
 
-  await pool.query(
-    `INSERT INTO audit_log (user_id, action, resource_type, resource_id)
-     VALUES ($1, $2, $3, $4)`,
-    [tokenData.userId, 'FILE_DELETE', 'file', fileId]
-  );
+  // Same rule as DELETE /api/files/:id: only the owner moves a file to the trash
+  if (file.owner_id !== tokenData.userId) {
+    return res.status(401).json({ error: 'Only the owner can delete this file' });
+  }
+
+  await trashService.moveToTrash(fileId);
+
+  await auditService.log({
+    userId: tokenData.userId,
+    action: 'FILE_DELETE',
+    resourceType: 'file',
+    resourceId: fileId,
+    ipAddress: clientIp(tokenData, req)
+  });
 
   res.status(200).json({ message: 'Deleted' });
 }
@@ -482,6 +650,12 @@ async function handlePutRelative(fileId, req, tokenData, res) {
 
     const sourceFile = sourceResult.rows[0];
 
+    // Saving a copy next to the file needs edit permission on it
+    const canEdit = tokenData.permissions === 'edit' || tokenData.permissions === 'admin';
+    if (!canEdit || (await getFilePermission(sourceFile, tokenData.userId)) !== 'edit') {
+      return res.status(401).json({ error: 'No edit permission' });
+    }
+
     // Determine target filename
     let targetName;
     if (relativeTarget) {
@@ -512,21 +686,34 @@ async function handlePutRelative(fileId, req, tokenData, res) {
       [sourceFile.owner_id, targetName, sourceFile.parent_folder_id]
     );
 
-    if (existingResult.rows.length > 0 && !overwriteRelative) {
+    const existing = existingResult.rows[0];
+    if (existing && !overwriteRelative) {
       // File exists and overwrite not allowed
       res.set('X-WOPI-ValidRelativeTarget', targetName);
       return res.status(409).json({ error: 'File already exists' });
     }
 
-    // Get file content from request body
-    const fileContent = req.body;
+    // Same rule as DELETE /api/files/:id: only the owner replaces a file
+    if (existing && sourceFile.owner_id !== tokenData.userId) {
+      return res.status(401).json({ error: 'Only the owner can overwrite this file' });
+    }
+
+    // The copy counts against the owner's quota; X-WOPI-Size is checked
+    // before the upload, the stored size after it
+    const quotaResult = await pool.query(
+      'SELECT storage_quota, storage_used FROM users WHERE id = $1',
+      [sourceFile.owner_id]
+    );
+    const quota = quotaResult.rows[0];
+    const exceedsQuota = size => parseInt(quota.storage_used) + size > parseInt(quota.storage_quota);
+    if (exceedsQuota(fileSize)) {
+      return res.status(413).json({ error: 'Storage quota exceeded' });
+    }
 
     // Create new file
     const newFileId = uuidv4();
     const ext = path.extname(targetName).slice(1) || 'odt';
     const storageFilename = `${newFileId}.${ext}`;
-    const userDir = path.join(STORAGE_PATH, sourceFile.owner_id);
-    const newFilePath = path.join(userDir, storageFilename);
     const storagePath = path.join(sourceFile.owner_id, storageFilename);
 
     // Determine MIME type from extension
@@ -548,54 +735,81 @@ async function handlePutRelative(fileId, req, tokenData, res) {
     };
     const mimeType = mimeTypes[ext] || 'application/octet-stream';
 
-    // Ensure directory exists
-    await fs.mkdir(userDir, { recursive: true });
-
-    // Write file
-    await fs.writeFile(newFilePath, fileContent);
-    const stats = await fs.stat(newFilePath);
+    // Stream the content from the request body into storage; until the file
+    // record exists, a failure removes what was written
+    let stats;
+    let fileResult;
+    try {
+      stats = await writeRequestBody(req, storagePath);
+      if (exceedsQuota(stats.size)) {
+        const error = new Error('Storage quota exceeded');
+        error.code = 'EQUOTA';
+        throw error;
+      }
 
-    // If overwriting, delete old file first
-    if (existingResult.rows.length > 0 && overwriteRelative) {
-      await pool.query(
-        'UPDATE files SET is_deleted = true WHERE id = $1',
-        [existingResult.rows[0].id]
+      fileResult = await pool.query(
+        `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [newFileId, sourceFile.owner_id, storageFilename, targetName, mimeType, stats.size, storagePath, sourceFile.parent_folder_id]
       );
+    } catch (error) {
+      await storage.delete(storagePath).catch((deleteError) => {
+        logger.warn('Failed to remove PUT_RELATIVE upload', { path: storagePath, error: deleteError.message });
+      });
+      if (error.code === 'EQUOTA') {
+        return res.status(413).json({ error: error.message });
+      }
+      throw error;
     }
 
-    // Create file record
-    const fileResult = await pool.query(
-      `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [newFileId, sourceFile.owner_id, storageFilename, targetName, mimeType, stats.size, storagePath, sourceFile.parent_folder_id]
-    );
-
     // Update user storage
     await pool.query(
       'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
       [stats.size, sourceFile.owner_id]
     );
 
+    // The new file replaces the one with the same name
+    if (existing) {
+      await trashService.moveToTrash(existing.id);
+    }
+
     // Log audit
-    await pool.query(
-      `INSERT INTO audit_log (user_id, action, resource_type, resource_id, details)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [tokenData.userId, 'FILE_SAVE_AS', 'file', newFileId, JSON.stringify({ 
-        sourceId: fileId, 
-        targetName 
-      })]
-    );
+    await auditService.log({
+      userId: tokenData.userId,
+      action: 'FILE_SAVE_AS',
+      resourceType: 'file',
+      resourceId: newFileId,
+      details: { sourceId: fileId, targetName },
+      ipAddress: clientIp(tokenData, req)
+    });
 
     const newFile = fileResult.rows[0];
     const domain = process.env.DOMAIN || 'localhost';
 
-    // Build response with URL to the new file
+    // Build response with URL to the new file. Tokens are bound to a single
+    // file, so the new file gets its own, for the same user and login
+    // session, and an editing session of its own like GET /api/files/:id/edit
     const wopiSrc = `https://${domain}/wopi/files/${newFile.id}`;
+    const editSessionId = editSessions.newSessionId();
+    const newAccessToken = generateAccessToken(newFile.id, tokenData.userId, tokenData.permissions, {
+      sessionId: tokenData.sessionId,
+      editSessionId,
+      ip: tokenData.ip
+    });
+    await editSessions.start({
+      id: editSessionId,
+      userId: tokenData.userId,
+      fileId: newFile.id,
+      permission: tokenData.permissions,
+      loginSessionId: tokenData.sessionId,
+      accessToken: newAccessToken,
+      ipAddress: clientIp(tokenData, req)
+    });
 
     res.json({
       Name: newFile.original_filename,
-      Url: wopiSrc,
+      Url: `${wopiSrc}?access_token=${encodeURIComponent(newAccessToken)}`,
       HostViewUrl: `https://${domain}/edit/${newFile.id}`,
       HostEditUrl: `https://${domain}/edit/${newFile.id}`
     });
@@ -606,6 +820,9 @@ async function handlePutRelative(fileId, req, tokenData, res) {
       targetName 
     });
   } catch (error) {
+    if (sendBodyError(error, res)) {
+      return;
+    }
     logger.error('PUT_RELATIVE error:', error);
     res.status(500).json({ error: 'Failed to save file' });
   }
@@ -0,0 +1,775 @@
+/**
+ * Audit Log Service
+ * All audit entries are written here. Every entry is chained to the one
+ * before it: seq is gapless and hash is an HMAC over the entry and the
+ * previous hash, so deleted, inserted or edited entries break the chain.
+ * Concurrent entries are chained in batches, and the newest seq and hash
+ * are kept as a signed checkpoint in Redis, so removing entries from the
+ * end of the table is noticed too.
+ * Also reads the table back (filtered queries with keyset pagination,
+ * exports), verifies the chain and archives expired entries.
+ *
+ * Retention: entries older than AUDIT_RETENTION_DAYS (0 = keep forever) are
+ * moved to gzipped JSON-lines archives in storage (AUDIT_ARCHIVE=false only
+ * deletes them). A Redis lock keeps replicas from running it at the same time.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const redisClient = require('../db/redis');
+const storage = require('./storage');
+const syslog = require('./syslog');
+const { auditHmac } = require('../utils/crypto');
+const csv = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const EXPORT_BATCH_SIZE = 1000;
+const VERIFY_BATCH_SIZE = 5000;
+const MAX_REPORTED_PROBLEMS = 100;
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 0;
+const ARCHIVE = process.env.AUDIT_ARCHIVE !== 'false';
+const RETENTION_INTERVAL = parseInt(process.env.AUDIT_RETENTION_INTERVAL) * 1000 || 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH_SIZE = 10000;
+const ARCHIVE_PREFIX = 'audit-archive';
+
+// Serializes writers, so every entry sees the hash of its predecessor
+const CHAIN_LOCK_ID = 7242001;
+const GENESIS_HASH = '0'.repeat(64);
+// Most entries chained in one transaction
+const MAX_CHAIN_BATCH = 100;
+// Signed seq and hash of the newest entry
+const CHECKPOINT_KEY = 'collabora:audit-checkpoint';
+
+const LOCK_KEY = 'collabora:audit-retention:lock';
+const LOCK_TTL = 60 * 60; // seconds
+
+const CSV_COLUMNS = [
+  'seq', 'createdAt', 'action', 'userId', 'username', 'userEmail',
+  'resourceType', 'resourceId', 'ipAddress', 'details', 'hash'
+];
+
+let retentionTimer = null;
+
+// Entries waiting to be chained, and the write in progress
+const queue = [];
+let writing = null;
+
+/**
+ * Cursors carry the position of the last entry of a page. The timestamp is
+ * kept as PostgreSQL text, because a JS Date would drop the microseconds.
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_at, row.id])).toString('base64url');
+}
+
+/**
+ * @returns {Array|null} [createdAt, id], or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'string')
+      ? value
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isValidCursor(cursor) {
+  return decodeCursor(cursor) !== null;
+}
+
+/**
+ * Build the WHERE clause for a set of filters
+ * @param {Object} filters
+ * @param {string} [filters.userId] - Acting user
+ * @param {string} [filters.user] - Username or email of the acting user
+ * @param {Array<string>} [filters.actions] - Any of these actions
+ * @param {string} [filters.resourceType]
+ * @param {string} [filters.resourceId]
+ * @param {string} [filters.fileId] - Entries about a file, including copies made from it
+ * @param {string} [filters.ip]
+ * @param {Date|string} [filters.from] - Inclusive
+ * @param {Date|string} [filters.to] - Exclusive
+ */
+function buildWhere(filters, params) {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  if (filters.userId) add('a.user_id = ?', filters.userId);
+  if (filters.user) add('(LOWER(u.username) = LOWER(?) OR LOWER(u.email) = LOWER(?))', filters.user);
+  if (filters.actions && filters.actions.length > 0) add('a.action = ANY(?)', filters.actions);
+  if (filters.resourceType) add('a.resource_type = ?', filters.resourceType);
+  if (filters.resourceId) add('a.resource_id = ?', filters.resourceId);
+  if (filters.fileId) {
+    add(`((a.resource_type = 'file' AND a.resource_id = ?) OR a.details->>'sourceId' = ?::text)`, filters.fileId);
+  }
+  if (filters.ip) add('a.ip_address = ?', filters.ip);
+  if (filters.from) add('a.created_at >= ?', filters.from);
+  if (filters.to) add('a.created_at < ?', filters.to);
+
+  return conditions;
+}
+
+function mapEntry(row) {
+  return {
+    id: row.id,
+    seq: row.seq === null || row.seq === undefined ? null : parseInt(row.seq),
+    createdAt: row.created_at,
+    action: row.action,
+    userId: row.user_id,
+    username: row.username,
+    userEmail: row.email,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    details: row.details,
+    ipAddress: row.ip_address,
+    hash: row.hash
+  };
+}
+
+/**
+ * JSON with object keys sorted, so the hash does not depend on key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Chain hash of an audit_log row
+ */
+function computeHash(row, prevHash) {
+  return auditHmac(prevHash + '\n' + canonicalJson([
+    String(row.seq),
+    row.id,
+    new Date(row.created_at).toISOString(),
+    row.user_id,
+    row.action,
+    row.resource_type,
+    row.resource_id,
+    row.details,
+    row.ip_address
+  ]));
+}
+
+/**
+ * Where the chain in audit_log starts: after the newest archived entry,
+ * or at seq 1 if nothing chained has been archived
+ */
+async function getAnchor(client = pool) {
+  const result = await client.query(
+    `SELECT last_seq, last_hash FROM audit_archives
+     WHERE last_seq IS NOT NULL
+     ORDER BY last_seq DESC LIMIT 1`
+  );
+  return result.rows.length > 0
+    ? { seq: parseInt(result.rows[0].last_seq) + 1, prevHash: result.rows[0].last_hash, archived: true }
+    : { seq: 1, prevHash: GENESIS_HASH, archived: false };
+}
+
+function checkpointSignature(seq, hash) {
+  return auditHmac(`checkpoint\n${seq}\n${hash}`);
+}
+
+/**
+ * Record the head of the chain in Redis, outside the database, so that
+ * verify() notices entries deleted from the end of audit_log. The sorted set
+ * keeps the highest seq, whichever replica writes last.
+ */
+async function saveCheckpoint(row) {
+  const value = JSON.stringify({ seq: row.seq, hash: row.hash, signature: checkpointSignature(row.seq, row.hash) });
+  try {
+    await redisClient.multi()
+      .zAdd(CHECKPOINT_KEY, { score: row.seq, value })
+      .zRemRangeByRank(CHECKPOINT_KEY, 0, -2)
+      .exec();
+  } catch (error) {
+    logger.warn('Failed to update the audit checkpoint', { seq: row.seq, error: error.message });
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} { seq, hash, valid } of the newest checkpoint, null if none was written
+ */
+async function getCheckpoint() {
+  const [value] = await redisClient.zRange(CHECKPOINT_KEY, -1, -1);
+  if (!value) {
+    return null;
+  }
+  try {
+    const { seq, hash, signature } = JSON.parse(value);
+    return { seq, hash, valid: signature === checkpointSignature(seq, hash) };
+  } catch (error) {
+    return { seq: null, hash: null, valid: false };
+  }
+}
+
+/**
+ * Chain a batch of entries in one transaction and record the new head
+ * @returns {Promise<Array>} The stored rows, in order
+ */
+async function writeChain(entries) {
+  const client = await pool.connect();
+  const rows = [];
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_ID]);
+
+    const head = await client.query(
+      'SELECT seq, hash FROM audit_log WHERE seq IS NOT NULL ORDER BY seq DESC LIMIT 1'
+    );
+    let prev = head.rows.length > 0
+      ? { seq: parseInt(head.rows[0].seq) + 1, prevHash: head.rows[0].hash }
+      : await getAnchor(client);
+
+    for (const { action, userId, resourceType, resourceId, details, ipAddress } of entries) {
+      // Hash the values as PostgreSQL stores them (millisecond timestamp,
+      // lower-case UUIDs, jsonb), so verification recomputes the same hash
+      const normalized = await client.query(
+        `SELECT date_trunc('milliseconds', clock_timestamp()) AS created_at,
+                $1::uuid AS user_id, $2::uuid AS resource_id, $3::jsonb AS details`,
+        [userId, resourceId, details === null ? null : JSON.stringify(details)]
+      );
+
+      const row = {
+        id: uuidv4(),
+        seq: prev.seq,
+        action,
+        resource_type: resourceType,
+        ip_address: ipAddress,
+        prev_hash: prev.prevHash,
+        ...normalized.rows[0]
+      };
+      row.hash = computeHash(row, row.prev_hash);
+
+      await client.query(
+        `INSERT INTO audit_log (id, seq, user_id, action, resource_type, resource_id, details, ip_address, created_at, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [row.id, row.seq, row.user_id, row.action, row.resource_type, row.resource_id,
+          row.details === null ? null : JSON.stringify(row.details), row.ip_address, row.created_at, row.prev_hash, row.hash]
+      );
+
+      rows.push(row);
+      prev = { seq: row.seq + 1, prevHash: row.hash };
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await saveCheckpoint(rows[rows.length - 1]);
+  return rows;
+}
+
+function settle(item, row) {
+  const entry = mapEntry(row);
+  syslog.send(entry);
+  item.resolve(entry);
+}
+
+/**
+ * Write queued entries until the queue is empty. Entries logged while a
+ * batch is being written go into the next one, so under load each replica
+ * takes the chain lock once per batch rather than once per entry.
+ */
+async function writeQueue() {
+  while (queue.length > 0) {
+    const batch = queue.splice(0, MAX_CHAIN_BATCH);
+    try {
+      const rows = await writeChain(batch.map(item => item.entry));
+      batch.forEach((item, i) => settle(item, rows[i]));
+    } catch (error) {
+      if (batch.length === 1) {
+        batch[0].reject(error);
+        continue;
+      }
+      // An invalid entry fails the whole transaction; retry the entries
+      // one at a time, so only that entry's caller sees the error
+      for (const item of batch) {
+        try {
+          const [row] = await writeChain([item.entry]);
+          settle(item, row);
+        } catch (entryError) {
+          item.reject(entryError);
+        }
+      }
+    }
+  }
+  writing = null;
+}
+
+/**
+ * Write an audit entry and forward it to syslog
+ * @param {Object} entry
+ * @param {string} entry.action - e.g. FILE_UPLOAD
+ * @param {string} [entry.userId] - Acting user; null for system and anonymous actions
+ * @param {string} [entry.resourceType] - file, folder, user, config, ...
+ * @param {string} [entry.resourceId]
+ * @param {Object} [entry.details]
+ * @param {string} [entry.ipAddress]
+ * @returns {Promise<Object>} The stored entry
+ */
+function log({ action, userId = null, resourceType = null, resourceId = null, details = null, ipAddress = null }) {
+  return new Promise((resolve, reject) => {
+    queue.push({ entry: { action, userId, resourceType, resourceId, details, ipAddress }, resolve, reject });
+    if (!writing) {
+      writing = writeQueue();
+    }
+  });
+}
+
+/**
+ * Check a run of chained rows (ordered by seq) against the expected start
+ * @param {Array<Object>} rows
+ * @param {Object} state - { seq, prevHash } expected for the first row; advanced past the last row
+ * @param {Function} report - Called with each problem found
+ */
+function checkChain(rows, state, report) {
+  for (const row of rows) {
+    const seq = parseInt(row.seq);
+    if (seq !== state.seq) {
+      report({
+        type: 'gap',
+        seq: state.seq,
+        detail: seq - 1 === state.seq ? `entry ${state.seq} is missing` : `entries ${state.seq} to ${seq - 1} are missing`
+      });
+    } else if (row.prev_hash !== state.prevHash) {
+      report({ type: 'broken_link', seq, id: row.id, detail: 'previous hash does not match the preceding entry' });
+    }
+    if (computeHash(row, row.prev_hash) !== row.hash) {
+      report({ type: 'modified', seq, id: row.id, detail: 'entry does not match its hash' });
+    }
+    state.seq = seq + 1;
+    state.prevHash = row.hash;
+  }
+}
+
+/**
+ * Verify the hash chain of the entries in audit_log, and that it reaches the
+ * checkpoint. Entries written before chaining was introduced (no seq) are
+ * counted as legacy entries.
+ * @returns {Promise<Object>} { valid, checked, firstSeq, lastSeq, legacyEntries, anchor, checkpoint, problems, problemCount, verifiedAt }
+ */
+async function verify() {
+  // Read before the entries, so every entry up to the checkpoint is committed
+  const checkpoint = await getCheckpoint();
+  const anchor = await getAnchor();
+  const state = { seq: anchor.seq, prevHash: anchor.prevHash };
+  const problems = [];
+  let problemCount = 0;
+  let checked = 0;
+  let firstSeq = null;
+  let checkpointHash = null;
+
+  const report = (problem) => {
+    problemCount++;
+    if (problems.length < MAX_REPORTED_PROBLEMS) {
+      problems.push(problem);
+    }
+  };
+
+  let after = anchor.seq - 1;
+  for (;;) {
+    const result = await pool.query(
+      `SELECT * FROM audit_log WHERE seq > $1 ORDER BY seq ASC LIMIT $2`,
+      [after, VERIFY_BATCH_SIZE]
+    );
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    firstSeq = firstSeq ?? parseInt(result.rows[0].seq);
+    checkChain(result.rows, state, report);
+    checked += result.rows.length;
+    const checkpointRow = checkpoint && result.rows.find(row => parseInt(row.seq) === checkpoint.seq);
+    if (checkpointRow) {
+      checkpointHash = checkpointRow.hash;
+    }
+    after = result.rows[result.rows.length - 1].seq;
+
+    if (result.rows.length < VERIFY_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  // The newest entries are missing, or the chain was rewritten up to them
+  if (checkpoint && !checkpoint.valid) {
+    report({ type: 'checkpoint', detail: 'checkpoint signature is invalid' });
+  } else if (checkpoint && checkpoint.seq >= state.seq) {
+    report({
+      type: 'truncated',
+      seq: state.seq,
+      detail: checkpoint.seq === state.seq
+        ? `entry ${state.seq} is missing from the end`
+        : `entries ${state.seq} to ${checkpoint.seq} are missing from the end`
+    });
+  } else if (checkpointHash !== null && checkpointHash !== checkpoint.hash) {
+    report({ type: 'checkpoint', seq: checkpoint.seq, detail: 'entry does not match the checkpoint' });
+  }
+
+  // Entries below the anchor should have been archived
+  const stale = await pool.query('SELECT COUNT(*) FROM audit_log WHERE seq < $1', [anchor.seq]);
+  if (parseInt(stale.rows[0].count) > 0) {
+    report({ type: 'archived', detail: `${stale.rows[0].count} entries are older than the last archive` });
+  }
+
+  // Entries without seq written after chaining started did not come from log()
+  const legacy = await pool.query(
+    `SELECT COUNT(*) FILTER (WHERE created_at < COALESCE(c.started, 'infinity')) AS legacy,
+            COUNT(*) FILTER (WHERE created_at >= c.started) AS unchained
+     FROM audit_log,
+          (SELECT MIN(created_at) AS started FROM audit_log WHERE seq IS NOT NULL) c
+     WHERE seq IS NULL`
+  );
+  const unchained = parseInt(legacy.rows[0].unchained);
+  if (unchained > 0) {
+    report({ type: 'unchained', detail: `${unchained} entries were not written through the audit service` });
+  }
+
+  return {
+    valid: problemCount === 0,
+    checked,
+    firstSeq,
+    lastSeq: checked > 0 ? state.seq - 1 : null,
+    legacyEntries: parseInt(legacy.rows[0].legacy),
+    anchor: anchor.archived ? { seq: anchor.seq - 1, hash: anchor.prevHash } : null,
+    checkpoint: checkpoint && checkpoint.valid ? { seq: checkpoint.seq, hash: checkpoint.hash } : null,
+    problems,
+    problemCount,
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * One page of audit entries, newest first
+ * @param {Object} filters - See buildWhere
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<Object>} { entries, nextCursor } - nextCursor is null on the last page
+ */
+async function search(filters, { limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const params = [];
+  const conditions = buildWhere(filters, params);
+
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (position) {
+    params.push(position[0], position[1]);
+    conditions.push(`(a.created_at, a.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+  }
+
+  params.push(pageSize + 1);
+  const result = await pool.query(
+    `SELECT a.*, a.created_at::text AS cursor_at, u.username, u.email
+     FROM audit_log a
+     LEFT JOIN users u ON a.user_id = u.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, pageSize);
+  return {
+    entries: rows.map(mapEntry),
+    nextCursor: result.rows.length > pageSize ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+/**
+ * All entries matching the filters, fetched in batches
+ */
+async function* iterate(filters) {
+  let cursor = null;
+  do {
+    const page = await search(filters, { limit: EXPORT_BATCH_SIZE, cursor });
+    yield* page.entries;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+function csvHeader() {
+  return csv.row(CSV_COLUMNS);
+}
+
+function toCsvRow(entry) {
+  return csv.row(CSV_COLUMNS.map(column => entry[column]));
+}
+
+function toJsonLine(entry) {
+  return JSON.stringify(entry) + '\n';
+}
+
+/**
+ * Entries as written to an archive, with everything needed to re-verify them
+ */
+function toArchiveLine(row) {
+  return JSON.stringify({
+    id: row.id,
+    seq: row.seq === null ? null : parseInt(row.seq),
+    createdAt: new Date(row.created_at).toISOString(),
+    userId: row.user_id,
+    action: row.action,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    details: row.details,
+    ipAddress: row.ip_address,
+    prevHash: row.prev_hash,
+    hash: row.hash
+  }) + '\n';
+}
+
+/**
+ * Archive a batch of rows and delete them in one transaction
+ * @returns {Promise<Object>} The audit_archives row
+ */
+async function archiveRows(rows, problems) {
+  const chained = rows.filter(row => row.seq !== null);
+  const last = chained[chained.length - 1];
+  const times = rows.map(row => new Date(row.created_at).getTime());
+
+  let storageKey = null;
+  let size = null;
+  let sha256 = null;
+
+  if (ARCHIVE) {
+    const buffer = zlib.gzipSync(Buffer.from(rows.map(toArchiveLine).join(''), 'utf8'));
+    const range = chained.length > 0 ? `${chained[0].seq}-${last.seq}` : 'legacy';
+    storageKey = `${ARCHIVE_PREFIX}/audit-log-${range}-${Date.now()}.jsonl.gz`;
+    size = buffer.length;
+    sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    await storage.write(storageKey, buffer);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_ID]);
+    await client.query("SET LOCAL collabora.audit_retention = 'on'");
+
+    const archive = await client.query(
+      `INSERT INTO audit_archives (storage_key, entry_count, first_seq, last_seq, last_hash, oldest_at, newest_at, size, sha256, problems)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        storageKey,
+        rows.length,
+        chained.length > 0 ? chained[0].seq : null,
+        chained.length > 0 ? last.seq : null,
+        chained.length > 0 ? last.hash : null,
+        new Date(Math.min(...times)),
+        new Date(Math.max(...times)),
+        size,
+        sha256,
+        problems.length > 0 ? JSON.stringify(problems) : null
+      ]
+    );
+
+    await client.query('DELETE FROM audit_log WHERE id = ANY($1)', [rows.map(row => row.id)]);
+    await client.query('COMMIT');
+    return archive.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (storageKey) {
+      await storage.delete(storageKey).catch(() => {});
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Archive and delete entries older than AUDIT_RETENTION_DAYS. Entries from
+ * before chaining go first, then chained entries in seq order. A chained
+ * batch that fails verification is kept unless force is set.
+ * @param {Object} [options]
+ * @param {Object} [options.triggeredBy] - Admin user ({ id }) for manual runs
+ * @param {boolean} [options.force] - Archive entries even if their chain is broken
+ * @param {string} [options.ipAddress]
+ * @returns {Promise<Object|null>} Report, or null if a run is already in progress
+ */
+async function applyRetention({ triggeredBy = null, force = false, ipAddress = null } = {}) {
+  const runId = uuidv4();
+  const acquired = await redisClient.set(LOCK_KEY, runId, { NX: true, EX: LOCK_TTL });
+  if (!acquired) {
+    return null;
+  }
+
+  const report = {
+    status: 'success',
+    retentionDays: RETENTION_DAYS,
+    archived: ARCHIVE,
+    entries: 0,
+    archives: [],
+    problems: []
+  };
+
+  try {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    for (;;) {
+      const result = await pool.query(
+        `SELECT * FROM audit_log WHERE seq IS NULL AND created_at < $1
+         ORDER BY created_at ASC LIMIT $2`,
+        [cutoff, ARCHIVE_BATCH_SIZE]
+      );
+      if (result.rows.length === 0) {
+        break;
+      }
+      const archive = await archiveRows(result.rows, []);
+      report.entries += result.rows.length;
+      report.archives.push(archive.id);
+    }
+
+    for (;;) {
+      const result = await pool.query(
+        'SELECT * FROM audit_log WHERE seq IS NOT NULL ORDER BY seq ASC LIMIT $1',
+        [ARCHIVE_BATCH_SIZE]
+      );
+      // The chain is archived from its start, up to the first entry that is kept
+      const expired = [];
+      for (const row of result.rows) {
+        if (new Date(row.created_at) >= cutoff) break;
+        expired.push(row);
+      }
+      if (expired.length === 0) {
+        break;
+      }
+
+      const problems = [];
+      checkChain(expired, await getAnchor(), problem => problems.push(problem));
+      if (problems.length > 0 && !force) {
+        report.status = 'refused';
+        report.problems = problems.slice(0, MAX_REPORTED_PROBLEMS);
+        break;
+      }
+
+      const archive = await archiveRows(expired, problems);
+      report.entries += expired.length;
+      report.archives.push(archive.id);
+
+      if (expired.length < result.rows.length || result.rows.length < ARCHIVE_BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    logger.error('Audit retention failed', { error: error.message });
+  } finally {
+    if (await redisClient.get(LOCK_KEY) === runId) {
+      await redisClient.del(LOCK_KEY);
+    }
+  }
+
+  if (report.entries > 0 || triggeredBy || report.status !== 'success') {
+    await log({
+      userId: triggeredBy?.id || null,
+      action: 'AUDIT_RETENTION',
+      resourceType: 'audit',
+      details: {
+        status: report.status,
+        retentionDays: RETENTION_DAYS,
+        entries: report.entries,
+        archives: report.archives.length,
+        force
+      },
+      ipAddress
+    });
+  }
+
+  logger.info('Audit retention completed', { status: report.status, entries: report.entries, archives: report.archives.length });
+  return report;
+}
+
+/**
+ * Archives written by the retention job, newest first
+ */
+async function listArchives() {
+  const result = await pool.query('SELECT * FROM audit_archives ORDER BY created_at DESC');
+  return result.rows.map(row => ({
+    id: row.id,
+    storageKey: row.storage_key,
+    entryCount: row.entry_count,
+    firstSeq: row.first_seq === null ? null : parseInt(row.first_seq),
+    lastSeq: row.last_seq === null ? null : parseInt(row.last_seq),
+    lastHash: row.last_hash,
+    oldestAt: row.oldest_at,
+    newestAt: row.newest_at,
+    size: row.size === null ? null : parseInt(row.size),
+    sha256: row.sha256,
+    problems: row.problems,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Start the scheduled retention job (AUDIT_RETENTION_DAYS > 0)
+ */
+function startRetentionJob() {
+  if (retentionTimer || RETENTION_DAYS <= 0) {
+    return;
+  }
+
+  const run = () => {
+    applyRetention().catch(error => logger.error('Audit retention error', { error: error.message }));
+  };
+
+  retentionTimer = setInterval(run, RETENTION_INTERVAL);
+  retentionTimer.unref();
+  setImmediate(run);
+
+  logger.info('Audit retention job started', {
+    retentionDays: RETENTION_DAYS,
+    archive: ARCHIVE,
+    intervalSeconds: RETENTION_INTERVAL / 1000
+  });
+}
+
+/**
+ * Stop the scheduled retention job
+ */
+function stopRetentionJob() {
+  if (retentionTimer) {
+    clearInterval(retentionTimer);
+    retentionTimer = null;
+  }
+}
+
+module.exports = {
+  MAX_LIMIT,
+  RETENTION_DAYS,
+  log,
+  isValidCursor,
+  search,
+  iterate,
+  csvHeader,
+  toCsvRow,
+  toJsonLine,
+  verify,
+  applyRetention,
+  listArchives,
+  startRetentionJob,
+  stopRetentionJob
+};
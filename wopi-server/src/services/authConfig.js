@@ -0,0 +1,129 @@
+/**
+ * Auth Configuration Store
+ * Settings changed through the admin API (LTPA keyring, LDAP overrides) are
+ * stored encrypted in the auth_config table and announced on a Redis channel,
+ * so every wopi-server replica reloads them without a restart.
+ */
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const redisClient = require('../db/redis');
+const { encryptConfig, decryptConfig } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'collabora:auth-config';
+
+// Identifies this process, so it skips its own change notifications
+const INSTANCE_ID = uuidv4();
+
+const handlers = new Map();
+let subscriber = null;
+
+/**
+ * Read a configuration entry
+ * @returns {Promise<Object|null>} Decrypted value, or null if not stored
+ */
+async function get(key) {
+  const result = await pool.query('SELECT value FROM auth_config WHERE key = $1', [key]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return decryptConfig(result.rows[0].value);
+}
+
+/**
+ * Run the change handler of a key in this process
+ */
+async function applyChange(key) {
+  const handler = handlers.get(key);
+  if (!handler) {
+    return;
+  }
+  try {
+    await handler();
+  } catch (error) {
+    logger.error('Failed to apply auth configuration change', { key, error: error.message });
+  }
+}
+
+async function notify(key) {
+  await applyChange(key);
+  try {
+    await redisClient.publish(CHANNEL, JSON.stringify({ key, origin: INSTANCE_ID }));
+  } catch (error) {
+    // Other replicas pick the change up on their next restart
+    logger.error('Failed to publish auth configuration change', { key, error: error.message });
+  }
+}
+
+/**
+ * Store a configuration entry and reload it on every replica
+ * @param {Object} [options] - { notify: false } to store without reloading
+ */
+async function set(key, value, options = {}) {
+  await pool.query(
+    `INSERT INTO auth_config (key, value, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, encryptConfig(value)]
+  );
+
+  if (options.notify !== false) {
+    await notify(key);
+  }
+}
+
+/**
+ * Remove a configuration entry and reload it on every replica
+ */
+async function remove(key) {
+  await pool.query('DELETE FROM auth_config WHERE key = $1', [key]);
+  await notify(key);
+}
+
+/**
+ * Register the function that reloads a key, e.g. ltpaService.reloadKeyring
+ */
+function onChange(key, handler) {
+  handlers.set(key, handler);
+}
+
+/**
+ * Load all registered keys and follow changes made by other replicas
+ */
+async function start() {
+  for (const key of handlers.keys()) {
+    await applyChange(key);
+  }
+
+  subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => logger.error('Redis auth config subscriber error', err));
+  await subscriber.connect();
+  await subscriber.subscribe(CHANNEL, (message) => {
+    let change;
+    try {
+      change = JSON.parse(message);
+    } catch {
+      return;
+    }
+    if (change.origin === INSTANCE_ID) {
+      return;
+    }
+    logger.info('Auth configuration changed on another instance, reloading', { key: change.key });
+    applyChange(change.key);
+  });
+}
+
+async function stop() {
+  if (subscriber) {
+    await subscriber.quit();
+    subscriber = null;
+  }
+}
+
+module.exports = {
+  get,
+  set,
+  remove,
+  onChange,
+  start,
+  stop
+};
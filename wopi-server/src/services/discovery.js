@@ -56,6 +56,36 @@ function parseDiscoveryXML(xml) {
   return actions;
 }
 
+/**
+ * Parse the <proof-key> element of the discovery XML.
+ * Returns { current, old } with base64 modulus/exponent pairs, or null when absent.
+ */
+function parseProofKeys(xml) {
+  const proofKeyMatch = xml.match(/<proof-key\s+([^>]+?)\/?>/i);
+  if (!proofKeyMatch) {
+    return null;
+  }
+
+  const attrs = proofKeyMatch[1];
+  const attr = (name) => {
+    const match = attrs.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  };
+
+  const current = attr('modulus') && attr('exponent')
+    ? { modulus: attr('modulus'), exponent: attr('exponent') }
+    : null;
+  const old = attr('oldmodulus') && attr('oldexponent')
+    ? { modulus: attr('oldmodulus'), exponent: attr('oldexponent') }
+    : null;
+
+  if (!current) {
+    return null;
+  }
+
+  return { current, old };
+}
+
 /**
  * Get the editor URL template from discovery
  */
@@ -131,16 +161,19 @@ async function fetchDiscovery() {
     logger.debug('Discovery XML received', { length: xml.length });
     
     const actions = parseDiscoveryXML(xml);
+    const proofKeys = parseProofKeys(xml);
     
     discoveryCache = {
       xml,
       actions,
+      proofKeys,
       fetchedAt: now
     };
     discoveryCacheTime = now;
     
     logger.info('Discovery cached successfully', { 
-      actionCount: Object.keys(actions).length 
+      actionCount: Object.keys(actions).length,
+      hasProofKey: !!proofKeys
     });
     
     return discoveryCache;
@@ -158,14 +191,15 @@ async function fetchDiscovery() {
 }
 
 /**
- * Build the full Collabora editor URL for a file
+ * Build the Collabora editor URL for a file.
+ * The access token is not part of the URL: the client POSTs access_token and
+ * access_token_ttl to it, so tokens stay out of proxy logs and browser history.
  * @param {string} fileId - The file ID
  * @param {string} fileName - The file name (used to determine extension)
- * @param {string} accessToken - The access token for WOPI authentication
  * @param {string} permission - 'edit' or 'view'
- * @returns {Promise<string>} The editor URL
+ * @returns {Promise<string>} The editor URL (form action)
  */
-async function buildEditorUrl(fileId, fileName, accessToken, permission = 'edit') {
+async function buildEditorUrl(fileId, fileName, permission = 'edit') {
   const domain = process.env.DOMAIN || 'localhost';
   // WOPISrc must be the URL that Collabora will call back to get file info
   // This needs to be accessible from Collabora's network perspective
@@ -191,7 +225,7 @@ async function buildEditorUrl(fileId, fileName, accessToken, permission = 'edit'
     // We need to:
     // 1. Replace the internal URL with external domain
     // 2. Strip existing query params (they have placeholders)
-    // 3. Add our own WOPISrc and access_token
+    // 3. Add our own WOPISrc
     
     const collaboraUrl = process.env.COLLABORA_URL || 'http://collabora:9980';
     
@@ -204,7 +238,7 @@ async function buildEditorUrl(fileId, fileName, accessToken, permission = 'edit'
     baseUrl = baseUrl.replace(/http:\/\/localhost:9980/g, `https://${domain}`);
     
     // Build final URL with required parameters
-    const editorUrl = `${baseUrl}?WOPISrc=${encodedWopiSrc}&access_token=${encodeURIComponent(accessToken)}`;
+    const editorUrl = `${baseUrl}?WOPISrc=${encodedWopiSrc}`;
     
     logger.debug('Built editor URL from discovery', { 
       template: editorUrlTemplate,
@@ -217,7 +251,20 @@ async function buildEditorUrl(fileId, fileName, accessToken, permission = 'edit'
   
   // Fallback: construct URL manually using /browser/dist/cool.html path
   logger.warn('Using fallback editor URL construction');
-  return `https://${domain}/browser/dist/cool.html?WOPISrc=${encodedWopiSrc}&access_token=${encodeURIComponent(accessToken)}`;
+  return `https://${domain}/browser/dist/cool.html?WOPISrc=${encodedWopiSrc}`;
+}
+
+/**
+ * Get the WOPI proof keys from discovery
+ * @param {boolean} refresh - Refetch discovery first (e.g. after Collabora rotated its keys)
+ * @returns {Promise<Object|null>} { current, old } or null if unavailable
+ */
+async function getProofKeys(refresh = false) {
+  if (refresh) {
+    discoveryCacheTime = 0;
+  }
+  const discovery = await fetchDiscovery();
+  return discovery ? discovery.proofKeys : null;
 }
 
 /**
@@ -233,6 +280,8 @@ module.exports = {
   fetchDiscovery,
   getEditorUrl,
   buildEditorUrl,
+  getProofKeys,
   clearCache,
-  parseDiscoveryXML
+  parseDiscoveryXML,
+  parseProofKeys
 };
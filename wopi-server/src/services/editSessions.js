@@ -0,0 +1,164 @@
+/**
+ * Editing Sessions
+ * Every editor opened for a signed-in user is recorded in active_sessions.
+ * The WOPI access token carries the session ID (editSessionId), so WOPI
+ * calls keep last_activity current and a terminated session's token is
+ * rejected. Rows are dropped once their token has expired.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const tokenRevocation = require('./tokenRevocation');
+const { ACCESS_TOKEN_TTL } = require('../utils/crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Delete sessions whose access token has expired
+ */
+async function pruneExpired() {
+  await pool.query(
+    'DELETE FROM active_sessions WHERE started_at < NOW() - make_interval(secs => $1)',
+    [ACCESS_TOKEN_TTL]
+  );
+}
+
+/**
+ * Allocate an ID for a new session, to be put into its access token
+ */
+function newSessionId() {
+  return uuidv4();
+}
+
+/**
+ * Record a session once its access token has been issued
+ * @param {Object} session
+ * @param {string} session.id - From newSessionId, carried in the token as editSessionId
+ * @param {string} [session.loginSessionId] - Login session the editor was opened from
+ * @param {string} session.accessToken - Only its SHA-256 is stored
+ */
+async function start({ id, userId, fileId, permission, loginSessionId, accessToken, ipAddress, userAgent }) {
+  await pruneExpired();
+  await pool.query(
+    `INSERT INTO active_sessions (id, user_id, file_id, permission, login_session_id, session_token, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      id,
+      userId,
+      fileId,
+      permission,
+      loginSessionId || null,
+      crypto.createHash('sha256').update(accessToken).digest('hex'),
+      ipAddress,
+      userAgent ? userAgent.slice(0, 1000) : null
+    ]
+  );
+}
+
+/**
+ * Mark the session of a WOPI token as active; failures are only logged
+ * @param {Object} tokenData - Payload of the access token
+ */
+function touch(tokenData) {
+  if (!tokenData.editSessionId) {
+    return;
+  }
+  pool.query(
+    'UPDATE active_sessions SET last_activity = NOW() WHERE id = $1',
+    [tokenData.editSessionId]
+  ).catch(error => logger.warn('Failed to update editing session', { error: error.message }));
+}
+
+/**
+ * Forget the sessions opened from a login session that ended; their tokens
+ * are revoked with the login session
+ * @param {string} userId
+ * @param {string} [loginSessionId] - All of the user's sessions if not known
+ */
+async function endForLogin(userId, loginSessionId) {
+  if (loginSessionId) {
+    await pool.query(
+      'DELETE FROM active_sessions WHERE user_id = $1 AND login_session_id = $2',
+      [userId, loginSessionId]
+    );
+  } else {
+    await pool.query('DELETE FROM active_sessions WHERE user_id = $1', [userId]);
+  }
+}
+
+/**
+ * Sessions whose token has not expired, most recently active first
+ */
+async function list() {
+  await pruneExpired();
+  const result = await pool.query(
+    `SELECT s.*, u.username, u.email, u.display_name, f.original_filename,
+            (l.id IS NOT NULL) AS holds_lock
+     FROM active_sessions s
+     JOIN users u ON s.user_id = u.id
+     LEFT JOIN files f ON s.file_id = f.id
+     LEFT JOIN file_locks l ON l.edit_session_id = s.id AND l.expires_at > NOW()
+     ORDER BY s.last_activity DESC`
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    user: {
+      id: row.user_id,
+      username: row.username,
+      email: row.email,
+      displayName: row.display_name
+    },
+    file: row.file_id ? { id: row.file_id, name: row.original_filename } : null,
+    permission: row.permission,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    holdsLock: row.holds_lock,
+    startedAt: row.started_at,
+    lastActivity: row.last_activity,
+    expiresAt: new Date(new Date(row.started_at).getTime() + ACCESS_TOKEN_TTL * 1000)
+  }));
+}
+
+/**
+ * End a session: its access token is revoked, the lock it took on the file
+ * is released (not those of the user's other sessions) and the row is deleted
+ * @returns {Promise<Object|null>} The deleted row, or null if not found
+ */
+async function terminate(id) {
+  const result = await pool.query('SELECT * FROM active_sessions WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const session = result.rows[0];
+
+  // Revoke first: the editor must not save again once its lock is gone
+  await tokenRevocation.revokeEditSession(session.id);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM active_sessions WHERE id = $1', [session.id]);
+    const lock = await client.query(
+      'DELETE FROM file_locks WHERE file_id = $1 AND edit_session_id = $2 RETURNING id',
+      [session.file_id, session.id]
+    );
+    await client.query('COMMIT');
+    session.releasedLock = lock.rows.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return session;
+}
+
+module.exports = {
+  newSessionId,
+  start,
+  touch,
+  endForLogin,
+  list,
+  terminate
+};
@@ -0,0 +1,249 @@
+/**
+ * Folder Service
+ * Tree queries and the copy/move/delete operations on files and folders
+ */
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const logger = require('../utils/logger');
+const trashService = require('./trash');
+const storage = require('./storage');
+const { MAX_FOLDER_DEPTH, getFolderPermission } = require('./permissions');
+
+/**
+ * Get the chain of folders from the root down to (and including) a folder
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function getFolderPath(folderId) {
+  const result = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, parent_id, 1 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, f.name, f.parent_id, a.depth + 1
+       FROM folders f
+       JOIN ancestors a ON f.id = a.parent_id
+       WHERE a.depth < $2
+     )
+     SELECT id, name FROM ancestors ORDER BY depth DESC`,
+    [folderId, MAX_FOLDER_DEPTH]
+  );
+  return result.rows;
+}
+
+/**
+ * Get the ids of a folder and all folders below it
+ * @param {string} folderId
+ * @param {Object} [db] - Client of an open transaction (defaults to the pool)
+ */
+async function getSubtreeIds(folderId, db = pool) {
+  const result = await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, 1 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, t.depth + 1
+       FROM folders f
+       JOIN tree t ON f.parent_id = t.id
+       WHERE t.depth < $2
+     )
+     SELECT DISTINCT id FROM tree`,
+    [folderId, MAX_FOLDER_DEPTH]
+  );
+  return result.rows.map(r => r.id);
+}
+
+/**
+ * Check whether making newParentId the parent of folderId would create a cycle,
+ * i.e. the new parent is the folder itself or one of its descendants
+ */
+async function wouldCreateCycle(folderId, newParentId) {
+  if (!newParentId) {
+    return false;
+  }
+  if (newParentId === folderId) {
+    return true;
+  }
+  const ancestors = await getFolderPath(newParentId);
+  return ancestors.some(a => a.id === folderId);
+}
+
+/**
+ * Resolve the destination of a move. Items stay with their owner, so the
+ * destination must be a folder of the same owner the user can edit, or the
+ * owner's root when the user is the owner.
+ * @returns {Promise<Object>} { folderId } or { status, error }
+ */
+async function resolveMoveTarget(targetFolderId, ownerId, userId) {
+  if (!targetFolderId) {
+    if (ownerId !== userId) {
+      return { status: 403, error: 'Only the owner can move items to their root folder' };
+    }
+    return { folderId: null };
+  }
+
+  const result = await pool.query(
+    'SELECT id, owner_id FROM folders WHERE id = $1',
+    [targetFolderId]
+  );
+
+  const permission = result.rows.length > 0
+    ? await getFolderPermission(targetFolderId, userId)
+    : null;
+
+  if (!permission) {
+    return { status: 404, error: 'Target folder not found' };
+  }
+  if (permission !== 'edit') {
+    return { status: 403, error: 'Edit permission required on target folder' };
+  }
+  if (result.rows[0].owner_id !== ownerId) {
+    return { status: 400, error: 'Items can only be moved within the same owner\'s folders' };
+  }
+
+  return { folderId: targetFolderId };
+}
+
+/**
+ * Keep the extension of the original file name when a new name omits it
+ */
+function withExtension(name, originalName) {
+  const ext = path.extname(originalName);
+  return ext && !name.toLowerCase().endsWith(ext.toLowerCase()) ? `${name}${ext}` : name;
+}
+
+/**
+ * Copy a file (current content only) into a folder
+ * @param {Object} file - Row from the files table
+ * @param {Object} target - { folderId, ownerId } from resolveTargetFolder
+ * @param {string} [name] - Name of the copy (defaults to the original name)
+ * @returns {Promise<Object>} The new file row
+ */
+async function copyFile(file, target, name) {
+  const newFileId = uuidv4();
+  const ext = path.extname(file.storage_path);
+  const storageFilename = `${newFileId}${ext}`;
+  const storagePath = path.join(target.ownerId, storageFilename);
+
+  await storage.copy(file.storage_path, storagePath);
+
+  const result = await pool.query(
+    `INSERT INTO files (id, owner_id, filename, original_filename, mime_type, size, storage_path, parent_folder_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [newFileId, target.ownerId, storageFilename, name || file.original_filename,
+      file.mime_type, file.size, storagePath, target.folderId]
+  );
+
+  await pool.query(
+    'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
+    [file.size, target.ownerId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Total size of the files in a folder tree
+ */
+async function getSubtreeSize(folderId) {
+  const folderIds = await getSubtreeIds(folderId);
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(size), 0) as total, COUNT(*) as count
+     FROM files WHERE parent_folder_id = ANY($1) AND is_deleted = false`,
+    [folderIds]
+  );
+  return { size: parseInt(result.rows[0].total), count: parseInt(result.rows[0].count) };
+}
+
+/**
+ * Recursively copy a folder and its contents
+ * @param {string} folderId - Folder to copy
+ * @param {Object} target - { folderId, ownerId } of the destination
+ * @param {string} [name] - Name of the copy
+ * @returns {Promise<Object>} The new top-level folder row
+ */
+async function copyFolder(folderId, target, name, depth = 0) {
+  if (depth >= MAX_FOLDER_DEPTH) {
+    throw new Error('Folder tree too deep to copy');
+  }
+
+  const source = await pool.query('SELECT * FROM folders WHERE id = $1', [folderId]);
+  const folderResult = await pool.query(
+    `INSERT INTO folders (owner_id, name, parent_id)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [target.ownerId, name || source.rows[0].name, target.folderId]
+  );
+  const newFolder = folderResult.rows[0];
+  const childTarget = { folderId: newFolder.id, ownerId: target.ownerId };
+
+  const files = await pool.query(
+    'SELECT * FROM files WHERE parent_folder_id = $1 AND is_deleted = false',
+    [folderId]
+  );
+  for (const file of files.rows) {
+    await copyFile(file, childTarget);
+  }
+
+  const subfolders = await pool.query(
+    'SELECT id FROM folders WHERE parent_id = $1',
+    [folderId]
+  );
+  for (const subfolder of subfolders.rows) {
+    await copyFolder(subfolder.id, childTarget, null, depth + 1);
+  }
+
+  return newFolder;
+}
+
+/**
+ * Delete a folder tree. Files inside are moved to the trash (releasing their
+ * quota) and restore to the root folder, since their folders are gone.
+ * Runs in one transaction, so a failure leaves the tree as it was.
+ * @returns {Promise<number>} Number of files moved to the trash
+ */
+async function deleteFolder(folderId) {
+  const client = await pool.connect();
+  let folderIds;
+  let files;
+
+  try {
+    await client.query('BEGIN');
+
+    folderIds = await getSubtreeIds(folderId, client);
+
+    files = await client.query(
+      'SELECT id FROM files WHERE parent_folder_id = ANY($1) AND is_deleted = false FOR UPDATE',
+      [folderIds]
+    );
+
+    for (const file of files.rows) {
+      await trashService.moveToTrash(file.id, client);
+    }
+
+    // Subfolders and folder shares cascade; trashed files get parent_folder_id = NULL
+    await client.query('DELETE FROM folders WHERE id = $1', [folderId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info('Folder deleted', { folderId, folders: folderIds.length, trashedFiles: files.rows.length });
+
+  return files.rows.length;
+}
+
+module.exports = {
+  getFolderPath,
+  getSubtreeIds,
+  getSubtreeSize,
+  wouldCreateCycle,
+  resolveMoveTarget,
+  withExtension,
+  copyFile,
+  copyFolder,
+  deleteFolder
+};
@@ -0,0 +1,139 @@
+/**
+ * Group Mapping Service
+ * Maps LDAP / Domino groups to a role, a storage quota and login access.
+ * Applied on every LDAP login and LTPA validation, so directory changes
+ * (e.g. removal from the admin group) take effect without touching users here.
+ *
+ * Rules:
+ *  - role: the highest role of all matching mappings (admin > user); without a
+ *    mapped role, members of LDAP_ADMIN_GROUP are admins and everyone else users
+ *  - storage quota: the largest quota of all matching mappings, if any
+ *  - access: a matching 'deny' mapping blocks login. Once any mapping is
+ *    'allow', only members of an allowed group may log in.
+ */
+const pool = require('../db/pool');
+const ldapService = require('./ldap');
+const logger = require('../utils/logger');
+
+const ROLE_RANK = { user: 1, admin: 2 };
+
+/**
+ * Normalize LDAP (cn=Sales,o=Acme) and Domino (CN=Sales/O=Acme) names
+ */
+function normalizeDN(dn) {
+  return dn.split(/[,/]/).map(part => part.trim().toLowerCase()).filter(Boolean).join(',');
+}
+
+function groupMatches(mappingDN, groupDN) {
+  const mapping = normalizeDN(mappingDN);
+  const group = normalizeDN(groupDN);
+  if (mapping === group) {
+    return true;
+  }
+  // A flat name (common for Domino groups) matches the group's CN
+  if (!mapping.includes('=')) {
+    const firstRDN = group.split(',')[0];
+    return firstRDN.substring(firstRDN.indexOf('=') + 1) === mapping;
+  }
+  return false;
+}
+
+/**
+ * List all mappings
+ */
+async function listMappings() {
+  const result = await pool.query(
+    `SELECT id, group_dn, role, storage_quota, access, description, created_at, updated_at
+     FROM group_mappings ORDER BY group_dn`
+  );
+  return result.rows;
+}
+
+/**
+ * Work out what a user's directory groups grant
+ * @param {Array<string>|null} groups - Group DNs, or null if unknown
+ * @param {Array<Object>} [mappings] - Preloaded listMappings() result
+ * @returns {Promise<Object>} { denied, role, storageQuota, matched } - role and
+ *   storageQuota are null when they should not be changed
+ */
+async function resolve(groups, mappings = null) {
+  if (!groups) {
+    return { denied: false, role: null, storageQuota: null, matched: [] };
+  }
+
+  mappings = mappings || await listMappings();
+  const matched = mappings.filter(mapping => groups.some(group => groupMatches(mapping.group_dn, group)));
+
+  const allowListActive = mappings.some(mapping => mapping.access === 'allow');
+  const denied = matched.some(mapping => mapping.access === 'deny') ||
+    (allowListActive && !matched.some(mapping => mapping.access === 'allow'));
+
+  let role = null;
+  for (const mapping of matched) {
+    if (mapping.role && (!role || ROLE_RANK[mapping.role] > ROLE_RANK[role])) {
+      role = mapping.role;
+    }
+  }
+  if (!role) {
+    role = ldapService.isAdminGroupMember(groups) ? 'admin' : 'user';
+  }
+
+  const quotas = matched.filter(mapping => mapping.storage_quota !== null).map(mapping => parseInt(mapping.storage_quota));
+  const storageQuota = quotas.length > 0 ? Math.max(...quotas) : null;
+
+  return { denied, role, storageQuota, matched: matched.map(mapping => mapping.group_dn) };
+}
+
+/**
+ * Directory groups of a user who signed in without LDAP (LTPA).
+ * The lookup is cached by the LDAP service (LDAP_CACHE_TTL).
+ * @returns {Promise<Array<string>|null>} null if LDAP is not configured or the user is unknown
+ */
+async function getDirectoryGroups(username) {
+  if (!ldapService.configured) {
+    return null;
+  }
+
+  const ldapUser = await ldapService.getUserFromLDAP(username);
+  if (!ldapUser) {
+    return null;
+  }
+
+  return ldapUser.groups || [];
+}
+
+/**
+ * Apply a resolved policy to a user record
+ * @param {Object} user - Row with id, username, role
+ * @param {Object} policy - Result of resolve()
+ * @returns {Promise<Object>} The user with the updated role
+ */
+async function applyToUser(user, policy) {
+  if (!policy.role && policy.storageQuota === null) {
+    return user;
+  }
+
+  await pool.query(
+    'UPDATE users SET role = COALESCE($1, role), storage_quota = COALESCE($2, storage_quota) WHERE id = $3',
+    [policy.role, policy.storageQuota, user.id]
+  );
+
+  if (policy.role && policy.role !== user.role) {
+    logger.info('User role changed by directory groups', {
+      username: user.username,
+      from: user.role,
+      to: policy.role,
+      groups: policy.matched
+    });
+  }
+
+  return { ...user, role: policy.role || user.role };
+}
+
+module.exports = {
+  ROLES: Object.keys(ROLE_RANK),
+  listMappings,
+  resolve,
+  getDirectoryGroups,
+  applyToUser
+};
@@ -1,6 +1,24 @@
 const ldap = require('ldapjs');
+const redisClient = require('../db/redis');
+const authConfig = require('./authConfig');
+const LDAPPool = require('./ldapPool');
 const logger = require('../utils/logger');
 
+// userAccountControl flag of disabled Active Directory accounts
+const UF_ACCOUNTDISABLE = 0x2;
+const SYNC_PAGE_SIZE = 500;
+
+// Service-bound connections kept open between lookups (0 = connect per lookup)
+const POOL_SIZE = process.env.LDAP_POOL_SIZE !== undefined ? parseInt(process.env.LDAP_POOL_SIZE) || 0 : 4;
+const POOL_HEALTH_INTERVAL = (parseInt(process.env.LDAP_POOL_HEALTH_INTERVAL) || 30) * 1000;
+// How long a server that failed to connect is skipped (milliseconds)
+const FAILOVER_COOLDOWN = (parseInt(process.env.LDAP_FAILOVER_COOLDOWN) || 60) * 1000;
+
+// Directory lookups without a password (LTPA requests, group mappings) are
+// cached in Redis for all replicas. LDAP_GROUP_CACHE_TTL is the older name.
+const CACHE_TTL = parseInt(process.env.LDAP_CACHE_TTL || process.env.LDAP_GROUP_CACHE_TTL || '60') || 0;
+const CACHE_PREFIX = 'collabora:ldap-user:';
+
 // Enable LDAP debug logging if DEBUG_LDAP is set
 const DEBUG_LDAP = process.env.DEBUG_LDAP === 'true';
 
@@ -38,6 +56,27 @@ function stripQuotes(val) {
   return result;
 }
 
+/**
+ * Settings that can be changed through the admin API, with their
+ * environment variables. Stored values take precedence over the environment.
+ */
+const LDAP_SETTINGS = {
+  url: 'LDAP_URL',
+  baseDN: 'LDAP_BASE_DN',
+  bindDN: 'LDAP_BIND_DN',
+  bindPassword: 'LDAP_BIND_PASSWORD',
+  userSearchBase: 'LDAP_USER_SEARCH_BASE',
+  userSearchFilter: 'LDAP_USER_SEARCH_FILTER',
+  groupSearchBase: 'LDAP_GROUP_SEARCH_BASE',
+  groupSearchFilter: 'LDAP_GROUP_SEARCH_FILTER',
+  usernameAttribute: 'LDAP_USERNAME_ATTR',
+  emailAttribute: 'LDAP_EMAIL_ATTR',
+  displayNameAttribute: 'LDAP_DISPLAY_NAME_ATTR',
+  adminGroup: 'LDAP_ADMIN_GROUP',
+  serverType: 'LDAP_SERVER_TYPE',
+  syncFilter: 'LDAP_SYNC_FILTER'
+};
+
 /**
  * LDAP Authentication Service
  * Supports: IBM Domino LDAP, Active Directory, OpenLDAP, 389 Directory, and others
@@ -52,34 +91,64 @@ function stripQuotes(val) {
  */
 class LDAPService {
   constructor() {
+    // Settings stored through the admin API (see reload)
+    this.overrides = {};
+    // Configured servers in order of preference, with their availability
+    this.servers = [];
+    this.pool = new LDAPPool({
+      create: () => this._openServiceConnection(),
+      validate: (client) => this._checkConnection(client),
+      destroy: (client) => client.destroy(),
+      size: POOL_SIZE,
+      acquireTimeout: parseInt(process.env.LDAP_TIMEOUT) || 15000,
+      healthInterval: POOL_HEALTH_INTERVAL
+    });
+    this._configure();
+  }
+
+  /**
+   * Build the configuration from the environment and stored settings
+   */
+  _configure() {
+    const setting = (key) => this.overrides[key] || stripQuotes(process.env[LDAP_SETTINGS[key]]);
+
     // Server type first so we can use it for defaults
-    const serverType = (stripQuotes(process.env.LDAP_SERVER_TYPE) || 'auto').toLowerCase();
-    const baseDN = stripQuotes(process.env.LDAP_BASE_DN) || 'dc=example,dc=com';
+    const serverType = (setting('serverType') || 'auto').toLowerCase();
+    const baseDN = setting('baseDN') || 'dc=example,dc=com';
 
     // Detect Domino early so we can set correct defaults
     const isDominoDetected = serverType === 'domino' ||
       (serverType === 'auto' && /^o=/i.test(baseDN) && !/dc=/i.test(baseDN));
 
+    // LDAP_URL may list several servers (comma or space separated) for failover
+    const urls = (setting('url') || 'ldap://localhost:389')
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(url => this._sanitizeURL(url));
+
     this.config = {
-      url: this._sanitizeURL(stripQuotes(process.env.LDAP_URL) || 'ldap://localhost:389'),
+      url: urls[0],
+      urls,
       baseDN: baseDN.trim(),
-      bindDN: stripQuotes(process.env.LDAP_BIND_DN) || '',
-      bindPassword: stripQuotes(process.env.LDAP_BIND_PASSWORD) || '',
-      userSearchBase: stripQuotes(process.env.LDAP_USER_SEARCH_BASE) || '',
+      bindDN: setting('bindDN') || '',
+      bindPassword: setting('bindPassword') || '',
+      userSearchBase: setting('userSearchBase') || '',
       // Domino default filter searches by mail, cn, and shortName
       // Standard default uses uid
-      userSearchFilter: stripQuotes(process.env.LDAP_USER_SEARCH_FILTER) ||
+      userSearchFilter: setting('userSearchFilter') ||
         (isDominoDetected
           ? '(|(mail={{username}})(cn={{username}})(shortName={{username}}))'
           : '(uid={{username}})'),
-      groupSearchBase: stripQuotes(process.env.LDAP_GROUP_SEARCH_BASE) || '',
-      groupSearchFilter: stripQuotes(process.env.LDAP_GROUP_SEARCH_FILTER) || '(member={{dn}})',
+      groupSearchBase: setting('groupSearchBase') || '',
+      groupSearchFilter: setting('groupSearchFilter') || '(member={{dn}})',
       // Domino uses cn as the primary username attribute
-      usernameAttribute: stripQuotes(process.env.LDAP_USERNAME_ATTR) ||
+      usernameAttribute: setting('usernameAttribute') ||
         (isDominoDetected ? 'cn' : 'uid'),
-      emailAttribute: stripQuotes(process.env.LDAP_EMAIL_ATTR) || 'mail',
-      displayNameAttribute: stripQuotes(process.env.LDAP_DISPLAY_NAME_ATTR) || 'cn',
-      adminGroup: stripQuotes(process.env.LDAP_ADMIN_GROUP) || 'cn=admins',
+      emailAttribute: setting('emailAttribute') || 'mail',
+      displayNameAttribute: setting('displayNameAttribute') || 'cn',
+      adminGroup: setting('adminGroup') || 'cn=admins',
+      // Filter listing all users for the directory sync (default: derived from userSearchFilter)
+      syncFilter: setting('syncFilter') || '',
       serverType: isDominoDetected ? 'domino' : serverType,
       tlsOptions: {
         rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false'
@@ -93,6 +162,14 @@ class LDAPService {
       pagedResults: process.env.LDAP_PAGED_RESULTS !== 'false'
     };
 
+    this.configured = !!setting('url');
+
+    // Keep the availability of servers that are still configured
+    const previous = new Map(this.servers.map(server => [server.url, server]));
+    this.servers = urls.map(url => previous.get(url) || { url, downUntil: 0, lastError: null });
+    // Pooled connections use the old settings
+    this.pool.drain();
+
     if (isDominoDetected && serverType === 'auto') {
       ldapDebug('Auto-detected Domino LDAP from baseDN pattern');
     }
@@ -168,7 +245,7 @@ class LDAPService {
 
   _logConfig() {
     const safeConfig = {
-      url: this.config.url,
+      urls: this.config.urls,
       baseDN: this.config.baseDN,
       bindDN: this.config.bindDN ? `${this.config.bindDN.substring(0, 10)}...` : '(anonymous)',
       userSearchBase: this.config.userSearchBase || '(baseDN)',
@@ -181,18 +258,74 @@ class LDAPService {
     };
     ldapDebug('LDAP Service initialized', safeConfig);
     logger.info('LDAP Service configured', { 
-      url: this.config.url, 
+      urls: this.config.urls, 
       serverType: this.config.serverType,
       baseDN: this.config.baseDN 
     });
   }
 
+  /**
+   * Reload settings stored through the admin API
+   */
+  async reload() {
+    this.overrides = (await authConfig.get('ldap')) || {};
+    this._configure();
+  }
+
+  /**
+   * Current values of the admin-editable settings (bind password masked)
+   * @returns {Object} { [setting]: { value, source: 'admin' | 'env' } }
+   */
+  getSettings() {
+    const settings = {};
+    for (const [key, envName] of Object.entries(LDAP_SETTINGS)) {
+      const stored = !!this.overrides[key];
+      let value = stored ? this.overrides[key] : stripQuotes(process.env[envName]) || null;
+      if (key === 'bindPassword' && value) {
+        value = '********';
+      }
+      settings[key] = { value, source: stored ? 'admin' : 'env' };
+    }
+    return settings;
+  }
+
+  /**
+   * Store settings for all replicas. Empty values fall back to the environment.
+   * @param {Object} settings - Subset of LDAP_SETTINGS keys
+   */
+  async saveSettings(settings) {
+    const unknown = Object.keys(settings).filter(key => !(key in LDAP_SETTINGS));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown LDAP settings: ${unknown.join(', ')}`);
+    }
+
+    const overrides = { ...this.overrides };
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === null || value === '') {
+        delete overrides[key];
+      } else if (typeof value !== 'string') {
+        throw new Error(`LDAP setting ${key} must be a string`);
+      } else {
+        overrides[key] = value.trim();
+      }
+    }
+
+    await authConfig.set('ldap', overrides);
+  }
+
+  /**
+   * Drop stored settings on all replicas
+   */
+  async resetSettings() {
+    await authConfig.remove('ldap');
+  }
+
   /**
    * Create LDAP client connection with proper error handling
    */
-  createClient() {
+  createClient(url = this.config.url) {
     const clientOptions = {
-      url: this.config.url,
+      url,
       timeout: this.config.timeout,
       connectTimeout: this.config.connectTimeout,
       idleTimeout: this.config.idleTimeout,
@@ -200,14 +333,14 @@ class LDAPService {
       strictDN: false // Lenient DN parsing for Domino compatibility
     };
 
-    if (this.config.url.startsWith('ldaps://')) {
+    if (url.startsWith('ldaps://')) {
       clientOptions.tlsOptions = this.config.tlsOptions;
       ldapDebug('Using LDAPS with TLS options', { 
         rejectUnauthorized: this.config.tlsOptions.rejectUnauthorized 
       });
     }
 
-    ldapDebug('Creating LDAP client', { url: this.config.url });
+    ldapDebug('Creating LDAP client', { url });
 
     const client = ldap.createClient(clientOptions);
 
@@ -237,6 +370,150 @@ class LDAPService {
     return client;
   }
 
+  /**
+   * Servers to try, in order: available ones as configured, then the ones
+   * in their failover cooldown (soonest retry first)
+   */
+  _orderedServers() {
+    const now = Date.now();
+    const available = this.servers.filter(server => server.downUntil <= now);
+    const down = this.servers
+      .filter(server => server.downUntil > now)
+      .sort((a, b) => a.downUntil - b.downUntil);
+    return [...available, ...down];
+  }
+
+  _waitForConnect(client) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        client.removeListener('connect', onConnect);
+        client.removeListener('connectError', onError);
+        client.removeListener('error', onError);
+      };
+      const onConnect = () => {
+        cleanup();
+        resolve();
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+      client.on('connect', onConnect);
+      client.on('connectError', onError);
+      client.on('error', onError);
+    });
+  }
+
+  /**
+   * Open a connection to the first reachable server. A server that cannot be
+   * reached is skipped for LDAP_FAILOVER_COOLDOWN seconds.
+   * @returns {Promise<Object>} Connected client; client.ldapServer is the server used
+   */
+  async connect() {
+    let lastError;
+
+    for (const server of this._orderedServers()) {
+      const client = this.createClient(server.url);
+      try {
+        await this._waitForConnect(client);
+        if (server.downUntil) {
+          logger.info('LDAP server reachable again', { url: server.url });
+        }
+        server.downUntil = 0;
+        server.lastError = null;
+        client.ldapServer = server;
+        return client;
+      } catch (error) {
+        client.destroy();
+        server.downUntil = Date.now() + FAILOVER_COOLDOWN;
+        server.lastError = error.message;
+        logger.warn('LDAP server unreachable', {
+          url: server.url,
+          error: error.message,
+          failover: this.servers.length > 1
+        });
+        lastError = error;
+      }
+    }
+
+    throw this._enhanceError(lastError, null);
+  }
+
+  /**
+   * Connect and bind with the service account (pooled connections)
+   */
+  async _openServiceConnection() {
+    const client = await this.connect();
+    try {
+      await this.serviceBind(client);
+      return client;
+    } catch (error) {
+      this.safeUnbind(client);
+      throw error;
+    }
+  }
+
+  /**
+   * Health check of an idle pooled connection: read the root DSE. Connections
+   * to a fallback server are closed once a preferred server is back.
+   */
+  _checkConnection(client) {
+    if (this._orderedServers()[0] !== client.ldapServer) {
+      return Promise.reject(new Error('A preferred LDAP server is available'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const opts = { scope: 'base', filter: '(objectClass=*)', attributes: ['supportedLDAPVersion'], timeLimit: 5 };
+      client.search('', opts, (err, res) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        res.on('searchEntry', () => {});
+        res.on('error', reject);
+        res.on('end', () => resolve());
+      });
+    });
+  }
+
+  /**
+   * Run fn(client) with a service-bound connection from the pool. A pooled
+   * connection the server has closed is replaced and the call retried once.
+   */
+  async withServiceClient(fn) {
+    if (this.pool.size === 0) {
+      const client = await this._openServiceConnection();
+      try {
+        return await fn(client);
+      } finally {
+        this.safeUnbind(client);
+      }
+    }
+
+    try {
+      return await this.pool.use(fn);
+    } catch (error) {
+      if (error.name !== 'ConnectionError' && !['ECONNRESET', 'EPIPE'].includes(error.code)) {
+        throw error;
+      }
+      ldapDebug('Pooled connection lost, retrying', { error: error.message });
+      return this.pool.use(fn);
+    }
+  }
+
+  /**
+   * Availability of the configured servers
+   */
+  getServerStatus() {
+    const now = Date.now();
+    return this.servers.map(server => ({
+      url: server.url,
+      available: server.downUntil <= now,
+      retryAt: server.downUntil > now ? new Date(server.downUntil).toISOString() : null,
+      lastError: server.lastError
+    }));
+  }
+
   /**
    * Bind to LDAP server with service account
    */
@@ -438,7 +715,8 @@ class LDAPService {
       'sAMAccountName',
       'userPrincipalName',
       'displayName',
-      'memberOf'
+      'memberOf',
+      'userAccountControl'
     ];
 
     // Common attributes
@@ -522,6 +800,86 @@ class LDAPService {
     });
   }
 
+  /**
+   * Build the filter that lists all users for the directory sync.
+   * Without LDAP_SYNC_FILTER, the username placeholder of the login filter
+   * becomes a wildcard, e.g. (uid={{username}}) -> (uid=*)
+   */
+  _buildSyncFilter() {
+    const filter = this._sanitizeFilter(this.config.syncFilter ||
+      this.config.userSearchFilter
+        .replace(/\{\{username\}\}/gi, '*')
+        .replace(/\{username\}/gi, '*')
+        .replace(/%s/g, '*')
+        .replace(/\$username/gi, '*'));
+
+    return filter.startsWith('(') ? filter : `(${filter})`;
+  }
+
+  /**
+   * List all users below the search base, using paged results unless
+   * LDAP_PAGED_RESULTS=false. Rejects on any error so that a partial
+   * result is never mistaken for the complete directory.
+   * @returns {Promise<Array<Object>>} Parsed entries (see _parseEntry)
+   */
+  async searchAllUsers(client) {
+    return new Promise((resolve, reject) => {
+      const searchBase = this._buildSearchBase();
+      const filter = this._buildSyncFilter();
+
+      const opts = {
+        filter,
+        scope: 'sub',
+        attributes: this._getSearchAttributes(),
+        timeLimit: 0
+      };
+      if (this.config.pagedResults) {
+        opts.paged = { pageSize: SYNC_PAGE_SIZE };
+      }
+
+      ldapDebug('=== LDAP Directory Listing ===', { searchBase, filter, paged: this.config.pagedResults });
+
+      client.search(searchBase, opts, (err, res) => {
+        if (err) {
+          reject(this._enhanceError(err, searchBase));
+          return;
+        }
+
+        const users = [];
+
+        res.on('searchEntry', (entry) => {
+          const user = this._parseEntry(entry, null);
+          if (user.username) {
+            users.push({ ...user, dn: String(user.dn) });
+          }
+        });
+
+        res.on('error', (err) => {
+          reject(this._enhanceError(err, searchBase));
+        });
+
+        res.on('end', () => {
+          ldapDebug('Directory listing completed', { users: users.length });
+          resolve(users);
+        });
+      });
+    });
+  }
+
+  /**
+   * List all directory users with a service bind
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDirectoryUsers() {
+    // A dedicated connection: a long paged search would hold a pooled one
+    const client = await this._openServiceConnection();
+    try {
+      return await this.searchAllUsers(client);
+    } finally {
+      this.safeUnbind(client);
+    }
+  }
+
   /**
    * Parse an LDAP search entry into a normalized user object.
    * Handles Domino, AD, and OpenLDAP attribute differences.
@@ -592,12 +950,17 @@ class LDAPService {
       ...getAttrAll('dominoAccessGroups')
     ];
 
+    // Active Directory: ACCOUNTDISABLE flag of userAccountControl
+    const userAccountControl = parseInt(getAttr('userAccountControl'));
+    const disabled = !isNaN(userAccountControl) && (userAccountControl & UF_ACCOUNTDISABLE) !== 0;
+
     const user = {
       dn: entry.objectName,
       username: username || loginUsername,
       email: email || null,
       displayName: displayName || username || loginUsername,
       memberOf,
+      disabled,
       isDomino,
       isAD,
       objectClasses
@@ -632,10 +995,10 @@ class LDAPService {
       logger.error('LDAP insufficient access', { searchBase });
       err.hint = 'The bind account does not have permission to search. Check ACLs on the LDAP server.';
     } else if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') {
-      logger.error('LDAP server unreachable', { url: this.config.url, code: err.code });
-      err.hint = `Cannot connect to LDAP server at ${this.config.url}. Check URL and network.`;
+      logger.error('LDAP server unreachable', { urls: this.config.urls, code: err.code });
+      err.hint = `Cannot connect to LDAP server at ${this.config.urls.join(', ')}. Check URL and network.`;
     } else if (err.code === 'ETIMEDOUT' || err.name === 'TimeoutError') {
-      logger.error('LDAP connection timeout', { url: this.config.url });
+      logger.error('LDAP connection timeout', { urls: this.config.urls });
       err.hint = 'LDAP server did not respond in time. Increase LDAP_TIMEOUT or check network.';
     }
     return err;
@@ -668,85 +1031,52 @@ class LDAPService {
       return null;
     }
 
-    const client = this.createClient();
     let phase = 'init';
 
     try {
-      // Phase 1: Service bind
-      phase = 'service-bind';
-      ldapDebug('Phase 1: Service bind');
-      await this.serviceBind(client);
-
-      // Phase 2: Search for user
+      // Phase 1: Search for user with a pooled service connection
       phase = 'user-search';
-      ldapDebug('Phase 2: Search for user');
-      const user = await this.searchUser(client, username);
+      ldapDebug('Phase 1: Search for user');
+      const user = await this.withServiceClient(client => this.searchUser(client, username));
 
       if (!user) {
         ldapDebug('User not found in LDAP', { username });
         logger.warn('LDAP user not found', { username });
-        this.safeUnbind(client);
         return null;
       }
 
-      // Phase 3: Bind as user to verify password
+      // Phase 2: Bind as user to verify password
       phase = 'user-bind';
-      ldapDebug('Phase 3: User bind to verify password', { dn: user.dn });
+      ldapDebug('Phase 2: User bind to verify password', { dn: user.dn });
 
-      return new Promise((resolve, reject) => {
-        // For Domino, the user DN might need conversion
-        let userDN = user.dn;
-        if (typeof userDN === 'object' && userDN.toString) {
-          userDN = userDN.toString();
-        }
+      // For Domino, the user DN might need conversion
+      let userDN = user.dn;
+      if (typeof userDN === 'object' && userDN.toString) {
+        userDN = userDN.toString();
+      }
 
-        ldapDebug('Binding as user', { userDN });
-
-        client.bind(userDN, password, (err) => {
-          this.safeUnbind(client);
-
-          if (err) {
-            ldapDebug('User bind FAILED', {
-              username,
-              error: err.message,
-              code: err.code,
-              name: err.name
-            });
-            logger.warn('LDAP authentication failed', { username, error: err.message });
-            resolve(null);
-          } else {
-            ldapDebug('User bind SUCCESS', { username });
-            logger.info('LDAP authentication successful', { username, dn: userDN });
-
-            // Determine role
-            const isAdmin = user.memberOf.some(group =>
-              group.toLowerCase().includes(this.config.adminGroup.toLowerCase())
-            );
-
-            // Generate fallback email from DN if not found
-            let email = user.email;
-            if (!email) {
-              const baseDomain = this.config.baseDN
-                .replace(/o=/gi, '').replace(/dc=/gi, '').replace(/,/g, '.');
-              email = `${user.username}@${baseDomain}`;
-            }
-
-            const result = {
-              username: user.username,
-              email,
-              displayName: user.displayName,
-              role: isAdmin ? 'admin' : 'user',
-              ldapDN: userDN,
-              groups: user.memberOf,
-              serverType: this.config.serverType,
-              isDomino: user.isDomino
-            };
-
-            ldapDebug('Authentication result', result);
-            resolve(result);
-          }
-        });
-      });
+      if (!(await this._bindAsUser(username, userDN, password))) {
+        return null;
+      }
+
+      logger.info('LDAP authentication successful', { username, dn: userDN });
+
+      // Determine role
+      const isAdmin = this.isAdminGroupMember(user.memberOf);
+
+      const result = {
+        username: user.username,
+        email: user.email || this.fallbackEmail(user.username),
+        displayName: user.displayName,
+        role: isAdmin ? 'admin' : 'user',
+        ldapDN: userDN,
+        groups: user.memberOf,
+        serverType: this.config.serverType,
+        isDomino: user.isDomino
+      };
+
+      ldapDebug('Authentication result', result);
+      return result;
     } catch (error) {
       ldapDebug('LDAP authentication error', {
         phase,
@@ -759,11 +1089,41 @@ class LDAPService {
         error: error.message,
         hint: error.hint
       });
-      this.safeUnbind(client);
       throw error;
     }
   }
 
+  /**
+   * Verify a password with a bind on a dedicated connection, so that pooled
+   * connections stay bound as the service account
+   * @returns {Promise<boolean>}
+   */
+  async _bindAsUser(username, userDN, password) {
+    const client = await this.connect();
+
+    return new Promise((resolve) => {
+      ldapDebug('Binding as user', { userDN });
+
+      client.bind(userDN, password, (err) => {
+        this.safeUnbind(client);
+
+        if (err) {
+          ldapDebug('User bind FAILED', {
+            username,
+            error: err.message,
+            code: err.code,
+            name: err.name
+          });
+          logger.warn('LDAP authentication failed', { username, error: err.message });
+          resolve(false);
+        } else {
+          ldapDebug('User bind SUCCESS', { username });
+          resolve(true);
+        }
+      });
+    });
+  }
+
   /**
    * Safely unbind client, ignoring errors
    */
@@ -777,19 +1137,64 @@ class LDAPService {
     }
   }
 
+  /**
+   * Check whether any of the groups is the configured admin group
+   */
+  isAdminGroupMember(groups) {
+    return groups.some(group =>
+      group.toLowerCase().includes(this.config.adminGroup.toLowerCase())
+    );
+  }
+
+  /**
+   * Email for directory entries without one, derived from the base DN
+   */
+  fallbackEmail(username) {
+    const baseDomain = this.config.baseDN
+      .replace(/o=/gi, '').replace(/dc=/gi, '').replace(/,/g, '.');
+    return `${username}@${baseDomain}`;
+  }
+
+  /**
+   * Look a user up without a password, through the Redis cache.
+   * Throws on directory errors, which are not cached.
+   * @returns {Promise<Object|null>}
+   */
+  async _lookupUser(username) {
+    const cacheKey = `${CACHE_PREFIX}${username.toLowerCase()}`;
+    if (CACHE_TTL > 0) {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) {
+        ldapDebug('User lookup served from cache', { username });
+        return JSON.parse(cached).user;
+      }
+    }
+
+    const entry = await this.withServiceClient(client => this.searchUser(client, username));
+    const user = entry ? {
+      username: entry.username,
+      email: entry.email,
+      displayName: entry.displayName,
+      groups: entry.memberOf,
+      dn: String(entry.dn),
+      isDomino: entry.isDomino
+    } : null;
+
+    if (CACHE_TTL > 0) {
+      await redisClient.set(cacheKey, JSON.stringify({ user }), { EX: CACHE_TTL });
+    }
+    return user;
+  }
+
   /**
    * Get user groups from LDAP
    */
   async getUserGroups(username) {
-    const client = this.createClient();
     try {
-      await this.serviceBind(client);
-      const user = await this.searchUser(client, username);
-      this.safeUnbind(client);
-      return user?.memberOf || [];
+      const user = await this._lookupUser(username);
+      return user?.groups || [];
     } catch (error) {
       logger.error('LDAP get groups error', { error: error.message });
-      this.safeUnbind(client);
       return [];
     }
   }
@@ -800,17 +1205,12 @@ class LDAPService {
    */
   async userExistsInLDAP(username) {
     ldapDebug('Checking if user exists in LDAP', { username });
-    const client = this.createClient();
     try {
-      await this.serviceBind(client);
-      const user = await this.searchUser(client, username);
-      this.safeUnbind(client);
-      const exists = !!user;
+      const exists = !!(await this._lookupUser(username));
       ldapDebug('User exists check result', { username, exists });
       return exists;
     } catch (error) {
       logger.error('LDAP user check error', { error: error.message, hint: error.hint });
-      this.safeUnbind(client);
       return false;
     }
   }
@@ -820,25 +1220,10 @@ class LDAPService {
    */
   async getUserFromLDAP(username) {
     ldapDebug('Getting user details from LDAP', { username });
-    const client = this.createClient();
     try {
-      await this.serviceBind(client);
-      const user = await this.searchUser(client, username);
-      this.safeUnbind(client);
-      if (user) {
-        return {
-          username: user.username,
-          email: user.email,
-          displayName: user.displayName,
-          groups: user.memberOf,
-          dn: user.dn,
-          isDomino: user.isDomino
-        };
-      }
-      return null;
+      return await this._lookupUser(username);
     } catch (error) {
       logger.error('LDAP get user error', { error: error.message });
-      this.safeUnbind(client);
       return null;
     }
   }
@@ -849,11 +1234,13 @@ class LDAPService {
   async testConnection(testUsername = null) {
     ldapDebug('=== LDAP Connection Test ===');
     const results = { steps: [] };
-    const client = this.createClient();
+    let client = null;
 
     try {
-      // Step 1: Bind
-      results.steps.push({ step: 'connect', status: 'attempting', url: this.config.url });
+      // Step 1: Connect (with failover) and bind, bypassing the pool
+      results.steps.push({ step: 'connect', status: 'attempting', urls: this.config.urls });
+      client = await this.connect();
+      results.steps[0].url = client.ldapServer.url;
       await this.serviceBind(client);
       results.steps[0].status = 'success';
 
@@ -866,14 +1253,15 @@ class LDAPService {
       }
 
       this.safeUnbind(client);
-      return { success: true, message: 'LDAP connection successful', ...results };
+      return { success: true, message: 'LDAP connection successful', ...results, servers: this.getServerStatus() };
     } catch (error) {
       this.safeUnbind(client);
       return {
         success: false,
         message: error.message,
         hint: error.hint,
-        ...results
+        ...results,
+        servers: this.getServerStatus()
       };
     }
   }
@@ -0,0 +1,203 @@
+/**
+ * LDAP Connection Pool
+ * Keeps service-bound ldapjs clients open between requests instead of
+ * connecting and binding for every lookup. Idle clients are checked every
+ * healthInterval; clients that fail the check or lost their connection are
+ * closed and replaced on demand.
+ */
+const logger = require('../utils/logger');
+
+class LDAPPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.create - async () => connected, service-bound client
+   * @param {Function} options.validate - async (client) => rejects if the client should be closed
+   * @param {Function} options.destroy - (client) => void
+   * @param {number} [options.size] - Maximum open clients
+   * @param {number} [options.acquireTimeout] - Milliseconds to wait for a free client
+   * @param {number} [options.healthInterval] - Milliseconds between idle checks
+   */
+  constructor(options) {
+    this.create = options.create;
+    this.validate = options.validate;
+    this.destroyClient = options.destroy;
+    this.size = options.size ?? 4;
+    this.acquireTimeout = options.acquireTimeout || 15000;
+    this.healthInterval = options.healthInterval || 30000;
+
+    this.idle = [];
+    this.waiting = [];
+    this.open = 0;
+    // Bumped by drain(); clients from an older generation are closed on release
+    this.generation = 0;
+    this.healthTimer = null;
+    this.checking = false;
+  }
+
+  _isUsable(client) {
+    return client.connected && !client.destroyed && client.poolGeneration === this.generation;
+  }
+
+  async _createClient() {
+    this.open++;
+    try {
+      const client = await this.create();
+      client.poolGeneration = this.generation;
+      this._startHealthCheck();
+      return client;
+    } catch (error) {
+      this.open--;
+      throw error;
+    }
+  }
+
+  _discard(client) {
+    this.open--;
+    try {
+      this.destroyClient(client);
+    } catch (error) {
+      logger.warn('LDAP pool: failed to close client', { error: error.message });
+    }
+
+    // A waiter may now get a fresh client
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      this._createClient().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  /**
+   * Get a client, opening one if the pool is not full
+   */
+  async acquire() {
+    while (this.idle.length > 0) {
+      const client = this.idle.pop();
+      if (this._isUsable(client)) {
+        return client;
+      }
+      this._discard(client);
+    }
+
+    if (this.open < this.size) {
+      return this._createClient();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: (client) => {
+          clearTimeout(waiter.timer);
+          resolve(client);
+        },
+        reject: (error) => {
+          clearTimeout(waiter.timer);
+          reject(error);
+        }
+      };
+      waiter.timer = setTimeout(() => {
+        this.waiting = this.waiting.filter(w => w !== waiter);
+        reject(new Error('Timed out waiting for an LDAP connection'));
+      }, this.acquireTimeout);
+      this.waiting.push(waiter);
+    });
+  }
+
+  /**
+   * Return a client to the pool
+   */
+  release(client) {
+    if (!this._isUsable(client)) {
+      this._discard(client);
+      return;
+    }
+
+    const waiter = this.waiting.shift();
+    if (waiter) {
+      waiter.resolve(client);
+    } else {
+      this.idle.push(client);
+    }
+  }
+
+  /**
+   * Run fn with a pooled client and return it afterwards
+   */
+  async use(fn) {
+    const client = await this.acquire();
+    try {
+      return await fn(client);
+    } finally {
+      this.release(client);
+    }
+  }
+
+  /**
+   * Check idle clients and close the ones that fail
+   */
+  async checkIdle() {
+    if (this.checking) {
+      return;
+    }
+    this.checking = true;
+
+    const clients = this.idle.splice(0);
+    try {
+      for (const client of clients) {
+        try {
+          if (!this._isUsable(client)) {
+            throw new Error('Connection closed');
+          }
+          await this.validate(client);
+          this.release(client);
+        } catch (error) {
+          logger.debug('LDAP pool: closing idle client', { error: error.message });
+          this._discard(client);
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  _startHealthCheck() {
+    if (this.healthTimer) {
+      return;
+    }
+    this.healthTimer = setInterval(() => {
+      this.checkIdle().catch(error => logger.error('LDAP pool health check error', { error: error.message }));
+    }, this.healthInterval);
+    this.healthTimer.unref();
+  }
+
+  /**
+   * Close all idle clients; clients in use are closed when released.
+   * Used when the LDAP settings change.
+   */
+  drain() {
+    this.generation++;
+    for (const client of this.idle.splice(0)) {
+      this._discard(client);
+    }
+  }
+
+  /**
+   * Close all clients and stop the health check
+   */
+  close() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+    this.drain();
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      open: this.open,
+      idle: this.idle.length,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+module.exports = LDAPPool;
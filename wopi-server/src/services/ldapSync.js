@@ -0,0 +1,331 @@
+/**
+ * LDAP Directory Sync
+ * Lists all users below the LDAP search base and brings the users table in line:
+ *  - imports directory users who never logged in (LDAP_SYNC_CREATE_USERS)
+ *  - refreshes email, display name, DN, role and quota (group mappings)
+ *  - disables accounts that are disabled in Active Directory or have left the
+ *    directory (LDAP_SYNC_DEPROVISION), and revokes their tokens
+ *  - re-enables accounts it disabled once they are back in the directory
+ *
+ * Runs every LDAP_SYNC_INTERVAL seconds (0 = only on demand). A Redis lock
+ * keeps replicas from syncing at the same time; the last report is kept in Redis.
+ */
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db/pool');
+const redisClient = require('../db/redis');
+const ldapService = require('./ldap');
+const groupMappings = require('./groupMappings');
+const tokenRevocation = require('./tokenRevocation');
+const auditService = require('./audit');
+const logger = require('../utils/logger');
+
+const SYNC_INTERVAL = (parseInt(process.env.LDAP_SYNC_INTERVAL) || 0) * 1000;
+const CREATE_USERS = process.env.LDAP_SYNC_CREATE_USERS !== 'false';
+const DEPROVISION = process.env.LDAP_SYNC_DEPROVISION !== 'false';
+// Guard against a wrong search base disabling everyone: larger runs need force
+const MAX_DEPROVISION = parseInt(process.env.LDAP_SYNC_MAX_DEPROVISION) || 50;
+
+const LOCK_KEY = 'collabora:ldap-sync:lock';
+const LOCK_TTL = 30 * 60; // seconds
+const REPORT_KEY = 'collabora:ldap-sync:last-run';
+const REPORT_LIST_LIMIT = 200;
+
+// Accounts kept up to date from the directory
+const SYNC_SOURCES = ['ldap', 'ldap_ltpa', 'ltpa'];
+// Accounts disabled when missing from the directory. Plain LTPA users may come
+// from a registry that is not the configured LDAP directory.
+const DEPROVISION_SOURCES = ['ldap', 'ldap_ltpa'];
+
+let syncTimer = null;
+
+function addToList(list, item) {
+  if (list.length < REPORT_LIST_LIMIT) {
+    list.push(item);
+  }
+}
+
+/**
+ * Write an audit entry for an account change made by the sync
+ */
+async function audit(action, user, details, actorId) {
+  await auditService.log({
+    userId: actorId,
+    action,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { username: user.username, ...details }
+  });
+}
+
+async function deactivateUser(user, reason, report, actorId) {
+  await pool.query(
+    'UPDATE users SET is_active = false, deprovisioned_at = NOW() WHERE id = $1',
+    [user.id]
+  );
+  await tokenRevocation.revokeUser(user.id);
+  await audit('USER_DEPROVISION', user, { reason, source: 'ldap_sync' }, actorId);
+
+  report.counts.deactivated++;
+  addToList(report.deactivated, { username: user.username, reason });
+  logger.info('User deprovisioned by directory sync', { username: user.username, reason });
+}
+
+async function createUser(entry, email, policy, report) {
+  const result = await pool.query(
+    `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, ldap_dn, storage_quota, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 5368709120), true)
+     RETURNING id`,
+    [entry.username, email, 'LDAP_AUTH', entry.displayName, policy.role, 'ldap', entry.dn, policy.storageQuota]
+  );
+
+  await pool.query(
+    'INSERT INTO folders (owner_id, name) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [result.rows[0].id, 'My Documents']
+  );
+
+  report.counts.created++;
+  addToList(report.created, entry.username);
+}
+
+/**
+ * Sync one directory entry with its user row (if any)
+ */
+async function syncEntry(entry, user, mappings, report, actorId) {
+  const policy = await groupMappings.resolve(entry.memberOf, mappings);
+  const email = entry.email || ldapService.fallbackEmail(entry.username);
+
+  if (!user) {
+    if (!CREATE_USERS || entry.disabled || policy.denied) {
+      report.counts.skipped++;
+      return;
+    }
+    await createUser(entry, email, policy, report);
+    return;
+  }
+
+  // Local accounts that happen to share a directory name are left alone
+  if (!SYNC_SOURCES.includes(user.auth_source)) {
+    report.counts.skipped++;
+    return;
+  }
+
+  if (user.email !== email || user.display_name !== entry.displayName || user.ldap_dn !== entry.dn) {
+    await pool.query(
+      'UPDATE users SET email = $1, display_name = $2, ldap_dn = $3 WHERE id = $4',
+      [email, entry.displayName, entry.dn, user.id]
+    );
+    report.counts.updated++;
+  }
+
+  if (policy.role !== user.role ||
+      (policy.storageQuota !== null && policy.storageQuota !== parseInt(user.storage_quota))) {
+    await groupMappings.applyToUser(user, policy);
+  }
+
+  if (entry.disabled) {
+    if (user.is_active) {
+      await deactivateUser(user, 'disabled in directory', report, actorId);
+    }
+  } else if (!user.is_active && user.deprovisioned_at) {
+    await pool.query(
+      'UPDATE users SET is_active = true, deprovisioned_at = NULL WHERE id = $1',
+      [user.id]
+    );
+    await audit('USER_REACTIVATE', user, { source: 'ldap_sync' }, actorId);
+    report.counts.reactivated++;
+    addToList(report.reactivated, user.username);
+  }
+}
+
+/**
+ * Disable directory accounts that no longer appear in the listing
+ */
+async function deprovisionMissing(users, seen, report, force, actorId) {
+  const missing = users.filter(user =>
+    user.is_active &&
+    DEPROVISION_SOURCES.includes(user.auth_source) &&
+    !seen.has(user.username.toLowerCase())
+  );
+
+  if (missing.length === 0) {
+    return;
+  }
+
+  if (seen.size === 0) {
+    report.warnings.push('The directory returned no users; nobody was deprovisioned');
+    return;
+  }
+
+  if (missing.length > MAX_DEPROVISION && !force) {
+    report.warnings.push(
+      `${missing.length} users are missing from the directory, more than LDAP_SYNC_MAX_DEPROVISION ` +
+      `(${MAX_DEPROVISION}); nobody was deprovisioned. Check the search base and run the sync with force.`
+    );
+    report.counts.pendingDeprovision = missing.length;
+    return;
+  }
+
+  for (const user of missing) {
+    try {
+      await deactivateUser(user, 'not found in directory', report, actorId);
+    } catch (error) {
+      report.counts.failed++;
+      addToList(report.errors, { username: user.username, error: error.message });
+    }
+  }
+}
+
+async function syncUsers(entries, report, force, actorId) {
+  const mappings = await groupMappings.listMappings();
+  const result = await pool.query(
+    `SELECT id, username, email, display_name, role, storage_quota, auth_source, ldap_dn,
+            is_active, deprovisioned_at
+     FROM users`
+  );
+  const usersByName = new Map(result.rows.map(user => [user.username.toLowerCase(), user]));
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const key = entry.username.toLowerCase();
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    try {
+      await syncEntry(entry, usersByName.get(key), mappings, report, actorId);
+    } catch (error) {
+      report.counts.failed++;
+      addToList(report.errors, { username: entry.username, error: error.message });
+    }
+  }
+  report.counts.directory = seen.size;
+
+  if (DEPROVISION) {
+    await deprovisionMissing(result.rows, seen, report, force, actorId);
+  }
+}
+
+/**
+ * Report of the last sync run on any instance
+ * @returns {Promise<Object|null>}
+ */
+async function getLastReport() {
+  const stored = await redisClient.get(REPORT_KEY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Whether a sync is running on any instance
+ */
+async function isRunning() {
+  return (await redisClient.exists(LOCK_KEY)) === 1;
+}
+
+/**
+ * Run a directory sync
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'schedule' or 'manual'
+ * @param {Object} [options.triggeredBy] - Admin user ({ id, username }) for manual runs
+ * @param {boolean} [options.force] - Deprovision even above LDAP_SYNC_MAX_DEPROVISION
+ * @returns {Promise<Object|null>} The report, or null if a sync is already running
+ */
+async function runSync({ trigger = 'schedule', triggeredBy = null, force = false } = {}) {
+  const runId = uuidv4();
+  const acquired = await redisClient.set(LOCK_KEY, runId, { NX: true, EX: LOCK_TTL });
+  if (!acquired) {
+    return null;
+  }
+
+  const startedAt = new Date();
+  const report = {
+    id: runId,
+    trigger,
+    triggeredBy: triggeredBy?.username || null,
+    status: 'running',
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    options: { createUsers: CREATE_USERS, deprovision: DEPROVISION, force },
+    counts: { directory: 0, created: 0, updated: 0, reactivated: 0, deactivated: 0, skipped: 0, failed: 0 },
+    created: [],
+    reactivated: [],
+    deactivated: [],
+    errors: [],
+    warnings: [],
+    error: null
+  };
+
+  try {
+    const entries = await ldapService.listDirectoryUsers();
+    await syncUsers(entries, report, force, triggeredBy?.id || null);
+    report.status = 'success';
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+    logger.error('LDAP directory sync failed', { error: error.message, hint: error.hint });
+  } finally {
+    const finishedAt = new Date();
+    report.finishedAt = finishedAt.toISOString();
+    report.durationMs = finishedAt - startedAt;
+
+    await redisClient.set(REPORT_KEY, JSON.stringify(report));
+    if (await redisClient.get(LOCK_KEY) === runId) {
+      await redisClient.del(LOCK_KEY);
+    }
+  }
+
+  logger.info('LDAP directory sync completed', { status: report.status, trigger, ...report.counts });
+  return report;
+}
+
+/**
+ * Start the scheduled sync (LDAP_SYNC_INTERVAL > 0)
+ */
+function startSyncJob() {
+  if (syncTimer || SYNC_INTERVAL <= 0) {
+    return;
+  }
+
+  const run = async () => {
+    if (!ldapService.configured) {
+      return;
+    }
+    // Every replica runs the timer; skip if another one synced recently
+    const last = await getLastReport();
+    if (last?.finishedAt && Date.now() - new Date(last.finishedAt).getTime() < SYNC_INTERVAL / 2) {
+      return;
+    }
+    await runSync();
+  };
+
+  // No run at startup: settings stored through the admin API are not loaded yet
+  syncTimer = setInterval(() => {
+    run().catch(error => logger.error('LDAP directory sync error', { error: error.message }));
+  }, SYNC_INTERVAL);
+  syncTimer.unref();
+
+  logger.info('LDAP directory sync job started', {
+    intervalSeconds: SYNC_INTERVAL / 1000,
+    createUsers: CREATE_USERS,
+    deprovision: DEPROVISION
+  });
+}
+
+/**
+ * Stop the scheduled sync
+ */
+function stopSyncJob() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+module.exports = {
+  runSync,
+  isRunning,
+  getLastReport,
+  startSyncJob,
+  stopSyncJob
+};
@@ -1,14 +1,208 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const ltpaKeysService = require('./ltpaKeys');
 
 const DEBUG_LTPA = process.env.DEBUG_LTPA === 'true';
 
+const DOMINO_TOKEN_HEADER = Buffer.from([0x00, 0x01, 0x02, 0x03]);
+const DOMINO_DIGEST_LENGTH = 20;
+
 function ltpaDebug(message, data = {}) {
   if (DEBUG_LTPA) {
     logger.info(`[LTPA DEBUG] ${message}`, data);
   }
 }
 
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function toBigInt(buffer) {
+  return buffer.length ? BigInt(`0x${buffer.toString('hex')}`) : 0n;
+}
+
+function toBase64Url(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return Buffer.from(hex, 'hex').toString('base64url');
+}
+
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const q = oldR / r;
+    [oldR, r] = [r, oldR - q * r];
+    [oldS, s] = [s, oldS - q * s];
+  }
+  return ((oldS % m) + m) % m;
+}
+
+// ISO/IEC 9796-1 shadow function: a fixed permutation of nibbles
+const ISO9796_SHADOWS = [0xe, 0x3, 0x5, 0x8, 0x9, 0x4, 0x2, 0xf, 0x0, 0xd, 0xb, 0x6, 0x7, 0xa, 0xc, 0x1];
+
+function iso9796Shadow(byte) {
+  return (ISO9796_SHADOWS[byte >> 4] << 4) | ISO9796_SHADOWS[byte & 0x0f];
+}
+
+/**
+ * ISO/IEC 9796-1 message representative of data for an RSA modulus of
+ * modulusBits bits: data is repeated to fill half the block, each byte is
+ * preceded by its shadow, the start of the last repetition is marked and the
+ * low nibble is forced to 6. This is the padding of WebSphere's
+ * LTPACrypto.signISO9796, which signs the SHA-1 digest with it.
+ * @returns {Buffer} Block as long as the modulus
+ */
+function iso9796Encode(data, modulusBits) {
+  const block = Buffer.alloc(Math.ceil(modulusBits / 8));
+  const t = Math.floor((modulusBits + 13) / 16);
+  const z = data.length;
+  const start = block.length - 2 * t;
+
+  // Last t bytes: data repeated from the right, the leftmost copy cut short
+  for (let i = 0; i < t; i += z) {
+    if (i > t - z) {
+      data.copy(block, block.length - t, z - (t - i));
+    } else {
+      data.copy(block, block.length - (i + z));
+    }
+  }
+
+  // Spread over 2t bytes, each byte after its shadow
+  for (let i = start; i < block.length; i += 2) {
+    const value = block[block.length - t + (i - start) / 2];
+    block[i] = iso9796Shadow(value);
+    block[i + 1] = value;
+  }
+
+  block[block.length - 2 * z] ^= 0x01;
+  block[block.length - 1] = ((block[block.length - 1] << 4) | 0x06) & 0xff;
+
+  // Highest bit set one below the modulus length, so the block is below the modulus
+  const maxBit = 8 - ((modulusBits - 1) % 8);
+  if (maxBit !== 8) {
+    block[0] &= 0xff >>> maxBit;
+    block[0] |= 0x80 >>> maxBit;
+  } else {
+    block[0] = 0;
+    block[1] |= 0x80;
+  }
+
+  return block;
+}
+
+/**
+ * Raw RSA (no padding) on a block the length of the modulus
+ */
+function rsaRaw(key, block) {
+  const operation = key.type === 'private' ? crypto.privateDecrypt : crypto.publicEncrypt;
+  return operation({ key, padding: crypto.constants.RSA_NO_PADDING }, block);
+}
+
+/**
+ * Sign data (the SHA-1 digest of the user data) like WebSphere does:
+ * ISO/IEC 9796-1 padding and the raw RSA private key operation
+ */
+function signISO9796(privateKey, data) {
+  const modulusBits = privateKey.asymmetricKeyDetails.modulusLength;
+  return rsaRaw(privateKey, iso9796Encode(data, modulusBits));
+}
+
+/**
+ * Check an ISO/IEC 9796-1 signature of data. The signer may have sent
+ * either the signature or its complement to the modulus, so both are tried.
+ */
+function verifyISO9796(publicKey, data, signature) {
+  const modulusBits = publicKey.asymmetricKeyDetails.modulusLength;
+  const length = Math.ceil(modulusBits / 8);
+  const n = toBigInt(Buffer.from(publicKey.export({ format: 'jwk' }).n, 'base64url'));
+
+  // Java's BigInteger.toByteArray() may add a sign byte or drop leading zeros
+  const value = toBigInt(signature);
+  if (value === 0n || value >= n) {
+    return false;
+  }
+  const recovered = toBigInt(rsaRaw(publicKey, Buffer.from(value.toString(16).padStart(length * 2, '0'), 'hex')));
+  const expected = toBigInt(iso9796Encode(data, modulusBits));
+
+  return recovered === expected || n - recovered === expected;
+}
+
+/**
+ * Import an LTPA public key. ltpa.keys stores it as base64 of the
+ * modulus (129 bytes, sign byte included) followed by a 3-byte exponent.
+ */
+function importPublicKey(value) {
+  if (value.includes('-----BEGIN')) {
+    return crypto.createPublicKey(value);
+  }
+  const raw = Buffer.from(value, 'base64');
+  if (raw.length < 68) {
+    throw new Error(`Unexpected LTPA public key length: ${raw.length}`);
+  }
+  return crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'RSA',
+      n: toBase64Url(toBigInt(raw.subarray(0, raw.length - 3))),
+      e: toBase64Url(toBigInt(raw.subarray(raw.length - 3)))
+    }
+  });
+}
+
+/**
+ * Import a decrypted LTPA private key. The IBM layout is a 4-byte length of
+ * the private exponent, the private exponent, the public exponent (3 bytes)
+ * and the two primes, which share the remaining bytes equally.
+ */
+function importPrivateKey(value) {
+  if (value.includes('-----BEGIN')) {
+    return crypto.createPrivateKey(value);
+  }
+  const raw = Buffer.from(value, 'base64');
+  const dLength = raw.readUInt32BE(0);
+  const primesLength = raw.length - 4 - dLength - 3;
+  if (dLength <= 0 || primesLength <= 0 || primesLength % 2) {
+    throw new Error('Unexpected LTPA private key layout (wrong password?)');
+  }
+
+  let offset = 4;
+  const d = toBigInt(raw.subarray(offset, offset += dLength));
+  const e = toBigInt(raw.subarray(offset, offset += 3));
+  const p = toBigInt(raw.subarray(offset, offset += primesLength / 2));
+  const q = toBigInt(raw.subarray(offset));
+
+  const n = p * q;
+  const lambda = ((p - 1n) * (q - 1n)) / gcd(p - 1n, q - 1n);
+  if ((d * e) % lambda !== 1n) {
+    throw new Error('LTPA private key components are inconsistent (wrong password?)');
+  }
+
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'RSA',
+      n: toBase64Url(n),
+      e: toBase64Url(e),
+      d: toBase64Url(d),
+      p: toBase64Url(p),
+      q: toBase64Url(q),
+      dp: toBase64Url(d % (p - 1n)),
+      dq: toBase64Url(d % (q - 1n)),
+      qi: toBase64Url(modInverse(q, p))
+    }
+  });
+}
+
 /**
  * LTPA2 Token Service
  * Handles IBM Domino / WebSphere / Liberty LTPA2 token validation and generation
@@ -21,6 +215,26 @@ function ltpaDebug(message, data = {}) {
  *  - Domino uses the Notes canonical name as the user identity
  *    e.g., u:user:defaultRealm/CN=John Doe/O=MyOrg
  *  - The 3DES key from ltpa.keys is the shared secret
+ *
+ * Signatures (LTPA_SIGNATURE_MODE):
+ *  - WebSphere / Liberty sign the SHA-1 digest of the user section with the
+ *    RSA private key from ltpa.keys, padded as in ISO/IEC 9796-1; it is
+ *    checked against the public key
+ *  - Domino tokens may instead carry a SHA-1 digest of the token data with
+ *    the shared secret appended, and tokens generated by this server without
+ *    a private key carry an HMAC-SHA1
+ *  - strict: only RSA signatures are accepted (default)
+ *  - compat: RSA or shared-secret signatures are accepted; must be chosen
+ *    explicitly, since anyone holding the shared secret can mint tokens
+ *  - log: signature failures are only logged (migration aid, not for production)
+ *
+ * Domino LtpaToken (LTPA1, "Domino single server" SSO) is a different,
+ * unencrypted binary layout, Base64-encoded:
+ *  - 4 bytes version header 0x00 0x01 0x02 0x03
+ *  - 8 ASCII hex digits: creation time (seconds since epoch)
+ *  - 8 ASCII hex digits: expiry time (seconds since epoch)
+ *  - user name (Notes canonical name, LMBCS - ASCII/Latin-1 in practice)
+ *  - 20 bytes SHA-1 over all of the above plus the Domino Web SSO secret
  */
 class LTPAService {
   constructor() {
@@ -38,18 +252,37 @@ class LTPAService {
       // Options: cn, shortname, dn, email
       dominoUserFormat: (process.env.LTPA_DOMINO_USER_FORMAT || 'cn').toLowerCase(),
       // Whether to try AES before 3DES
-      preferAES: process.env.LTPA_PREFER_AES === 'true'
+      preferAES: process.env.LTPA_PREFER_AES === 'true',
+      // Password of the ltpa.keys file, when LTPA_PRIVATE_KEY is still encrypted
+      keysPassword: process.env.LTPA_KEYS_PASSWORD || '',
+      // Domino Web SSO configuration secret (LtpaToken / LTPA1), base64
+      dominoSecret: process.env.LTPA_DOMINO_SECRET || '',
+      signatureMode: (process.env.LTPA_SIGNATURE_MODE || 'strict').toLowerCase()
     };
 
-    this.keys = this._deriveKeys();
+    if (!['strict', 'compat', 'log'].includes(this.config.signatureMode)) {
+      logger.error('Invalid LTPA_SIGNATURE_MODE, using strict', { mode: this.config.signatureMode });
+      this.config.signatureMode = 'strict';
+    }
+
+    if (this.config.signatureMode === 'compat') {
+      logger.warn('LTPA_SIGNATURE_MODE is compat: tokens signed with the shared secret alone are accepted, so anyone holding the LTPA 3DES key can mint them');
+    }
+
+    // Key sets from the keyring (see ltpaKeys) are added by reloadKeyring()
+    this._applyKeySets([]);
 
     if (this.keys) {
       ltpaDebug('LTPA Service initialized', {
         cookieName: this.config.cookieName,
-        realm: this.config.realm,
+        realm: this.primaryKeySet.realm,
         dominoUserFormat: this.config.dominoUserFormat,
         hasDesKey: !!this.keys.desKey,
         hasAesKey: !!this.keys.aesKey,
+        signatureMode: this.config.signatureMode,
+        hasPublicKey: !!this.signingKeys.publicKey,
+        hasPrivateKey: !!this.signingKeys.privateKey,
+        hasDominoSecret: !!this.config.dominoSecret,
         trustedDomains: this.config.trustedDomains
       });
     } else {
@@ -61,14 +294,14 @@ class LTPAService {
    * Derive encryption and signature keys from LTPA shared secret.
    * Supports both 3DES (traditional) and AES (newer Domino/WebSphere).
    */
-  _deriveKeys() {
-    if (!this.config.secretKey) {
+  _deriveKeys(secretKey = this.config.secretKey) {
+    if (!secretKey) {
       logger.warn('LTPA secret key not configured');
       return null;
     }
 
     try {
-      const secretKeyBuffer = Buffer.from(this.config.secretKey, 'base64');
+      const secretKeyBuffer = Buffer.from(secretKey, 'base64');
       ltpaDebug('Secret key buffer length', { length: secretKeyBuffer.length });
 
       // SHA-1 hash of the secret key for key derivation
@@ -98,12 +331,143 @@ class LTPAService {
     }
   }
 
+  /**
+   * Import the RSA keys used for LTPA2 signatures.
+   * Accepts the ltpa.keys encoding (base64, IBM raw layout) or PEM.
+   */
+  _loadSigningKeys(source = this.config) {
+    const signingKeys = { publicKey: null, privateKey: null };
+
+    if (source.publicKey) {
+      try {
+        signingKeys.publicKey = importPublicKey(source.publicKey);
+      } catch (error) {
+        logger.error('Failed to import LTPA public key', { error: error.message });
+      }
+    }
+
+    if (source.privateKey) {
+      try {
+        let privateKey = source.privateKey;
+        if (this.config.keysPassword && !privateKey.includes('-----BEGIN')) {
+          privateKey = ltpaKeysService.decryptKey(privateKey, this.config.keysPassword);
+        }
+        signingKeys.privateKey = importPrivateKey(privateKey);
+      } catch (error) {
+        logger.error('Failed to import LTPA private key', { error: error.message });
+      }
+    }
+
+    // Verifying with our own key pair still works when only the private key is configured
+    if (!signingKeys.publicKey && signingKeys.privateKey) {
+      signingKeys.publicKey = crypto.createPublicKey(signingKeys.privateKey);
+    }
+
+    return signingKeys;
+  }
+
+  /**
+   * Build a usable key set from stored key material
+   * @param {Object} source - { id, realm, desKey, publicKey, privateKey, expiresAt, primary }
+   */
+  _buildKeySet(source) {
+    return {
+      id: source.id,
+      realm: source.realm || this.config.realm,
+      primary: !!source.primary,
+      expiresAt: source.expiresAt ? new Date(source.expiresAt).getTime() : null,
+      keys: this._deriveKeys(source.desKey),
+      signingKeys: this._loadSigningKeys(source)
+    };
+  }
+
+  /**
+   * Replace the active key sets. Keys from the environment (LTPA_SECRET_KEY)
+   * stay valid next to imported ones and are primary if nothing else is.
+   * @param {Array<Object>} storedSets - Key sets from the keyring
+   */
+  _applyKeySets(storedSets) {
+    const keySets = storedSets.map(source => this._buildKeySet(source)).filter(keySet => keySet.keys);
+
+    if (this.config.secretKey && !storedSets.some(source => source.desKey === this.config.secretKey)) {
+      keySets.push(this._buildKeySet({
+        id: 'env',
+        realm: this.config.realm,
+        desKey: this.config.secretKey,
+        publicKey: this.config.publicKey,
+        privateKey: this.config.privateKey,
+        primary: !keySets.some(keySet => keySet.primary)
+      }));
+    }
+
+    // Primary first, so it is tried first when decrypting
+    keySets.sort((a, b) => b.primary - a.primary);
+
+    if (this.config.signatureMode === 'strict') {
+      for (const keySet of keySets.filter(k => !k.signingKeys.publicKey)) {
+        logger.error('LTPA_SIGNATURE_MODE is strict but a key set has no public key; its tokens will be rejected', { id: keySet.id });
+      }
+    }
+
+    this.keySets = keySets;
+    this.primaryKeySet = keySets.find(keySet => keySet.primary) || null;
+    // The primary key set generates new tokens
+    this.keys = this.primaryKeySet?.keys || null;
+    this.signingKeys = this.primaryKeySet?.signingKeys || { publicKey: null, privateKey: null };
+  }
+
+  /**
+   * Reload key sets, the Domino secret and the cookie name from the keyring
+   */
+  async reloadKeyring() {
+    const keyring = await ltpaKeysService.loadKeyring();
+    this.config.dominoSecret = keyring.dominoSecret || process.env.LTPA_DOMINO_SECRET || '';
+    this.config.cookieName = keyring.cookieName || process.env.LTPA_COOKIE_NAME || 'LtpaToken2';
+    this._applyKeySets(keyring.keySets.map(keySet => ({
+      ...keySet,
+      primary: keySet.id === keyring.primaryId
+    })));
+
+    ltpaDebug('LTPA keyring loaded', {
+      keySets: this.keySets.map(keySet => ({ id: keySet.id, realm: keySet.realm, primary: keySet.primary }))
+    });
+  }
+
+  /**
+   * Key sets that still validate tokens (demoted sets expire after their grace period)
+   */
+  _activeKeySets() {
+    const now = Date.now();
+    return this.keySets.filter(keySet => keySet.primary || !keySet.expiresAt || keySet.expiresAt > now);
+  }
+
+  /**
+   * Decrypt a token with each active key set in turn
+   * @returns {Object} { content, keySet }
+   */
+  _decryptWithKeyring(encryptedToken) {
+    const keySets = this._activeKeySets();
+    if (keySets.length === 0) {
+      throw new Error('LTPA keys not configured');
+    }
+
+    for (const keySet of keySets) {
+      try {
+        return { content: this.decryptToken(encryptedToken, keySet.keys), keySet };
+      } catch (e) {
+        ltpaDebug('Key set could not decrypt token', { id: keySet.id });
+      }
+    }
+
+    throw new Error('Failed to decrypt LTPA token with any key set');
+  }
+
   /**
    * Decrypt LTPA2 token. Tries 3DES-CBC first, then AES-128-CBC.
    * Domino typically uses 3DES, newer WebSphere may use AES.
    */
-  decryptToken(encryptedToken) {
-    if (!this.keys) {
+  decryptToken(encryptedToken, keys = this.keys) {
+    if (!keys) {
       throw new Error('LTPA keys not configured');
     }
 
@@ -118,12 +482,12 @@ class LTPAService {
 
     // Determine order based on preference
     const methods = this.config.preferAES
-      ? [this._decryptAES.bind(this), this._decrypt3DES.bind(this)]
-      : [this._decrypt3DES.bind(this), this._decryptAES.bind(this)];
+      ? [this._decryptAES, this._decrypt3DES]
+      : [this._decrypt3DES, this._decryptAES];
 
     for (const method of methods) {
       try {
-        const result = method(tokenBuffer);
+        const result = method.call(this, tokenBuffer, keys);
         if (result) {
           ltpaDebug('Token decrypted successfully', { method: method.name, contentLength: result.length });
           return result;
@@ -135,7 +499,7 @@ class LTPAService {
 
     // Also try using the raw secret key directly as 3DES key (some Domino configs)
     try {
-      const result = this._decrypt3DESRaw(tokenBuffer);
+      const result = this._decrypt3DESRaw(tokenBuffer, keys);
       if (result) {
         ltpaDebug('Token decrypted with raw secret key');
         return result;
@@ -147,10 +511,10 @@ class LTPAService {
     throw new Error('Failed to decrypt LTPA token with any method');
   }
 
-  _decrypt3DES(tokenBuffer) {
+  _decrypt3DES(tokenBuffer, keys) {
     const iv = tokenBuffer.slice(0, 8);
     const encrypted = tokenBuffer.slice(8);
-    const decipher = crypto.createDecipheriv('des-ede3-cbc', this.keys.desKey, iv);
+    const decipher = crypto.createDecipheriv('des-ede3-cbc', keys.desKey, iv);
     decipher.setAutoPadding(true);
     let decrypted = decipher.update(encrypted);
     decrypted = Buffer.concat([decrypted, decipher.final()]);
@@ -162,10 +526,10 @@ class LTPAService {
     throw new Error('Decrypted content does not look like LTPA token');
   }
 
-  _decryptAES(tokenBuffer) {
+  _decryptAES(tokenBuffer, keys) {
     const iv = tokenBuffer.slice(0, 16);
     const encrypted = tokenBuffer.slice(16);
-    const decipher = crypto.createDecipheriv('aes-128-cbc', this.keys.aesKey, iv);
+    const decipher = crypto.createDecipheriv('aes-128-cbc', keys.aesKey, iv);
     decipher.setAutoPadding(true);
     let decrypted = decipher.update(encrypted);
     decrypted = Buffer.concat([decrypted, decipher.final()]);
@@ -176,9 +540,9 @@ class LTPAService {
     throw new Error('Decrypted content does not look like LTPA token');
   }
 
-  _decrypt3DESRaw(tokenBuffer) {
-    if (this.keys.rawSecret.length < 24) return null;
-    const desKey = this.keys.rawSecret.slice(0, 24);
+  _decrypt3DESRaw(tokenBuffer, keys) {
+    if (keys.rawSecret.length < 24) return null;
+    const desKey = keys.rawSecret.slice(0, 24);
     const iv = tokenBuffer.slice(0, 8);
     const encrypted = tokenBuffer.slice(8);
     const decipher = crypto.createDecipheriv('des-ede3-cbc', desKey, iv);
@@ -244,8 +608,13 @@ class LTPAService {
       let dn = '';
       const attributes = {};
 
-      if (userPart.startsWith('u:user:')) {
-        const userInfo = userPart.substring(7); // Remove "u:user:"
+      // The user section is a $-separated list of name:value attributes, with
+      // the user itself in "u:user:<realm>/<dn>" (WebSphere puts "expire" first)
+      const fields = userPart.split('$');
+      const userIndex = fields.findIndex(field => field.startsWith('u:user:'));
+
+      if (userIndex !== -1) {
+        const userInfo = fields[userIndex].substring(7); // Remove "u:user:"
         const slashIndex = userInfo.indexOf('/');
 
         if (slashIndex !== -1) {
@@ -255,19 +624,12 @@ class LTPAService {
           dn = userInfo;
         }
 
-        // Extract attributes (after $)
-        const dollarIndex = dn.indexOf('$');
-        if (dollarIndex !== -1) {
-          const attrString = dn.substring(dollarIndex + 1);
-          dn = dn.substring(0, dollarIndex);
-          const attrPairs = attrString.split('$');
-          for (const pair of attrPairs) {
-            const colonIdx = pair.indexOf(':');
-            if (colonIdx !== -1) {
-              attributes[pair.substring(0, colonIdx)] = pair.substring(colonIdx + 1);
-            }
+        fields.forEach((pair, index) => {
+          const colonIdx = pair.indexOf(':');
+          if (index !== userIndex && colonIdx !== -1) {
+            attributes[pair.substring(0, colonIdx)] = pair.substring(colonIdx + 1);
           }
-        }
+        });
 
         // Extract username from DN based on format
         username = this._extractUsernameFromDN(dn);
@@ -292,6 +654,7 @@ class LTPAService {
         dn,
         expireTime,
         attributes,
+        userSection: userPart,
         signature,
         isExpired: Date.now() > expireTime
       };
@@ -380,8 +743,12 @@ class LTPAService {
         // Not URL-encoded, use as-is
       }
 
-      // Decrypt token
-      const content = this.decryptToken(decodedToken);
+      if (this.isDominoToken(decodedToken)) {
+        return this.validateDominoToken(decodedToken);
+      }
+
+      // Decrypt token with whichever key set issued it
+      const { content, keySet } = this._decryptWithKeyring(decodedToken);
 
       // Parse token content
       const tokenData = this.parseTokenContent(content);
@@ -394,22 +761,22 @@ class LTPAService {
         return null;
       }
 
-      // Verify HMAC signature if present
-      if (tokenData.signature && this.keys) {
-        const contentWithoutSig = content.substring(0, content.lastIndexOf('%'));
-        const hmac = crypto.createHmac('sha1', this.keys.hmacKey);
-        hmac.update(contentWithoutSig);
-        const expectedSig = hmac.digest('base64');
-
-        if (expectedSig !== tokenData.signature) {
-          ltpaDebug('HMAC signature mismatch (may be OK for Domino tokens)', {
-            expected: expectedSig.substring(0, 10) + '...',
-            actual: tokenData.signature.substring(0, 10) + '...'
+      const signatureCheck = this.verifySignature(content, tokenData, keySet);
+      if (!signatureCheck.valid) {
+        if (this.config.signatureMode !== 'log') {
+          logger.warn('LTPA token signature rejected', {
+            username: tokenData.username,
+            reason: signatureCheck.reason,
+            mode: this.config.signatureMode
           });
-          // Don't reject - Domino may use different signing
-        } else {
-          ltpaDebug('HMAC signature verified');
+          return null;
         }
+        logger.warn('LTPA token signature invalid, accepted because LTPA_SIGNATURE_MODE=log', {
+          username: tokenData.username,
+          reason: signatureCheck.reason
+        });
+      } else {
+        ltpaDebug('Token signature verified', { method: signatureCheck.method, keySet: keySet.id });
       }
 
       logger.info('LTPA token validated', { username: tokenData.username, realm: tokenData.realm });
@@ -428,6 +795,68 @@ class LTPAService {
     }
   }
 
+  /**
+   * Verify the signature of decrypted token content
+   * @param {string} content - Decrypted token content
+   * @param {Object} tokenData - Result of parseTokenContent
+   * @param {Object} [keySet] - Key set that decrypted the token (default: primary)
+   * @returns {Object} { valid, method, reason }
+   */
+  verifySignature(content, tokenData, keySet = this.primaryKeySet) {
+    const { keys, signingKeys } = keySet || { keys: null, signingKeys: {} };
+
+    if (!tokenData.signature) {
+      return { valid: false, reason: 'Token is not signed' };
+    }
+
+    // The signed expiry must match the unsigned one in the token trailer
+    const signedExpire = tokenData.attributes.expire;
+    if (signedExpire !== undefined && parseInt(signedExpire, 10) !== tokenData.expireTime) {
+      return { valid: false, reason: 'Expiration does not match signed user data' };
+    }
+
+    if (signingKeys.publicKey) {
+      const digest = crypto.createHash('sha1').update(tokenData.userSection, 'utf8').digest();
+      try {
+        if (verifyISO9796(signingKeys.publicKey, digest, Buffer.from(tokenData.signature, 'base64'))) {
+          return { valid: true, method: 'rsa' };
+        }
+      } catch (error) {
+        ltpaDebug('RSA signature check failed', { error: error.message });
+      }
+    }
+
+    if (this.config.signatureMode === 'strict') {
+      return {
+        valid: false,
+        reason: signingKeys.publicKey ? 'RSA signature mismatch' : 'No LTPA public key configured'
+      };
+    }
+
+    if (!keys) {
+      return { valid: false, reason: 'No LTPA keys configured' };
+    }
+
+    const signedContent = content.substring(0, content.lastIndexOf('%'));
+
+    // Domino: SHA-1 over the token data with the shared secret appended
+    const dominoDigest = crypto.createHash('sha1')
+      .update(Buffer.concat([Buffer.from(signedContent, 'utf8'), keys.rawSecret]))
+      .digest('base64');
+    if (safeEqual(dominoDigest, tokenData.signature)) {
+      return { valid: true, method: 'domino' };
+    }
+
+    const hmac = crypto.createHmac('sha1', keys.hmacKey)
+      .update(signedContent)
+      .digest('base64');
+    if (safeEqual(hmac, tokenData.signature)) {
+      return { valid: true, method: 'hmac' };
+    }
+
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
   /**
    * Generate LTPA2 token for user (Domino-compatible format)
    */
@@ -437,24 +866,38 @@ class LTPAService {
     }
 
     const expireTime = Date.now() + (this.config.tokenExpiration * 1000);
+    const privateKey = this.signingKeys.privateKey;
+
+    if (!privateKey && this.config.signatureMode === 'strict') {
+      throw new Error('LTPA private key required to generate tokens in strict signature mode');
+    }
 
     // Build token content in Domino-compatible format
-    let content = `u:user:${this.config.realm}/${username}`;
+    let userSection = `u:user:${this.primaryKeySet.realm}/${username}`;
+
+    // RSA-signed tokens carry the expiry in the signed user data, like WebSphere
+    const allAttributes = privateKey ? { ...attributes, expire: expireTime } : attributes;
 
     // Add attributes
-    if (Object.keys(attributes).length > 0) {
-      const attrString = Object.entries(attributes)
+    if (Object.keys(allAttributes).length > 0) {
+      const attrString = Object.entries(allAttributes)
         .map(([k, v]) => `${k}:${v}`)
         .join('$');
-      content += `$${attrString}`;
+      userSection += `$${attrString}`;
     }
 
-    content += `%${expireTime}`;
+    let content = `${userSection}%${expireTime}`;
 
-    // Add HMAC signature
-    const hmac = crypto.createHmac('sha1', this.keys.hmacKey);
-    hmac.update(content);
-    const signature = hmac.digest('base64');
+    let signature;
+    if (privateKey) {
+      const digest = crypto.createHash('sha1').update(userSection, 'utf8').digest();
+      signature = signISO9796(privateKey, digest).toString('base64');
+    } else {
+      // No private key: HMAC with the shared secret (accepted in compat mode only)
+      const hmac = crypto.createHmac('sha1', this.keys.hmacKey);
+      hmac.update(content);
+      signature = hmac.digest('base64');
+    }
     content += `%${signature}`;
 
     ltpaDebug('Generated token content', { username, expireTime: new Date(expireTime).toISOString() });
@@ -462,6 +905,121 @@ class LTPAService {
     return this.encryptToken(content);
   }
 
+  /**
+   * Check whether a token uses the Domino LtpaToken (LTPA1) layout
+   */
+  isDominoToken(token) {
+    const raw = Buffer.from(token, 'base64');
+    return raw.length > DOMINO_TOKEN_HEADER.length + 16 + DOMINO_DIGEST_LENGTH &&
+      raw.subarray(0, DOMINO_TOKEN_HEADER.length).equals(DOMINO_TOKEN_HEADER);
+  }
+
+  _getDominoSecret() {
+    if (!this.config.dominoSecret) {
+      throw new Error('Domino Web SSO secret not configured');
+    }
+    return Buffer.from(this.config.dominoSecret, 'base64');
+  }
+
+  /**
+   * Parse a Domino LtpaToken (LTPA1). The digest is checked here because,
+   * unlike LTPA2, nothing in the token is encrypted.
+   * @returns {Object} { username, dn, creationTime, expireTime, isExpired, signatureValid }
+   */
+  parseDominoToken(token) {
+    const raw = Buffer.from(token, 'base64');
+    if (!this.isDominoToken(token)) {
+      throw new Error('Not a Domino LtpaToken');
+    }
+
+    const data = raw.subarray(0, raw.length - DOMINO_DIGEST_LENGTH);
+    const digest = raw.subarray(raw.length - DOMINO_DIGEST_LENGTH);
+
+    const times = data.subarray(4, 20).toString('latin1');
+    if (!/^[0-9a-fA-F]{16}$/.test(times)) {
+      throw new Error('Invalid LtpaToken timestamps');
+    }
+    const creationTime = parseInt(times.substring(0, 8), 16) * 1000;
+    const expireTime = parseInt(times.substring(8, 16), 16) * 1000;
+    const dn = data.subarray(20).toString('latin1');
+
+    const expectedDigest = crypto.createHash('sha1')
+      .update(Buffer.concat([data, this._getDominoSecret()]))
+      .digest();
+
+    ltpaDebug('Parsed Domino LtpaToken', {
+      dn,
+      creationTime: new Date(creationTime).toISOString(),
+      expireTime: new Date(expireTime).toISOString()
+    });
+
+    return {
+      username: this._extractUsernameFromDN(dn),
+      dn,
+      creationTime,
+      expireTime,
+      isExpired: Date.now() > expireTime,
+      signatureValid: crypto.timingSafeEqual(digest, expectedDigest)
+    };
+  }
+
+  /**
+   * Validate a Domino LtpaToken (LTPA1)
+   */
+  validateDominoToken(token) {
+    const tokenData = this.parseDominoToken(token);
+
+    if (!tokenData.signatureValid) {
+      logger.warn('Domino LtpaToken signature rejected', { username: tokenData.username });
+      return null;
+    }
+
+    if (tokenData.isExpired) {
+      logger.warn('LTPA token expired', {
+        username: tokenData.username,
+        expiredAt: new Date(tokenData.expireTime).toISOString()
+      });
+      return null;
+    }
+
+    // Domino does not reissue tokens that start in the future; allow some clock skew
+    if (tokenData.creationTime > Date.now() + 5 * 60 * 1000) {
+      logger.warn('Domino LtpaToken created in the future', { username: tokenData.username });
+      return null;
+    }
+
+    logger.info('LTPA token validated', { username: tokenData.username, format: 'ltpa1' });
+
+    return {
+      username: tokenData.username,
+      realm: this.config.realm,
+      dn: tokenData.dn,
+      attributes: {},
+      expireTime: tokenData.expireTime
+    };
+  }
+
+  /**
+   * Generate a Domino LtpaToken (LTPA1) for the LtpaToken cookie
+   * @param {string} username - Notes canonical name or short name
+   */
+  generateDominoToken(username) {
+    const secret = this._getDominoSecret();
+    const now = Math.floor(Date.now() / 1000);
+    const toHex = (seconds) => seconds.toString(16).toUpperCase().padStart(8, '0');
+
+    const data = Buffer.concat([
+      DOMINO_TOKEN_HEADER,
+      Buffer.from(toHex(now) + toHex(now + this.config.tokenExpiration), 'latin1'),
+      Buffer.from(username, 'latin1')
+    ]);
+    const digest = crypto.createHash('sha1').update(Buffer.concat([data, secret])).digest();
+
+    ltpaDebug('Generated Domino LtpaToken', { username });
+
+    return Buffer.concat([data, digest]).toString('base64');
+  }
+
   /**
    * Get token from request (cookie or header).
    * Checks both LtpaToken2 and LtpaToken cookie names.
@@ -502,9 +1060,11 @@ class LTPAService {
   }
 
   /**
-   * Set LTPA token cookie (sets both LtpaToken2 and optionally LtpaToken)
+   * Set LTPA token cookie
+   * @param {string} [cookieName] - Defaults to the LTPA2 cookie; pass
+   *   config.cookieNameFallback for a Domino LtpaToken
    */
-  setTokenCookie(res, token, domain = null) {
+  setTokenCookie(res, token, domain = null, cookieName = this.config.cookieName) {
     const cookieOptions = {
       httpOnly: true,
       secure: process.env.NODE_ENV === 'production',
@@ -518,11 +1078,11 @@ class LTPAService {
     }
 
     // Set primary cookie
-    res.cookie(this.config.cookieName, token, cookieOptions);
+    res.cookie(cookieName, token, cookieOptions);
 
     // Also set for trusted domains
     for (const trustedDomain of this.config.trustedDomains) {
-      res.cookie(this.config.cookieName, token, { ...cookieOptions, domain: trustedDomain });
+      res.cookie(cookieName, token, { ...cookieOptions, domain: trustedDomain });
     }
   }
 
@@ -551,14 +1111,40 @@ class LTPAService {
    */
   testConfiguration() {
     const results = {
-      secretKeyConfigured: !!this.config.secretKey,
+      secretKeyConfigured: this.keySets.length > 0,
       keysDerivable: !!this.keys,
       cookieName: this.config.cookieName,
-      realm: this.config.realm,
-      dominoUserFormat: this.config.dominoUserFormat
+      realm: this.primaryKeySet?.realm || this.config.realm,
+      keySets: this.keySets.map(keySet => ({
+        id: keySet.id,
+        realm: keySet.realm,
+        primary: keySet.primary,
+        expiresAt: keySet.expiresAt ? new Date(keySet.expiresAt).toISOString() : null,
+        publicKeyLoaded: !!keySet.signingKeys.publicKey
+      })),
+      dominoUserFormat: this.config.dominoUserFormat,
+      signatureMode: this.config.signatureMode,
+      publicKeyLoaded: !!this.signingKeys.publicKey,
+      privateKeyLoaded: !!this.signingKeys.privateKey,
+      dominoSecretConfigured: !!this.config.dominoSecret
     };
 
-    if (!this.config.secretKey) {
+    if (this.config.dominoSecret) {
+      try {
+        const parsed = this.parseDominoToken(this.generateDominoToken('CN=testuser/O=Test'));
+        results.dominoRoundTrip = {
+          signatureValid: parsed.signatureValid,
+          usernameMatch: parsed.username === 'testuser'
+        };
+      } catch (error) {
+        results.dominoRoundTrip = { error: error.message };
+      }
+    }
+
+    if (this.keySets.length === 0) {
+      if (results.dominoRoundTrip?.signatureValid) {
+        return { success: true, message: 'Domino LtpaToken configuration valid (no LTPA2 keys)', ...results };
+      }
       return { success: false, message: 'LTPA secret key not configured', ...results };
     }
 
@@ -566,24 +1152,40 @@ class LTPAService {
       return { success: false, message: 'Failed to derive LTPA keys from secret', ...results };
     }
 
+    if (this.config.signatureMode === 'strict' && !this.signingKeys.publicKey) {
+      return { success: false, message: 'Strict signature mode requires an LTPA public key', ...results };
+    }
+
+    if (this.config.signatureMode === 'strict' && !this.signingKeys.privateKey) {
+      // Tokens can be verified but not generated, so there is nothing to round-trip
+      return { success: true, message: 'LTPA configuration valid (verification only, no private key)', ...results };
+    }
+
     // Test token round-trip
     try {
       const testToken = this.generateToken('testuser', { test: 'value' });
       const content = this.decryptToken(testToken);
       const parsed = this.parseTokenContent(content);
+      const signatureCheck = this.verifySignature(content, parsed);
 
       results.roundTrip = {
         generated: true,
         decrypted: true,
         parsed: true,
         username: parsed.username,
-        usernameMatch: parsed.username === 'testuser'
+        usernameMatch: parsed.username === 'testuser',
+        signatureValid: signatureCheck.valid,
+        signatureMethod: signatureCheck.method
       };
 
       if (parsed.username !== 'testuser') {
         return { success: false, message: 'Token round-trip: username mismatch', ...results };
       }
 
+      if (!signatureCheck.valid) {
+        return { success: false, message: `Token round-trip: ${signatureCheck.reason}`, ...results };
+      }
+
       return { success: true, message: 'LTPA configuration valid', ...results };
     } catch (error) {
       return { success: false, message: `Token round-trip failed: ${error.message}`, ...results };
@@ -1,16 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const authConfig = require('./authConfig');
 const logger = require('../utils/logger');
 
+// How long a demoted key set keeps validating tokens after another set is
+// promoted (seconds). Should be at least the LTPA token lifetime.
+const KEY_GRACE_PERIOD = parseInt(process.env.LTPA_KEY_GRACE_PERIOD) || 86400;
+
 /**
  * LTPA Keys File Management Service
- * Handles parsing, storing, and managing IBM WebSphere LTPA keys files
+ * Handles parsing, storing, and managing IBM WebSphere LTPA keys files.
+ *
+ * Imported keys form a keyring of key sets, so keys can be rotated without
+ * logging everyone out: tokens are accepted from every active set, new tokens
+ * are generated with the primary set, and a set that loses primary status
+ * expires after LTPA_KEY_GRACE_PERIOD.
+ *
+ * The keyring is stored encrypted in the database (auth_config key 'ltpa');
+ * saving it reloads the keys on every replica.
  */
 class LTPAKeysService {
   constructor() {
     this.keysDir = process.env.LTPA_KEYS_DIR || '/app/config/ltpa';
-    this.keysFile = path.join(this.keysDir, 'ltpa.keys');
+    // Files written by earlier versions, migrated into the database
+    this.keyringFile = path.join(this.keysDir, 'ltpa-keyring.json');
     this.configFile = path.join(this.keysDir, 'ltpa-config.json');
   }
 
@@ -67,53 +82,128 @@ class LTPAKeysService {
 
   /**
    * Decrypt LTPA key using password
-   * WebSphere uses password-based encryption
+   * WebSphere encrypts the keys with DESede/ECB/PKCS5Padding, keyed with the
+   * SHA-1 of the password padded to 24 bytes with zeros
    */
   decryptKey(encryptedKey, password) {
-    try {
-      // WebSphere uses a specific key derivation
-      const keyBuffer = Buffer.from(password, 'utf8');
-      const hash = crypto.createHash('sha1').update(keyBuffer).digest();
-      
-      // Use derived key for decryption
-      const encrypted = Buffer.from(encryptedKey, 'base64');
-      
-      // Try AES decryption (newer WebSphere)
+    const hash = crypto.createHash('sha1').update(Buffer.from(password, 'utf8')).digest();
+    const encrypted = Buffer.from(encryptedKey, 'base64');
+
+    const attempts = [
+      // WebSphere / Liberty
+      () => crypto.createDecipheriv('des-ede3', Buffer.concat([hash, Buffer.alloc(4, 0)]), null),
+      // Older exports
+      () => crypto.createDecipheriv('aes-128-cbc', hash.slice(0, 16), Buffer.alloc(16, 0)),
+      () => crypto.createDecipheriv('des-ede3-cbc', Buffer.concat([hash, hash.slice(0, 4)]), Buffer.alloc(8, 0))
+    ];
+
+    for (const createDecipher of attempts) {
       try {
-        const decipher = crypto.createDecipheriv(
-          'aes-128-cbc',
-          hash.slice(0, 16),
-          Buffer.alloc(16, 0)
-        );
-        let decrypted = decipher.update(encrypted);
-        decrypted = Buffer.concat([decrypted, decipher.final()]);
+        const decipher = createDecipher();
+        const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
         return decrypted.toString('base64');
       } catch {
-        // Fall back to 3DES (older WebSphere)
-        const desKey = Buffer.concat([hash, hash.slice(0, 4)]);
-        const decipher = crypto.createDecipheriv(
-          'des-ede3-cbc',
-          desKey,
-          Buffer.alloc(8, 0)
-        );
-        let decrypted = decipher.update(encrypted);
-        decrypted = Buffer.concat([decrypted, decipher.final()]);
-        return decrypted.toString('base64');
+        // Bad padding: wrong scheme or wrong password, try the next one
       }
-    } catch (error) {
-      logger.error('Key decryption failed', { error: error.message });
-      throw new Error('Failed to decrypt LTPA key with provided password');
     }
+
+    logger.error('Key decryption failed', { error: 'No decryption scheme matched' });
+    throw new Error('Failed to decrypt LTPA key with provided password');
   }
 
   /**
-   * Store LTPA keys configuration
+   * Load the keyring, dropping key sets that have expired
+   * @returns {Promise<Object>} { primaryId, dominoSecret, cookieName, keySets }
    */
-  async storeKeys(keysData, password) {
-    try {
-      // Ensure directory exists
-      await fs.mkdir(this.keysDir, { recursive: true });
+  async loadKeyring() {
+    const keyring = (await authConfig.get('ltpa')) || (await this._migrateFiles());
+
+    const now = Date.now();
+    keyring.keySets = (keyring.keySets || []).filter(keySet =>
+      keySet.id === keyring.primaryId || !keySet.expiresAt || new Date(keySet.expiresAt).getTime() > now
+    );
+    return keyring;
+  }
+
+  async _saveKeyring(keyring) {
+    await authConfig.set('ltpa', keyring);
+  }
+
+  /**
+   * Move configuration from the config directory into the database:
+   * a keyring file, or a single-key ltpa-config.json from older versions
+   */
+  async _migrateFiles() {
+    const readJson = async (file) => {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    };
+
+    let keyring = await readJson(this.keyringFile);
+    if (!keyring) {
+      keyring = { primaryId: null, dominoSecret: '', keySets: [] };
+      const config = await readJson(this.configFile);
+      if (!config) {
+        return keyring;
+      }
 
+      keyring.dominoSecret = config.dominoSecret || '';
+      if (config.desKey) {
+        const keySet = this._createKeySet(config);
+        keySet.importedAt = config.configuredAt || keySet.importedAt;
+        keyring.keySets.push(keySet);
+        keyring.primaryId = keySet.id;
+      }
+    }
+
+    // Called while loading, so the keys are applied by the caller
+    await authConfig.set('ltpa', keyring, { notify: false });
+    // Keep the files (renamed, so they are not read again) in case the
+    // database is restored from an older backup
+    for (const file of [this.keyringFile, this.configFile, path.join(this.keysDir, 'ltpa.keys')]) {
+      try {
+        await fs.rename(file, `${file}.migrated`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn('Failed to rename migrated LTPA file', { file, error: error.message });
+        }
+      }
+    }
+    logger.info('Migrated LTPA configuration to the database', { keySets: keyring.keySets.length });
+    return keyring;
+  }
+
+  _createKeySet(parsedKeys, label) {
+    return {
+      id: uuidv4(),
+      label: label || `${parsedKeys.realm || 'defaultRealm'} ${new Date().toISOString().substring(0, 10)}`,
+      realm: parsedKeys.realm || 'defaultRealm',
+      version: parsedKeys.version,
+      desKey: parsedKeys.desKey,
+      publicKey: parsedKeys.publicKey || '',
+      // Stored as exported (encrypted with the keys password)
+      privateKey: parsedKeys.privateKey || '',
+      creationDate: parsedKeys.creationDate || new Date().toISOString(),
+      importedAt: new Date().toISOString(),
+      expiresAt: null
+    };
+  }
+
+  /**
+   * Add a key set to the keyring
+   * @param {string|Object} keysData - Raw ltpa.keys content or parsed keys
+   * @param {string} password - ltpa.keys password
+   * @param {Object} [options] - { label, makePrimary }; the first key set
+   *   always becomes primary
+   */
+  async storeKeys(keysData, password, options = {}) {
+    try {
       // Parse the keys file if raw content provided
       let parsedKeys;
       if (typeof keysData === 'string') {
@@ -122,32 +212,32 @@ class LTPAKeysService {
         parsedKeys = keysData;
       }
 
-      // Store configuration (excluding sensitive decrypted keys in plain text)
-      const config = {
-        realm: parsedKeys.realm,
-        version: parsedKeys.version,
-        desKey: parsedKeys.desKey,
-        publicKey: parsedKeys.publicKey,
-        creationDate: parsedKeys.creationDate,
-        configuredAt: new Date().toISOString(),
-        // Store encrypted private key
-        privateKey: parsedKeys.privateKey
-      };
+      if (!parsedKeys.desKey) {
+        throw new Error('Keys file does not contain com.ibm.websphere.ltpa.3DESKey');
+      }
 
-      await fs.writeFile(this.configFile, JSON.stringify(config, null, 2));
+      const keyring = await this.loadKeyring();
+      const keySet = this._createKeySet(parsedKeys, options.label);
+      keyring.keySets.push(keySet);
 
-      // Also store the raw keys file for backup
-      if (typeof keysData === 'string') {
-        await fs.writeFile(this.keysFile, keysData);
+      const makePrimary = options.makePrimary || !keyring.primaryId;
+      if (makePrimary) {
+        this._setPrimary(keyring, keySet.id);
       }
 
-      logger.info('LTPA keys stored successfully', { realm: config.realm });
+      await this._saveKeyring(keyring);
+
+      logger.info('LTPA keys stored successfully', { id: keySet.id, realm: keySet.realm, primary: makePrimary });
 
       return {
         success: true,
-        realm: config.realm,
-        version: config.version,
-        message: 'LTPA keys configured successfully'
+        id: keySet.id,
+        realm: keySet.realm,
+        version: keySet.version,
+        primary: makePrimary,
+        message: makePrimary
+          ? 'LTPA keys configured successfully'
+          : 'LTPA keys added; promote them once all servers use the new keys'
       };
     } catch (error) {
       logger.error('Failed to store LTPA keys', { error: error.message });
@@ -155,19 +245,109 @@ class LTPAKeysService {
     }
   }
 
+  _setPrimary(keyring, id) {
+    const previous = keyring.keySets.find(keySet => keySet.id === keyring.primaryId);
+    if (previous && previous.id !== id) {
+      previous.expiresAt = new Date(Date.now() + KEY_GRACE_PERIOD * 1000).toISOString();
+    }
+    const keySet = keyring.keySets.find(k => k.id === id);
+    keySet.expiresAt = null;
+    keyring.primaryId = id;
+  }
+
+  /**
+   * Make a key set the primary one. The previous primary keeps validating
+   * tokens for LTPA_KEY_GRACE_PERIOD.
+   * @returns {Promise<Object|null>} The promoted key set summary, or null if not found
+   */
+  async promoteKeySet(id) {
+    const keyring = await this.loadKeyring();
+    if (!keyring.keySets.some(keySet => keySet.id === id)) {
+      return null;
+    }
+
+    this._setPrimary(keyring, id);
+    await this._saveKeyring(keyring);
+    logger.info('LTPA key set promoted', { id });
+    return this._summarize(keyring.keySets.find(keySet => keySet.id === id), keyring);
+  }
+
+  /**
+   * Remove a key set immediately. The primary key set cannot be retired.
+   * @returns {Promise<boolean>} false if the key set does not exist
+   */
+  async retireKeySet(id) {
+    const keyring = await this.loadKeyring();
+    if (id === keyring.primaryId) {
+      throw new Error('The primary key set cannot be retired; promote another key set first');
+    }
+
+    const before = keyring.keySets.length;
+    keyring.keySets = keyring.keySets.filter(keySet => keySet.id !== id);
+    if (keyring.keySets.length === before) {
+      return false;
+    }
+
+    await this._saveKeyring(keyring);
+    logger.info('LTPA key set retired', { id });
+    return true;
+  }
+
+  _summarize(keySet, keyring) {
+    return {
+      id: keySet.id,
+      label: keySet.label,
+      realm: keySet.realm,
+      version: keySet.version,
+      fingerprint: crypto.createHash('sha256').update(keySet.desKey).digest('hex').substring(0, 16),
+      hasPublicKey: !!keySet.publicKey,
+      hasPrivateKey: !!keySet.privateKey,
+      creationDate: keySet.creationDate,
+      importedAt: keySet.importedAt,
+      expiresAt: keySet.expiresAt,
+      primary: keySet.id === keyring.primaryId
+    };
+  }
+
+  /**
+   * List key sets without key material
+   */
+  async listKeySets() {
+    const keyring = await this.loadKeyring();
+    return keyring.keySets.map(keySet => this._summarize(keySet, keyring));
+  }
+
   /**
-   * Load stored LTPA configuration
+   * Store the Domino Web SSO configuration secret (LtpaToken / LTPA1).
+   * Domino shows it in the Web SSO Configuration document as the
+   * LTPA_DominoSecret field, Base64-encoded.
+   * @param {string} secret - Base64 secret
+   */
+  async storeDominoSecret(secret) {
+    const normalized = secret.replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(normalized) || Buffer.from(normalized, 'base64').length < 16) {
+      throw new Error('Domino secret must be a Base64 value of at least 16 bytes');
+    }
+
+    const keyring = await this.loadKeyring();
+    keyring.dominoSecret = normalized;
+    keyring.dominoConfiguredAt = new Date().toISOString();
+    await this._saveKeyring(keyring);
+
+    logger.info('Domino LtpaToken secret stored');
+    return normalized;
+  }
+
+  /**
+   * Load the primary key set
    */
   async loadConfig() {
-    try {
-      const content = await fs.readFile(this.configFile, 'utf8');
-      return JSON.parse(content);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        return null; // No config file exists
-      }
-      throw error;
+    const keyring = await this.loadKeyring();
+    const primary = keyring.keySets.find(keySet => keySet.id === keyring.primaryId);
+    if (!primary && !keyring.dominoSecret) {
+      return null; // Nothing configured
     }
+    return { ...primary, configuredAt: primary?.importedAt, dominoSecret: keyring.dominoSecret };
   }
 
   /**
@@ -176,7 +356,7 @@ class LTPAKeysService {
   async isConfigured() {
     try {
       const config = await this.loadConfig();
-      return config && config.desKey;
+      return config && (config.desKey || config.dominoSecret);
     } catch {
       return false;
     }
@@ -200,8 +380,11 @@ class LTPAKeysService {
         realm: config.realm,
         version: config.version,
         configuredAt: config.configuredAt,
+        primaryKeySetId: config.id,
+        keySetCount: (await this.listKeySets()).length,
         hasPublicKey: !!config.publicKey,
-        hasPrivateKey: !!config.privateKey
+        hasPrivateKey: !!config.privateKey,
+        hasDominoSecret: !!config.dominoSecret
       };
     } catch (error) {
       return {
@@ -212,7 +395,7 @@ class LTPAKeysService {
   }
 
   /**
-   * Generate environment variables from stored config
+   * Generate environment variables from the primary key set
    * Useful for updating runtime configuration
    */
   async getEnvVars() {
@@ -225,17 +408,26 @@ class LTPAKeysService {
       LTPA_SECRET_KEY: config.desKey,
       LTPA_PUBLIC_KEY: config.publicKey,
       LTPA_PRIVATE_KEY: config.privateKey,
+      LTPA_DOMINO_SECRET: config.dominoSecret,
       LTPA_REALM: config.realm
     };
   }
 
   /**
-   * Delete stored LTPA configuration
+   * Store the LTPA cookie name chosen in the admin API
+   */
+  async storeCookieName(cookieName) {
+    const keyring = await this.loadKeyring();
+    keyring.cookieName = cookieName;
+    await this._saveKeyring(keyring);
+  }
+
+  /**
+   * Delete all stored LTPA configuration
    */
   async deleteConfig() {
     try {
-      await fs.unlink(this.configFile).catch(() => {});
-      await fs.unlink(this.keysFile).catch(() => {});
+      await authConfig.remove('ltpa');
       logger.info('LTPA configuration deleted');
       return { success: true };
     } catch (error) {
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const redisClient = require('../db/redis');
+const groupMappings = require('./groupMappings');
+const logger = require('../utils/logger');
+
+const DEBUG_OIDC = process.env.DEBUG_OIDC === 'true';
+
+// Provider metadata and signing keys are refreshed after this long (ms)
+const METADATA_TTL = 60 * 60 * 1000;
+// Unknown key IDs trigger a JWKS refresh at most this often (ms)
+const JWKS_REFRESH_INTERVAL = 60 * 1000;
+const HTTP_TIMEOUT = parseInt(process.env.OIDC_HTTP_TIMEOUT) || 10000;
+// Tolerated clock difference to the identity provider (seconds)
+const CLOCK_TOLERANCE = 60;
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// ID tokens of signed-in sessions, for logout at the provider
+const SESSION_PREFIX = 'collabora:oidc-session:';
+const SESSION_TTL = 7 * 24 * 60 * 60; // refresh token lifetime
+
+function oidcDebug(message, data = {}) {
+  if (DEBUG_OIDC) {
+    logger.info(`[OIDC DEBUG] ${message}`, data);
+  }
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Read a claim; dots reach into nested claims (e.g. realm_access.roles)
+ */
+function getClaim(claims, name) {
+  if (!name) return undefined;
+  if (name in claims) return claims[name];
+  return name.split('.').reduce(
+    (value, key) => (value && typeof value === 'object' ? value[key] : undefined),
+    claims
+  );
+}
+
+/**
+ * Claims may be arrays or space/comma separated strings
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * OpenID Connect Relying Party
+ * Authorization code flow with PKCE (S256). The ID token is verified against
+ * the provider's JWKS; users are provisioned from its claims.
+ */
+class OIDCService {
+  constructor() {
+    const domain = process.env.DOMAIN || 'localhost';
+
+    this.config = {
+      issuer: (process.env.OIDC_ISSUER_URL || '').replace(/\/+$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID || '',
+      // Optional: public clients rely on PKCE alone
+      clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.OIDC_REDIRECT_URI || `https://${domain}/api/auth/oidc/callback`,
+      postLogoutRedirectUri: process.env.OIDC_POST_LOGOUT_REDIRECT_URI || `https://${domain}/login`,
+      scopes: process.env.OIDC_SCOPES || 'openid profile email',
+      usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+      emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+      displayNameClaim: process.env.OIDC_DISPLAY_NAME_CLAIM || 'name',
+      // Groups are matched against group mappings, like LDAP groups
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      roleClaim: process.env.OIDC_ROLE_CLAIM || 'roles',
+      adminRoles: toList(process.env.OIDC_ADMIN_ROLES || 'admin'),
+      // Optional claim with the storage quota in bytes
+      quotaClaim: process.env.OIDC_QUOTA_CLAIM || '',
+      // Take over existing accounts with the same username (e.g. from LDAP)
+      linkExisting: process.env.OIDC_LINK_EXISTING === 'true'
+    };
+
+    this.configured = !!(this.config.issuer && this.config.clientId);
+    this.metadata = null;
+    this.metadataFetchedAt = 0;
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+
+    if (process.env.AUTH_MODE === 'oidc' && !this.configured) {
+      logger.warn('AUTH_MODE is oidc but OIDC_ISSUER_URL or OIDC_CLIENT_ID is not set');
+    }
+
+    if (this.configured) {
+      logger.info('OIDC Service configured', {
+        issuer: this.config.issuer,
+        clientId: this.config.clientId,
+        redirectUri: this.config.redirectUri
+      });
+    }
+  }
+
+  /**
+   * OIDC login is offered in oidc mode, and in hybrid mode when configured
+   */
+  get enabled() {
+    const authMode = process.env.AUTH_MODE || 'local';
+    return this.configured && (authMode === 'oidc' || authMode === 'hybrid');
+  }
+
+  async _fetchJSON(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT) });
+    const text = await response.text();
+
+    let data;
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      throw new Error(`Invalid JSON from ${url} (HTTP ${response.status})`);
+    }
+
+    if (!response.ok) {
+      const reason = data.error_description || data.error || `HTTP ${response.status}`;
+      throw new Error(`OIDC request to ${url} failed: ${reason}`);
+    }
+    return data;
+  }
+
+  /**
+   * Provider metadata from the discovery document
+   */
+  async getMetadata() {
+    if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL) {
+      return this.metadata;
+    }
+
+    const metadata = await this._fetchJSON(`${this.config.issuer}/.well-known/openid-configuration`);
+    if (metadata.issuer?.replace(/\/+$/, '') !== this.config.issuer) {
+      throw new Error(`OIDC issuer mismatch: expected ${this.config.issuer}, provider reports ${metadata.issuer}`);
+    }
+
+    oidcDebug('Discovery document loaded', {
+      authorization: metadata.authorization_endpoint,
+      token: metadata.token_endpoint,
+      endSession: metadata.end_session_endpoint
+    });
+
+    this.metadata = metadata;
+    this.metadataFetchedAt = Date.now();
+    return metadata;
+  }
+
+  async _loadKeys() {
+    const metadata = await this.getMetadata();
+    const jwks = await this._fetchJSON(metadata.jwks_uri);
+
+    this.keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') continue;
+      try {
+        this.keys.set(jwk.kid || '', crypto.createPublicKey({ format: 'jwk', key: jwk }));
+      } catch (error) {
+        logger.warn('Ignoring unusable OIDC signing key', { kid: jwk.kid, error: error.message });
+      }
+    }
+    this.keysFetchedAt = Date.now();
+    oidcDebug('JWKS loaded', { keys: [...this.keys.keys()] });
+  }
+
+  /**
+   * Signing key for a token; the JWKS is reloaded when the provider rotated keys
+   */
+  async _getSigningKey(kid) {
+    const stale = Date.now() - this.keysFetchedAt > METADATA_TTL;
+    const unknown = kid ? !this.keys.has(kid) : this.keys.size !== 1;
+    if (stale || (unknown && Date.now() - this.keysFetchedAt > JWKS_REFRESH_INTERVAL)) {
+      await this._loadKeys();
+    }
+
+    if (kid) {
+      return this.keys.get(kid) || null;
+    }
+    // Tokens without kid are only accepted from providers with a single key
+    return this.keys.size === 1 ? [...this.keys.values()][0] : null;
+  }
+
+  /**
+   * Start a login: the returned state, nonce and code verifier must be kept
+   * in the user's session until the callback
+   * @returns {Promise<Object>} { url, state, nonce, codeVerifier }
+   */
+  async createAuthorizationRequest() {
+    const metadata = await this.getMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.config.clientId);
+    url.searchParams.set('redirect_uri', this.config.redirectUri);
+    url.searchParams.set('scope', this.config.scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  async _exchangeCode(code, codeVerifier) {
+    const metadata = await this.getMetadata();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      code_verifier: codeVerifier,
+      client_id: this.config.clientId
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    };
+
+    if (this.config.clientSecret) {
+      const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(this.config.clientId)}:${encodeURIComponent(this.config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        params.set('client_secret', this.config.clientSecret);
+      }
+    }
+
+    return this._fetchJSON(metadata.token_endpoint, { method: 'POST', headers, body: params });
+  }
+
+  /**
+   * Verify an ID token: signature, issuer, audience, expiry and nonce
+   * @returns {Promise<Object>} The token claims
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('ID token is not a JWT');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (!SIGNING_ALGORITHMS.includes(alg)) {
+      throw new Error(`Unsupported ID token algorithm: ${alg}`);
+    }
+
+    const key = await this._getSigningKey(kid);
+    if (!key) {
+      throw new Error(`No signing key found for ID token (kid: ${kid || 'none'})`);
+    }
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: [alg],
+      issuer: [this.config.issuer, `${this.config.issuer}/`],
+      audience: this.config.clientId,
+      clockTolerance: CLOCK_TOLERANCE
+    });
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.config.clientId) {
+      throw new Error('ID token was issued to another client (azp)');
+    }
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Finish a login from the callback parameters
+   * @param {string} code - Authorization code
+   * @param {Object} pending - { nonce, codeVerifier } from createAuthorizationRequest
+   * @returns {Promise<Object>} { claims, idToken }
+   */
+  async completeLogin(code, pending) {
+    const tokens = await this._exchangeCode(code, pending.codeVerifier);
+    if (!tokens.id_token) {
+      throw new Error('Token response contains no ID token');
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, pending.nonce);
+    oidcDebug('ID token verified', { sub: claims.sub, claims: Object.keys(claims) });
+
+    // Some providers only put the subject into the ID token
+    const metadata = await this.getMetadata();
+    const incomplete = !getClaim(claims, this.config.usernameClaim) || !getClaim(claims, this.config.emailClaim);
+    if (incomplete && metadata.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await this._fetchJSON(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userInfo.sub !== claims.sub) {
+        throw new Error('UserInfo subject does not match the ID token');
+      }
+      claims = { ...userInfo, ...claims };
+    }
+
+    return { claims, idToken: tokens.id_token };
+  }
+
+  /**
+   * Turn claims into the user profile used for provisioning
+   */
+  mapClaims(claims) {
+    const username = getClaim(claims, this.config.usernameClaim) || claims.sub;
+    const email = getClaim(claims, this.config.emailClaim);
+    const emailVerified = getClaim(claims, 'email_verified');
+    const roles = toList(getClaim(claims, this.config.roleClaim));
+    const quota = parseInt(getClaim(claims, this.config.quotaClaim));
+
+    return {
+      subject: claims.sub,
+      username: String(username),
+      // Without an email claim the address is made up, and never verified
+      email: email || `${username}@${new URL(this.config.issuer).hostname}`,
+      emailVerified: !!email && (emailVerified === true || emailVerified === 'true'),
+      displayName: getClaim(claims, this.config.displayNameClaim) || String(username),
+      groups: toList(getClaim(claims, this.config.groupsClaim)),
+      isAdmin: roles.some(role => this.config.adminRoles.includes(role)),
+      storageQuota: Number.isInteger(quota) && quota >= 0 ? quota : null
+    };
+  }
+
+  /**
+   * Role, quota and access for a profile: group mappings on the groups
+   * claim, then the admin role and quota claims
+   */
+  async resolvePolicy(profile) {
+    const policy = await groupMappings.resolve(profile.groups);
+    if (profile.isAdmin) {
+      policy.role = 'admin';
+    }
+    if (profile.storageQuota !== null) {
+      policy.storageQuota = profile.storageQuota;
+    }
+    return policy;
+  }
+
+  /**
+   * Remember the ID token of a session for logout at the provider
+   */
+  async rememberSession(sessionId, idToken) {
+    await redisClient.set(`${SESSION_PREFIX}${sessionId}`, idToken, { EX: SESSION_TTL });
+  }
+
+  /**
+   * Forget a session and build the provider logout URL
+   * @returns {Promise<string|null>} null if the session was not an OIDC login
+   *   or the provider has no end_session_endpoint
+   */
+  async endSession(sessionId) {
+    if (!this.configured || !sessionId) {
+      return null;
+    }
+
+    const key = `${SESSION_PREFIX}${sessionId}`;
+    const idToken = await redisClient.get(key);
+    if (!idToken) {
+      return null;
+    }
+    await redisClient.del(key);
+
+    const metadata = await this.getMetadata();
+    if (!metadata.end_session_endpoint) {
+      return null;
+    }
+
+    const url = new URL(metadata.end_session_endpoint);
+    url.searchParams.set('id_token_hint', idToken);
+    url.searchParams.set('post_logout_redirect_uri', this.config.postLogoutRedirectUri);
+    url.searchParams.set('client_id', this.config.clientId);
+    return url.toString();
+  }
+}
+
+module.exports = new OIDCService();
@@ -0,0 +1,121 @@
+/**
+ * Permission Service
+ * Resolves a user's access to files and folders. Access comes from
+ * ownership, a direct file share, or a share on any ancestor folder.
+ */
+const pool = require('../db/pool');
+
+const PERMISSION_RANK = { view: 1, edit: 2 };
+
+// Guards the ancestor walk against corrupt (cyclic) folder trees
+const MAX_FOLDER_DEPTH = 64;
+
+/**
+ * Return the stronger of two permissions ('edit' > 'view' > null)
+ */
+function maxPermission(a, b) {
+  return (PERMISSION_RANK[a] || 0) >= (PERMISSION_RANK[b] || 0) ? a || null : b;
+}
+
+/**
+ * Determine a user's permission on a folder: 'edit', 'view' or null (no access).
+ * Shares on the folder itself or any of its ancestors apply.
+ */
+async function getFolderPermission(folderId, userId) {
+  if (!folderId) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_id, owner_id, 1 AS depth FROM folders WHERE id = $1
+       UNION ALL
+       SELECT f.id, f.parent_id, f.owner_id, a.depth + 1
+       FROM folders f
+       JOIN ancestors a ON f.id = a.parent_id
+       WHERE a.depth < $3
+     )
+     SELECT
+       (SELECT owner_id FROM ancestors WHERE depth = 1) AS owner_id,
+       (SELECT s.permission FROM file_shares s
+        WHERE s.folder_id IN (SELECT id FROM ancestors)
+          AND s.shared_with = $2
+          AND (s.expires_at IS NULL OR s.expires_at > NOW())
+        ORDER BY (s.permission = 'edit') DESC
+        LIMIT 1) AS share_permission`,
+    [folderId, userId, MAX_FOLDER_DEPTH]
+  );
+
+  const row = result.rows[0];
+  if (!row || !row.owner_id) {
+    return null;
+  }
+  if (row.owner_id === userId) {
+    return 'edit';
+  }
+  return row.share_permission || null;
+}
+
+/**
+ * Determine a user's permission on a file: 'edit', 'view' or null (no access)
+ * @param {Object} file - Row from the files table
+ */
+async function getFilePermission(file, userId) {
+  if (file.owner_id === userId) {
+    return 'edit';
+  }
+
+  const shareResult = await pool.query(
+    `SELECT permission FROM file_shares
+     WHERE file_id = $1 AND shared_with = $2
+       AND (expires_at IS NULL OR expires_at > NOW())
+     ORDER BY (permission = 'edit') DESC
+     LIMIT 1`,
+    [file.id, userId]
+  );
+  const filePermission = shareResult.rows.length > 0 ? shareResult.rows[0].permission : null;
+
+  if (filePermission === 'edit' || !file.parent_folder_id) {
+    return filePermission;
+  }
+
+  return maxPermission(filePermission, await getFolderPermission(file.parent_folder_id, userId));
+}
+
+/**
+ * Resolve the folder a new file or folder is created in.
+ * Content created inside a shared folder belongs to the folder's owner and
+ * counts against their quota, so the owner keeps control of the whole tree.
+ * @returns {Promise<Object>} { folderId, ownerId } or { status, error } when not allowed
+ */
+async function resolveTargetFolder(folderId, userId) {
+  if (!folderId) {
+    return { folderId: null, ownerId: userId };
+  }
+
+  const result = await pool.query(
+    'SELECT id, owner_id FROM folders WHERE id = $1',
+    [folderId]
+  );
+
+  const permission = result.rows.length > 0
+    ? await getFolderPermission(folderId, userId)
+    : null;
+
+  if (!permission) {
+    return { status: 404, error: 'Folder not found' };
+  }
+  if (permission !== 'edit') {
+    return { status: 403, error: 'Edit permission required' };
+  }
+
+  return { folderId, ownerId: result.rows[0].owner_id };
+}
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  maxPermission,
+  getFolderPermission,
+  getFilePermission,
+  resolveTargetFolder
+};
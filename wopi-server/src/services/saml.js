@@ -0,0 +1,233 @@
+const { SAML } = require('@node-saml/node-saml');
+const redisClient = require('../db/redis');
+const groupMappings = require('./groupMappings');
+const logger = require('../utils/logger');
+
+const DEBUG_SAML = process.env.DEBUG_SAML === 'true';
+
+// IDs of sent AuthnRequests; the response must answer one of them (InResponseTo)
+const REQUEST_PREFIX = 'collabora:saml-request:';
+const REQUEST_TTL = 10 * 60; // seconds to complete a login at the IdP
+
+const TRANSIENT_FORMAT = 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient';
+const EMAIL_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+function samlDebug(message, data = {}) {
+  if (DEBUG_SAML) {
+    logger.info(`[SAML DEBUG] ${message}`, data);
+  }
+}
+
+/**
+ * Keys and certificates from the environment: PEM (with literal \n allowed)
+ * or the bare base64 body
+ */
+function readPem(value) {
+  return value ? value.replace(/\\n/g, '\n').trim() : '';
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Request IDs in Redis, so the response may reach any wopi-server instance
+ */
+const requestCache = {
+  async saveAsync(key, value) {
+    const stored = await redisClient.set(`${REQUEST_PREFIX}${key}`, value, { NX: true, EX: REQUEST_TTL });
+    return stored ? { value, createdAt: Date.now() } : null;
+  },
+
+  async getAsync(key) {
+    return redisClient.get(`${REQUEST_PREFIX}${key}`);
+  },
+
+  async removeAsync(key) {
+    if (!key) return null;
+    const value = await redisClient.get(`${REQUEST_PREFIX}${key}`);
+    await redisClient.del(`${REQUEST_PREFIX}${key}`);
+    return value;
+  }
+};
+
+/**
+ * SAML 2.0 Service Provider
+ * Sends signed AuthnRequests (HTTP-Redirect binding) and validates the
+ * signed assertions posted back to the ACS endpoint.
+ */
+class SAMLService {
+  constructor() {
+    const domain = process.env.DOMAIN || 'localhost';
+
+    this.config = {
+      entryPoint: process.env.SAML_ENTRY_POINT || '',
+      // Several certificates (comma separated PEM bodies) during IdP key rollover
+      idpCert: process.env.SAML_IDP_CERT || '',
+      idpIssuer: process.env.SAML_IDP_ISSUER || '',
+      entityId: process.env.SAML_SP_ENTITY_ID || `https://${domain}/api/auth/saml/metadata`,
+      acsUrl: process.env.SAML_ACS_URL || `https://${domain}/api/auth/saml/acs`,
+      // Signs AuthnRequests and decrypts encrypted assertions
+      privateKey: readPem(process.env.SAML_SP_PRIVATE_KEY),
+      certificate: readPem(process.env.SAML_SP_CERT),
+      signatureAlgorithm: process.env.SAML_SIGNATURE_ALGORITHM || 'sha256',
+      nameIdFormat: process.env.SAML_NAMEID_FORMAT || 'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified',
+      wantResponseSigned: process.env.SAML_WANT_RESPONSE_SIGNED === 'true',
+      clockSkew: (parseInt(process.env.SAML_CLOCK_SKEW) || 60) * 1000,
+      // Attribute names, first one present wins; the username defaults to the NameID
+      usernameAttr: toList(process.env.SAML_USERNAME_ATTR),
+      emailAttr: toList(process.env.SAML_EMAIL_ATTR ||
+        'email,mail,http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'),
+      displayNameAttr: toList(process.env.SAML_DISPLAY_NAME_ATTR ||
+        'displayName,cn,http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name'),
+      groupsAttr: toList(process.env.SAML_GROUPS_ATTR ||
+        'groups,memberOf,http://schemas.microsoft.com/ws/2008/06/identity/claims/groups'),
+      // Take over existing accounts with the same username (e.g. from LDAP)
+      linkExisting: process.env.SAML_LINK_EXISTING === 'true',
+      // Also set the LTPA cookie after a SAML login
+      issueLtpaCookie: process.env.SAML_LTPA_COOKIE === 'true'
+    };
+
+    this.configured = !!(this.config.entryPoint && this.config.idpCert);
+    this.saml = null;
+
+    if (process.env.AUTH_MODE === 'saml' && !this.configured) {
+      logger.warn('AUTH_MODE is saml but SAML_ENTRY_POINT or SAML_IDP_CERT is not set');
+    }
+
+    if (this.configured) {
+      this.saml = this._createClient();
+      logger.info('SAML Service configured', {
+        entryPoint: this.config.entryPoint,
+        entityId: this.config.entityId,
+        acsUrl: this.config.acsUrl,
+        signedRequests: !!this.config.privateKey
+      });
+      if (!this.config.privateKey) {
+        logger.warn('SAML_SP_PRIVATE_KEY is not set; AuthnRequests are sent unsigned');
+      }
+    }
+  }
+
+  /**
+   * SAML login is offered in saml mode, and in hybrid mode when configured
+   */
+  get enabled() {
+    const authMode = process.env.AUTH_MODE || 'local';
+    return this.configured && (authMode === 'saml' || authMode === 'hybrid');
+  }
+
+  _createClient() {
+    const options = {
+      entryPoint: this.config.entryPoint,
+      issuer: this.config.entityId,
+      callbackUrl: this.config.acsUrl,
+      audience: this.config.entityId,
+      idpCert: toList(this.config.idpCert.replace(/\\n/g, '\n')),
+      identifierFormat: this.config.nameIdFormat,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: this.config.wantResponseSigned,
+      acceptedClockSkewMs: this.config.clockSkew,
+      // Unsolicited (IdP-initiated) responses are rejected
+      validateInResponseTo: 'always',
+      requestIdExpirationPeriodMs: REQUEST_TTL * 1000,
+      cacheProvider: requestCache,
+      signatureAlgorithm: this.config.signatureAlgorithm,
+      digestAlgorithm: this.config.signatureAlgorithm
+    };
+
+    if (this.config.idpIssuer) {
+      options.idpIssuer = this.config.idpIssuer;
+    }
+    if (this.config.privateKey) {
+      options.privateKey = this.config.privateKey;
+      options.decryptionPvk = this.config.privateKey;
+      options.publicCert = this.config.certificate || undefined;
+    }
+
+    return new SAML(options);
+  }
+
+  /**
+   * IdP URL carrying a new (signed) AuthnRequest
+   */
+  async getLoginUrl() {
+    const url = await this.saml.getAuthorizeUrlAsync('', undefined, {});
+    samlDebug('AuthnRequest created', { entryPoint: this.config.entryPoint });
+    return url;
+  }
+
+  /**
+   * Validate a posted SAMLResponse: signature, audience, conditions,
+   * InResponseTo and issuer
+   * @returns {Promise<Object>} The assertion profile (NameID and attributes)
+   */
+  async validateResponse(body) {
+    const { profile } = await this.saml.validatePostResponseAsync(body);
+    if (!profile) {
+      throw new Error('SAML response contains no assertion');
+    }
+    samlDebug('Assertion validated', {
+      nameID: profile.nameID,
+      nameIDFormat: profile.nameIDFormat,
+      attributes: Object.keys(profile.attributes || {})
+    });
+    return profile;
+  }
+
+  _attribute(profile, names) {
+    const attributes = profile.attributes || {};
+    for (const name of names) {
+      if (attributes[name] !== undefined) return attributes[name];
+    }
+    return undefined;
+  }
+
+  /**
+   * Turn an assertion into the user profile used for provisioning
+   */
+  mapProfile(profile) {
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const username = String(first(this._attribute(profile, this.config.usernameAttr)) || profile.nameID);
+    const emailAttribute = first(this._attribute(profile, this.config.emailAttr));
+    const email = emailAttribute ||
+      (profile.nameID.includes('@') ? profile.nameID : `${username}@${new URL(this.config.entryPoint).hostname}`);
+
+    return {
+      // Transient NameIDs change with every login; the username is stable
+      subject: profile.nameIDFormat === TRANSIENT_FORMAT ? username : profile.nameID,
+      username,
+      email: String(email),
+      // SAML has no verified flag: an address the IdP asserts as such counts,
+      // one guessed from the NameID or made up does not
+      emailVerified: !!emailAttribute || profile.nameIDFormat === EMAIL_FORMAT,
+      displayName: String(first(this._attribute(profile, this.config.displayNameAttr)) || username),
+      // Group values may be DNs, so they are not split on commas
+      groups: [].concat(this._attribute(profile, this.config.groupsAttr) ?? []).map(String)
+    };
+  }
+
+  /**
+   * Role, quota and access from group mappings on the groups attribute
+   */
+  async resolvePolicy(profile) {
+    return groupMappings.resolve(profile.groups);
+  }
+
+  /**
+   * SP metadata for registering this application at the IdP
+   */
+  getMetadata() {
+    const certificate = this.config.certificate || null;
+    return this.saml.generateServiceProviderMetadata(
+      this.config.privateKey ? certificate : null,
+      certificate
+    );
+  }
+}
+
+module.exports = new SAMLService();
@@ -0,0 +1,106 @@
+/**
+ * Storage Service
+ * Document content is read and written through a storage driver, selected
+ * with STORAGE_DRIVER: 'local' (disk below STORAGE_PATH, the default) or
+ * 's3' (S3-compatible object storage). Keys are the files.storage_path /
+ * file_versions.storage_path values, e.g. '<ownerId>/<uuid>.odt'.
+ */
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const logger = require('../../utils/logger');
+const LocalStorage = require('./local');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+function createDriver() {
+  switch (STORAGE_DRIVER) {
+    case 'local':
+      return new LocalStorage();
+    case 's3': {
+      // Only load the AWS SDK when object storage is used
+      const S3Storage = require('./s3');
+      return new S3Storage();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+  }
+}
+
+const driver = createDriver();
+logger.info('Storage driver initialized', { driver: STORAGE_DRIVER });
+
+/**
+ * Stream an object into an HTTP response. Missing objects reject before
+ * anything is sent; errors mid-stream abort the response.
+ */
+async function pipeToResponse(key, res) {
+  const stream = await driver.createReadStream(key);
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    logger.error('Storage stream error:', { key, error: error.message });
+    res.destroy(error);
+  }
+}
+
+/**
+ * Send an object as a file download
+ * @param {string} key - Storage key
+ * @param {string} filename - Download file name
+ * @param {string} [mimeType] - Content type
+ */
+async function sendFile(res, key, filename, mimeType) {
+  const stats = await driver.stat(key);
+  if (!stats) {
+    const error = new Error(`Object not found: ${key}`);
+    error.code = 'ENOENT';
+    throw error;
+  }
+
+  res.attachment(filename);
+  res.set('Content-Length', stats.size.toString());
+  if (mimeType) {
+    res.type(mimeType);
+  }
+  await pipeToResponse(key, res);
+}
+
+/**
+ * Multer storage engine that streams uploads straight into the storage driver
+ * @param {Function} getKey - (req, file) => storage key for the upload
+ */
+function multerStorage(getKey) {
+  return {
+    _handleFile(req, file, cb) {
+      let key;
+      try {
+        key = getKey(req, file);
+      } catch (error) {
+        return cb(error);
+      }
+
+      driver.write(key, file.stream)
+        .then(({ size }) => cb(null, { key, filename: path.basename(key), size }))
+        .catch(cb);
+    },
+
+    _removeFile(req, file, cb) {
+      driver.delete(file.key)
+        .then(() => cb(null))
+        .catch(cb);
+    }
+  };
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  createReadStream: (key) => driver.createReadStream(key),
+  read: (key) => driver.read(key),
+  write: (key, source) => driver.write(key, source),
+  copy: (sourceKey, targetKey) => driver.copy(sourceKey, targetKey),
+  delete: (key) => driver.delete(key),
+  stat: (key) => driver.stat(key),
+  pipeToResponse,
+  sendFile,
+  multerStorage
+};
@@ -0,0 +1,94 @@
+/**
+ * Local disk storage driver
+ * Objects are files below STORAGE_PATH, keyed by their relative path
+ */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+class LocalStorage {
+  constructor(options = {}) {
+    this.root = options.root || process.env.STORAGE_PATH || '/storage';
+  }
+
+  resolve(key) {
+    const fullPath = path.resolve(this.root, key);
+    if (!fullPath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  async createReadStream(key) {
+    const fullPath = this.resolve(key);
+    // Fail here rather than on the first read, so callers can still send an error response
+    await fs.promises.access(fullPath);
+    return fs.createReadStream(fullPath);
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * Write an object from a buffer or a readable stream
+   * @returns {Promise<Object>} { size }
+   */
+  async write(key, source) {
+    const fullPath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(fullPath, source);
+    } else {
+      // Write to a temporary file so readers never see a partial object
+      const tempPath = `${fullPath}.${process.pid}.${Date.now()}.tmp`;
+      try {
+        await pipeline(source, fs.createWriteStream(tempPath));
+        await fs.promises.rename(tempPath, fullPath);
+      } catch (error) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    }
+
+    const stats = await fs.promises.stat(fullPath);
+    return { size: stats.size };
+  }
+
+  async copy(sourceKey, targetKey) {
+    const targetPath = this.resolve(targetKey);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.promises.copyFile(this.resolve(sourceKey), targetPath);
+  }
+
+  /**
+   * Delete an object. Missing objects are ignored.
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, modifiedAt } or null if the object does not exist
+   */
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolve(key));
+      return { size: stats.size, modifiedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
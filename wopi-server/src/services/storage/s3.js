@@ -0,0 +1,141 @@
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, Ceph RGW, ...)
+ * Objects are stored under S3_PREFIX with the storage key as object key
+ */
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Report missing objects like the local driver does (code ENOENT)
+ */
+function notFoundError(key) {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
+
+class S3Storage {
+  constructor(options = {}) {
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+    this.prefix = options.prefix ?? (process.env.S3_PREFIX || '');
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    this.client = new S3Client({
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      endpoint: endpoint || undefined,
+      // MinIO and most self-hosted stores only support path-style URLs
+      forcePathStyle: options.forcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : !!endpoint),
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key.split('\\').join('/')}`;
+  }
+
+  async createReadStream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return response.Body;
+    } catch (error) {
+      throw isNotFound(error) ? notFoundError(key) : error;
+    }
+  }
+
+  async read(key) {
+    const stream = await this.createReadStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Write an object from a buffer or a readable stream.
+   * Streams are sent as a multipart upload, without buffering the whole object.
+   * @returns {Promise<Object>} { size }
+   */
+  async write(key, source) {
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: source
+      }
+    });
+    await upload.done();
+
+    if (Buffer.isBuffer(source)) {
+      return { size: source.length };
+    }
+    const stats = await this.stat(key);
+    return { size: stats.size };
+  }
+
+  async copy(sourceKey, targetKey) {
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        CopySource: encodeURI(`${this.bucket}/${this.objectKey(sourceKey)}`),
+        Key: this.objectKey(targetKey)
+      }));
+    } catch (error) {
+      throw isNotFound(error) ? notFoundError(sourceKey) : error;
+    }
+  }
+
+  /**
+   * Delete an object. Missing objects are ignored (S3 semantics).
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { size, modifiedAt } or null if the object does not exist
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return { size: response.ContentLength, modifiedAt: response.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = S3Storage;
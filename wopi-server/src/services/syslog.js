@@ -0,0 +1,199 @@
+/**
+ * Syslog Forwarder (RFC 5424)
+ * Sends audit entries to a syslog server, so a copy of the audit trail lives
+ * outside the database. UDP sends one datagram per entry; TCP and TLS use
+ * octet-counting framing (RFC 6587) over a connection that is re-opened
+ * on demand. Forwarding never blocks or fails the audited request.
+ *
+ * AUDIT_SYSLOG_URL: udp://host:514, tcp://host:514 or tls://host:6514
+ */
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const logger = require('../utils/logger');
+
+const FACILITIES = {
+  kern: 0, user: 1, daemon: 3, auth: 4, syslog: 5, authpriv: 10,
+  local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23
+};
+const SEVERITY_WARNING = 4;
+const SEVERITY_INFO = 6;
+
+// Structured data ID; 32473 is the private enterprise number reserved for examples (RFC 5612)
+const SD_ID = process.env.AUDIT_SYSLOG_SD_ID || 'audit@32473';
+// Messages kept while a TCP/TLS connection is (re)established
+const MAX_QUEUE = 1000;
+const RECONNECT_DELAY = 5000;
+
+/**
+ * PRINTUSASCII field of at most maxLength characters, '-' when empty
+ */
+function header(value, maxLength) {
+  const text = String(value ?? '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+  return text || '-';
+}
+
+function sdValue(value) {
+  return String(value).replace(/["\\\]]/g, c => `\\${c}`);
+}
+
+class SyslogForwarder {
+  constructor() {
+    this.url = process.env.AUDIT_SYSLOG_URL || '';
+    this.enabled = false;
+    this.socket = null;
+    this.connected = false;
+    this.queue = [];
+    this.dropped = 0;
+    this.retryAt = 0;
+
+    if (!this.url) {
+      return;
+    }
+
+    try {
+      const url = new URL(this.url);
+      this.protocol = url.protocol.replace(':', '');
+      if (!['udp', 'tcp', 'tls'].includes(this.protocol)) {
+        throw new Error(`unsupported protocol ${this.protocol}`);
+      }
+      this.host = url.hostname;
+      this.port = parseInt(url.port) || (this.protocol === 'tls' ? 6514 : 514);
+    } catch (error) {
+      logger.error('Invalid AUDIT_SYSLOG_URL, audit entries are not forwarded', { error: error.message });
+      return;
+    }
+
+    const facility = process.env.AUDIT_SYSLOG_FACILITY || 'local0';
+    this.facility = FACILITIES[facility] ?? (parseInt(facility) || FACILITIES.local0);
+    this.hostname = header(process.env.AUDIT_SYSLOG_HOSTNAME || os.hostname(), 255);
+    this.appName = header(process.env.AUDIT_SYSLOG_APP_NAME || 'collabora-wopi', 48);
+    this.enabled = true;
+
+    logger.info('Audit syslog forwarding enabled', {
+      protocol: this.protocol,
+      host: this.host,
+      port: this.port
+    });
+  }
+
+  /**
+   * Format an audit entry as an RFC 5424 message
+   */
+  format(entry) {
+    const severity = /FAILED|DENIED/.test(entry.action) ? SEVERITY_WARNING : SEVERITY_INFO;
+    const params = {
+      seq: entry.seq,
+      hash: entry.hash,
+      userId: entry.userId,
+      resourceType: entry.resourceType,
+      resourceId: entry.resourceId,
+      ip: entry.ipAddress
+    };
+    const sd = Object.entries(params)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => ` ${name}="${sdValue(value)}"`)
+      .join('');
+
+    return [
+      `<${this.facility * 8 + severity}>1`,
+      new Date(entry.createdAt).toISOString(),
+      this.hostname,
+      this.appName,
+      process.pid,
+      header(entry.action, 32),
+      `[${SD_ID}${sd}]`,
+      JSON.stringify({ action: entry.action, details: entry.details })
+    ].join(' ');
+  }
+
+  /**
+   * Forward an audit entry; errors are logged, not thrown
+   */
+  send(entry) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const message = Buffer.from(this.format(entry), 'utf8');
+    if (this.protocol === 'udp') {
+      this._sendUdp(message);
+    } else {
+      // Octet-counting framing: "<length> <message>"
+      this._sendStream(Buffer.concat([Buffer.from(`${message.length} `), message]));
+    }
+  }
+
+  _sendUdp(message) {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(net.isIPv6(this.host) ? 'udp6' : 'udp4');
+      this.socket.on('error', error => logger.warn('Syslog send failed', { error: error.message }));
+      this.socket.unref();
+    }
+    this.socket.send(message, this.port, this.host, (error) => {
+      if (error) {
+        logger.warn('Syslog send failed', { error: error.message });
+      }
+    });
+  }
+
+  _sendStream(frame) {
+    if (this.connected) {
+      this.socket.write(frame);
+      return;
+    }
+
+    if (this.queue.length >= MAX_QUEUE) {
+      this.queue.shift();
+      this.dropped++;
+    }
+    this.queue.push(frame);
+    this._connect();
+  }
+
+  _connect() {
+    if (this.socket || Date.now() < this.retryAt) {
+      return;
+    }
+
+    const options = { host: this.host, port: this.port };
+    const socket = this.protocol === 'tls'
+      ? tls.connect({ ...options, servername: net.isIP(this.host) ? undefined : this.host })
+      : net.connect(options);
+    this.socket = socket;
+
+    socket.once(this.protocol === 'tls' ? 'secureConnect' : 'connect', () => {
+      this.connected = true;
+      if (this.dropped > 0) {
+        logger.warn('Syslog queue overflowed, audit entries were not forwarded', { dropped: this.dropped });
+        this.dropped = 0;
+      }
+      for (const frame of this.queue.splice(0)) {
+        socket.write(frame);
+      }
+    });
+
+    socket.on('error', (error) => {
+      logger.warn('Syslog connection error', { error: error.message });
+    });
+
+    socket.on('close', () => {
+      this.socket = null;
+      this.connected = false;
+      this.retryAt = Date.now() + RECONNECT_DELAY;
+    });
+
+    socket.unref();
+  }
+
+  close() {
+    if (this.socket) {
+      this.protocol === 'udp' ? this.socket.close() : this.socket.end();
+      this.socket = null;
+      this.connected = false;
+    }
+  }
+}
+
+module.exports = new SyslogForwarder();
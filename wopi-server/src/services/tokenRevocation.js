@@ -0,0 +1,107 @@
+/**
+ * Token Revocation Service
+ * Redis-backed revocation list for WOPI access tokens, so logout, account
+ * disable and share changes take effect in editors that are already open.
+ */
+const redisClient = require('../db/redis');
+const { ACCESS_TOKEN_TTL } = require('../utils/crypto');
+
+const KEY_PREFIX = 'collabora:revoked:';
+
+// Entries only need to outlive the tokens they revoke: WOPI tokens and
+// refresh tokens (7 days), which carry the same session ID
+const REVOCATION_TTL = Math.max(ACCESS_TOKEN_TTL, 7 * 24 * 60 * 60);
+
+/**
+ * Revoke a login session: its WOPI and refresh tokens stop working
+ */
+async function revokeSession(sessionId) {
+  if (!sessionId) {
+    return;
+  }
+  await redisClient.set(`${KEY_PREFIX}session:${sessionId}`, Date.now().toString(), { EX: REVOCATION_TTL });
+}
+
+/**
+ * Revoke the access token of one editing session (see editSessions)
+ */
+async function revokeEditSession(editSessionId) {
+  await redisClient.set(`${KEY_PREFIX}edit:${editSessionId}`, Date.now().toString(), { EX: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * Revoke every token issued to a user until now (e.g. account disabled)
+ */
+async function revokeUser(userId) {
+  await redisClient.set(`${KEY_PREFIX}user:${userId}`, Date.now().toString(), { EX: REVOCATION_TTL });
+}
+
+/**
+ * Mark a user's shares as changed: tokens issued before now must have their
+ * permission checked again on use (e.g. share revoked or downgraded)
+ * @param {Array<string>} userIds
+ */
+async function revokeGrants(userIds) {
+  const now = Date.now().toString();
+  await Promise.all(userIds.filter(Boolean).map(userId =>
+    redisClient.set(`${KEY_PREFIX}grants:${userId}`, now, { EX: REVOCATION_TTL })
+  ));
+}
+
+/**
+ * Check whether a session has been revoked
+ */
+async function isSessionRevoked(sessionId) {
+  if (!sessionId) {
+    return false;
+  }
+  return (await redisClient.exists(`${KEY_PREFIX}session:${sessionId}`)) === 1;
+}
+
+/**
+ * Check a decoded API token (JWT) against the revocation list: its login
+ * session ended, or the user's tokens were revoked after it was issued
+ * @param {Object} decoded - JWT payload with userId, sid and iat
+ */
+async function isApiTokenRevoked(decoded) {
+  const [sessionRevoked, userRevokedAt] = await redisClient.mGet([
+    `${KEY_PREFIX}session:${decoded.sid || '-'}`,
+    `${KEY_PREFIX}user:${decoded.userId}`
+  ]);
+
+  return !!(decoded.sid && sessionRevoked) ||
+    !!(userRevokedAt && parseInt(userRevokedAt) >= decoded.iat * 1000);
+}
+
+/**
+ * Check a decoded WOPI token against the revocation list
+ * @param {Object} tokenData - Payload from verifyAccessToken
+ * @returns {Promise<Object>} { revoked, recheck } - recheck means the user's
+ *   shares changed after the token was issued
+ */
+async function getTokenStatus(tokenData) {
+  const [sessionRevoked, editSessionRevoked, userRevokedAt, grantsChangedAt] = await redisClient.mGet([
+    `${KEY_PREFIX}session:${tokenData.sessionId || '-'}`,
+    `${KEY_PREFIX}edit:${tokenData.editSessionId || '-'}`,
+    `${KEY_PREFIX}user:${tokenData.userId}`,
+    `${KEY_PREFIX}grants:${tokenData.userId}`
+  ]);
+
+  const issuedAt = tokenData.timestamp;
+  return {
+    revoked: !!(tokenData.sessionId && sessionRevoked) ||
+      !!(tokenData.editSessionId && editSessionRevoked) ||
+      !!(userRevokedAt && parseInt(userRevokedAt) >= issuedAt),
+    recheck: !!(grantsChangedAt && parseInt(grantsChangedAt) >= issuedAt)
+  };
+}
+
+module.exports = {
+  revokeSession,
+  revokeEditSession,
+  revokeUser,
+  revokeGrants,
+  isSessionRevoked,
+  isApiTokenRevoked,
+  getTokenStatus
+};
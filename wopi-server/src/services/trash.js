@@ -0,0 +1,236 @@
+/**
+ * Trash Service
+ * Soft-deleted files stay in the trash for TRASH_RETENTION_DAYS and are
+ * then purged from storage (including their stored versions) by a background job
+ */
+const pool = require('../db/pool');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL) * 1000 || 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 100;
+
+let purgeTimer = null;
+
+/**
+ * Move a file to the trash and release its quota
+ * @param {string} fileId
+ * @param {Object} [db] - Client of an open transaction (defaults to the pool)
+ * @returns {Promise<Object|null>} The trashed file row, or null if it was not found
+ */
+async function moveToTrash(fileId, db = pool) {
+  const result = await db.query(
+    `UPDATE files SET is_deleted = true, deleted_at = NOW()
+     WHERE id = $1 AND is_deleted = false
+     RETURNING *`,
+    [fileId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const file = result.rows[0];
+
+  await db.query(
+    'UPDATE users SET storage_used = GREATEST(storage_used - $1, 0) WHERE id = $2',
+    [file.size, file.owner_id]
+  );
+
+  return file;
+}
+
+/**
+ * Restore a trashed file and charge its size back to the owner's quota
+ * @returns {Promise<Object|null>} The restored file row, or null if it was not in the trash
+ */
+async function restoreFromTrash(fileId) {
+  const result = await pool.query(
+    `UPDATE files SET is_deleted = false, deleted_at = NULL,
+            parent_folder_id = CASE
+              WHEN EXISTS (SELECT 1 FROM folders WHERE id = files.parent_folder_id) THEN parent_folder_id
+              ELSE NULL
+            END
+     WHERE id = $1 AND is_deleted = true
+     RETURNING *`,
+    [fileId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const file = result.rows[0];
+
+  await pool.query(
+    'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
+    [file.size, file.owner_id]
+  );
+
+  return file;
+}
+
+/**
+ * Remove a stored blob, ignoring blobs that are already gone
+ */
+async function removeBlob(storagePath) {
+  try {
+    await storage.delete(storagePath);
+  } catch (error) {
+    logger.warn('Failed to remove blob', { storagePath, error: error.message });
+  }
+}
+
+/**
+ * Permanently delete trashed files: database rows, content and all stored versions.
+ * Storage usage of the affected owners is recalculated from their remaining files.
+ * @param {string[]} fileIds
+ * @returns {Promise<number>} Number of files purged
+ */
+async function permanentlyDelete(fileIds) {
+  if (fileIds.length === 0) {
+    return 0;
+  }
+
+  const client = await pool.connect();
+  let deleted;
+  let versionPaths;
+
+  try {
+    await client.query('BEGIN');
+
+    const versions = await client.query(
+      `SELECT v.storage_path FROM file_versions v
+       JOIN files f ON v.file_id = f.id
+       WHERE f.id = ANY($1) AND f.is_deleted = true`,
+      [fileIds]
+    );
+    versionPaths = versions.rows.map(v => v.storage_path);
+
+    // file_versions, file_locks, file_shares and active_sessions cascade
+    const result = await client.query(
+      `DELETE FROM files WHERE id = ANY($1) AND is_deleted = true
+       RETURNING id, owner_id, storage_path`,
+      [fileIds]
+    );
+    deleted = result.rows;
+
+    const ownerIds = [...new Set(deleted.map(f => f.owner_id))];
+    if (ownerIds.length > 0) {
+      await client.query(
+        `UPDATE users u SET storage_used = COALESCE((
+           SELECT SUM(size) FROM files f WHERE f.owner_id = u.id AND f.is_deleted = false
+         ), 0)
+         WHERE u.id = ANY($1)`,
+        [ownerIds]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Only remove content once the rows are gone
+  for (const file of deleted) {
+    await removeBlob(file.storage_path);
+  }
+  for (const versionPath of versionPaths) {
+    await removeBlob(versionPath);
+  }
+
+  return deleted.length;
+}
+
+/**
+ * Purge files that have been in the trash longer than the retention period
+ * @returns {Promise<number>} Number of files purged
+ */
+async function purgeExpired() {
+  let total = 0;
+
+  for (;;) {
+    const result = await pool.query(
+      `SELECT id FROM files
+       WHERE is_deleted = true
+         AND COALESCE(deleted_at, updated_at) < NOW() - make_interval(days => $1)
+       ORDER BY deleted_at ASC
+       LIMIT $2`,
+      [RETENTION_DAYS, PURGE_BATCH_SIZE]
+    );
+
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    const purged = await permanentlyDelete(result.rows.map(r => r.id));
+    total += purged;
+
+    if (purged === 0 || result.rows.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (total > 0) {
+    logger.info('Trash purge completed', { purged: total, retentionDays: RETENTION_DAYS });
+  }
+
+  return total;
+}
+
+/**
+ * Start the background purge job
+ */
+function startPurgeJob() {
+  if (purgeTimer) {
+    return;
+  }
+
+  const run = () => {
+    purgeExpired().catch(error => logger.error('Trash purge error:', error));
+  };
+
+  purgeTimer = setInterval(run, PURGE_INTERVAL);
+  purgeTimer.unref();
+  setImmediate(run);
+
+  logger.info('Trash purge job started', {
+    retentionDays: RETENTION_DAYS,
+    intervalSeconds: PURGE_INTERVAL / 1000
+  });
+}
+
+/**
+ * Stop the background purge job
+ */
+function stopPurgeJob() {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+/**
+ * Date at which a trashed file will be purged
+ */
+function getPurgeDate(deletedAt) {
+  if (!deletedAt) {
+    return null;
+  }
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  moveToTrash,
+  restoreFromTrash,
+  permanentlyDelete,
+  purgeExpired,
+  startPurgeJob,
+  stopPurgeJob,
+  getPurgeDate
+};
@@ -0,0 +1,377 @@
+/**
+ * Two-Factor Authentication (TOTP, RFC 6238)
+ * Local accounts can add an authenticator app as a second login step.
+ * Secrets are stored encrypted in users.totp_secret, recovery codes as
+ * SHA-256 hashes. Pending enrolments and login challenges live in Redis.
+ */
+const crypto = require('crypto');
+const pool = require('../db/pool');
+const redisClient = require('../db/redis');
+const authConfig = require('./authConfig');
+const { encryptConfig, decryptConfig } = require('../utils/crypto');
+
+const ISSUER = process.env.TOTP_ISSUER || process.env.APP_NAME || 'Collabora Docs';
+const STEP = 30; // seconds per code
+const DIGITS = 6;
+// Codes of the neighbouring time steps are accepted, for clock drift
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const SETUP_PREFIX = 'collabora:totp-setup:';
+const SETUP_TTL = 10 * 60;
+const CHALLENGE_PREFIX = 'collabora:login-challenge:';
+const CHALLENGE_TTL = 5 * 60;
+// Codes tried per challenge, counted with INCR next to the challenge
+const CHALLENGE_ATTEMPTS_PREFIX = 'collabora:login-challenge-attempts:';
+const MAX_ATTEMPTS = 5;
+// Accepted time steps per user, so a code cannot be used twice
+const USED_STEP_PREFIX = 'collabora:totp-used:';
+const USED_STEP_TTL = STEP * (2 * WINDOW + 2);
+
+const POLICY_KEY = 'security';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/[\s=]/g, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) for a time step
+ */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against a secret
+ * @returns {number|null} The matching time step, or null
+ */
+function matchCode(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const current = Math.floor(Date.now() / 1000 / STEP);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    const expected = codeAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * New recovery codes, shown to the user once
+ * @returns {Object} { codes, hashes }
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Record a time step as used
+ * @returns {Promise<boolean>} false if the step was used before
+ */
+async function markStepUsed(userId, step) {
+  const stored = await redisClient.set(`${USED_STEP_PREFIX}${userId}:${step}`, '1', { NX: true, EX: USED_STEP_TTL });
+  return !!stored;
+}
+
+function otpauthUrl(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Two-factor authentication only protects password logins of local accounts;
+ * directory and SSO accounts rely on their identity provider
+ */
+function appliesTo(user) {
+  return !user.auth_source || user.auth_source === 'local';
+}
+
+/**
+ * Admin policy, stored with the auth configuration
+ * @returns {Promise<Object>} { requireForAdmins }
+ */
+async function getPolicy() {
+  const stored = (await authConfig.get(POLICY_KEY)) || {};
+  return {
+    requireForAdmins: stored.requireForAdmins ?? process.env.TOTP_REQUIRE_FOR_ADMINS === 'true'
+  };
+}
+
+async function setPolicy(policy) {
+  const stored = (await authConfig.get(POLICY_KEY)) || {};
+  await authConfig.set(POLICY_KEY, { ...stored, ...policy }, { notify: false });
+  return getPolicy();
+}
+
+/**
+ * Whether the policy makes two-factor authentication mandatory for a user
+ */
+function isRequired(user, policy) {
+  return appliesTo(user) && policy.requireForAdmins && user.role === 'admin';
+}
+
+async function getStatus(user) {
+  const result = await pool.query(
+    'SELECT totp_enabled_at, totp_recovery_codes FROM users WHERE id = $1',
+    [user.id]
+  );
+  const row = result.rows[0] || {};
+  const policy = await getPolicy();
+
+  return {
+    available: appliesTo(user),
+    enabled: !!row.totp_enabled_at,
+    enabledAt: row.totp_enabled_at || null,
+    recoveryCodesRemaining: (row.totp_recovery_codes || []).length,
+    required: isRequired(user, policy)
+  };
+}
+
+/**
+ * Start enrolment: a new secret waits in Redis until a code confirms it
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function beginSetup(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await redisClient.set(`${SETUP_PREFIX}${user.id}`, secret, { EX: SETUP_TTL });
+  return { secret, otpauthUrl: otpauthUrl(secret, user.username || user.email) };
+}
+
+/**
+ * Store a confirmed secret and fresh recovery codes
+ * @returns {Promise<Array<string>>} The recovery codes
+ */
+async function enable(userId, secret, step) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await pool.query(
+    `UPDATE users SET totp_secret = $1, totp_enabled_at = CURRENT_TIMESTAMP, totp_recovery_codes = $2
+     WHERE id = $3`,
+    [encryptConfig({ secret }), JSON.stringify(hashes), userId]
+  );
+  await markStepUsed(userId, step);
+  return codes;
+}
+
+async function hasPendingSetup(userId) {
+  return (await redisClient.exists(`${SETUP_PREFIX}${userId}`)) === 1;
+}
+
+/**
+ * Finish enrolment started with beginSetup
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code
+ *   is wrong or the setup expired
+ */
+async function confirmSetup(userId, code) {
+  const secret = await redisClient.get(`${SETUP_PREFIX}${userId}`);
+  if (!secret) {
+    return null;
+  }
+
+  const step = matchCode(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await redisClient.del(`${SETUP_PREFIX}${userId}`);
+  return enable(userId, secret, step);
+}
+
+async function disable(userId) {
+  await pool.query(
+    `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_recovery_codes = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+}
+
+/**
+ * Verify a login code: a TOTP code or, failing that, an unused recovery code
+ * @returns {Promise<string|null>} 'totp', 'recovery' or null
+ */
+async function verify(userId, code) {
+  const result = await pool.query(
+    'SELECT totp_secret, totp_recovery_codes FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+
+  const { secret } = decryptConfig(row.totp_secret);
+  const step = matchCode(secret, code);
+  if (step !== null) {
+    return (await markStepUsed(userId, step)) ? 'totp' : null;
+  }
+
+  // Recovery codes are removed atomically, so each works once
+  const hash = hashRecoveryCode(code);
+  if (!(row.totp_recovery_codes || []).includes(hash)) {
+    return null;
+  }
+  const consumed = await pool.query(
+    `UPDATE users SET totp_recovery_codes = totp_recovery_codes - $1::text
+     WHERE id = $2 AND totp_recovery_codes ? $1::text
+     RETURNING id`,
+    [hash, userId]
+  );
+  return consumed.rows.length > 0 ? 'recovery' : null;
+}
+
+/**
+ * Replace the recovery codes of an enrolled user
+ * @returns {Promise<Array<string>>}
+ */
+async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await pool.query(
+    'UPDATE users SET totp_recovery_codes = $1 WHERE id = $2 AND totp_enabled_at IS NOT NULL',
+    [JSON.stringify(hashes), userId]
+  );
+  return codes;
+}
+
+/**
+ * Start the second login step after the password was verified
+ * @param {Object} [options]
+ * @param {boolean} [options.setup] - The user must enrol first (required by policy)
+ * @returns {Promise<Object>} { challengeToken, setup, secret?, otpauthUrl? }
+ */
+async function createChallenge(user, authSource, { setup = false } = {}) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  const challenge = { userId: user.id, authSource, setup };
+  const response = { challengeToken, setup };
+
+  if (setup) {
+    Object.assign(response, await beginSetup(user));
+  }
+
+  await redisClient.set(`${CHALLENGE_PREFIX}${challengeToken}`, JSON.stringify(challenge), { EX: CHALLENGE_TTL });
+  return response;
+}
+
+async function getChallenge(challengeToken) {
+  if (!challengeToken) {
+    return null;
+  }
+  const stored = await redisClient.get(`${CHALLENGE_PREFIX}${challengeToken}`);
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Count an attempt at a challenge before its code is checked. The counter
+ * is incremented atomically, so parallel requests cannot try more than
+ * MAX_ATTEMPTS codes between them.
+ * @returns {Promise<number|null>} Attempts left after this one, or null if
+ *   the challenge is used up (it is then dropped)
+ */
+async function countAttempt(challengeToken) {
+  const key = `${CHALLENGE_ATTEMPTS_PREFIX}${challengeToken}`;
+  const [attempts] = await redisClient.multi()
+    .incr(key)
+    .expire(key, CHALLENGE_TTL)
+    .exec();
+
+  if (attempts > MAX_ATTEMPTS) {
+    await consumeChallenge(challengeToken);
+    return null;
+  }
+  return MAX_ATTEMPTS - attempts;
+}
+
+/**
+ * A wrong code was entered; the challenge is dropped once no attempts are left
+ * @param {number} attemptsRemaining - As returned by countAttempt
+ */
+async function failChallenge(challengeToken, attemptsRemaining) {
+  if (attemptsRemaining <= 0) {
+    await consumeChallenge(challengeToken);
+  }
+}
+
+async function consumeChallenge(challengeToken) {
+  await redisClient.del([
+    `${CHALLENGE_PREFIX}${challengeToken}`,
+    `${CHALLENGE_ATTEMPTS_PREFIX}${challengeToken}`
+  ]);
+}
+
+module.exports = {
+  appliesTo,
+  getPolicy,
+  setPolicy,
+  isRequired,
+  getStatus,
+  beginSetup,
+  hasPendingSetup,
+  confirmSetup,
+  disable,
+  verify,
+  regenerateRecoveryCodes,
+  createChallenge,
+  getChallenge,
+  countAttempt,
+  failChallenge,
+  consumeChallenge
+};
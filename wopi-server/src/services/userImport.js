@@ -0,0 +1,249 @@
+/**
+ * User Import / Export
+ * Bulk user provisioning from CSV. Rows are validated with the same rules as
+ * POST /api/users; an import creates either every row or none.
+ *
+ * Columns: username, email, display_name, role, storage_quota (bytes),
+ * auth_source, and for local accounts password. Exports have the same
+ * columns without password, plus storage_used; columns an import does not
+ * know (such as storage_used) are ignored, so an export can be edited and
+ * imported elsewhere.
+ */
+const bcrypt = require('bcryptjs');
+const pool = require('../db/pool');
+const csv = require('../utils/csv');
+const userValidation = require('../utils/userValidation');
+
+const COLUMNS = ['username', 'email', 'display_name', 'role', 'storage_quota', 'auth_source'];
+const EXPORT_COLUMNS = [...COLUMNS, 'storage_used'];
+
+const MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 1000;
+const DEFAULT_QUOTA = 5368709120;
+
+// Request fields of the CSV columns, as named by the users API
+const FIELDS = {
+  username: 'username',
+  email: 'email',
+  display_name: 'displayName',
+  role: 'role',
+  storage_quota: 'storageQuota',
+  auth_source: 'authSource',
+  password: 'password'
+};
+const COLUMN_OF_FIELD = Object.fromEntries(Object.entries(FIELDS).map(([column, name]) => [name, column]));
+
+// password_hash of accounts that sign in elsewhere (as set by LDAP and SSO provisioning)
+const EXTERNAL_PASSWORD = {
+  ldap: 'LDAP_AUTH',
+  ldap_ltpa: 'LDAP_AUTH'
+};
+
+function csvError(message) {
+  const error = new Error(message);
+  error.code = 'EBADCSV';
+  return error;
+}
+
+/**
+ * "Display Name", "display-name" and "display_name" all name the same column
+ */
+function normalizeHeader(name) {
+  return name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Validate an import file without changing anything
+ * @param {string} text - CSV with a header row
+ * @returns {Promise<Object>} { total, users, errors } - users are the rows
+ *   that passed, sanitized; errors are { row, column, message }, with row
+ *   numbered as in a spreadsheet (the header is row 1)
+ * @throws {Error} With code EBADCSV if the file itself cannot be used
+ */
+async function check(text) {
+  let records;
+  try {
+    records = csv.parse(text);
+  } catch (error) {
+    throw csvError(error.message);
+  }
+
+  if (records.length === 0) {
+    throw csvError('The file is empty');
+  }
+
+  const header = records[0].map(normalizeHeader);
+  const missing = ['username', 'email'].filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw csvError(`Missing column: ${missing.join(', ')}`);
+  }
+
+  const dataRows = records.slice(1);
+  if (dataRows.length === 0) {
+    throw csvError('The file has no users');
+  }
+  if (dataRows.length > MAX_ROWS) {
+    throw csvError(`At most ${MAX_ROWS} users can be imported at once`);
+  }
+
+  const errors = [];
+  const users = [];
+  const seenUsernames = new Map();
+  const seenEmails = new Map();
+
+  for (const [index, record] of dataRows.entries()) {
+    const row = index + 2;
+
+    if (record.length > header.length) {
+      errors.push({ row, column: null, message: `Expected ${header.length} columns, found ${record.length}` });
+      continue;
+    }
+
+    // Empty cells count as left out, so optional columns take their defaults
+    const fields = {};
+    header.forEach((column, i) => {
+      const value = csv.unescapeFormula((record[i] || '').trim());
+      if (FIELDS[column] && (value !== '' || column === 'username' || column === 'email')) {
+        fields[FIELDS[column]] = value;
+      }
+    });
+    fields.authSource = fields.authSource ? fields.authSource.toLowerCase() : 'local';
+
+    const chains = [
+      userValidation.email(),
+      userValidation.username(),
+      userValidation.displayName(),
+      userValidation.role(),
+      userValidation.storageQuota(),
+      userValidation.authSource()
+    ];
+    // Only local accounts sign in with a password stored here
+    if (fields.authSource === 'local') {
+      chains.push(userValidation.password());
+    } else {
+      delete fields.password;
+    }
+
+    const fieldErrors = await userValidation.validateFields(fields, chains);
+    for (const error of fieldErrors) {
+      errors.push({ row, column: COLUMN_OF_FIELD[error.path] || error.path, message: error.msg });
+    }
+    if (fieldErrors.length > 0) {
+      continue;
+    }
+
+    const usernameKey = fields.username.toLowerCase();
+    const emailKey = fields.email.toLowerCase();
+    if (seenUsernames.has(usernameKey)) {
+      errors.push({ row, column: 'username', message: `Same username as row ${seenUsernames.get(usernameKey)}` });
+      continue;
+    }
+    if (seenEmails.has(emailKey)) {
+      errors.push({ row, column: 'email', message: `Same email as row ${seenEmails.get(emailKey)}` });
+      continue;
+    }
+    seenUsernames.set(usernameKey, row);
+    seenEmails.set(emailKey, row);
+
+    users.push({
+      row,
+      username: fields.username,
+      email: fields.email,
+      displayName: fields.displayName || fields.username,
+      role: fields.role || 'user',
+      storageQuota: fields.storageQuota !== undefined ? parseInt(fields.storageQuota) : DEFAULT_QUOTA,
+      authSource: fields.authSource,
+      password: fields.password
+    });
+  }
+
+  // Accounts that already exist
+  if (users.length > 0) {
+    const existing = await pool.query(
+      'SELECT username, email FROM users WHERE username = ANY($1) OR email = ANY($2)',
+      [users.map(user => user.username), users.map(user => user.email)]
+    );
+    const takenUsernames = new Set(existing.rows.map(user => user.username));
+    const takenEmails = new Set(existing.rows.map(user => user.email));
+
+    for (const user of users) {
+      if (takenUsernames.has(user.username)) {
+        errors.push({ row: user.row, column: 'username', message: 'A user with this username already exists' });
+      } else if (takenEmails.has(user.email)) {
+        errors.push({ row: user.row, column: 'email', message: 'A user with this email already exists' });
+      }
+    }
+  }
+
+  const failedRows = new Set(errors.map(error => error.row));
+  errors.sort((a, b) => a.row - b.row);
+
+  return {
+    total: dataRows.length,
+    users: users.filter(user => !failedRows.has(user.row)),
+    errors
+  };
+}
+
+/**
+ * Create the users of a check() without errors, in one transaction
+ * @returns {Promise<Array>} The created users ({ id, row, username, email, role, authSource })
+ */
+async function createUsers(users) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const created = [];
+    for (const user of users) {
+      const passwordHash = user.authSource === 'local'
+        ? await bcrypt.hash(user.password, 12)
+        : EXTERNAL_PASSWORD[user.authSource] || 'EXTERNAL_AUTH';
+
+      const result = await client.query(
+        `INSERT INTO users (username, email, password_hash, display_name, role, auth_source, storage_quota)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [user.username, user.email, passwordHash, user.displayName, user.role, user.authSource, user.storageQuota]
+      );
+      const id = result.rows[0].id;
+
+      await client.query(
+        'INSERT INTO folders (owner_id, name) VALUES ($1, $2)',
+        [id, 'My Documents']
+      );
+
+      created.push({ id, row: user.row, username: user.username, email: user.email, role: user.role, authSource: user.authSource });
+    }
+
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * All users as CSV, in the import format plus storage_used
+ */
+async function exportCsv() {
+  const result = await pool.query(
+    `SELECT username, email, display_name, role, storage_quota, auth_source, storage_used
+     FROM users
+     ORDER BY username`
+  );
+
+  return csv.row(EXPORT_COLUMNS) +
+    result.rows.map(user => csv.row(EXPORT_COLUMNS.map(column => user[column]))).join('');
+}
+
+module.exports = {
+  COLUMNS,
+  EXPORT_COLUMNS,
+  MAX_ROWS,
+  check,
+  createUsers,
+  exportCsv
+};
@@ -0,0 +1,152 @@
+/**
+ * File Version Service
+ * Keeps previous revisions of a file next to it as <storage_path>.v<N>
+ * and records them in the file_versions table
+ */
+const pool = require('../db/pool');
+const logger = require('../utils/logger');
+const storage = require('./storage');
+
+/**
+ * Copy the current content of a file to its version slot and record it
+ * @param {Object} file - Row from the files table
+ * @param {string|null} userId - User replacing this revision
+ * @param {Object} [db] - Client of an open transaction (defaults to the pool)
+ */
+async function snapshotCurrentVersion(file, userId, db = pool) {
+  const versionPath = `${file.storage_path}.v${file.version}`;
+  await storage.copy(file.storage_path, versionPath);
+
+  await db.query(
+    `INSERT INTO file_versions (file_id, version, size, storage_path, created_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [file.id, file.version, file.size, versionPath, userId]
+  );
+
+  return versionPath;
+}
+
+/**
+ * Replace the content of a file with the object at sourcePath, keeping the
+ * current content as a version. The version row and the version bump are
+ * written in one transaction that holds the file row, so a failed or
+ * concurrent save cannot leave a version row behind without its bump.
+ * @param {Object} file - Row from the files table
+ * @param {string} sourcePath - Storage key of the new content (left in place)
+ * @param {string|null} userId - User saving the new revision
+ * @returns {Promise<Object>} The updated file row
+ */
+async function saveRevision(file, sourcePath, userId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Re-read under the lock; another save may have bumped the version
+    const locked = await client.query('SELECT * FROM files WHERE id = $1 FOR UPDATE', [file.id]);
+    const current = locked.rows[0];
+    if (!current) {
+      const error = new Error('File not found');
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    await snapshotCurrentVersion(current, userId, client);
+
+    await storage.copy(sourcePath, current.storage_path);
+    const stats = await storage.stat(current.storage_path);
+
+    const result = await client.query(
+      `UPDATE files SET size = $1, version = $2, updated_at = NOW() WHERE id = $3 RETURNING *`,
+      [stats.size, current.version + 1, current.id]
+    );
+
+    await client.query(
+      'UPDATE users SET storage_used = storage_used + $1 WHERE id = $2',
+      [stats.size - current.size, current.owner_id]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List all revisions of a file, newest first, including the current one.
+ * sizeDiff is the change in bytes relative to the previous revision.
+ */
+async function listVersions(file) {
+  const result = await pool.query(
+    `SELECT v.version, v.size, v.created_at, v.created_by, u.display_name as created_by_name
+     FROM file_versions v
+     LEFT JOIN users u ON v.created_by = u.id
+     WHERE v.file_id = $1
+     ORDER BY v.version ASC`,
+    [file.id]
+  );
+
+  const versions = result.rows.map(v => ({
+    version: v.version,
+    size: parseInt(v.size),
+    createdAt: v.created_at,
+    createdBy: v.created_by,
+    createdByName: v.created_by_name,
+    isCurrent: false
+  }));
+
+  versions.push({
+    version: file.version,
+    size: parseInt(file.size),
+    createdAt: file.updated_at,
+    createdBy: null,
+    createdByName: null,
+    isCurrent: true
+  });
+
+  return versions
+    .map((v, i) => ({
+      ...v,
+      sizeDiff: i === 0 ? null : v.size - versions[i - 1].size
+    }))
+    .reverse();
+}
+
+/**
+ * Get a stored (non-current) revision of a file
+ */
+async function getVersion(fileId, version) {
+  const result = await pool.query(
+    'SELECT * FROM file_versions WHERE file_id = $1 AND version = $2',
+    [fileId, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Restore an older revision. The current content is kept as a version of
+ * its own, so a restore can itself be undone.
+ * @returns {Promise<Object>} The updated file row
+ */
+async function restoreVersion(file, versionRow, userId) {
+  const updated = await saveRevision(file, versionRow.storage_path, userId);
+
+  logger.info('File version restored', {
+    fileId: file.id,
+    restoredVersion: versionRow.version,
+    newVersion: updated.version
+  });
+
+  return updated;
+}
+
+module.exports = {
+  snapshotCurrentVersion,
+  saveRevision,
+  listVersions,
+  getVersion,
+  restoreVersion
+};
@@ -1,5 +1,4 @@
 const crypto = require('crypto');
-const CryptoJS = require('crypto-js');
 
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
@@ -7,6 +6,13 @@ const SALT_LENGTH = 64;
 const TAG_LENGTH = 16;
 const KEY_LENGTH = 32;
 
+// Lifetime of WOPI access tokens (seconds)
+const ACCESS_TOKEN_TTL = parseInt(process.env.WOPI_TOKEN_TTL) || 24 * 60 * 60;
+
+let accessTokenKey = null;
+let configKey = null;
+let auditKey = null;
+
 /**
  * Get WOPI secret with validation
  */
@@ -19,44 +25,157 @@ function getWopiSecret() {
 }
 
 /**
- * Generate a secure access token for WOPI
+ * Derive the AES key for access tokens from the WOPI secret
+ */
+function getAccessTokenKey() {
+  if (!accessTokenKey) {
+    accessTokenKey = Buffer.from(
+      crypto.hkdfSync('sha256', getWopiSecret(), '', 'wopi-access-token', KEY_LENGTH)
+    );
+  }
+  return accessTokenKey;
+}
+
+/**
+ * Create a WOPI access token together with its expiry.
+ * The token is AES-256-GCM encrypted, so it cannot be read or altered
+ * without the WOPI secret, and is only valid for the file it was issued for.
+ * @param {Object} extra - Additional claims: sessionId of the issuing login session
+ *   and editSessionId of the editing session, or { anonymous: true, shareId, sharePassword }
+ *   for public links, and the ip of the user
+ * @returns {Object} { token, ttl } - ttl is the expiry in ms since the epoch (WOPI access_token_ttl)
  */
-function generateAccessToken(fileId, userId, permissions = 'view') {
+function createAccessToken(fileId, userId, permissions = 'view', extra = {}) {
+  const now = Date.now();
   const payload = {
+    ...extra,
     fileId,
     userId,
     permissions,
-    timestamp: Date.now(),
+    timestamp: now,
+    expiresAt: now + ACCESS_TOKEN_TTL * 1000,
     nonce: crypto.randomBytes(16).toString('hex')
   };
-  
-  const secret = getWopiSecret();
-  const encrypted = CryptoJS.AES.encrypt(JSON.stringify(payload), secret).toString();
-  return Buffer.from(encrypted).toString('base64url');
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getAccessTokenKey(), iv, { authTagLength: TAG_LENGTH });
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    token: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url'),
+    ttl: payload.expiresAt
+  };
+}
+
+/**
+ * Generate a secure access token for WOPI
+ * @param {Object} extra - Additional claims (see createAccessToken)
+ */
+function generateAccessToken(fileId, userId, permissions = 'view', extra = {}) {
+  return createAccessToken(fileId, userId, permissions, extra).token;
 }
 
 /**
  * Verify and decode access token
+ * @param {string} token - The access token
+ * @param {string} fileId - File the token is used for; tokens for other files are rejected
+ * @returns {Object|null} The token payload, or null if invalid, expired or for another file
  */
-function verifyAccessToken(token) {
+function verifyAccessToken(token, fileId) {
   try {
-    const secret = getWopiSecret();
-    const encrypted = Buffer.from(token, 'base64url').toString();
-    const decrypted = CryptoJS.AES.decrypt(encrypted, secret);
-    const payload = JSON.parse(decrypted.toString(CryptoJS.enc.Utf8));
-    
-    // Token expires after 24 hours
-    const maxAge = 24 * 60 * 60 * 1000;
-    if (Date.now() - payload.timestamp > maxAge) {
+    const data = Buffer.from(token, 'base64url');
+    const iv = data.subarray(0, IV_LENGTH);
+    const tag = data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const encrypted = data.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getAccessTokenKey(), iv, { authTagLength: TAG_LENGTH });
+    decipher.setAuthTag(tag);
+    const payload = JSON.parse(
+      Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+    );
+
+    if (Date.now() > payload.expiresAt) {
       return null;
     }
-    
+
+    if (payload.fileId !== fileId) {
+      return null;
+    }
+
     return payload;
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Short digest of a share's password hash, carried in anonymous WOPI tokens
+ * so that they stop working when the link password changes
+ * @param {string|null} passwordHash
+ * @returns {string|null} null for links without a password
+ */
+function sharePasswordTag(passwordHash) {
+  return passwordHash ? crypto.createHash('sha256').update(passwordHash).digest('hex').slice(0, 16) : null;
+}
+
+/**
+ * Derive the AES key for stored configuration secrets. CONFIG_ENCRYPTION_KEY
+ * allows rotating WOPI_SECRET without losing the stored configuration.
+ */
+function getConfigKey() {
+  if (!configKey) {
+    configKey = Buffer.from(
+      crypto.hkdfSync('sha256', process.env.CONFIG_ENCRYPTION_KEY || getWopiSecret(), '', 'auth-config', KEY_LENGTH)
+    );
+  }
+  return configKey;
+}
+
+/**
+ * Derive the HMAC key chaining the audit log. AUDIT_LOG_KEY keeps the chain
+ * verifiable when WOPI_SECRET is rotated.
+ */
+function getAuditKey() {
+  if (!auditKey) {
+    auditKey = Buffer.from(
+      crypto.hkdfSync('sha256', process.env.AUDIT_LOG_KEY || getWopiSecret(), '', 'audit-log', KEY_LENGTH)
+    );
+  }
+  return auditKey;
+}
+
+/**
+ * HMAC-SHA256 of an audit log entry, keyed outside the database so the
+ * chain cannot be recomputed by someone with only database access
+ * @returns {string} Hex digest
+ */
+function auditHmac(data) {
+  return crypto.createHmac('sha256', getAuditKey()).update(data, 'utf8').digest('hex');
+}
+
+/**
+ * Encrypt a configuration object for storage (AES-256-GCM)
+ * @returns {string} base64 iv | tag | ciphertext
+ */
+function encryptConfig(value) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getConfigKey(), iv, { authTagLength: TAG_LENGTH });
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+/**
+ * Decrypt a configuration object written by encryptConfig.
+ * Throws if the data was altered or encrypted with another key.
+ */
+function decryptConfig(data) {
+  const buffer = Buffer.from(data, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getConfigKey(), buffer.subarray(0, IV_LENGTH), { authTagLength: TAG_LENGTH });
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  const decrypted = Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
 /**
  * Generate a random file ID
  */
@@ -91,8 +210,14 @@ function verifyPassword(password, hash) {
 }
 
 module.exports = {
+  ACCESS_TOKEN_TTL,
+  createAccessToken,
   generateAccessToken,
   verifyAccessToken,
+  sharePasswordTag,
+  encryptConfig,
+  decryptConfig,
+  auditHmac,
   generateFileId,
   generateLockId,
   hashPassword,
@@ -0,0 +1,95 @@
+/**
+ * CSV Utilities
+ * RFC 4180: comma separated, fields with commas, quotes or line breaks
+ * in double quotes, CRLF line endings.
+ */
+
+/**
+ * Quote a CSV field. Values that spreadsheets would run as a formula
+ * are prefixed with an apostrophe.
+ */
+function field(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Remove the apostrophe field() puts before a formula, so that exported
+ * values read back unchanged
+ */
+function unescapeFormula(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * One CSV line, including the line ending
+ * @param {Array} values
+ */
+function row(values) {
+  return values.map(field).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into records (arrays of strings). Blank lines are skipped.
+ * @throws {Error} If a quoted field is not closed
+ */
+function parse(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(value);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    value = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field in record ${records.length + 1}`);
+  }
+  if (value !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+module.exports = {
+  field,
+  unescapeFormula,
+  row,
+  parse
+};
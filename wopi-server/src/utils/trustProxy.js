@@ -0,0 +1,36 @@
+/**
+ * Trusted Proxy Setting
+ *
+ * Which proxies Express trusts for X-Forwarded-For and X-Forwarded-Proto,
+ * so req.ip (rate limiting, audit log) is the address of the client
+ * rather than that of nginx.
+ */
+
+// The bundled nginx is the only hop in front of the server
+const DEFAULT_TRUST_PROXY = 1;
+
+/**
+ * Parse TRUST_PROXY into a value for app.set('trust proxy'): a number of
+ * hops, true/false, or a comma-separated list of addresses, subnets or
+ * the names loopback, linklocal and uniquelocal
+ * @param {string} [value]
+ * @returns {number|boolean|string[]}
+ */
+function parseTrustProxy(value) {
+  const setting = (value || '').trim();
+  if (!setting) {
+    return DEFAULT_TRUST_PROXY;
+  }
+  if (/^\d+$/.test(setting)) {
+    return parseInt(setting, 10);
+  }
+  if (setting.toLowerCase() === 'true' || setting.toLowerCase() === 'false') {
+    return setting.toLowerCase() === 'true';
+  }
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_TRUST_PROXY,
+  parseTrustProxy
+};
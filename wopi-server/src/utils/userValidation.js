@@ -0,0 +1,55 @@
+/**
+ * User Validation
+ * express-validator chains for user fields, shared by the users API and the
+ * CSV import so a row is accepted exactly when POST /api/users would accept it.
+ * Each function returns a new chain; add .optional() where a field may be left out.
+ */
+const { body, validationResult } = require('express-validator');
+
+const ROLES = ['user', 'admin'];
+
+// Values of users.auth_source
+const AUTH_SOURCES = ['local', 'ldap', 'ltpa', 'ldap_ltpa', 'oidc', 'saml'];
+
+const email = () => body('email').isEmail().withMessage('Must be a valid email address').normalizeEmail();
+
+const username = () => body('username').isLength({ min: 3, max: 50 }).withMessage('Must be 3 to 50 characters').trim().escape();
+
+const password = () => body('password').isLength({ min: 8 }).withMessage('Must be at least 8 characters');
+
+const displayName = () => body('displayName').optional().trim().escape();
+
+const role = () => body('role').optional().isIn(ROLES).withMessage(`Must be one of: ${ROLES.join(', ')}`);
+
+const storageQuota = () => body('storageQuota').optional().isInt({ min: 0 }).withMessage('Must be a whole number of bytes');
+
+const isActive = () => body('isActive').optional().isBoolean({ strict: true }).withMessage('Must be true or false');
+
+const authSource = () => body('authSource').optional().isIn(AUTH_SOURCES).withMessage(`Must be one of: ${AUTH_SOURCES.join(', ')}`);
+
+/**
+ * Run chains against a plain object instead of a request. Sanitizers apply to
+ * the object in place.
+ * @returns {Promise<Array>} express-validator errors ({ path, msg, value, ... })
+ */
+async function validateFields(fields, chains) {
+  const req = { body: fields };
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  return validationResult(req).array();
+}
+
+module.exports = {
+  ROLES,
+  AUTH_SOURCES,
+  email,
+  username,
+  password,
+  displayName,
+  role,
+  storageQuota,
+  isActive,
+  authSource,
+  validateFields
+};
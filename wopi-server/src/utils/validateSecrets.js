@@ -63,6 +63,13 @@ const OPTIONAL_SECRETS = [
     minLength: 16,
     description: 'LTPA secret key (required if using LTPA auth)',
     conditionalOn: () => ['ltpa', 'ldap_ltpa'].includes(process.env.AUTH_MODE)
+  },
+  {
+    name: 'AUDIT_LOG_KEY',
+    envVar: 'AUDIT_LOG_KEY',
+    minLength: 32,
+    description: 'Audit log chain key (defaults to WOPI_SECRET)',
+    conditionalOn: () => Boolean(process.env.AUDIT_LOG_KEY)
   }
 ];
 
@@ -0,0 +1,46 @@
+/**
+ * Fake pg pool for route and service tests. Queries are answered by the
+ * first handler whose pattern matches the SQL; unmatched queries return no
+ * rows. Every query is recorded in pool.calls.
+ */
+function createFakePool() {
+  const handlers = [];
+
+  const query = jest.fn(async (sql, params = []) => {
+    pool.calls.push({ sql, params });
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) {
+      return { rows: [], rowCount: 0 };
+    }
+    const rows = typeof handler[1] === 'function' ? await handler[1](params, sql) : handler[1];
+    return { rows, rowCount: rows.length };
+  });
+
+  const pool = {
+    calls: [],
+    query,
+    connect: jest.fn(async () => ({ query, release: jest.fn() })),
+    /**
+     * Answer queries matching pattern with rows (or a function of the params)
+     */
+    on(pattern, rows) {
+      handlers.unshift([pattern, rows]);
+      return pool;
+    },
+    reset() {
+      handlers.length = 0;
+      pool.calls = [];
+      query.mockClear();
+    },
+    /**
+     * Recorded queries whose SQL matches pattern
+     */
+    queries(pattern) {
+      return pool.calls.filter(call => pattern.test(call.sql));
+    }
+  };
+
+  return pool;
+}
+
+module.exports = { createFakePool };
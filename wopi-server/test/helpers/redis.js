@@ -0,0 +1,116 @@
+/**
+ * In-memory stand-in for the node-redis client, covering the commands the
+ * services use. Expiry times are recorded in redis.ttls but not enforced.
+ */
+function createFakeRedis() {
+  const data = new Map();
+  const ttls = new Map();
+
+  const commands = {
+    async get(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    async mGet(keys) {
+      return keys.map(key => (data.has(key) ? data.get(key) : null));
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && data.has(key)) {
+        return null;
+      }
+      data.set(key, String(value));
+      if (options.EX) {
+        ttls.set(key, options.EX);
+      } else if (!options.KEEPTTL) {
+        ttls.delete(key);
+      }
+      return 'OK';
+    },
+    async del(keys) {
+      let count = 0;
+      for (const key of [].concat(keys)) {
+        count += data.delete(key) ? 1 : 0;
+        ttls.delete(key);
+      }
+      return count;
+    },
+    async exists(key) {
+      return data.has(key) ? 1 : 0;
+    },
+    async incr(key) {
+      const value = parseInt(data.get(key) || '0', 10) + 1;
+      data.set(key, String(value));
+      return value;
+    },
+    // Sorted sets are kept as arrays of { score, value }, lowest score first
+    async zAdd(key, members) {
+      const set = (data.get(key) || []).slice();
+      let added = 0;
+      for (const member of [].concat(members)) {
+        const index = set.findIndex(item => item.value === member.value);
+        if (index >= 0) {
+          set.splice(index, 1);
+        } else {
+          added++;
+        }
+        set.push({ score: member.score, value: member.value });
+      }
+      data.set(key, set.sort((a, b) => a.score - b.score));
+      return added;
+    },
+    async zRange(key, start, stop) {
+      const set = data.get(key) || [];
+      const from = start < 0 ? Math.max(set.length + start, 0) : start;
+      const to = stop < 0 ? set.length + stop : stop;
+      return set.slice(from, to + 1).map(item => item.value);
+    },
+    async zRemRangeByRank(key, start, stop) {
+      const set = data.get(key) || [];
+      const removed = new Set(await commands.zRange(key, start, stop));
+      data.set(key, set.filter(item => !removed.has(item.value)));
+      return removed.size;
+    },
+    async expire(key, seconds) {
+      if (!data.has(key)) {
+        return false;
+      }
+      ttls.set(key, seconds);
+      return true;
+    }
+  };
+
+  const redis = {
+    data,
+    ttls,
+    ...Object.fromEntries(Object.entries(commands).map(([name, command]) => [name, jest.fn(command)])),
+    /**
+     * Queued commands run back to back on exec(), like MULTI/EXEC
+     */
+    multi() {
+      const queued = [];
+      const transaction = {
+        exec: async () => {
+          const results = [];
+          for (const [name, args] of queued) {
+            results.push(await commands[name](...args));
+          }
+          return results;
+        }
+      };
+      for (const name of Object.keys(commands)) {
+        transaction[name] = (...args) => {
+          queued.push([name, args]);
+          return transaction;
+        };
+      }
+      return transaction;
+    },
+    reset() {
+      data.clear();
+      ttls.clear();
+    }
+  };
+
+  return redis;
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,64 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+
+const jwt = require('jsonwebtoken');
+const pool = require('../../src/db/pool');
+const redis = require('../../src/db/redis');
+const tokenRevocation = require('../../src/services/tokenRevocation');
+const { authenticateToken, generateToken, generateRefreshToken } = require('../../src/middleware/auth');
+
+const USER = { id: '22222222-2222-4222-8222-222222222222', email: 'jdoe@example.com', role: 'user' };
+
+/**
+ * Run the middleware with a bearer token; resolves with the response
+ * status (200 if it called next) and the request
+ */
+function run(token) {
+  return new Promise((resolve) => {
+    const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+    const res = {
+      status(code) {
+        return { json: () => resolve({ status: code, req }) };
+      }
+    };
+    authenticateToken(req, res, () => resolve({ status: 200, req }));
+  });
+}
+
+beforeEach(() => {
+  pool.reset();
+  redis.reset();
+  pool.on(/FROM users WHERE id/, [{ ...USER, username: 'jdoe', is_active: true, auth_source: 'local' }]);
+});
+
+test('accepts a valid access token and records its session', async () => {
+  const { status, req } = await run(generateToken(USER, 'session-1'));
+
+  expect(status).toBe(200);
+  expect(req.user.id).toBe(USER.id);
+  expect(req.sessionId).toBe('session-1');
+});
+
+test('rejects the access token of a session that logged out', async () => {
+  const token = generateToken(USER, 'session-1');
+  await tokenRevocation.revokeSession('session-1');
+
+  expect((await run(token)).status).toBe(401);
+  expect((await run(generateToken(USER, 'session-2'))).status).toBe(200);
+});
+
+test('rejects tokens issued before the user was revoked', async () => {
+  const issuedAt = Math.floor(Date.now() / 1000) - 60;
+  const token = jwt.sign({ userId: USER.id, sid: 'session-1', iat: issuedAt }, process.env.JWT_SECRET);
+  await tokenRevocation.revokeUser(USER.id);
+
+  expect((await run(token)).status).toBe(401);
+
+  const later = jwt.sign({ userId: USER.id, sid: 'session-2', iat: Math.floor(Date.now() / 1000) + 1 }, process.env.JWT_SECRET);
+  expect((await run(later)).status).toBe(200);
+});
+
+test('rejects refresh tokens', async () => {
+  expect((await run(generateRefreshToken(USER, 'session-1'))).status).toBe(401);
+  expect(pool.queries(/FROM users/)).toHaveLength(0);
+});
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+jest.mock('../../src/services/discovery', () => ({ getProofKeys: jest.fn() }));
+
+const DOMAIN = 'office.example.com';
+const ACCESS_TOKEN = 'token-123';
+const PATH = `/wopi/files/abc?access_token=${ACCESS_TOKEN}`;
+const EPOCH_TICKS = 621355968000000000n;
+
+function keyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = publicKey.export({ format: 'jwk' });
+  return {
+    privateKey,
+    discovery: {
+      modulus: Buffer.from(jwk.n, 'base64url').toString('base64'),
+      exponent: Buffer.from(jwk.e, 'base64url').toString('base64')
+    }
+  };
+}
+
+const oldKey = keyPair();
+const currentKey = keyPair();
+const newKey = keyPair();
+
+function ticks(date) {
+  return BigInt(date) * 10000n + EPOCH_TICKS;
+}
+
+let discovery;
+let verifyWopiProof;
+let buildExpectedProof;
+
+function sign(key, timestamp) {
+  const expected = buildExpectedProof(ACCESS_TOKEN, `https://${DOMAIN}${PATH}`, timestamp);
+  return crypto.sign('RSA-SHA256', expected, key.privateKey).toString('base64');
+}
+
+/**
+ * Run the middleware on a fake request; resolves with the response status
+ * (200 if it called next)
+ */
+function run(headers) {
+  return new Promise((resolve) => {
+    const req = { headers, query: { access_token: ACCESS_TOKEN }, originalUrl: PATH, method: 'GET', path: '/files/abc' };
+    const res = {
+      status(code) {
+        return { json: () => resolve(code) };
+      }
+    };
+    verifyWopiProof(req, res, () => resolve(200));
+  });
+}
+
+function signedHeaders({ proofKey, proofOldKey, at = Date.now() }) {
+  const timestamp = ticks(at);
+  const headers = { 'x-wopi-timestamp': timestamp.toString() };
+  if (proofKey) headers['x-wopi-proof'] = sign(proofKey, timestamp);
+  if (proofOldKey) headers['x-wopi-proofold'] = sign(proofOldKey, timestamp);
+  return headers;
+}
+
+beforeEach(() => {
+  process.env.WOPI_PROOF_MODE = 'enforce';
+  process.env.DOMAIN = DOMAIN;
+  jest.isolateModules(() => {
+    ({ verifyWopiProof, buildExpectedProof } = require('../../src/middleware/wopiProof'));
+    discovery = require('../../src/services/discovery');
+  });
+  discovery.getProofKeys.mockReset();
+  discovery.getProofKeys.mockResolvedValue({ current: currentKey.discovery, old: oldKey.discovery });
+});
+
+afterAll(() => {
+  delete process.env.WOPI_PROOF_MODE;
+  delete process.env.DOMAIN;
+});
+
+test('accepts a request signed with the current key', async () => {
+  expect(await run(signedHeaders({ proofKey: currentKey, proofOldKey: oldKey }))).toBe(200);
+});
+
+test('accepts a request signed with the old key while Collabora is behind', async () => {
+  expect(await run(signedHeaders({ proofKey: oldKey }))).toBe(200);
+  expect(discovery.getProofKeys).not.toHaveBeenCalledWith(true);
+});
+
+test('rejects unsigned and forged requests without refetching discovery', async () => {
+  const forged = keyPair();
+
+  expect(await run({})).toBe(500);
+  expect(await run(signedHeaders({ proofKey: forged, proofOldKey: forged }))).toBe(500);
+  expect(await run({ ...signedHeaders({ proofKey: currentKey }), 'x-wopi-timestamp': 'soon' })).toBe(500);
+  expect(discovery.getProofKeys).not.toHaveBeenCalledWith(true);
+});
+
+test('rejects proofs that are too old or too far in the future', async () => {
+  expect(await run(signedHeaders({ proofKey: currentKey, at: Date.now() - 21 * 60 * 1000 }))).toBe(500);
+  expect(await run(signedHeaders({ proofKey: currentKey, at: Date.now() + 10 * 60 * 1000 }))).toBe(500);
+  expect(await run(signedHeaders({ proofKey: currentKey, at: Date.now() + 60 * 1000 }))).toBe(200);
+});
+
+test('refreshes discovery once when Collabora rotated its key', async () => {
+  const rotated = () => signedHeaders({ proofKey: newKey, proofOldKey: currentKey });
+
+  expect(await run(rotated())).toBe(200);
+  expect(await run(rotated())).toBe(200);
+
+  const refreshes = discovery.getProofKeys.mock.calls.filter(([refresh]) => refresh === true);
+  expect(refreshes).toHaveLength(1);
+});
+
+test('only logs failures in log mode', async () => {
+  process.env.WOPI_PROOF_MODE = 'log';
+  jest.isolateModules(() => {
+    ({ verifyWopiProof } = require('../../src/middleware/wopiProof'));
+  });
+
+  expect(await run({})).toBe(200);
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/storage', () => ({}));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '99999999-9999-4999-8999-999999999999', username: 'admin', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const auditService = require('../../src/services/audit');
+const csv = require('../../src/utils/csv');
+const adminRouter = require('../../src/routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+const HEADER = 'username,email,display_name,role,storage_quota,auth_source,password\r\n';
+
+function importCsv(text, query = {}) {
+  return request(app)
+    .post('/api/admin/users/import')
+    .query(query)
+    .attach('file', Buffer.from(text, 'utf8'), { filename: 'users.csv', contentType: 'text/csv' });
+}
+
+beforeEach(() => {
+  pool.reset();
+  auditService.log.mockClear();
+  let nextId = 1;
+  pool.on(/INSERT INTO users/, () => [{ id: `00000000-0000-4000-8000-00000000000${nextId++}` }]);
+});
+
+describe('POST /users/import', () => {
+  test('a dry run reports the rows without creating anyone', async () => {
+    const res = await importCsv(
+      '\uFEFF' + HEADER +
+      'jdoe,jdoe@example.com,"Doe, Jane",user,,ldap,\r\n' +
+      'msmith,msmith@example.com,"Smith\r\nMary",admin,1024,local,correct-horse\r\n',
+      { dryRun: 'true' }
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, total: 2, valid: 2, errors: [] });
+    expect(res.body.users).toEqual([
+      { row: 2, username: 'jdoe', email: 'jdoe@example.com', role: 'user', authSource: 'ldap' },
+      { row: 3, username: 'msmith', email: 'msmith@example.com', role: 'admin', authSource: 'local' }
+    ]);
+    expect(pool.queries(/INSERT/)).toHaveLength(0);
+    expect(auditService.log).not.toHaveBeenCalled();
+  });
+
+  test('reports row errors, and creates nothing when any row fails', async () => {
+    pool.on(/SELECT username, email FROM users/, [{ username: 'taken', email: 'taken@example.com' }]);
+
+    const res = await importCsv(
+      HEADER +
+      'jdoe,jdoe@example.com,,,,ldap,\r\n' +
+      'x,not-an-email,,,,ldap,\r\n' +
+      'local1,local1@example.com,,,,local,short\r\n' +
+      'JDOE,other@example.com,,,,ldap,\r\n' +
+      'taken,new@example.com,,,,ldap,\r\n'
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ total: 5, valid: 1, created: 0 });
+    expect(res.body.errors).toEqual([
+      { row: 3, column: 'email', message: 'Must be a valid email address' },
+      { row: 3, column: 'username', message: 'Must be 3 to 50 characters' },
+      { row: 4, column: 'password', message: 'Must be at least 8 characters' },
+      { row: 5, column: 'username', message: 'Same username as row 2' },
+      { row: 6, column: 'username', message: 'A user with this username already exists' }
+    ]);
+    expect(pool.queries(/INSERT/)).toHaveLength(0);
+  });
+
+  test('rejects files that cannot be imported', async () => {
+    expect((await importCsv('name,mail\r\na,b\r\n')).body.error).toBe('Missing column: username, email');
+    expect((await importCsv(HEADER)).body.error).toBe('The file has no users');
+    expect((await importCsv(HEADER + 'a,"b\r\n')).body.error).toMatch(/Unterminated quoted field/);
+    expect((await importCsv('')).status).toBe(400);
+  });
+
+  test('creates every user in one transaction and audits each one', async () => {
+    const res = await importCsv(
+      HEADER +
+      'jdoe,jdoe@example.com,Jane Doe,,,LDAP,\r\n' +
+      "dash,dash@example.com,'-minus,,,ldap,\r\n"
+    );
+
+    expect(res.status).toBe(201);
+    expect(res.body.created).toBe(2);
+
+    const inserts = pool.queries(/INSERT INTO users/);
+    expect(inserts.map(call => [call.params[0], call.params[3], call.params[5]])).toEqual([
+      ['jdoe', 'Jane Doe', 'ldap'],
+      // The apostrophe of an exported formula cell is removed again
+      ['dash', '-minus', 'ldap']
+    ]);
+    expect(pool.queries(/^BEGIN/)).toHaveLength(1);
+    expect(pool.queries(/^COMMIT/)).toHaveLength(1);
+    expect(auditService.log).toHaveBeenCalledTimes(2);
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'USER_CREATE',
+      details: { email: 'jdoe@example.com', authSource: 'ldap', import: true }
+    }));
+  });
+
+  test('rolls back when a user is created meanwhile', async () => {
+    pool.on(/INSERT INTO folders/, () => {
+      throw Object.assign(new Error('duplicate key'), { code: '23505' });
+    });
+
+    const res = await importCsv(HEADER + 'jdoe,jdoe@example.com,,,,ldap,\r\n');
+
+    expect(res.status).toBe(409);
+    expect(pool.queries(/^ROLLBACK/)).toHaveLength(1);
+    expect(pool.queries(/^COMMIT/)).toHaveLength(0);
+  });
+});
+
+describe('GET /users/export', () => {
+  test('exports the import columns and neutralises formulas', async () => {
+    pool.on(/FROM users/, [
+      { username: 'jdoe', email: 'jdoe@example.com', display_name: '=HYPERLINK("http://evil.example")', role: 'user', storage_quota: '1024', auth_source: 'ldap', storage_used: '10' },
+      { username: 'msmith', email: '@msmith@example.com', display_name: 'Smith, Mary\nSales', role: 'admin', storage_quota: '2048', auth_source: 'local', storage_used: '0' },
+      { username: 'plus', email: 'plus@example.com', display_name: '+1', role: 'user', storage_quota: '0', auth_source: 'local', storage_used: '0' },
+      { username: 'minus', email: 'minus@example.com', display_name: '-1', role: 'user', storage_quota: '0', auth_source: 'local', storage_used: '0' }
+    ]);
+
+    const res = await request(app).get('/api/admin/users/export');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const records = csv.parse(res.text);
+    expect(records[0]).toEqual(['username', 'email', 'display_name', 'role', 'storage_quota', 'auth_source', 'storage_used']);
+    expect(records.slice(1).map(record => record[2])).toEqual([
+      '\'=HYPERLINK("http://evil.example")',
+      'Smith, Mary\nSales',
+      "'+1",
+      "'-1"
+    ]);
+    expect(records[2][1]).toBe("'@msmith@example.com");
+    expect(res.text).not.toMatch(/(^|,)[=+\-@]/m);
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'USER_EXPORT' }));
+  });
+});
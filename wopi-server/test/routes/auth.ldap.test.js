@@ -0,0 +1,64 @@
+process.env.AUTH_MODE = 'ldap_ltpa';
+
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => ({ get: jest.fn(), set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/groupMappings', () => ({
+  resolve: jest.fn(async () => ({ denied: false, role: 'user', storageQuota: null })),
+  applyToUser: jest.fn(async (user) => user)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const ldapService = require('../../src/services/ldap');
+const ltpaService = require('../../src/services/ltpa');
+const authRouter = require('../../src/routes/auth');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+
+function login() {
+  return request(app).post('/api/auth/login').send({ username: 'jdoe', password: 'directory-password' });
+}
+
+beforeAll(() => {
+  jest.spyOn(ldapService, 'authenticate').mockResolvedValue({
+    username: 'jdoe',
+    email: 'jane.doe@example.com',
+    displayName: 'Jane Doe',
+    ldapDN: 'uid=jdoe,ou=people,dc=example,dc=com',
+    groups: []
+  });
+  jest.spyOn(ltpaService, 'generateToken').mockReturnValue('ltpa-token');
+  jest.spyOn(ltpaService, 'setTokenCookie').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  pool.reset();
+});
+
+describe('LDAP login in ldap_ltpa mode', () => {
+  test('records the auth source on a new account', async () => {
+    pool.on(/INSERT INTO users/, ([username]) => [{ id: USER_ID, username, is_active: true }]);
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.authSource).toBe('ldap_ltpa');
+    expect(pool.queries(/INSERT INTO users/)[0].params[5]).toBe('ldap_ltpa');
+  });
+
+  test('keeps the auth source of an existing account', async () => {
+    pool.on(/SELECT \* FROM users WHERE username/, [{ id: USER_ID, username: 'jdoe', auth_source: 'ldap_ltpa', is_active: true }]);
+
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    const [update] = pool.queries(/UPDATE users SET display_name/);
+    expect(update.params).toEqual(['Jane Doe', 'ldap_ltpa', 'uid=jdoe,ou=people,dc=example,dc=com', USER_ID]);
+  });
+});
@@ -0,0 +1,228 @@
+const ISSUER = 'https://idp.example.com/realms/office';
+const CLIENT_ID = 'collabora';
+
+process.env.AUTH_MODE = 'oidc';
+process.env.OIDC_ISSUER_URL = ISSUER;
+process.env.OIDC_CLIENT_ID = CLIENT_ID;
+process.env.OIDC_LINK_EXISTING = 'true';
+
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => ({ get: jest.fn(), set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/groupMappings', () => ({
+  resolve: jest.fn(async () => ({ denied: false, role: null, storageQuota: null })),
+  applyToUser: jest.fn(async (user) => user)
+}));
+
+const crypto = require('crypto');
+const express = require('express');
+const session = require('express-session');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const authRouter = require('../../src/routes/auth');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+const SUBJECT = 'f3b1c2d4-0000-4000-8000-000000000001';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+const app = express();
+app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+app.use('/api/auth', authRouter);
+
+const metadata = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/protocol/openid-connect/auth`,
+  token_endpoint: `${ISSUER}/protocol/openid-connect/token`,
+  jwks_uri: `${ISSUER}/protocol/openid-connect/certs`
+};
+
+// ID token returned by the next token request, built from the login's nonce
+let issueIdToken;
+
+function idToken(nonce, claims = {}, { key = privateKey } = {}) {
+  return jwt.sign({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: SUBJECT,
+    nonce,
+    preferred_username: 'jdoe',
+    email: 'jane.doe@example.com',
+    email_verified: true,
+    name: 'Jane Doe',
+    ...claims
+  }, key, { algorithm: 'RS256', keyid: 'key-1', expiresIn: '5m' });
+}
+
+function json(data) {
+  return { ok: true, status: 200, text: async () => JSON.stringify(data) };
+}
+
+beforeAll(() => {
+  jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    switch (String(url)) {
+      case `${ISSUER}/.well-known/openid-configuration`:
+        return json(metadata);
+      case metadata.jwks_uri:
+        return json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' }] });
+      case metadata.token_endpoint:
+        return json({ access_token: 'access', id_token: issueIdToken() });
+      default:
+        throw new Error(`Unexpected request to ${url}`);
+    }
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  for (const name of ['AUTH_MODE', 'OIDC_ISSUER_URL', 'OIDC_CLIENT_ID', 'OIDC_LINK_EXISTING']) {
+    delete process.env[name];
+  }
+});
+
+beforeEach(() => {
+  pool.reset();
+  global.fetch.mockClear();
+  pool.on(/INSERT INTO users/, (params) => [{
+    id: USER_ID,
+    username: params[0],
+    email: params[1],
+    display_name: params[3],
+    role: params[4],
+    is_active: true
+  }]);
+});
+
+/**
+ * Start a login and return to the callback with the state the provider
+ * would send back; claims are added to the ID token
+ */
+async function signIn(claims = {}, { state, key } = {}) {
+  const agent = request.agent(app);
+  const login = await agent.get('/api/auth/oidc/login');
+  const authorization = new URL(login.headers.location);
+
+  issueIdToken = () => idToken(authorization.searchParams.get('nonce'), claims, { key });
+  const callback = await agent.get('/api/auth/oidc/callback')
+    .query({ code: 'code-1', state: state ?? authorization.searchParams.get('state') });
+  return { agent, callback };
+}
+
+function tokenRequests() {
+  return global.fetch.mock.calls.filter(([url]) => String(url) === metadata.token_endpoint);
+}
+
+function ssoError(res) {
+  const location = new URL(res.headers.location, 'https://office.example.com');
+  return location.searchParams.get('sso_error');
+}
+
+describe('OIDC callback checks', () => {
+  test('rejects a callback whose state does not match the session', async () => {
+    const { callback } = await signIn({}, { state: 'forged-state' });
+
+    expect(callback.status).toBe(302);
+    expect(ssoError(callback)).toMatch(/expired/);
+    expect(tokenRequests()).toHaveLength(0);
+  });
+
+  test('rejects a callback without a login in progress', async () => {
+    const res = await request(app).get('/api/auth/oidc/callback').query({ code: 'code-1', state: 'state' });
+
+    expect(ssoError(res)).toMatch(/expired/);
+    expect(tokenRequests()).toHaveLength(0);
+  });
+
+  test.each([
+    ['nonce', { nonce: 'replayed-nonce' }],
+    ['issuer', { iss: 'https://evil.example.com' }],
+    ['audience', { aud: 'another-client' }]
+  ])('rejects an ID token with the wrong %s', async (name, claims) => {
+    const { callback } = await signIn(claims);
+
+    expect(ssoError(callback)).toBe('Single sign-on failed');
+    expect(pool.queries(/INSERT INTO users/)).toHaveLength(0);
+  });
+
+  test('rejects an ID token not signed by the provider', async () => {
+    const { callback } = await signIn({}, { key: otherKey });
+
+    expect(ssoError(callback)).toBe('Single sign-on failed');
+    expect(pool.queries(/INSERT INTO users/)).toHaveLength(0);
+  });
+});
+
+describe('OIDC user provisioning', () => {
+  function existingAccount(overrides) {
+    pool.on(/username = \$1 AND oidc_subject IS NULL/, [{
+      id: USER_ID,
+      username: 'jdoe',
+      email: 'jane.doe@example.com',
+      display_name: 'Jane Doe',
+      role: 'user',
+      auth_source: 'ldap',
+      is_active: true,
+      ...overrides
+    }]);
+  }
+
+  function linked() {
+    return pool.queries(/UPDATE users SET email = \$1, display_name = \$2, auth_source = \$3, oidc_subject = \$4/);
+  }
+
+  test('creates a new user and hands the tokens over once', async () => {
+    const { agent, callback } = await signIn();
+
+    expect(callback.headers.location).toBe('/login?sso=1');
+    expect(pool.queries(/INSERT INTO users/)[0].params).toEqual(
+      expect.arrayContaining(['jdoe', 'jane.doe@example.com', 'oidc', SUBJECT])
+    );
+
+    const complete = await agent.post('/api/auth/sso/complete');
+    expect(complete.status).toBe(200);
+    expect(complete.body).toMatchObject({ user: { id: USER_ID, username: 'jdoe' }, authSource: 'oidc' });
+    expect(complete.body.token).toEqual(expect.any(String));
+
+    expect((await agent.post('/api/auth/sso/complete')).status).toBe(401);
+  });
+
+  test('signs in the user already linked to the subject', async () => {
+    pool.on(/WHERE oidc_subject = \$1/, [{ id: USER_ID, username: 'jdoe', email: 'jane.doe@example.com', role: 'user', is_active: true }]);
+
+    const { callback } = await signIn();
+
+    expect(callback.headers.location).toBe('/login?sso=1');
+    expect(pool.queries(/INSERT INTO users/)).toHaveLength(0);
+  });
+
+  test('links a directory account with the same verified email', async () => {
+    existingAccount({ auth_source: 'ldap', email: 'Jane.Doe@example.com' });
+
+    const { callback } = await signIn();
+
+    expect(callback.headers.location).toBe('/login?sso=1');
+    expect(linked()).toHaveLength(1);
+    expect(linked()[0].params).toEqual(['jane.doe@example.com', 'Jane Doe', 'oidc', SUBJECT, USER_ID]);
+    expect(pool.queries(/INSERT INTO users/)).toHaveLength(0);
+  });
+
+  test.each([
+    ['a local account', { auth_source: 'local' }, {}],
+    ['an admin account', { role: 'admin' }, {}],
+    ['an unverified email', {}, { email_verified: false }],
+    ['a different email', {}, { email: 'mallory@example.com' }],
+    ['a made-up email', { email: 'jdoe@idp.example.com' }, { email: undefined, email_verified: true }]
+  ])('does not take over %s', async (name, account, claims) => {
+    existingAccount(account);
+    pool.on(/INSERT INTO users/, () => {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "users_username_key"'), { code: '23505' });
+    });
+
+    const { callback } = await signIn(claims);
+
+    expect(linked()).toHaveLength(0);
+    expect(ssoError(callback)).toBe('An account with this username or email already exists');
+  });
+});
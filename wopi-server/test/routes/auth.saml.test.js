@@ -0,0 +1,158 @@
+process.env.AUTH_MODE = 'saml';
+process.env.SAML_ENTRY_POINT = 'https://idp.example.com/saml/sso';
+process.env.SAML_IDP_CERT = 'MIIBtest';
+process.env.SAML_LINK_EXISTING = 'true';
+
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => ({ get: jest.fn(), set: jest.fn(), del: jest.fn() }));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/groupMappings', () => ({
+  resolve: jest.fn(async () => ({ denied: false, role: null, storageQuota: null })),
+  applyToUser: jest.fn(async (user) => user)
+}));
+
+const express = require('express');
+const session = require('express-session');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const samlService = require('../../src/services/saml');
+const authRouter = require('../../src/routes/auth');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+const EMAIL_FORMAT = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const PERSISTENT_FORMAT = 'urn:oasis:names:tc:SAML:2.0:nameid-format:persistent';
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+app.use('/api/auth', authRouter);
+
+// Signature and condition checks are node-saml's; the tests start from the validated assertion
+let assertion;
+
+beforeAll(() => {
+  jest.spyOn(samlService, 'validateResponse').mockImplementation(async () => {
+    if (!assertion) {
+      throw new Error('Invalid signature');
+    }
+    return assertion;
+  });
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  for (const name of ['AUTH_MODE', 'SAML_ENTRY_POINT', 'SAML_IDP_CERT', 'SAML_LINK_EXISTING']) {
+    delete process.env[name];
+  }
+});
+
+beforeEach(() => {
+  pool.reset();
+  assertion = {
+    nameID: 'a81b2c3d',
+    nameIDFormat: PERSISTENT_FORMAT,
+    attributes: { uid: 'jdoe', mail: 'jane.doe@example.com', displayName: 'Jane Doe' }
+  };
+  samlService.config.usernameAttr = ['uid'];
+  pool.on(/INSERT INTO users/, (params) => [{
+    id: USER_ID,
+    username: params[0],
+    email: params[1],
+    role: params[4],
+    is_active: true
+  }]);
+});
+
+function postResponse() {
+  return request(app).post('/api/auth/saml/acs').type('form').send({ SAMLResponse: 'PHNhbWxwOlJlc3BvbnNlLz4=' });
+}
+
+function ssoError(res) {
+  return new URL(res.headers.location, 'https://office.example.com').searchParams.get('sso_error');
+}
+
+test('rejects responses that fail validation', async () => {
+  assertion = null;
+
+  const res = await postResponse();
+
+  expect(ssoError(res)).toMatch(/not accepted/);
+  expect(pool.queries(/INSERT INTO users/)).toHaveLength(0);
+});
+
+test('creates a user from the assertion', async () => {
+  const res = await postResponse();
+
+  expect(res.headers.location).toBe('/login?sso=1');
+  expect(pool.queries(/INSERT INTO users/)[0].params).toEqual(
+    expect.arrayContaining(['jdoe', 'jane.doe@example.com', 'saml', 'a81b2c3d'])
+  );
+});
+
+describe('linking existing accounts', () => {
+  function existingAccount(overrides) {
+    pool.on(/username = \$1 AND saml_subject IS NULL/, [{
+      id: USER_ID,
+      username: 'jdoe',
+      email: 'jane.doe@example.com',
+      role: 'user',
+      auth_source: 'ldap_ltpa',
+      is_active: true,
+      ...overrides
+    }]);
+  }
+
+  function linked() {
+    return pool.queries(/saml_subject = \$4/);
+  }
+
+  function usernameTaken() {
+    pool.on(/INSERT INTO users/, () => {
+      throw Object.assign(new Error('duplicate key value violates unique constraint "users_username_key"'), { code: '23505' });
+    });
+  }
+
+  test('links a directory account whose email the IdP asserts', async () => {
+    existingAccount();
+
+    const res = await postResponse();
+
+    expect(res.headers.location).toBe('/login?sso=1');
+    expect(linked()[0].params).toEqual(['jane.doe@example.com', 'Jane Doe', 'saml', 'a81b2c3d', USER_ID]);
+  });
+
+  test('accepts an emailAddress NameID as the asserted email', async () => {
+    existingAccount();
+    assertion = { nameID: 'jane.doe@example.com', nameIDFormat: EMAIL_FORMAT, attributes: { uid: 'jdoe' } };
+
+    await postResponse();
+
+    expect(linked()).toHaveLength(1);
+  });
+
+  test.each([
+    ['a local account', { auth_source: 'local' }, {}],
+    ['an admin account', { role: 'admin' }, {}],
+    ['a different email', {}, { mail: 'mallory@example.com' }],
+    ['a made-up email', { email: 'jdoe@idp.example.com' }, { mail: undefined }]
+  ])('does not take over %s', async (name, account, attributes) => {
+    existingAccount(account);
+    usernameTaken();
+    assertion.attributes = { ...assertion.attributes, ...attributes };
+
+    const res = await postResponse();
+
+    expect(linked()).toHaveLength(0);
+    expect(ssoError(res)).toBe('An account with this username or email already exists');
+  });
+
+  test('does not trust an email-like NameID of another format', async () => {
+    existingAccount();
+    usernameTaken();
+    assertion = { nameID: 'jane.doe@example.com', nameIDFormat: PERSISTENT_FORMAT, attributes: { uid: 'jdoe' } };
+
+    await postResponse();
+
+    expect(linked()).toHaveLength(0);
+  });
+});
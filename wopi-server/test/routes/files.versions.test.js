@@ -0,0 +1,80 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/storage', () => ({ multerStorage: () => ({}), sendFile: jest.fn((res) => res.end()) }));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/versions', () => ({ getVersion: jest.fn(), restoreVersion: jest.fn() }));
+jest.mock('../../src/services/permissions', () => ({ getFilePermission: jest.fn() }));
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '22222222-2222-4222-8222-222222222222', username: 'jdoe', role: 'user' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const versionService = require('../../src/services/versions');
+const { getFilePermission } = require('../../src/services/permissions');
+const filesRouter = require('../../src/routes/files');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+const OTHER_USER_ID = '33333333-3333-4333-8333-333333333333';
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', filesRouter);
+
+beforeEach(() => {
+  pool.reset();
+  jest.clearAllMocks();
+  pool.on(/FROM files WHERE id/, [{
+    id: FILE_ID,
+    owner_id: USER_ID,
+    original_filename: 'report.odt',
+    storage_path: 'u/report.odt',
+    mime_type: 'application/vnd.oasis.opendocument.text',
+    version: 3
+  }]);
+  pool.on(/FROM file_locks/, []);
+  getFilePermission.mockResolvedValue('edit');
+  versionService.getVersion.mockResolvedValue({ version: 2, storage_path: 'u/report.odt.v2' });
+  versionService.restoreVersion.mockResolvedValue({ id: FILE_ID, original_filename: 'report.odt', size: '10', version: 4 });
+});
+
+test.each(['0', '-1', 'abc', '1.5'])('rejects version %s', async (version) => {
+  const download = await request(app).get(`/api/files/${FILE_ID}/versions/${version}/download`);
+  const restore = await request(app).post(`/api/files/${FILE_ID}/versions/${version}/restore`);
+
+  expect(download.status).toBe(400);
+  expect(restore.status).toBe(400);
+  expect(restore.body.errors[0]).toMatchObject({ path: 'version' });
+  expect(versionService.getVersion).not.toHaveBeenCalled();
+});
+
+describe('POST /:id/versions/:version/restore', () => {
+  test('restores a version', async () => {
+    const res = await request(app).post(`/api/files/${FILE_ID}/versions/2/restore`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ version: 4, restoredVersion: 2 });
+  });
+
+  test('refuses while another user has the file open in the editor', async () => {
+    pool.on(/FROM file_locks/, [{ file_id: FILE_ID, lock_id: 'lock-1', locked_by: OTHER_USER_ID }]);
+
+    const res = await request(app).post(`/api/files/${FILE_ID}/versions/2/restore`);
+
+    expect(res.status).toBe(409);
+    expect(versionService.restoreVersion).not.toHaveBeenCalled();
+  });
+
+  test('the user holding the lock may restore', async () => {
+    pool.on(/FROM file_locks/, [{ file_id: FILE_ID, lock_id: 'lock-1', locked_by: USER_ID }]);
+
+    const res = await request(app).post(`/api/files/${FILE_ID}/versions/2/restore`);
+
+    expect(res.status).toBe(200);
+  });
+});
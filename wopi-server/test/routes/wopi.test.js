@@ -0,0 +1,452 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => ({}));
+jest.mock('../../src/services/storage', () => ({
+  stat: jest.fn(),
+  write: jest.fn(),
+  delete: jest.fn(),
+  createReadStream: jest.fn()
+}));
+jest.mock('../../src/services/tokenRevocation', () => ({
+  getTokenStatus: jest.fn(async () => ({ revoked: false, recheck: false }))
+}));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/services/editSessions', () => ({
+  touch: jest.fn(),
+  newSessionId: jest.fn(() => '77777777-7777-4777-8777-777777777777'),
+  start: jest.fn()
+}));
+jest.mock('../../src/services/versions', () => ({ saveRevision: jest.fn() }));
+jest.mock('../../src/services/trash', () => ({ moveToTrash: jest.fn() }));
+jest.mock('../../src/services/permissions', () => ({ getFilePermission: jest.fn() }));
+jest.mock('../../src/middleware/wopiProof', () => ({ verifyWopiProof: (req, res, next) => next() }));
+
+// Small enough to send an oversized PutFile body in a test
+process.env.MAX_UPLOAD_SIZE = '1';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const storage = require('../../src/services/storage');
+const { generateAccessToken } = require('../../src/utils/crypto');
+const wopiRouter = require('../../src/routes/wopi');
+
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = '22222222-2222-4222-8222-222222222222';
+const VIEWER_ID = '33333333-3333-4333-8333-333333333333';
+const SHARE_ID = '44444444-4444-4444-8444-444444444444';
+
+const app = express();
+app.use('/wopi', wopiRouter);
+
+function fileRow(overrides = {}) {
+  return {
+    id: FILE_ID,
+    owner_id: OWNER_ID,
+    owner_name: 'Olive Owner',
+    original_filename: 'Report.odt',
+    mime_type: 'application/vnd.oasis.opendocument.text',
+    storage_path: `${OWNER_ID}/report.odt`,
+    parent_folder_id: null,
+    size: '5',
+    version: 3,
+    updated_at: new Date('2026-01-01T00:00:00Z'),
+    ...overrides
+  };
+}
+
+function publicShare(overrides = {}) {
+  return { id: SHARE_ID, permission: 'edit', password_hash: null, ...overrides };
+}
+
+function tokenFor(userId, permissions, extra = {}) {
+  return generateAccessToken(FILE_ID, userId, permissions, extra);
+}
+
+beforeEach(() => {
+  pool.reset();
+  pool.on(/FROM files/, [fileRow()]);
+  storage.stat.mockResolvedValue({ size: 5 });
+  // Consume the body like a driver would, failing when the stream fails
+  storage.write.mockReset().mockImplementation(async (key, source) => {
+    let size = 0;
+    for await (const chunk of source) {
+      size += chunk.length;
+    }
+    return { size };
+  });
+  storage.delete.mockReset().mockResolvedValue();
+});
+
+describe('CheckFileInfo', () => {
+  async function checkFileInfo(token) {
+    return request(app).get(`/wopi/files/${FILE_ID}`).query({ access_token: token });
+  }
+
+  test('owner with edit permission can write, save as and rename', async () => {
+    const res = await checkFileInfo(tokenFor(OWNER_ID, 'edit'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      BaseFileName: 'Report.odt',
+      Version: '3',
+      UserCanWrite: true,
+      UserCanNotWriteRelative: false,
+      ReadOnly: false,
+      UserCanRename: true,
+      SupportsDeleteFile: true
+    });
+  });
+
+  test('authenticated view-only user cannot write or save as', async () => {
+    const res = await checkFileInfo(tokenFor(VIEWER_ID, 'view'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      UserCanWrite: false,
+      UserCanNotWriteRelative: true,
+      ReadOnly: true,
+      UserCanRename: false,
+      SupportsDeleteFile: false
+    });
+  });
+
+  test('anonymous editor of a public link cannot save as', async () => {
+    pool.on(/FROM file_shares/, [publicShare()]);
+
+    const res = await checkFileInfo(tokenFor(null, 'edit', { anonymous: true, shareId: SHARE_ID }));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      UserCanWrite: true,
+      UserCanNotWriteRelative: true,
+      IsAnonymousUser: true,
+      UserId: `anonymous-${SHARE_ID}`
+    });
+  });
+
+  test('anonymous editor is cut down to view when the link is downgraded', async () => {
+    const token = tokenFor(null, 'edit', { anonymous: true, shareId: SHARE_ID, sharePassword: null });
+    pool.on(/FROM file_shares/, [publicShare()]);
+    expect((await checkFileInfo(token)).body.UserCanWrite).toBe(true);
+
+    pool.on(/FROM file_shares/, [publicShare({ permission: 'view' })]);
+
+    const res = await checkFileInfo(token);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ UserCanWrite: false, ReadOnly: true });
+  });
+
+  test('anonymous tokens stop working when the link password changes or the link is removed', async () => {
+    const { sharePasswordTag } = require('../../src/utils/crypto');
+    const token = tokenFor(null, 'edit', { anonymous: true, shareId: SHARE_ID, sharePassword: sharePasswordTag('old-hash') });
+
+    pool.on(/FROM file_shares/, [publicShare({ password_hash: 'old-hash' })]);
+    expect((await checkFileInfo(token)).status).toBe(200);
+
+    pool.on(/FROM file_shares/, [publicShare({ password_hash: 'new-hash' })]);
+    expect((await checkFileInfo(token)).status).toBe(401);
+
+    pool.on(/FROM file_shares/, []);
+    expect((await checkFileInfo(token)).status).toBe(401);
+  });
+
+  test('rejects tokens for another file and garbage tokens', async () => {
+    const other = generateAccessToken('55555555-5555-4555-8555-555555555555', OWNER_ID, 'edit');
+
+    expect((await checkFileInfo(other)).status).toBe(401);
+    expect((await checkFileInfo('not-a-token')).status).toBe(401);
+    expect((await request(app).get(`/wopi/files/${FILE_ID}`)).status).toBe(401);
+  });
+});
+
+describe('RENAME_FILE and DELETE', () => {
+  const { getFilePermission } = require('../../src/services/permissions');
+  const trashService = require('../../src/services/trash');
+
+  function operation(token, override, headers = {}) {
+    return request(app)
+      .post(`/wopi/files/${FILE_ID}`)
+      .query({ access_token: token })
+      .set({ 'X-WOPI-Override': override, ...headers });
+  }
+
+  beforeEach(() => {
+    getFilePermission.mockReset();
+    trashService.moveToTrash.mockReset();
+  });
+
+  test('editor can rename', async () => {
+    getFilePermission.mockResolvedValue('edit');
+
+    const res = await operation(tokenFor(VIEWER_ID, 'edit'), 'RENAME_FILE', { 'X-WOPI-RequestedName': 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ Name: 'Renamed' });
+    expect(pool.queries(/UPDATE files SET original_filename/)).toHaveLength(1);
+  });
+
+  test('view-only recipient cannot rename', async () => {
+    getFilePermission.mockResolvedValue('view');
+
+    const res = await operation(tokenFor(VIEWER_ID, 'view'), 'RENAME_FILE', { 'X-WOPI-RequestedName': 'Renamed' });
+
+    expect(res.status).toBe(401);
+    expect(pool.queries(/UPDATE files SET original_filename/)).toHaveLength(0);
+  });
+
+  test('edit token whose share was downgraded cannot rename', async () => {
+    getFilePermission.mockResolvedValue('view');
+
+    const res = await operation(tokenFor(VIEWER_ID, 'edit'), 'RENAME_FILE', { 'X-WOPI-RequestedName': 'Renamed' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a lock records the editing session that took it', async () => {
+    pool.on(/FROM file_locks/, []);
+    const token = tokenFor(OWNER_ID, 'edit', { editSessionId: '77777777-7777-4777-8777-777777777777' });
+
+    const res = await operation(token, 'LOCK', { 'X-WOPI-Lock': 'lock-1' });
+
+    expect(res.status).toBe(200);
+    expect(pool.queries(/INSERT INTO file_locks/)[0].params).toEqual([
+      FILE_ID, 'lock-1', OWNER_ID, '77777777-7777-4777-8777-777777777777'
+    ]);
+  });
+
+  test('owner can delete', async () => {
+    const res = await operation(tokenFor(OWNER_ID, 'edit'), 'DELETE');
+
+    expect(res.status).toBe(200);
+    expect(trashService.moveToTrash).toHaveBeenCalledWith(FILE_ID);
+  });
+
+  test('share recipients cannot delete, even with edit permission', async () => {
+    for (const permission of ['view', 'edit']) {
+      const res = await operation(tokenFor(VIEWER_ID, permission), 'DELETE');
+      expect(res.status).toBe(401);
+    }
+    expect(trashService.moveToTrash).not.toHaveBeenCalled();
+  });
+
+  test('anonymous users can neither rename nor delete', async () => {
+    pool.on(/FROM file_shares/, [publicShare()]);
+    const token = tokenFor(null, 'edit', { anonymous: true, shareId: SHARE_ID });
+
+    expect((await operation(token, 'RENAME_FILE', { 'X-WOPI-RequestedName': 'x' })).status).toBe(401);
+    expect((await operation(token, 'DELETE')).status).toBe(401);
+  });
+});
+
+describe('PutFile', () => {
+  const { saveRevision } = require('../../src/services/versions');
+  const auditService = require('../../src/services/audit');
+
+  function putFile(token, body) {
+    return request(app)
+      .post(`/wopi/files/${FILE_ID}/contents`)
+      .query({ access_token: token })
+      .set('Content-Type', 'application/octet-stream')
+      .send(body);
+  }
+
+  beforeEach(() => {
+    saveRevision.mockReset().mockResolvedValue(fileRow({ version: 4, size: '11' }));
+    auditService.log.mockClear();
+  });
+
+  test('stores the body under a temporary key before saving the revision', async () => {
+    const res = await putFile(tokenFor(OWNER_ID, 'edit'), Buffer.from('new content'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-wopi-itemversion']).toBe('4');
+
+    const [uploadPath] = storage.write.mock.calls[0];
+    expect(uploadPath).toMatch(new RegExp(`^${OWNER_ID}/report\\.odt\\..+\\.upload$`));
+    expect(saveRevision).toHaveBeenCalledWith(expect.objectContaining({ id: FILE_ID }), uploadPath, OWNER_ID);
+    expect(storage.delete).toHaveBeenCalledWith(uploadPath);
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'FILE_UPDATE',
+      details: { version: 4 }
+    }));
+  });
+
+  test('an oversized body is rejected without recording a version', async () => {
+    const res = await putFile(tokenFor(OWNER_ID, 'edit'), Buffer.alloc(1024 * 1024 + 1));
+
+    expect(res.status).toBe(413);
+    expect(saveRevision).not.toHaveBeenCalled();
+    expect(storage.delete).toHaveBeenCalledWith(storage.write.mock.calls[0][0]);
+    expect(auditService.log).not.toHaveBeenCalled();
+  });
+
+  test('an aborted upload fails the storage write without recording a version', async () => {
+    const server = app.listen(0);
+    try {
+      let signalFirstChunk;
+      const firstChunk = new Promise((resolve) => { signalFirstChunk = resolve; });
+      let write;
+      storage.write.mockImplementationOnce((key, source) => {
+        write = (async () => {
+          for await (const chunk of source) {
+            signalFirstChunk(chunk);
+          }
+        })();
+        return write;
+      });
+
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: `/wopi/files/${FILE_ID}/contents?access_token=${encodeURIComponent(tokenFor(OWNER_ID, 'edit'))}`,
+        headers: { 'Content-Length': 1000 }
+      });
+      req.on('error', () => {});
+      req.write(Buffer.alloc(100));
+
+      await firstChunk;
+      req.destroy();
+
+      await expect(write).rejects.toThrow();
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(saveRevision).not.toHaveBeenCalled();
+      expect(storage.delete).toHaveBeenCalledWith(storage.write.mock.calls[0][0]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('view-only tokens cannot save', async () => {
+    const res = await putFile(tokenFor(VIEWER_ID, 'view'), Buffer.from('new content'));
+
+    expect(res.status).toBe(401);
+    expect(storage.write).not.toHaveBeenCalled();
+  });
+
+  test('an open public link editor cannot save after the link is downgraded to view', async () => {
+    pool.on(/FROM file_shares/, [publicShare({ permission: 'view' })]);
+    const token = tokenFor(null, 'edit', { anonymous: true, shareId: SHARE_ID, sharePassword: null });
+
+    const res = await putFile(token, Buffer.from('new content'));
+
+    expect(res.status).toBe(401);
+    expect(storage.write).not.toHaveBeenCalled();
+    expect(saveRevision).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT_RELATIVE', () => {
+  const { getFilePermission } = require('../../src/services/permissions');
+  const trashService = require('../../src/services/trash');
+  const EXISTING_ID = '66666666-6666-4666-8666-666666666666';
+
+  function putRelative(token, body, headers = {}) {
+    return request(app)
+      .post(`/wopi/files/${FILE_ID}`)
+      .query({ access_token: token })
+      .set({
+        'X-WOPI-Override': 'PUT_RELATIVE',
+        'X-WOPI-RelativeTarget': 'Copy.odt',
+        'X-WOPI-Size': String(body.length),
+        'Content-Type': 'application/octet-stream',
+        ...headers
+      })
+      .send(body);
+  }
+
+  beforeEach(() => {
+    getFilePermission.mockReset().mockResolvedValue('edit');
+    trashService.moveToTrash.mockReset();
+    pool.on(/original_filename = \$2/, []);
+    pool.on(/SELECT storage_quota, storage_used FROM users/, [{ storage_quota: '1000', storage_used: '900' }]);
+    pool.on(/INSERT INTO files/, params => [fileRow({ id: params[0], original_filename: params[3], size: params[5] })]);
+  });
+
+  test('an editor saves a copy next to the file', async () => {
+    const res = await putRelative(tokenFor(OWNER_ID, 'edit'), Buffer.from('copy'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.Name).toBe('Copy.odt');
+    expect(pool.queries(/INSERT INTO files/)).toHaveLength(1);
+    expect(pool.queries(/UPDATE users SET storage_used/)[0].params).toEqual([4, OWNER_ID]);
+    expect(storage.delete).not.toHaveBeenCalled();
+  });
+
+  test('the editor of the copy is recorded as an editing session', async () => {
+    const editSessions = require('../../src/services/editSessions');
+    const { verifyAccessToken } = require('../../src/utils/crypto');
+    editSessions.start.mockClear();
+
+    const res = await putRelative(tokenFor(OWNER_ID, 'edit', { sessionId: 'login-1', ip: '203.0.113.7' }), Buffer.from('copy'));
+
+    const newFileId = pool.queries(/INSERT INTO files/)[0].params[0];
+    const token = new URL(res.body.Url).searchParams.get('access_token');
+    expect(verifyAccessToken(token, newFileId)).toMatchObject({
+      editSessionId: '77777777-7777-4777-8777-777777777777',
+      sessionId: 'login-1'
+    });
+    expect(editSessions.start).toHaveBeenCalledWith(expect.objectContaining({
+      id: '77777777-7777-4777-8777-777777777777',
+      userId: OWNER_ID,
+      fileId: newFileId,
+      loginSessionId: 'login-1',
+      accessToken: token,
+      ipAddress: '203.0.113.7'
+    }));
+  });
+
+  test('view-only tokens and downgraded shares cannot save as', async () => {
+    expect((await putRelative(tokenFor(VIEWER_ID, 'view'), Buffer.from('copy'), {
+      'X-WOPI-OverwriteRelativeTarget': 'true'
+    })).status).toBe(401);
+
+    getFilePermission.mockResolvedValue('view');
+    expect((await putRelative(tokenFor(VIEWER_ID, 'edit'), Buffer.from('copy'))).status).toBe(401);
+
+    expect(storage.write).not.toHaveBeenCalled();
+    expect(trashService.moveToTrash).not.toHaveBeenCalled();
+  });
+
+  test('only the owner can overwrite an existing file', async () => {
+    pool.on(/original_filename = \$2/, [{ id: EXISTING_ID }]);
+    const headers = { 'X-WOPI-OverwriteRelativeTarget': 'true' };
+
+    const denied = await putRelative(tokenFor(VIEWER_ID, 'edit'), Buffer.from('copy'), headers);
+    expect(denied.status).toBe(401);
+    expect(storage.write).not.toHaveBeenCalled();
+    expect(trashService.moveToTrash).not.toHaveBeenCalled();
+
+    const allowed = await putRelative(tokenFor(OWNER_ID, 'edit'), Buffer.from('copy'), headers);
+    expect(allowed.status).toBe(200);
+    expect(trashService.moveToTrash).toHaveBeenCalledWith(EXISTING_ID);
+  });
+
+  test('an announced size over the quota is refused before anything is written', async () => {
+    const res = await putRelative(tokenFor(OWNER_ID, 'edit'), Buffer.alloc(101));
+
+    expect(res.status).toBe(413);
+    expect(storage.write).not.toHaveBeenCalled();
+  });
+
+  test('a body over the quota is removed again', async () => {
+    const res = await putRelative(tokenFor(OWNER_ID, 'edit'), Buffer.alloc(101), { 'X-WOPI-Size': '1' });
+
+    expect(res.status).toBe(413);
+    const [storagePath] = storage.write.mock.calls[0];
+    expect(storage.delete).toHaveBeenCalledWith(storagePath);
+    expect(pool.queries(/INSERT INTO files/)).toHaveLength(0);
+  });
+
+  test('a failed file record leaves no orphan in storage', async () => {
+    pool.on(/INSERT INTO files/, () => {
+      throw new Error('connection lost');
+    });
+
+    const res = await putRelative(tokenFor(OWNER_ID, 'edit'), Buffer.from('copy'));
+
+    expect(res.status).toBe(500);
+    expect(storage.delete).toHaveBeenCalledWith(storage.write.mock.calls[0][0]);
+    expect(trashService.moveToTrash).not.toHaveBeenCalled();
+  });
+});
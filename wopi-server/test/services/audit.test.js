@@ -0,0 +1,249 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/storage', () => ({}));
+jest.mock('../../src/services/syslog', () => ({ send: jest.fn() }));
+
+const pool = require('../../src/db/pool');
+const redis = require('../../src/db/redis');
+const syslog = require('../../src/services/syslog');
+const auditService = require('../../src/services/audit');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// audit_log and audit_archives as PostgreSQL would return them; inserts
+// only become visible on COMMIT
+let table;
+let uncommitted;
+let archives;
+
+beforeEach(() => {
+  table = [];
+  uncommitted = [];
+  archives = [];
+  pool.reset();
+  redis.reset();
+  syslog.send.mockClear();
+
+  pool.on(/^COMMIT/, () => {
+    table.push(...uncommitted.splice(0));
+    return [];
+  });
+  pool.on(/^ROLLBACK/, () => {
+    uncommitted = [];
+    return [];
+  });
+  pool.on(/FROM audit_archives/, () => archives);
+  pool.on(/ORDER BY seq DESC LIMIT 1/, () => {
+    const head = table.reduce((last, row) => (!last || parseInt(row.seq) > parseInt(last.seq) ? row : last), null);
+    return head ? [{ seq: head.seq, hash: head.hash }] : [];
+  });
+  pool.on(/date_trunc/, ([userId, resourceId, details]) => {
+    for (const value of [userId, resourceId]) {
+      if (value !== null && !UUID.test(value)) {
+        throw Object.assign(new Error(`invalid input syntax for type uuid: "${value}"`), { code: '22P02' });
+      }
+    }
+    return [{
+      created_at: new Date(),
+      user_id: userId,
+      resource_id: resourceId,
+      details: details === null ? null : JSON.parse(details)
+    }];
+  });
+  pool.on(/INSERT INTO audit_log/, (params) => {
+    const [id, seq, userId, action, resourceType, resourceId, details, ipAddress, createdAt, prevHash, hash] = params;
+    uncommitted.push({
+      id,
+      seq: String(seq),
+      user_id: userId,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      details: details === null ? null : JSON.parse(details),
+      ip_address: ipAddress,
+      created_at: createdAt,
+      prev_hash: prevHash,
+      hash
+    });
+    return [];
+  });
+  pool.on(/WHERE seq > \$1 ORDER BY seq ASC/, ([after, limit]) => table
+    .filter(row => parseInt(row.seq) > parseInt(after))
+    .sort((a, b) => a.seq - b.seq)
+    .slice(0, limit));
+  pool.on(/WHERE seq < \$1/, ([seq]) => [{ count: String(table.filter(row => parseInt(row.seq) < seq).length) }]);
+  pool.on(/AS legacy/, [{ legacy: '0', unchained: '0' }]);
+});
+
+function entry(n) {
+  return { action: 'FILE_UPDATE', userId: USER_ID, resourceType: 'file', resourceId: FILE_ID, details: { version: n }, ipAddress: '203.0.113.7' };
+}
+
+async function logEntries(count) {
+  for (let n = 1; n <= count; n++) {
+    await auditService.log(entry(n));
+  }
+}
+
+function rowAt(seq) {
+  return table.find(row => row.seq === String(seq));
+}
+
+describe('log', () => {
+  test('chains each entry to the one before it and forwards it to syslog', async () => {
+    const first = await auditService.log(entry(1));
+    const second = await auditService.log(entry(2));
+
+    expect(first).toMatchObject({ seq: 1, action: 'FILE_UPDATE', userId: USER_ID, details: { version: 1 } });
+    expect(second.seq).toBe(2);
+    expect(rowAt(1).prev_hash).toBe('0'.repeat(64));
+    expect(rowAt(2).prev_hash).toBe(first.hash);
+    expect(syslog.send.mock.calls.map(([sent]) => sent.hash)).toEqual([first.hash, second.hash]);
+  });
+
+  test('entries logged while a batch is written share one transaction', async () => {
+    const entries = await Promise.all([1, 2, 3, 4, 5].map(n => auditService.log(entry(n))));
+
+    expect(entries.map(e => e.seq)).toEqual([1, 2, 3, 4, 5]);
+    expect(entries.map(e => e.details.version)).toEqual([1, 2, 3, 4, 5]);
+    // The first entry is written right away, the other four together
+    expect(pool.queries(/pg_advisory_xact_lock/)).toHaveLength(2);
+    expect((await auditService.verify()).valid).toBe(true);
+  });
+
+  test('an invalid entry fails on its own', async () => {
+    const results = await Promise.allSettled([
+      auditService.log(entry(1)),
+      auditService.log(entry(2)),
+      auditService.log({ ...entry(3), resourceId: 'not-a-uuid' }),
+      auditService.log(entry(4))
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    expect(results[2].reason.code).toBe('22P02');
+    expect(results[3].value.seq).toBe(3);
+
+    const report = await auditService.verify();
+    expect(report).toMatchObject({ valid: true, checked: 3, lastSeq: 3 });
+  });
+
+  test('a Redis failure does not fail the entry', async () => {
+    const multi = jest.spyOn(redis, 'multi').mockImplementationOnce(() => {
+      throw new Error('connection lost');
+    });
+
+    await expect(auditService.log(entry(1))).resolves.toMatchObject({ seq: 1 });
+    multi.mockRestore();
+  });
+});
+
+describe('verify', () => {
+  test('reports an intact chain up to the checkpoint', async () => {
+    await logEntries(3);
+
+    const report = await auditService.verify();
+
+    expect(report).toMatchObject({
+      valid: true,
+      checked: 3,
+      firstSeq: 1,
+      lastSeq: 3,
+      anchor: null,
+      checkpoint: { seq: 3, hash: rowAt(3).hash },
+      problems: []
+    });
+  });
+
+  test('detects an edited entry', async () => {
+    await logEntries(3);
+    rowAt(2).details = { version: 20 };
+
+    const report = await auditService.verify();
+
+    expect(report.valid).toBe(false);
+    expect(report.problems).toEqual([expect.objectContaining({ type: 'modified', seq: 2 })]);
+  });
+
+  test('detects an entry deleted from the middle', async () => {
+    await logEntries(3);
+    table = table.filter(row => row.seq !== '2');
+
+    const report = await auditService.verify();
+
+    expect(report.valid).toBe(false);
+    expect(report.problems).toEqual([
+      expect.objectContaining({ type: 'gap', seq: 2, detail: 'entry 2 is missing' })
+    ]);
+  });
+
+  test('detects entries deleted from the end', async () => {
+    await logEntries(4);
+    table = table.filter(row => parseInt(row.seq) <= 2);
+
+    const report = await auditService.verify();
+
+    // What is left is a valid chain; only the checkpoint shows the loss
+    expect(report.valid).toBe(false);
+    expect(report.lastSeq).toBe(2);
+    expect(report.problems).toEqual([
+      expect.objectContaining({ type: 'truncated', seq: 3, detail: 'entries 3 to 4 are missing from the end' })
+    ]);
+  });
+
+  test('detects an emptied table', async () => {
+    await logEntries(1);
+    table = [];
+
+    const report = await auditService.verify();
+
+    expect(report.problems).toEqual([
+      expect.objectContaining({ type: 'truncated', detail: 'entry 1 is missing from the end' })
+    ]);
+  });
+
+  test('rejects a checkpoint that was not signed with the audit key', async () => {
+    await logEntries(2);
+    table = table.filter(row => row.seq === '1');
+    await redis.zAdd('collabora:audit-checkpoint', {
+      score: 99,
+      value: JSON.stringify({ seq: 1, hash: rowAt(1).hash, signature: '0'.repeat(64) })
+    });
+
+    const report = await auditService.verify();
+
+    expect(report.valid).toBe(false);
+    expect(report.checkpoint).toBeNull();
+    expect(report.problems).toEqual([expect.objectContaining({ type: 'checkpoint' })]);
+  });
+
+  test('continues the chain from the last archive', async () => {
+    await logEntries(4);
+    archives = [{ last_seq: '2', last_hash: rowAt(2).hash }];
+    table = table.filter(row => parseInt(row.seq) > 2);
+
+    const report = await auditService.verify();
+
+    expect(report).toMatchObject({
+      valid: true,
+      checked: 2,
+      firstSeq: 3,
+      lastSeq: 4,
+      anchor: { seq: 2, hash: archives[0].last_hash }
+    });
+  });
+
+  test('entries logged after archiving everything continue from the archive', async () => {
+    await logEntries(2);
+    archives = [{ last_seq: '2', last_hash: rowAt(2).hash }];
+    table = [];
+
+    expect((await auditService.verify()).valid).toBe(true);
+
+    const next = await auditService.log(entry(3));
+    expect(next.seq).toBe(3);
+    expect(rowAt(3).prev_hash).toBe(archives[0].last_hash);
+    expect((await auditService.verify()).valid).toBe(true);
+  });
+});
@@ -0,0 +1,43 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/services/tokenRevocation', () => ({ revokeEditSession: jest.fn() }));
+
+const pool = require('../../src/db/pool');
+const tokenRevocation = require('../../src/services/tokenRevocation');
+const editSessions = require('../../src/services/editSessions');
+
+const SESSION_ID = '77777777-7777-4777-8777-777777777777';
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+beforeEach(() => {
+  pool.reset();
+  tokenRevocation.revokeEditSession.mockReset();
+  pool.on(/SELECT \* FROM active_sessions/, [{ id: SESSION_ID, user_id: USER_ID, file_id: FILE_ID }]);
+});
+
+test('terminating a session revokes its token and releases only the lock it took', async () => {
+  pool.on(/DELETE FROM file_locks/, [{ id: 'lock-1' }]);
+
+  const session = await editSessions.terminate(SESSION_ID);
+
+  expect(session).toMatchObject({ id: SESSION_ID, releasedLock: true });
+  expect(tokenRevocation.revokeEditSession).toHaveBeenCalledWith(SESSION_ID);
+  const [release] = pool.queries(/DELETE FROM file_locks/);
+  expect(release.sql).toMatch(/edit_session_id = \$2/);
+  expect(release.sql).not.toMatch(/locked_by/);
+  expect(release.params).toEqual([FILE_ID, SESSION_ID]);
+  expect(pool.queries(/^COMMIT/)).toHaveLength(1);
+});
+
+test('a lock held by another session of the same user stays', async () => {
+  const session = await editSessions.terminate(SESSION_ID);
+
+  expect(session.releasedLock).toBe(false);
+});
+
+test('unknown sessions are not found', async () => {
+  pool.on(/SELECT \* FROM active_sessions/, []);
+
+  expect(await editSessions.terminate(SESSION_ID)).toBeNull();
+  expect(tokenRevocation.revokeEditSession).not.toHaveBeenCalled();
+});
@@ -0,0 +1,55 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/storage', () => ({}));
+
+const pool = require('../../src/db/pool');
+const folderService = require('../../src/services/folders');
+
+const FOLDER_ID = '44444444-4444-4444-8444-444444444444';
+const SUBFOLDER_ID = '55555555-5555-4555-8555-555555555555';
+const OWNER_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('deleteFolder', () => {
+  let client;
+
+  beforeEach(() => {
+    pool.reset();
+    // A client of its own, to tell its queries from queries on the pool
+    client = { query: jest.fn((sql, params) => pool.query(sql, params)), release: jest.fn() };
+    pool.connect.mockResolvedValueOnce(client);
+
+    pool.on(/WITH RECURSIVE tree/, [{ id: FOLDER_ID }, { id: SUBFOLDER_ID }]);
+    pool.on(/SELECT id FROM files/, [{ id: 'file-1' }, { id: 'file-2' }]);
+    pool.on(/UPDATE files SET is_deleted = true/, ([fileId]) => [{ id: fileId, size: '10', owner_id: OWNER_ID }]);
+  });
+
+  test('trashes the files and deletes the tree in one transaction', async () => {
+    await expect(folderService.deleteFolder(FOLDER_ID)).resolves.toBe(2);
+
+    expect(pool.calls.map(call => call.sql.trim().split(/\s+/).slice(0, 2).join(' '))).toEqual([
+      'BEGIN',
+      'WITH RECURSIVE',
+      'SELECT id',
+      'UPDATE files',
+      'UPDATE users',
+      'UPDATE files',
+      'UPDATE users',
+      'DELETE FROM',
+      'COMMIT'
+    ]);
+    expect(client.query).toHaveBeenCalledTimes(pool.calls.length);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('rolls back when a step fails', async () => {
+    pool.on(/DELETE FROM folders/, () => {
+      throw new Error('connection lost');
+    });
+
+    await expect(folderService.deleteFolder(FOLDER_ID)).rejects.toThrow('connection lost');
+
+    expect(pool.queries(/^ROLLBACK/)).toHaveLength(1);
+    expect(pool.queries(/^COMMIT/)).toHaveLength(0);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+
+jest.mock('../../src/services/ltpaKeys', () => ({
+  decryptKey: jest.fn(),
+  loadKeyring: jest.fn()
+}));
+
+const LTPA_ENV = ['LTPA_SECRET_KEY', 'LTPA_PUBLIC_KEY', 'LTPA_PRIVATE_KEY', 'LTPA_SIGNATURE_MODE'];
+
+// ISO/IEC 9796-1 shadow function, as printed in the standard
+const SHADOWS = [0xe, 0x3, 0x5, 0x8, 0x9, 0x4, 0x2, 0xf, 0x0, 0xd, 0xb, 0x6, 0x7, 0xa, 0xc, 0x1];
+const INVERSE = SHADOWS.reduce((inverse, shadow, nibble) => Object.assign(inverse, { [shadow]: nibble }), []);
+const shadow = (byte) => (SHADOWS[byte >> 4] << 4) | SHADOWS[byte & 0x0f];
+
+function bigInt(base64url) {
+  return BigInt(`0x${Buffer.from(base64url, 'base64url').toString('hex')}`);
+}
+
+/**
+ * Java BigInteger.toByteArray(): big-endian with a sign byte when needed
+ */
+function javaBytes(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  if (parseInt(hex.substring(0, 2), 16) >= 0x80) hex = `00${hex}`;
+  return Buffer.from(hex, 'hex');
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+/**
+ * An RSA key pair in the ltpa.keys encoding (decrypted private key)
+ */
+function websphereKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+  const jwk = privateKey.export({ format: 'jwk' });
+  const [n, e, d, p, q] = [jwk.n, jwk.e, jwk.d, jwk.p, jwk.q].map(bigInt);
+  const exponent = javaBytes(e).subarray(-3);
+  const dBytes = javaBytes(d);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(dBytes.length);
+
+  return {
+    n,
+    e,
+    privateKey,
+    publicKey: Buffer.concat([javaBytes(n), exponent]).toString('base64'),
+    ibmPrivateKey: Buffer.concat([length, dBytes, exponent, javaBytes(p), javaBytes(q)]).toString('base64')
+  };
+}
+
+const keys = websphereKeys();
+const secretKey = crypto.randomBytes(24).toString('base64');
+
+function loadService(env) {
+  for (const name of LTPA_ENV) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, env);
+
+  let service;
+  let logger;
+  jest.isolateModules(() => {
+    logger = require('../../src/utils/logger');
+    jest.spyOn(logger, 'warn');
+    service = require('../../src/services/ltpa');
+  });
+  return { service, logger };
+}
+
+/**
+ * Re-sign a token with another signature and encrypt it again
+ */
+function withSignature(service, token, sign) {
+  const content = service.decryptToken(token).replace(/\0+$/, '').trim();
+  const { userSection, signature } = service.parseTokenContent(content);
+  const unsigned = content.substring(0, content.lastIndexOf('%'));
+  return service.encryptToken(`${unsigned}%${sign(userSection, unsigned, signature)}`);
+}
+
+afterAll(() => {
+  for (const name of LTPA_ENV) {
+    delete process.env[name];
+  }
+});
+
+describe('WebSphere RSA signatures', () => {
+  let service;
+
+  beforeEach(() => {
+    ({ service } = loadService({
+      LTPA_SECRET_KEY: secretKey,
+      LTPA_PUBLIC_KEY: keys.publicKey,
+      LTPA_PRIVATE_KEY: keys.ibmPrivateKey
+    }));
+  });
+
+  test('generated tokens validate', async () => {
+    const token = service.generateToken('CN=Jane Doe/O=Example');
+
+    expect(await service.validateToken(token)).toMatchObject({ username: 'Jane Doe', realm: 'defaultRealm' });
+  });
+
+  test('signatures are ISO 9796-1 over the SHA-1 digest of the user data', () => {
+    const content = service.decryptToken(service.generateToken('CN=Jane Doe/O=Example'));
+    const { userSection, signature } = service.parseTokenContent(content);
+    const digest = crypto.createHash('sha1').update(userSection, 'utf8').digest();
+
+    // Recover the message representative with the public key
+    let recovered = modPow(BigInt(`0x${Buffer.from(signature, 'base64').toString('hex')}`), keys.e, keys.n);
+    if (recovered % 16n !== 6n) {
+      recovered = keys.n - recovered;
+    }
+    const block = Buffer.from(recovered.toString(16).padStart(256, '0'), 'hex');
+
+    expect(block[127] & 0x0f).toBe(6);
+    block[127] = (block[127] >> 4) | (INVERSE[block[126] >> 4] << 4);
+
+    // Every byte follows its shadow; the start of the last copy of the digest is marked
+    for (let i = 2; i < block.length; i += 2) {
+      expect(block[i] ^ shadow(block[i + 1])).toBe(i === block.length - 2 * digest.length ? 1 : 0);
+    }
+
+    const message = Buffer.from(block.filter((byte, i) => i % 2 === 1).subarray(-digest.length));
+    expect(message).toEqual(digest);
+  });
+
+  test('accepts the complement of the signature to the modulus', async () => {
+    const token = withSignature(service, service.generateToken('CN=Jane Doe/O=Example'), (userSection, unsigned, signature) => {
+      const value = BigInt(`0x${Buffer.from(signature, 'base64').toString('hex')}`);
+      return javaBytes(keys.n - value).toString('base64');
+    });
+
+    expect(await service.validateToken(token)).toMatchObject({ username: 'Jane Doe' });
+  });
+
+  test('rejects PKCS#1 signatures and tampered user data', async () => {
+    const token = service.generateToken('CN=Jane Doe/O=Example');
+
+    const pkcs1 = withSignature(service, token, (userSection) => {
+      const digest = crypto.createHash('sha1').update(userSection, 'utf8').digest();
+      return crypto.sign('sha1', digest, keys.privateKey).toString('base64');
+    });
+    expect(await service.validateToken(pkcs1)).toBeNull();
+
+    const content = service.decryptToken(token).replace(/\0+$/, '').trim();
+    const tampered = service.encryptToken(content.replace('CN=Jane Doe', 'CN=Admin'));
+    expect(await service.validateToken(tampered)).toBeNull();
+  });
+
+  test('rejects tokens signed with another key pair', async () => {
+    const other = websphereKeys();
+    const { service: otherService } = loadService({
+      LTPA_SECRET_KEY: secretKey,
+      LTPA_PUBLIC_KEY: other.publicKey,
+      LTPA_PRIVATE_KEY: other.ibmPrivateKey
+    });
+
+    expect(await service.validateToken(otherService.generateToken('CN=Jane Doe/O=Example'))).toBeNull();
+  });
+});
+
+describe('signature mode', () => {
+  function hmacSigned(service) {
+    return (userSection, unsigned) => crypto.createHmac('sha1', service.keys.hmacKey).update(unsigned).digest('base64');
+  }
+
+  test('is strict by default and rejects shared-secret signatures', async () => {
+    const { service, logger } = loadService({ LTPA_SECRET_KEY: secretKey, LTPA_PUBLIC_KEY: keys.publicKey, LTPA_PRIVATE_KEY: keys.ibmPrivateKey });
+    const forged = withSignature(service, service.generateToken('CN=Jane Doe/O=Example'), hmacSigned(service));
+
+    expect(service.config.signatureMode).toBe('strict');
+    expect(await service.validateToken(forged)).toBeNull();
+    expect(logger.warn).not.toHaveBeenCalledWith(expect.stringMatching(/compat/));
+  });
+
+  test('stays strict without a public key', () => {
+    const { service } = loadService({ LTPA_SECRET_KEY: secretKey });
+
+    expect(service.config.signatureMode).toBe('strict');
+    expect(() => service.generateToken('CN=Jane Doe/O=Example')).toThrow('private key required');
+  });
+
+  test('compat accepts shared-secret signatures only when chosen, with a warning', async () => {
+    const { service, logger } = loadService({ LTPA_SECRET_KEY: secretKey, LTPA_SIGNATURE_MODE: 'compat' });
+    const token = service.generateToken('CN=Jane Doe/O=Example');
+
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/compat/));
+    expect(await service.validateToken(token)).toMatchObject({ username: 'Jane Doe' });
+  });
+});
+
+describe('Domino LtpaToken (LTPA1)', () => {
+  const dominoSecret = crypto.randomBytes(20).toString('base64');
+  let service;
+
+  /**
+   * Build a token by hand: header, creation and expiry in hex seconds,
+   * user name and SHA-1 over all of it plus the secret
+   */
+  function dominoToken(username, { created = Date.now(), expires = Date.now() + 3600 * 1000, secret = dominoSecret } = {}) {
+    const hex = (time) => Math.floor(time / 1000).toString(16).toUpperCase().padStart(8, '0');
+    const data = Buffer.concat([
+      Buffer.from([0x00, 0x01, 0x02, 0x03]),
+      Buffer.from(hex(created) + hex(expires), 'latin1'),
+      Buffer.from(username, 'latin1')
+    ]);
+    const digest = crypto.createHash('sha1').update(Buffer.concat([data, Buffer.from(secret, 'base64')])).digest();
+    return Buffer.concat([data, digest]).toString('base64');
+  }
+
+  beforeEach(() => {
+    ({ service } = loadService({}));
+    service.config.dominoSecret = dominoSecret;
+  });
+
+  test('validates tokens issued by Domino', async () => {
+    const token = dominoToken('CN=Jane Doe/OU=Sales/O=Example');
+
+    expect(service.isDominoToken(token)).toBe(true);
+    expect(await service.validateToken(encodeURIComponent(token))).toMatchObject({
+      username: 'Jane Doe',
+      dn: 'CN=Jane Doe/OU=Sales/O=Example'
+    });
+  });
+
+  test('keeps Latin-1 user names', async () => {
+    expect(await service.validateToken(dominoToken('CN=Jürgen Müller/O=Example'))).toMatchObject({ username: 'Jürgen Müller' });
+  });
+
+  test('generated tokens use the Domino layout', () => {
+    const token = service.generateDominoToken('CN=Jane Doe/O=Example');
+    const parsed = service.parseDominoToken(token);
+
+    expect(parsed).toMatchObject({ dn: 'CN=Jane Doe/O=Example', signatureValid: true, isExpired: false });
+    expect(token).toBe(dominoToken('CN=Jane Doe/O=Example', {
+      created: parsed.creationTime,
+      expires: parsed.expireTime
+    }));
+  });
+
+  test('rejects tokens signed with another secret or altered', async () => {
+    const token = dominoToken('CN=Jane Doe/O=Example', { secret: crypto.randomBytes(20).toString('base64') });
+    expect(await service.validateToken(token)).toBeNull();
+
+    const raw = Buffer.from(dominoToken('CN=Jane Doe/O=Example'), 'base64');
+    raw.write('A', 23, 'latin1');
+    expect(await service.validateToken(raw.toString('base64'))).toBeNull();
+  });
+
+  test('rejects expired tokens and tokens created in the future', async () => {
+    const expired = dominoToken('CN=Jane Doe/O=Example', { created: Date.now() - 7200 * 1000, expires: Date.now() - 60 * 1000 });
+    const future = dominoToken('CN=Jane Doe/O=Example', { created: Date.now() + 3600 * 1000, expires: Date.now() + 7200 * 1000 });
+
+    expect(await service.validateToken(expired)).toBeNull();
+    expect(await service.validateToken(future)).toBeNull();
+  });
+
+  test('rejects tokens when no Domino secret is configured', async () => {
+    service.config.dominoSecret = '';
+
+    expect(await service.validateToken(dominoToken('CN=Jane Doe/O=Example'))).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/authConfig', () => ({
+  get: jest.fn(),
+  set: jest.fn()
+}));
+
+describe('migration of LTPA files into the database', () => {
+  let keysDir;
+  let ltpaKeys;
+  let authConfig;
+  let logger;
+
+  beforeEach(() => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ltpa-keys-'));
+    process.env.LTPA_KEYS_DIR = keysDir;
+    jest.isolateModules(() => {
+      ltpaKeys = require('../../src/services/ltpaKeys');
+      authConfig = require('../../src/services/authConfig');
+      logger = require('../../src/utils/logger');
+    });
+    authConfig.get.mockReset().mockResolvedValue(null);
+    authConfig.set.mockReset().mockResolvedValue();
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    fs.writeFileSync(path.join(keysDir, 'ltpa-config.json'), JSON.stringify({
+      desKey: 'c2VjcmV0',
+      realm: 'example.com',
+      dominoSecret: 'ZG9taW5v'
+    }));
+    fs.writeFileSync(path.join(keysDir, 'ltpa.keys'), 'com.ibm.websphere.ltpa.Realm=example.com\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+    delete process.env.LTPA_KEYS_DIR;
+    jest.restoreAllMocks();
+  });
+
+  test('stores the keyring and keeps the files as *.migrated', async () => {
+    const keyring = await ltpaKeys.loadKeyring();
+
+    expect(keyring).toMatchObject({ dominoSecret: 'ZG9taW5v', keySets: [{ realm: 'example.com', desKey: 'c2VjcmV0' }] });
+    expect(authConfig.set).toHaveBeenCalledWith('ltpa', keyring, { notify: false });
+    expect(fs.readdirSync(keysDir).sort()).toEqual(['ltpa-config.json.migrated', 'ltpa.keys.migrated']);
+  });
+
+  test('does not migrate again once the files are renamed', async () => {
+    await ltpaKeys.loadKeyring();
+    authConfig.set.mockClear();
+
+    expect(await ltpaKeys.loadKeyring()).toMatchObject({ keySets: [] });
+    expect(authConfig.set).not.toHaveBeenCalled();
+  });
+
+  test('logs files that cannot be renamed and leaves them in place', async () => {
+    jest.spyOn(fs.promises, 'rename').mockRejectedValue(Object.assign(new Error('read-only file system'), { code: 'EROFS' }));
+
+    await ltpaKeys.loadKeyring();
+
+    expect(logger.warn).toHaveBeenCalledWith('Failed to rename migrated LTPA file', expect.objectContaining({
+      file: path.join(keysDir, 'ltpa-config.json'),
+      error: 'read-only file system'
+    }));
+    expect(fs.readdirSync(keysDir).sort()).toEqual(['ltpa-config.json', 'ltpa.keys']);
+  });
+});
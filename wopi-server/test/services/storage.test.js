@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const LocalStorage = require('../../src/services/storage/local');
+const S3Storage = require('../../src/services/storage/s3');
+
+/**
+ * In-memory stand-in for the S3 API, answering the commands the driver sends
+ */
+function stubS3(driver) {
+  const objects = new Map();
+
+  function notFound(name) {
+    const error = new Error(name);
+    error.name = name;
+    error.$metadata = { httpStatusCode: 404 };
+    return error;
+  }
+
+  jest.spyOn(driver.client, 'send').mockImplementation(async (command) => {
+    const input = command.input;
+    switch (command.constructor.name) {
+      case 'PutObjectCommand': {
+        const chunks = [];
+        for await (const chunk of Readable.from(Buffer.isBuffer(input.Body) ? [input.Body] : input.Body)) {
+          chunks.push(Buffer.from(chunk));
+        }
+        objects.set(input.Key, Buffer.concat(chunks));
+        return { ETag: '"etag"' };
+      }
+      case 'GetObjectCommand':
+        if (!objects.has(input.Key)) throw notFound('NoSuchKey');
+        return { Body: Readable.from([objects.get(input.Key)]) };
+      case 'HeadObjectCommand':
+        if (!objects.has(input.Key)) throw notFound('NotFound');
+        return { ContentLength: objects.get(input.Key).length, LastModified: new Date() };
+      case 'CopyObjectCommand': {
+        const sourceKey = decodeURI(input.CopySource).slice(`${input.Bucket}/`.length);
+        if (!objects.has(sourceKey)) throw notFound('NoSuchKey');
+        objects.set(input.Key, Buffer.from(objects.get(sourceKey)));
+        return {};
+      }
+      case 'DeleteObjectCommand':
+        objects.delete(input.Key);
+        return {};
+      default:
+        throw new Error(`Unexpected S3 command ${command.constructor.name}`);
+    }
+  });
+
+  return objects;
+}
+
+/**
+ * A body that sends some data and then fails, like an aborted upload
+ */
+function abortedStream() {
+  return new Readable({
+    read() {
+      if (!this.sent) {
+        this.sent = true;
+        this.push(Buffer.from('partial content'));
+      } else {
+        this.destroy(new Error('aborted'));
+      }
+    }
+  });
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+const drivers = [
+  ['local', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    return { driver: new LocalStorage({ root }), cleanup: () => fs.rmSync(root, { recursive: true, force: true }) };
+  }],
+  ['s3', () => {
+    const driver = new S3Storage({ bucket: 'documents', prefix: 'test/', endpoint: 'http://minio.invalid:9000' });
+    stubS3(driver);
+    return { driver, cleanup: () => {} };
+  }]
+];
+
+describe.each(drivers)('%s driver', (name, create) => {
+  let driver;
+  let cleanup;
+
+  beforeEach(() => {
+    ({ driver, cleanup } = create());
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  test('writes buffers and streams and reads them back', async () => {
+    expect(await driver.write('user/a.odt', Buffer.from('hello'))).toEqual({ size: 5 });
+    expect(await driver.write('user/b.odt', Readable.from([Buffer.from('hello '), Buffer.from('world')]))).toEqual({ size: 11 });
+
+    expect((await driver.read('user/a.odt')).toString()).toBe('hello');
+    expect(await readAll(await driver.createReadStream('user/b.odt'))).toBe('hello world');
+  });
+
+  test('stats, copies and deletes objects', async () => {
+    await driver.write('user/a.odt', Buffer.from('hello'));
+
+    expect(await driver.stat('user/a.odt')).toMatchObject({ size: 5 });
+
+    await driver.copy('user/a.odt', 'user/a.odt.v1');
+    expect((await driver.read('user/a.odt.v1')).toString()).toBe('hello');
+
+    await driver.delete('user/a.odt');
+    expect(await driver.stat('user/a.odt')).toBeNull();
+    expect(await driver.stat('user/a.odt.v1')).toMatchObject({ size: 5 });
+  });
+
+  test('reports missing objects', async () => {
+    expect(await driver.stat('user/missing.odt')).toBeNull();
+    await expect(driver.createReadStream('user/missing.odt')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(driver.copy('user/missing.odt', 'user/copy.odt')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(driver.delete('user/missing.odt')).resolves.toBeUndefined();
+  });
+
+  test('an aborted stream fails the write and stores nothing', async () => {
+    await expect(driver.write('user/a.odt', abortedStream())).rejects.toThrow('aborted');
+    expect(await driver.stat('user/a.odt')).toBeNull();
+  });
+
+  test('an aborted stream leaves an existing object as it was', async () => {
+    await driver.write('user/a.odt', Buffer.from('hello'));
+
+    await expect(driver.write('user/a.odt', abortedStream())).rejects.toThrow('aborted');
+    expect((await driver.read('user/a.odt')).toString()).toBe('hello');
+  });
+});
+
+test('local driver rejects keys outside its root', async () => {
+  const { driver, cleanup } = drivers[0][1]();
+  try {
+    await expect(driver.write('../escape.odt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+  } finally {
+    cleanup();
+  }
+});
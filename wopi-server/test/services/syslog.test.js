@@ -0,0 +1,114 @@
+const dgram = require('dgram');
+const net = require('net');
+
+const ENTRY = {
+  seq: 7,
+  hash: 'ab'.repeat(32),
+  createdAt: new Date('2026-03-01T12:00:00.123Z'),
+  action: 'FILE_UPDATE',
+  userId: '22222222-2222-4222-8222-222222222222',
+  resourceType: 'file',
+  resourceId: '11111111-1111-4111-8111-111111111111',
+  details: { version: 4 },
+  ipAddress: '203.0.113.7'
+};
+
+let forwarder;
+
+/**
+ * A fresh forwarder for url; the module reads its settings when loaded
+ */
+function load(url, env = {}) {
+  process.env.AUDIT_SYSLOG_URL = url;
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    forwarder = require('../../src/services/syslog');
+  });
+  return forwarder;
+}
+
+afterEach(() => {
+  forwarder?.close();
+  for (const name of ['AUDIT_SYSLOG_URL', 'AUDIT_SYSLOG_FACILITY', 'AUDIT_SYSLOG_HOSTNAME', 'AUDIT_SYSLOG_APP_NAME']) {
+    delete process.env[name];
+  }
+});
+
+describe('format', () => {
+  beforeEach(() => {
+    load('udp://127.0.0.1:514', { AUDIT_SYSLOG_HOSTNAME: 'wopi-1' });
+  });
+
+  test('writes an RFC 5424 message with the chain position as structured data', () => {
+    expect(forwarder.format(ENTRY)).toBe(
+      `<134>1 2026-03-01T12:00:00.123Z wopi-1 collabora-wopi ${process.pid} FILE_UPDATE ` +
+      `[audit@32473 seq="7" hash="${ENTRY.hash}" userId="${ENTRY.userId}" resourceType="file" ` +
+      `resourceId="${ENTRY.resourceId}" ip="203.0.113.7"] {"action":"FILE_UPDATE","details":{"version":4}}`
+    );
+  });
+
+  test('sends failures with severity warning and leaves out empty parameters', () => {
+    const message = forwarder.format({ ...ENTRY, action: 'LOGIN_FAILED', userId: null, resourceId: null });
+
+    expect(message.startsWith('<132>1 ')).toBe(true);
+    expect(message).not.toMatch(/userId=|resourceId=/);
+  });
+
+  test('escapes structured data values', () => {
+    expect(forwarder.format({ ...ENTRY, resourceType: 'a"b]c\\d' })).toContain('resourceType="a\\"b\\]c\\\\d"');
+  });
+});
+
+test('is disabled without a URL or with an unsupported protocol', () => {
+  expect(load('').enabled).toBe(false);
+  expect(load('http://127.0.0.1:514').enabled).toBe(false);
+  expect(() => forwarder.send(ENTRY)).not.toThrow();
+});
+
+test('forwards an entry as one UDP datagram', async () => {
+  const server = dgram.createSocket('udp4');
+  await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+  try {
+    const received = new Promise(resolve => server.once('message', resolve));
+    load(`udp://127.0.0.1:${server.address().port}`, { AUDIT_SYSLOG_FACILITY: 'auth' });
+
+    forwarder.send(ENTRY);
+
+    const message = (await received).toString('utf8');
+    expect(message).toBe(forwarder.format(ENTRY));
+    expect(message.startsWith('<38>1 ')).toBe(true);
+  } finally {
+    server.close();
+  }
+});
+
+test('forwards entries over TCP with octet-counting framing, in order', async () => {
+  const server = net.createServer();
+  let data = '';
+  const received = new Promise((resolve) => {
+    server.on('connection', (socket) => {
+      socket.on('data', (chunk) => {
+        data += chunk.toString('utf8');
+        if (data.split(' FILE_').length === 3) {
+          resolve(data);
+        }
+      });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    load(`tcp://127.0.0.1:${server.address().port}`);
+
+    // Both are queued until the connection is up
+    forwarder.send(ENTRY);
+    forwarder.send({ ...ENTRY, seq: 8, action: 'FILE_DELETE' });
+
+    const first = Buffer.from(forwarder.format(ENTRY));
+    const second = Buffer.from(forwarder.format({ ...ENTRY, seq: 8, action: 'FILE_DELETE' }));
+    expect(await received).toBe(`${first.length} ${first}${second.length} ${second}`);
+  } finally {
+    forwarder.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
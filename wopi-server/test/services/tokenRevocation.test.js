@@ -0,0 +1,58 @@
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+
+const redis = require('../../src/db/redis');
+const tokenRevocation = require('../../src/services/tokenRevocation');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+function token(extra = {}) {
+  return { userId: USER_ID, sessionId: 'session-1', editSessionId: 'edit-1', timestamp: Date.now() - 1000, ...extra };
+}
+
+beforeEach(() => {
+  redis.reset();
+});
+
+test('a token is valid until something is revoked', async () => {
+  expect(await tokenRevocation.getTokenStatus(token())).toEqual({ revoked: false, recheck: false });
+});
+
+test('logging out revokes the tokens of that session only', async () => {
+  await tokenRevocation.revokeSession('session-1');
+
+  expect((await tokenRevocation.getTokenStatus(token())).revoked).toBe(true);
+  expect((await tokenRevocation.getTokenStatus(token({ sessionId: 'session-2' }))).revoked).toBe(false);
+  expect(await tokenRevocation.isSessionRevoked('session-1')).toBe(true);
+  expect(await tokenRevocation.isSessionRevoked(undefined)).toBe(false);
+});
+
+test('terminating an editing session revokes its token only', async () => {
+  await tokenRevocation.revokeEditSession('edit-1');
+
+  expect((await tokenRevocation.getTokenStatus(token())).revoked).toBe(true);
+  expect((await tokenRevocation.getTokenStatus(token({ editSessionId: 'edit-2' }))).revoked).toBe(false);
+  // Anonymous tokens have no sessions
+  expect((await tokenRevocation.getTokenStatus({ userId: null, timestamp: Date.now() })).revoked).toBe(false);
+});
+
+test('disabling a user revokes tokens issued before, not after', async () => {
+  await tokenRevocation.revokeUser(USER_ID);
+
+  expect((await tokenRevocation.getTokenStatus(token())).revoked).toBe(true);
+  expect((await tokenRevocation.getTokenStatus(token({ timestamp: Date.now() + 1000 }))).revoked).toBe(false);
+});
+
+test('changed shares only ask for the permission to be checked again', async () => {
+  await tokenRevocation.revokeGrants([USER_ID, null]);
+
+  expect(await tokenRevocation.getTokenStatus(token())).toEqual({ revoked: false, recheck: true });
+  expect((await tokenRevocation.getTokenStatus(token({ timestamp: Date.now() + 1000 }))).recheck).toBe(false);
+});
+
+test('revocations expire once the tokens they cover have', async () => {
+  await tokenRevocation.revokeSession('session-1');
+  await tokenRevocation.revokeEditSession('edit-1');
+
+  expect(redis.ttls.get('collabora:revoked:session:session-1')).toBe(7 * 24 * 60 * 60);
+  expect(redis.ttls.get('collabora:revoked:edit:edit-1')).toBe(24 * 60 * 60);
+});
@@ -0,0 +1,186 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/authConfig', () => ({ get: jest.fn(), set: jest.fn() }));
+
+const pool = require('../../src/db/pool');
+const redis = require('../../src/db/redis');
+const { encryptConfig } = require('../../src/utils/crypto');
+const twoFactor = require('../../src/services/twoFactor');
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+// 8-digit codes of the RFC by time; the 6-digit codes are their last digits
+const RFC_CODES = {
+  59: '94287082',
+  1111111109: '07081804',
+  1111111111: '14050471',
+  1234567890: '89005924',
+  2000000000: '69279037'
+};
+
+function at(seconds) {
+  jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+}
+
+beforeEach(() => {
+  pool.reset();
+  redis.reset();
+  jest.restoreAllMocks();
+  pool.on(/SELECT totp_secret/, [{
+    totp_secret: encryptConfig({ secret: RFC_SECRET }),
+    totp_recovery_codes: []
+  }]);
+});
+
+describe('code verification', () => {
+  test.each(Object.entries(RFC_CODES))('accepts the RFC 6238 code at %s', async (time, code) => {
+    at(Number(time));
+
+    expect(await twoFactor.verify(USER_ID, code.slice(-6))).toBe('totp');
+  });
+
+  test('accepts codes of the neighbouring time steps, not further', async () => {
+    at(1111111109 + 30);
+    expect(await twoFactor.verify(USER_ID, '081804')).toBe('totp');
+
+    redis.reset();
+    at(1111111109 + 60);
+    expect(await twoFactor.verify(USER_ID, '081804')).toBeNull();
+  });
+
+  test('rejects malformed and wrong codes', async () => {
+    at(59);
+
+    for (const code of ['', '28708', '2870821', 'abcdef', '287083']) {
+      expect(await twoFactor.verify(USER_ID, code)).toBeNull();
+    }
+  });
+
+  test('a code cannot be used twice', async () => {
+    at(59);
+
+    expect(await twoFactor.verify(USER_ID, '287082')).toBe('totp');
+    expect(await twoFactor.verify(USER_ID, '287082')).toBeNull();
+  });
+
+  test('parallel uses of the same code let one through', async () => {
+    at(59);
+
+    const results = await Promise.all([1, 2, 3].map(() => twoFactor.verify(USER_ID, '287082')));
+
+    expect(results.filter(Boolean)).toEqual(['totp']);
+  });
+
+  test('recovery codes work once', async () => {
+    const crypto = require('crypto');
+    const hash = crypto.createHash('sha256').update('abcde12345').digest('hex');
+    pool.on(/SELECT totp_secret/, [{ totp_secret: encryptConfig({ secret: RFC_SECRET }), totp_recovery_codes: [hash] }]);
+    let remaining = [hash];
+    pool.on(/totp_recovery_codes - \$1/, ([code]) => {
+      if (!remaining.includes(code)) return [];
+      remaining = remaining.filter(stored => stored !== code);
+      return [{ id: USER_ID }];
+    });
+
+    expect(await twoFactor.verify(USER_ID, 'ABCDE-12345')).toBe('recovery');
+    expect(await twoFactor.verify(USER_ID, 'abcde-12345')).toBeNull();
+  });
+
+  test('users without two-factor authentication never verify', async () => {
+    pool.on(/SELECT totp_secret/, []);
+    at(59);
+
+    expect(await twoFactor.verify(USER_ID, '287082')).toBeNull();
+  });
+});
+
+describe('enrolment', () => {
+  test('confirming setup stores the secret and burns the confirming code', async () => {
+    const { secret, otpauthUrl } = await twoFactor.beginSetup({ id: USER_ID, username: 'jdoe' });
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+
+    // Swap in the RFC secret, whose codes are known
+    at(59);
+    redis.data.set(`collabora:totp-setup:${USER_ID}`, RFC_SECRET);
+    const codes = await twoFactor.confirmSetup(USER_ID, '287082');
+
+    expect(codes).toHaveLength(10);
+    expect(await twoFactor.hasPendingSetup(USER_ID)).toBe(false);
+    expect(await twoFactor.verify(USER_ID, '287082')).toBeNull();
+  });
+
+  test('a wrong code leaves the setup pending', async () => {
+    await twoFactor.beginSetup({ id: USER_ID, username: 'jdoe' });
+    redis.data.set(`collabora:totp-setup:${USER_ID}`, RFC_SECRET);
+    at(59);
+
+    expect(await twoFactor.confirmSetup(USER_ID, '000000')).toBeNull();
+    expect(await twoFactor.hasPendingSetup(USER_ID)).toBe(true);
+  });
+});
+
+describe('login challenges', () => {
+  async function challenge() {
+    const { challengeToken } = await twoFactor.createChallenge({ id: USER_ID }, 'local');
+    return challengeToken;
+  }
+
+  test('counts attempts and drops the challenge after the last one', async () => {
+    const token = await challenge();
+
+    const remaining = [];
+    for (let i = 0; i < 5; i++) {
+      remaining.push(await twoFactor.countAttempt(token));
+    }
+    expect(remaining).toEqual([4, 3, 2, 1, 0]);
+
+    await twoFactor.failChallenge(token, 0);
+    expect(await twoFactor.getChallenge(token)).toBeNull();
+  });
+
+  test('an attempt beyond the limit drops the challenge', async () => {
+    const token = await challenge();
+    for (let i = 0; i < 5; i++) {
+      await twoFactor.countAttempt(token);
+    }
+
+    expect(await twoFactor.countAttempt(token)).toBeNull();
+    expect(await twoFactor.getChallenge(token)).toBeNull();
+  });
+
+  test('the attempt counter expires with the challenge', async () => {
+    const token = await challenge();
+
+    await twoFactor.countAttempt(token);
+
+    expect(redis.ttls.get(`collabora:login-challenge-attempts:${token}`)).toBe(redis.ttls.get(`collabora:login-challenge:${token}`));
+  });
+
+  test('parallel attempts cannot exceed the limit', async () => {
+    const token = await challenge();
+
+    const results = await Promise.all(Array.from({ length: 12 }, () => twoFactor.countAttempt(token)));
+
+    expect(results.filter(remaining => remaining !== null).sort()).toEqual([0, 1, 2, 3, 4]);
+    expect(await twoFactor.getChallenge(token)).toBeNull();
+  });
+
+  test('a wrong code with attempts left keeps the challenge', async () => {
+    const token = await challenge();
+
+    await twoFactor.failChallenge(token, await twoFactor.countAttempt(token));
+
+    expect(await twoFactor.getChallenge(token)).toMatchObject({ userId: USER_ID, authSource: 'local' });
+  });
+
+  test('completing a login removes the challenge and its counter', async () => {
+    const token = await challenge();
+    await twoFactor.countAttempt(token);
+
+    await twoFactor.consumeChallenge(token);
+
+    expect(redis.data.size).toBe(0);
+  });
+});
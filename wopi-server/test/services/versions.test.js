@@ -0,0 +1,82 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/services/storage', () => ({
+  copy: jest.fn(),
+  stat: jest.fn()
+}));
+
+const pool = require('../../src/db/pool');
+const storage = require('../../src/services/storage');
+const { saveRevision, restoreVersion } = require('../../src/services/versions');
+
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const OWNER_ID = '22222222-2222-4222-8222-222222222222';
+const EDITOR_ID = '33333333-3333-4333-8333-333333333333';
+
+function fileRow(overrides = {}) {
+  return {
+    id: FILE_ID,
+    owner_id: OWNER_ID,
+    storage_path: `${OWNER_ID}/report.odt`,
+    size: 5,
+    version: 3,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  pool.reset();
+  storage.copy.mockReset().mockResolvedValue();
+  storage.stat.mockReset().mockResolvedValue({ size: 11 });
+  pool.on(/FOR UPDATE/, [fileRow()]);
+  pool.on(/UPDATE files/, (params) => [fileRow({ size: params[0], version: params[1] })]);
+});
+
+test('keeps the current content as a version and bumps the version in one transaction', async () => {
+  const updated = await saveRevision(fileRow(), 'upload-key', EDITOR_ID);
+
+  expect(updated).toMatchObject({ version: 4, size: 11 });
+  expect(storage.copy.mock.calls).toEqual([
+    [`${OWNER_ID}/report.odt`, `${OWNER_ID}/report.odt.v3`],
+    ['upload-key', `${OWNER_ID}/report.odt`]
+  ]);
+
+  const statements = pool.calls.map(call => call.sql.trim().split(/\s+/).slice(0, 3).join(' '));
+  expect(statements).toEqual([
+    'BEGIN',
+    'SELECT * FROM',
+    'INSERT INTO file_versions',
+    'UPDATE files SET',
+    'UPDATE users SET',
+    'COMMIT'
+  ]);
+  expect(pool.queries(/INSERT INTO file_versions/)[0].params).toEqual([FILE_ID, 3, 5, `${OWNER_ID}/report.odt.v3`, EDITOR_ID]);
+  expect(pool.queries(/UPDATE users/)[0].params).toEqual([6, OWNER_ID]);
+});
+
+test('numbers the version from the locked row, not the caller\'s copy', async () => {
+  pool.on(/FOR UPDATE/, [fileRow({ version: 7 })]);
+
+  const updated = await saveRevision(fileRow(), 'upload-key', EDITOR_ID);
+
+  expect(updated.version).toBe(8);
+  expect(pool.queries(/INSERT INTO file_versions/)[0].params[1]).toBe(7);
+});
+
+test('rolls back the version row when the content cannot be replaced', async () => {
+  storage.copy
+    .mockResolvedValueOnce()
+    .mockRejectedValueOnce(Object.assign(new Error('Object not found'), { code: 'ENOENT' }));
+
+  await expect(saveRevision(fileRow(), 'upload-key', EDITOR_ID)).rejects.toMatchObject({ code: 'ENOENT' });
+
+  expect(pool.queries(/ROLLBACK/)).toHaveLength(1);
+  expect(pool.queries(/COMMIT/)).toHaveLength(0);
+  expect(pool.queries(/UPDATE files/)).toHaveLength(0);
+});
+
+test('restoring a version saves it as a new revision', async () => {
+  const updated = await restoreVersion(fileRow(), { version: 1, storage_path: `${OWNER_ID}/report.odt.v1` }, OWNER_ID);
+
+  expect(updated.version).toBe(4);
+  expect(storage.copy).toHaveBeenLastCalledWith(`${OWNER_ID}/report.odt.v1`, `${OWNER_ID}/report.odt`);
+});
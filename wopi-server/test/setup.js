@@ -0,0 +1,6 @@
+// Environment for the test suite: secrets long enough for validateSecrets,
+// and quiet logs
+process.env.NODE_ENV = 'test';
+process.env.WOPI_SECRET = process.env.WOPI_SECRET || 'test-wopi-secret-0123456789abcdef0123456789abcdef';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-0123456789abcdef0123456789abcdef';
+process.env.LOG_LEVEL = 'error';
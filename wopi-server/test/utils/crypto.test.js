@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const {
+  createAccessToken,
+  generateAccessToken,
+  verifyAccessToken,
+  encryptConfig,
+  decryptConfig,
+  auditHmac
+} = require('../../src/utils/crypto');
+
+const FILE_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_FILE_ID = '55555555-5555-4555-8555-555555555555';
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('access tokens', () => {
+  test('carry the file, user, permissions and extra claims', () => {
+    const { token, ttl } = createAccessToken(FILE_ID, USER_ID, 'edit', { sessionId: 'session-1', ip: '203.0.113.7' });
+
+    const payload = verifyAccessToken(token, FILE_ID);
+
+    expect(payload).toMatchObject({ fileId: FILE_ID, userId: USER_ID, permissions: 'edit', sessionId: 'session-1', ip: '203.0.113.7' });
+    expect(payload.expiresAt).toBe(ttl);
+    expect(ttl - payload.timestamp).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('are not readable without the key', () => {
+    const token = generateAccessToken(FILE_ID, USER_ID, 'edit');
+
+    expect(Buffer.from(token, 'base64url').toString('latin1')).not.toContain(USER_ID);
+    expect(generateAccessToken(FILE_ID, USER_ID, 'edit')).not.toBe(token);
+  });
+
+  test('are only valid for the file they were issued for', () => {
+    const token = generateAccessToken(FILE_ID, USER_ID, 'edit');
+
+    expect(verifyAccessToken(token, OTHER_FILE_ID)).toBeNull();
+  });
+
+  test('reject altered, truncated and garbage tokens', () => {
+    const data = Buffer.from(generateAccessToken(FILE_ID, USER_ID, 'view'), 'base64url');
+    // Flipping a ciphertext bit would turn "view" into something else if it were not authenticated
+    const altered = Buffer.from(data);
+    altered[altered.length - 1] ^= 1;
+
+    expect(verifyAccessToken(altered.toString('base64url'), FILE_ID)).toBeNull();
+    expect(verifyAccessToken(data.subarray(0, 20).toString('base64url'), FILE_ID)).toBeNull();
+    expect(verifyAccessToken('not-a-token', FILE_ID)).toBeNull();
+    expect(verifyAccessToken('', FILE_ID)).toBeNull();
+  });
+
+  test('reject tokens encrypted with another key', () => {
+    const key = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: 16 });
+    const payload = JSON.stringify({ fileId: FILE_ID, userId: USER_ID, permissions: 'edit', expiresAt: Date.now() + 60000 });
+    const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+    const forged = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+
+    expect(verifyAccessToken(forged, FILE_ID)).toBeNull();
+  });
+
+  test('expire', () => {
+    const { token, ttl } = createAccessToken(FILE_ID, USER_ID, 'edit');
+
+    jest.spyOn(Date, 'now').mockReturnValue(ttl + 1);
+
+    expect(verifyAccessToken(token, FILE_ID)).toBeNull();
+  });
+});
+
+describe('configuration encryption', () => {
+  test('round-trips values and rejects altered data', () => {
+    const value = { desKey: 'secret', realm: 'example' };
+    const encrypted = encryptConfig(value);
+
+    expect(decryptConfig(encrypted)).toEqual(value);
+    expect(encrypted).not.toContain('secret');
+
+    const altered = Buffer.from(encrypted, 'base64');
+    altered[altered.length - 1] ^= 1;
+    expect(() => decryptConfig(altered.toString('base64'))).toThrow();
+  });
+});
+
+test('auditHmac is keyed and deterministic', () => {
+  expect(auditHmac('entry')).toMatch(/^[0-9a-f]{64}$/);
+  expect(auditHmac('entry')).toBe(auditHmac('entry'));
+  expect(auditHmac('entry')).not.toBe(crypto.createHash('sha256').update('entry').digest('hex'));
+});
+
+test('refuses a missing or placeholder WOPI secret', () => {
+  const secret = process.env.WOPI_SECRET;
+  try {
+    for (const value of [undefined, 'CHANGE_ME_' + 'x'.repeat(40), 'too-short']) {
+      if (value === undefined) {
+        delete process.env.WOPI_SECRET;
+      } else {
+        process.env.WOPI_SECRET = value;
+      }
+      jest.isolateModules(() => {
+        const fresh = require('../../src/utils/crypto');
+        expect(() => fresh.generateAccessToken(FILE_ID, USER_ID)).toThrow(/WOPI_SECRET/);
+      });
+    }
+  } finally {
+    process.env.WOPI_SECRET = secret;
+  }
+});
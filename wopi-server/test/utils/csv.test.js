@@ -0,0 +1,66 @@
+const csv = require('../../src/utils/csv');
+
+describe('field', () => {
+  test('quotes commas, quotes and line breaks', () => {
+    expect(csv.field('plain')).toBe('plain');
+    expect(csv.field('Doe, Jane')).toBe('"Doe, Jane"');
+    expect(csv.field('say "hi"')).toBe('"say ""hi"""');
+    expect(csv.field('two\nlines')).toBe('"two\nlines"');
+    expect(csv.field('two\r\nlines')).toBe('"two\r\nlines"');
+  });
+
+  test('prefixes values a spreadsheet would run as a formula', () => {
+    expect(csv.field('=HYPERLINK("http://evil.example","x")')).toBe(`"'=HYPERLINK(""http://evil.example"",""x"")"`);
+    expect(csv.field('+1+2')).toBe("'+1+2");
+    expect(csv.field('-2+3')).toBe("'-2+3");
+    expect(csv.field('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csv.field('\t=1')).toBe("'\t=1");
+    expect(csv.field('a=b')).toBe('a=b');
+  });
+
+  test('formats empty values, dates and objects', () => {
+    expect(csv.field(null)).toBe('');
+    expect(csv.field(undefined)).toBe('');
+    expect(csv.field(0)).toBe('0');
+    expect(csv.field(new Date('2026-01-02T03:04:05Z'))).toBe('2026-01-02T03:04:05.000Z');
+    expect(csv.field({ a: 1, b: 'x' })).toBe('"{""a"":1,""b"":""x""}"');
+  });
+});
+
+test('row joins fields and ends with CRLF', () => {
+  expect(csv.row(['a', 'b,c', null])).toBe('a,"b,c",\r\n');
+});
+
+describe('parse', () => {
+  test('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    expect(csv.parse('name,note\r\n"Doe, Jane","say ""hi""\r\nand bye"\r\n')).toEqual([
+      ['name', 'note'],
+      ['Doe, Jane', 'say "hi"\r\nand bye']
+    ]);
+  });
+
+  test('accepts LF and CR line endings and a missing final line break', () => {
+    expect(csv.parse('a,b\nc,d\re,f')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  test('skips a byte order mark and blank lines, and keeps empty fields', () => {
+    expect(csv.parse('\uFEFFa,b\r\n\r\n,\r\nc,\r\n')).toEqual([['a', 'b'], ['', ''], ['c', '']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => csv.parse('a,b\r\n"open,c\r\n')).toThrow('Unterminated quoted field in record 2');
+  });
+
+  test('reads back what row wrote', () => {
+    const values = ['Doe, Jane', 'say "hi"', 'two\nlines', '', 'plain'];
+    expect(csv.parse(csv.row(values))).toEqual([values]);
+  });
+});
+
+test('unescapeFormula undoes the formula prefix only', () => {
+  for (const value of ['=1+1', '+1', '-1', '@A1']) {
+    expect(csv.unescapeFormula(csv.parse(csv.row([value]))[0][0])).toBe(value);
+  }
+  expect(csv.unescapeFormula("'quoted'")).toBe("'quoted'");
+  expect(csv.unescapeFormula("O'Brien")).toBe("O'Brien");
+});
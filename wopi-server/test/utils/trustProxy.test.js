@@ -0,0 +1,66 @@
+jest.mock('../../src/db/pool', () => require('../helpers/db').createFakePool());
+jest.mock('../../src/db/redis', () => require('../helpers/redis').createFakeRedis());
+jest.mock('../../src/services/storage', () => ({}));
+jest.mock('../../src/services/audit', () => ({ log: jest.fn() }));
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: '99999999-9999-4999-8999-999999999999', username: 'admin', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../../src/db/pool');
+const auditService = require('../../src/services/audit');
+const adminRouter = require('../../src/routes/admin');
+const { parseTrustProxy } = require('../../src/utils/trustProxy');
+
+describe('parseTrustProxy', () => {
+  test('trusts the bundled nginx by default', () => {
+    expect(parseTrustProxy(undefined)).toBe(1);
+    expect(parseTrustProxy(' ')).toBe(1);
+  });
+
+  test('reads hop counts, booleans and address lists', () => {
+    expect(parseTrustProxy('2')).toBe(2);
+    expect(parseTrustProxy('0')).toBe(0);
+    expect(parseTrustProxy('false')).toBe(false);
+    expect(parseTrustProxy('TRUE')).toBe(true);
+    expect(parseTrustProxy('loopback, 10.0.0.0/8,')).toEqual(['loopback', '10.0.0.0/8']);
+  });
+});
+
+describe('behind nginx', () => {
+  function exportUsers(trustProxy) {
+    const app = express();
+    app.set('trust proxy', parseTrustProxy(trustProxy));
+    app.use('/api/admin', adminRouter);
+    // nginx appends the address it received the request from
+    return request(app)
+      .get('/api/admin/users/export')
+      .set('X-Forwarded-For', '198.51.100.1, 203.0.113.7');
+  }
+
+  beforeEach(() => {
+    pool.reset();
+    pool.on(/FROM users/, []);
+    auditService.log.mockClear();
+  });
+
+  test('the address nginx forwarded reaches the audit log', async () => {
+    expect((await exportUsers()).status).toBe(200);
+
+    expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'USER_EXPORT',
+      ipAddress: '203.0.113.7'
+    }));
+  });
+
+  test('addresses are not taken from an untrusted hop', async () => {
+    await exportUsers('false');
+
+    expect(auditService.log.mock.calls[0][0].ipAddress).not.toBe('203.0.113.7');
+  });
+});